@@ -42,7 +42,12 @@ const sitemapConfig = {
 export default defineConfig({
   site: SITE_URL,
   output: 'server',
-  adapter: cloudflare(),
+  adapter: cloudflare({
+    // 自定义 Worker 入口，增加定时任务的 scheduled 处理
+    workerEntryPoint: {
+      path: 'src/worker.ts',
+    },
+  }),
   devToolbar: {
     enabled: false, 
   },
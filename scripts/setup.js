@@ -10,7 +10,7 @@
 import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
 import { join } from 'path';
 import { createInterface } from 'readline';
-import { createHash } from 'crypto';
+import { hashPassword } from '../src/utils/password.js';
 
 // 颜色输出工具
 const colors = {
@@ -103,16 +103,6 @@ const askPassword = (question) => {
   });
 };
 
-/**
- * 生成密码哈希
- * @param {string} password - 密码
- * @returns {string}
- */
-const hashPassword = (password) => {
-  const salt = 'cloudnav_salt';
-  return createHash('sha256').update(password + salt).digest('hex');
-};
-
 /**
  * 验证配置
  * @param {Object} config - 配置对象
@@ -189,7 +179,7 @@ const collectAdminConfig = async () => {
     } while (password !== confirmPassword || password.length < 8);
     
     config.adminPassword = password;
-    config.adminPasswordHash = hashPassword(password);
+    config.adminPasswordHash = await hashPassword(password);
     
     log.success('管理员密码设置成功');
   }
@@ -333,9 +323,10 @@ const updateWranglerConfig = (config) => {
     );
     
     if (config.adminPasswordHash) {
+      // 哈希中包含 $，使用函数作为替换值，避免被解析为替换模式
       content = content.replace(
-        /PUBLIC_ADMIN_PASSWORD_HASH = ""/,
-        `PUBLIC_ADMIN_PASSWORD_HASH = "${config.adminPasswordHash}"`
+        /ADMIN_PASSWORD_HASH = ""/,
+        () => `ADMIN_PASSWORD_HASH = "${config.adminPasswordHash}"`
       );
     }
   }
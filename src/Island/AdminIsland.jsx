@@ -7,7 +7,7 @@
 
 import { useState, useEffect, useRef } from 'react';
 import { handleError } from '../utils/error-handler.js';
-import { api } from '../utils/api-client.js';
+import { api, getCurrentSpace } from '../utils/api-client.js';
 
 /**
  * 管理页面枚举
@@ -16,9 +16,17 @@ const AdminPages = {
   DASHBOARD: 'dashboard',
   BOOKMARKS: 'bookmarks',
   CATEGORIES: 'categories',
+  DUPLICATES: 'duplicates',
+  LINK_HEALTH: 'link_health',
+  TRASH: 'trash',
   IMPORT_EXPORT: 'import_export',
   AI_ORGANIZE: 'ai_organize',
   STATS: 'stats',
+  HISTORY: 'history',
+  BACKUPS: 'backups',
+  OVERRIDES: 'overrides',
+  STATIC_SYNC: 'static_sync',
+  TASKS: 'tasks',
   SETTINGS: 'settings'
 };
 
@@ -41,6 +49,21 @@ const PAGE_CONFIG = {
     icon: '📂',
     description: '管理书签分类'
   },
+  [AdminPages.DUPLICATES]: {
+    title: '重复书签',
+    icon: '👯',
+    description: '查找并合并重复的书签'
+  },
+  [AdminPages.LINK_HEALTH]: {
+    title: '链接检查',
+    icon: '🩺',
+    description: '检查失效链接并更新重定向地址'
+  },
+  [AdminPages.TRASH]: {
+    title: '回收站',
+    icon: '🗑️',
+    description: '恢复或彻底删除已删除的数据'
+  },
   [AdminPages.IMPORT_EXPORT]: {
     title: '导入导出',
     icon: '🔄',
@@ -56,19 +79,51 @@ const PAGE_CONFIG = {
     icon: '📈',
     description: '查看详细统计数据'
   },
+  [AdminPages.HISTORY]: {
+    title: '变更历史',
+    icon: '🕘',
+    description: '浏览修改记录，撤销或回滚'
+  },
+  [AdminPages.BACKUPS]: {
+    title: '数据备份',
+    icon: '💾',
+    description: '备份、下载和恢复全部数据'
+  },
+  [AdminPages.OVERRIDES]: {
+    title: '覆盖数据',
+    icon: '🧩',
+    description: '混合模式下与 navLinks.js 不同的数据'
+  },
+  [AdminPages.STATIC_SYNC]: {
+    title: '静态数据同步',
+    icon: '🔀',
+    description: '逐条比较并同步 navLinks.js 与 KV 中的数据'
+  },
+  [AdminPages.TASKS]: {
+    title: '定时任务',
+    icon: '⏰',
+    description: '查看定时备份、链接检查等任务的执行状态'
+  },
   [AdminPages.SETTINGS]: {
     title: '系统设置',
     icon: '⚙️',
-    description: '系统配置和设置'
+    description: '首页区块、API 令牌等系统设置'
   }
 };
 
+/**
+ * 管理员选择的导航空间在 localStorage 中的键名（AdminLayout 据此标记当前空间）
+ */
+const ADMIN_SPACE_STORAGE_KEY = 'cloudnav_admin_space';
+
 export default function AdminIsland() {
   const [currentPage, setCurrentPage] = useState(AdminPages.DASHBOARD);
   const [isLoading, setIsLoading] = useState(true);
   const [systemInfo, setSystemInfo] = useState(null);
   const [error, setError] = useState(null);
   const [isMenuOpen, setIsMenuOpen] = useState(false);
+  const [spaces, setSpaces] = useState([]);
+  const [currentSpace, setCurrentSpace] = useState('default');
   
   // 使用 ref 来避免重复的 API 调用
   const isApiCallInProgress = useRef(false);
@@ -109,6 +164,48 @@ export default function AdminIsland() {
     }
   };
 
+  /**
+   * 获取导航空间列表
+   */
+  const fetchSpaces = async () => {
+    try {
+      const response = await api.get('/api/spaces');
+      const spaceList = response.data?.spaces || [];
+      const selected = getCurrentSpace();
+
+      // 之前选择的空间已从配置中移除时回到默认空间
+      if (selected && !spaceList.some(space => space.id === selected)) {
+        localStorage.removeItem(ADMIN_SPACE_STORAGE_KEY);
+        window.location.reload();
+        return;
+      }
+
+      setSpaces(spaceList);
+      setCurrentSpace(selected || response.data?.defaultSpace || 'default');
+    } catch (error) {
+      // 空间列表只影响空间切换，获取失败时继续管理默认空间
+      console.warn('获取空间列表失败:', error);
+    }
+  };
+
+  /**
+   * 切换管理的导航空间
+   * 所有管理组件的请求都会发送到新空间，因此直接刷新页面重新加载数据
+   * @param {string} spaceId - 空间 ID
+   */
+  const handleSpaceChange = (spaceId) => {
+    const space = spaces.find(item => item.id === spaceId);
+    if (!space || spaceId === currentSpace) return;
+
+    if (space.isDefault) {
+      localStorage.removeItem(ADMIN_SPACE_STORAGE_KEY);
+    } else {
+      localStorage.setItem(ADMIN_SPACE_STORAGE_KEY, space.id);
+    }
+    console.log(`切换到空间: ${space.name}`);
+    window.location.reload();
+  };
+
   /**
    * 切换页面
    * @param {string} page - 页面标识
@@ -131,10 +228,19 @@ export default function AdminIsland() {
     const components = [
       'bookmark-manager',
       'category-manager',
+      'duplicate-manager',
+      'link-health',
+      'trash-manager',
       'import-export',
       'ai-organize',
       'stats',
-      'advanced-stats'
+      'advanced-stats',
+      'history-manager',
+      'backup-manager',
+      'override-manager',
+      'static-sync',
+      'task-manager',
+      'settings-manager'
     ];
 
     components.forEach(id => {
@@ -153,6 +259,15 @@ export default function AdminIsland() {
       case AdminPages.CATEGORIES:
         targetId = 'category-manager';
         break;
+      case AdminPages.DUPLICATES:
+        targetId = 'duplicate-manager';
+        break;
+      case AdminPages.LINK_HEALTH:
+        targetId = 'link-health';
+        break;
+      case AdminPages.TRASH:
+        targetId = 'trash-manager';
+        break;
       case AdminPages.IMPORT_EXPORT:
         targetId = 'import-export';
         break;
@@ -162,6 +277,24 @@ export default function AdminIsland() {
       case AdminPages.STATS:
         targetId = 'stats';
         break;
+      case AdminPages.HISTORY:
+        targetId = 'history-manager';
+        break;
+      case AdminPages.BACKUPS:
+        targetId = 'backup-manager';
+        break;
+      case AdminPages.OVERRIDES:
+        targetId = 'override-manager';
+        break;
+      case AdminPages.STATIC_SYNC:
+        targetId = 'static-sync';
+        break;
+      case AdminPages.TASKS:
+        targetId = 'task-manager';
+        break;
+      case AdminPages.SETTINGS:
+        targetId = 'settings-manager';
+        break;
       default:
         // 默认显示概览
         break;
@@ -205,12 +338,14 @@ export default function AdminIsland() {
         window.requestIdleCallback(() => {
           if (isComponentMounted) {
             fetchSystemInfo();
+            fetchSpaces();
           }
         });
       } else {
         setTimeout(() => {
           if (isComponentMounted) {
             fetchSystemInfo();
+            fetchSpaces();
           }
         }, 100);
       }
@@ -234,6 +369,20 @@ export default function AdminIsland() {
             <h1 className="text-xl font-semibold text-gray-900 dark:text-white">
               📋 后台管理
             </h1>
+            {spaces.length > 1 && (
+              <select
+                value={currentSpace}
+                onChange={(e) => handleSpaceChange(e.target.value)}
+                className="ml-4 px-2 py-1 border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-sm"
+                title="切换管理的导航空间"
+              >
+                {spaces.map(space => (
+                  <option key={space.id} value={space.id}>
+                    🗂️ {space.name}
+                  </option>
+                ))}
+              </select>
+            )}
           </div>
           
           {/* 桌面端导航 */}
@@ -292,6 +441,74 @@ export default function AdminIsland() {
     </nav>
   );
 
+  /**
+   * 渲染缓存统计
+   * @param {Object} cacheInfo - 统计概览中的缓存统计
+   */
+  const renderCacheStats = (cacheInfo) => {
+    const formatRate = (hits, misses) => {
+      const total = hits + misses;
+      return total > 0 ? `${Math.round(hits / total * 1000) / 10}%` : '—';
+    };
+    const formatTime = (timestamp) => timestamp ? new Date(timestamp).toLocaleString() : '—';
+    const sources = [
+      { namespace: 'dm', label: '数据管理器' },
+      { namespace: 'kv', label: 'KV 适配器' }
+    ];
+
+    return (
+      <div className="mt-6 bg-white dark:bg-gray-800 p-6 rounded-lg border border-gray-200 dark:border-gray-700">
+        <div className="flex flex-wrap items-baseline justify-between gap-2 mb-4">
+          <h3 className="text-lg font-semibold text-gray-900 dark:text-white">⚡ 缓存</h3>
+          <span className="text-xs text-gray-500 dark:text-gray-400">
+            当前实例自 {formatTime(cacheInfo.since)} 起的统计
+          </span>
+        </div>
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm">
+          <div>
+            <div className="text-2xl font-bold text-gray-900 dark:text-white">
+              {cacheInfo.hitRate === null ? '—' : `${cacheInfo.hitRate}%`}
+            </div>
+            <div className="text-gray-600 dark:text-gray-400">
+              命中率（{cacheInfo.hits} 命中 / {cacheInfo.misses} 未命中）
+            </div>
+          </div>
+          {sources.map(({ namespace, label }) => {
+            const counters = cacheInfo.namespaces?.[namespace] || { hits: 0, misses: 0 };
+            return (
+              <div key={namespace}>
+                <div className="text-2xl font-bold text-gray-900 dark:text-white">
+                  {formatRate(counters.hits, counters.misses)}
+                </div>
+                <div className="text-gray-600 dark:text-gray-400">
+                  {label}（{counters.hits} / {counters.hits + counters.misses}）
+                </div>
+              </div>
+            );
+          })}
+          <div>
+            <div className="text-2xl font-bold text-gray-900 dark:text-white">
+              {cacheInfo.generation?.invalidations || 0}
+            </div>
+            <div className="text-gray-600 dark:text-gray-400">
+              因其他实例修改而失效（检查 {cacheInfo.generation?.checks || 0} 次）
+            </div>
+          </div>
+        </div>
+        <div className="mt-4 text-xs text-gray-500 dark:text-gray-400 space-y-1">
+          <div>
+            缓存条目 {cacheInfo.size ?? '—'} · LRU 淘汰 {cacheInfo.evictions} · 失效清除 {cacheInfo.invalidations}
+          </div>
+          <div>
+            数据代次 <span className="font-mono">{cacheInfo.generation?.generation || '—'}</span>
+            ，最近检查 {formatTime(cacheInfo.generation?.checkedAt)}
+            ，最近失效 {formatTime(cacheInfo.generation?.lastInvalidatedAt)}
+          </div>
+        </div>
+      </div>
+    );
+  };
+
   /**
    * 渲染页面内容
    */
@@ -369,6 +586,7 @@ export default function AdminIsland() {
                 </div>
               </div>
             )}
+            {systemInfo?.cache && renderCacheStats(systemInfo.cache)}
           </div>
         );
 
@@ -0,0 +1,454 @@
+/**
+ * API 令牌管理组件
+ * 基于现有 Island 组件模式，创建、查看和撤销供脚本和 CI 使用的 API 令牌
+ * @author Claude 4.0 sonnet
+ * @version 1.0.0
+ */
+
+import { useState, useEffect, useRef } from 'react';
+import { handleError } from '../utils/error-handler.js';
+import { api } from '../utils/api-client.js';
+import { TOKEN_SCOPES, TokenScope } from '../utils/api-tokens.js';
+import { validate, toFieldErrorMap, ApiTokenSchema } from '../utils/schema.js';
+
+/**
+ * 有效期选项（天数，null 表示永不过期）
+ */
+const EXPIRY_OPTIONS = [
+  { value: 30, label: '30 天' },
+  { value: 90, label: '90 天' },
+  { value: 365, label: '1 年' },
+  { value: null, label: '永不过期' }
+];
+
+/**
+ * 新建令牌表单的初始值
+ */
+const EMPTY_FORM = {
+  name: '',
+  scopes: [TokenScope.READ],
+  expiresInDays: 90
+};
+
+export default function ApiTokenIsland() {
+  const [tokens, setTokens] = useState([]);
+  const [scopes, setScopes] = useState(TOKEN_SCOPES);
+  const [storageAvailable, setStorageAvailable] = useState(true);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [newSecret, setNewSecret] = useState(null); // 刚创建的令牌明文，只显示一次
+  const [isCreating, setIsCreating] = useState(false);
+  const [revokingId, setRevokingId] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // API 调用控制
+  const isApiCallInProgress = useRef(false);
+  const lastApiCallTime = useRef(0);
+  const MIN_API_INTERVAL = 1000;
+
+  /**
+   * 获取令牌列表
+   */
+  const fetchTokens = async () => {
+    if (isApiCallInProgress.current) {
+      console.log('API 令牌 API 调用正在进行中，跳过重复请求');
+      return;
+    }
+
+    const now = Date.now();
+    if (now - lastApiCallTime.current < MIN_API_INTERVAL) {
+      console.log('API 令牌 API 调用过于频繁，跳过请求');
+      return;
+    }
+
+    isApiCallInProgress.current = true;
+    lastApiCallTime.current = now;
+
+    try {
+      console.log('🔑 获取 API 令牌列表...');
+      const response = await api.get('/api/tokens');
+      setTokens(response.data?.tokens || []);
+      setScopes(response.data?.scopes || TOKEN_SCOPES);
+      setStorageAvailable(response.data?.storageAvailable !== false);
+      setError(null);
+      console.log(`✅ 共有 ${response.data?.tokens?.length || 0} 个 API 令牌`);
+    } catch (error) {
+      console.error('❌ 获取 API 令牌列表失败:', error);
+      const appError = handleError.generic(error, { operation: 'fetch_api_tokens' });
+      setError(appError.getUserMessage());
+    } finally {
+      setIsLoading(false);
+      isApiCallInProgress.current = false;
+    }
+  };
+
+  /**
+   * 修改表单字段
+   * @param {string} field - 字段名
+   * @param {any} value - 字段值
+   */
+  const handleFormChange = (field, value) => {
+    setForm(prev => ({ ...prev, [field]: value }));
+    setFieldErrors(prev => {
+      const { [field]: _removed, ...rest } = prev;
+      return rest;
+    });
+  };
+
+  /**
+   * 切换权限
+   * @param {string} scope - 权限
+   */
+  const toggleScope = (scope) => {
+    handleFormChange('scopes', form.scopes.includes(scope)
+      ? form.scopes.filter(item => item !== scope)
+      : [...form.scopes, scope]);
+  };
+
+  /**
+   * 创建令牌
+   */
+  const createToken = async () => {
+    const data = { ...form, name: form.name.trim() };
+    const validation = validate(ApiTokenSchema, data);
+    if (!validation.valid) {
+      setFieldErrors(toFieldErrorMap(validation.errors));
+      return;
+    }
+
+    try {
+      setIsCreating(true);
+      console.log('🔑 创建 API 令牌...');
+      const response = await api.post('/api/tokens', data);
+      setNewSecret({ name: response.data.token.name, secret: response.data.secret });
+      setForm(EMPTY_FORM);
+      setFieldErrors({});
+      console.log(`✅ ${response.message}`);
+      lastApiCallTime.current = 0;
+      await fetchTokens();
+    } catch (error) {
+      console.error('❌ 创建 API 令牌失败:', error);
+      if (error.status === 400) {
+        const serverErrors = error.body?.data?.fieldErrors;
+        if (serverErrors?.length) {
+          setFieldErrors(toFieldErrorMap(serverErrors));
+        } else {
+          alert(error.body?.data?.reason || error.body?.message || '令牌信息无效');
+        }
+        return;
+      }
+      const appError = handleError.generic(error, { operation: 'create_api_token' });
+      setError(appError.getUserMessage());
+    } finally {
+      setIsCreating(false);
+    }
+  };
+
+  /**
+   * 撤销令牌
+   * @param {Object} token - 令牌
+   */
+  const revokeToken = async (token) => {
+    if (!confirm(`确定要撤销令牌「${token.name}」吗？使用该令牌的脚本将立即无法访问。`)) {
+      return;
+    }
+
+    try {
+      setRevokingId(token.id);
+      console.log(`🗑️ 撤销 API 令牌: ${token.id}`);
+      await api.delete(`/api/tokens/${encodeURIComponent(token.id)}`);
+      setTokens(prev => prev.filter(item => item.id !== token.id));
+      console.log('✅ API 令牌已撤销');
+    } catch (error) {
+      console.error('❌ 撤销 API 令牌失败:', error);
+      if (error.status === 404) {
+        lastApiCallTime.current = 0;
+        await fetchTokens();
+        return;
+      }
+      const appError = handleError.generic(error, { operation: 'revoke_api_token' });
+      setError(appError.getUserMessage());
+    } finally {
+      setRevokingId(null);
+    }
+  };
+
+  /**
+   * 复制新令牌
+   */
+  const copySecret = async () => {
+    try {
+      await navigator.clipboard.writeText(newSecret.secret);
+      alert('令牌已复制到剪贴板');
+    } catch (error) {
+      console.error('复制令牌失败:', error);
+      alert('复制失败，请手动选择复制');
+    }
+  };
+
+  /**
+   * 格式化时间
+   * @param {number} timestamp - 时间戳
+   * @returns {string}
+   */
+  const formatTime = (timestamp) => timestamp ? new Date(timestamp).toLocaleString('zh-CN') : '-';
+
+  /**
+   * 获取权限显示名称
+   * @param {string} scope - 权限
+   * @returns {string}
+   */
+  const getScopeLabel = (scope) => scopes.find(item => item.id === scope)?.label || scope;
+
+  // 组件初始化
+  useEffect(() => {
+    let isComponentMounted = true;
+
+    const initTokens = () => {
+      if (!isComponentMounted) return;
+
+      // 使用 requestIdleCallback 优化性能
+      if ('requestIdleCallback' in window) {
+        window.requestIdleCallback(() => {
+          if (isComponentMounted) {
+            fetchTokens();
+          }
+        });
+      } else {
+        setTimeout(() => {
+          if (isComponentMounted) {
+            fetchTokens();
+          }
+        }, 100);
+      }
+    };
+
+    initTokens();
+
+    return () => {
+      isComponentMounted = false;
+    };
+  }, []);
+
+  /**
+   * 渲染字段错误
+   * @param {string} field - 字段名
+   */
+  const renderFieldError = (field) => fieldErrors[field] && (
+    <p className="mt-1 text-xs text-red-600 dark:text-red-400">{fieldErrors[field]}</p>
+  );
+
+  /**
+   * 渲染新建令牌表单
+   */
+  const renderCreateForm = () => (
+    <div className="bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg p-4 space-y-4">
+      <div>
+        <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">名称</label>
+        <input
+          type="text"
+          value={form.name}
+          onChange={(e) => handleFormChange('name', e.target.value)}
+          placeholder="例如：CI 同步书签"
+          maxLength={100}
+          className={`w-full px-3 py-2 border rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:outline-none focus:ring-2 focus:ring-blue-500 ${
+            fieldErrors.name ? 'border-red-500' : 'border-gray-300 dark:border-gray-600'
+          }`}
+        />
+        {renderFieldError('name')}
+      </div>
+
+      <div>
+        <div className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">权限</div>
+        <div className="space-y-2">
+          {scopes.map(scope => (
+            <label key={scope.id} className="flex items-start gap-2 text-sm text-gray-700 dark:text-gray-300">
+              <input
+                type="checkbox"
+                checked={form.scopes.includes(scope.id)}
+                onChange={() => toggleScope(scope.id)}
+                className="mt-1"
+              />
+              <span>
+                <span className="font-medium">{scope.label}</span>
+                <code className="ml-1 text-xs text-gray-500 dark:text-gray-400">{scope.id}</code>
+                <span className="block text-xs text-gray-500 dark:text-gray-400">{scope.description}</span>
+              </span>
+            </label>
+          ))}
+        </div>
+        {renderFieldError('scopes')}
+      </div>
+
+      <div>
+        <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">有效期</label>
+        <select
+          value={form.expiresInDays === null ? '' : String(form.expiresInDays)}
+          onChange={(e) => handleFormChange('expiresInDays', e.target.value ? Number(e.target.value) : null)}
+          className="px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+        >
+          {EXPIRY_OPTIONS.map(option => (
+            <option key={option.label} value={option.value === null ? '' : String(option.value)}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+        {renderFieldError('expiresInDays')}
+      </div>
+
+      <button
+        onClick={createToken}
+        disabled={isCreating || !storageAvailable}
+        className="px-4 py-2 bg-blue-500 text-white rounded-md hover:bg-blue-600 disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors"
+      >
+        {isCreating ? '⏳ 创建中' : '➕ 创建令牌'}
+      </button>
+    </div>
+  );
+
+  /**
+   * 渲染刚创建的令牌
+   */
+  const renderNewSecret = () => newSecret && (
+    <div className="p-4 rounded-lg border border-green-300 dark:border-green-700 bg-green-50 dark:bg-green-900/30 space-y-2">
+      <div className="text-sm text-green-800 dark:text-green-200">
+        ✅ 令牌「{newSecret.name}」已创建。请立即复制保存，关闭后将无法再次查看。
+      </div>
+      <code className="block p-2 rounded bg-white dark:bg-gray-800 text-sm text-gray-900 dark:text-white break-all select-all">
+        {newSecret.secret}
+      </code>
+      <div className="flex gap-2">
+        <button
+          onClick={copySecret}
+          className="px-3 py-1 text-sm bg-green-500 text-white rounded-md hover:bg-green-600 transition-colors"
+        >
+          📋 复制
+        </button>
+        <button
+          onClick={() => setNewSecret(null)}
+          className="px-3 py-1 text-sm border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 rounded-md hover:bg-gray-50 dark:hover:bg-gray-700 transition-colors"
+        >
+          关闭
+        </button>
+      </div>
+    </div>
+  );
+
+  /**
+   * 渲染令牌列表
+   */
+  const renderTokenList = () => {
+    if (isLoading) {
+      return (
+        <div className="flex items-center justify-center py-12">
+          <div className="text-center">
+            <div className="text-2xl mb-2">⏳</div>
+            <div className="text-gray-600 dark:text-gray-300 flex items-end">
+              加载中
+              <span className="inline-block ml-px font-bold animate-wave">.</span>
+              <span className="inline-block ml-px font-bold animate-wave [animation-delay:0.1s]">.</span>
+              <span className="inline-block ml-px font-bold animate-wave [animation-delay:0.2s]">.</span>
+            </div>
+          </div>
+        </div>
+      );
+    }
+
+    if (error) {
+      return (
+        <div className="flex items-center justify-center py-12">
+          <div className="text-center">
+            <div className="text-2xl mb-2">❌</div>
+            <div className="text-red-600 dark:text-red-400 mb-4">{error}</div>
+            <button
+              onClick={fetchTokens}
+              className="px-4 py-2 bg-blue-500 text-white rounded-md hover:bg-blue-600 transition-colors"
+            >
+              重试
+            </button>
+          </div>
+        </div>
+      );
+    }
+
+    if (tokens.length === 0) {
+      return (
+        <div className="text-center py-8 text-gray-500 dark:text-gray-400">
+          还没有 API 令牌
+        </div>
+      );
+    }
+
+    return (
+      <div className="space-y-3">
+        {tokens.map(token => (
+          <div
+            key={token.id}
+            className="bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg p-4 flex flex-wrap items-start justify-between gap-3"
+          >
+            <div className="min-w-0 flex-1">
+              <div className="font-medium text-gray-900 dark:text-white flex flex-wrap items-center gap-2">
+                <span>🔑 {token.name}</span>
+                <code className="px-1.5 py-0.5 text-xs rounded bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-300">
+                  {token.hint}…
+                </code>
+                {token.expired && (
+                  <span className="px-2 py-0.5 text-xs rounded-full bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-200">
+                    已过期
+                  </span>
+                )}
+              </div>
+              <div className="flex flex-wrap gap-1 mt-1">
+                {token.scopes.map(scope => (
+                  <span
+                    key={scope}
+                    className="px-2 py-0.5 text-xs rounded-full bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-200"
+                  >
+                    {getScopeLabel(scope)}
+                  </span>
+                ))}
+              </div>
+              <div className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+                创建于 {formatTime(token.createdAt)}
+                {' · '}过期时间：{token.expiresAt ? formatTime(token.expiresAt) : '永不过期'}
+                {' · '}最近使用：{token.lastUsedAt ? `${formatTime(token.lastUsedAt)}${token.lastUsedIp ? `（${token.lastUsedIp}）` : ''}` : '从未使用'}
+              </div>
+            </div>
+
+            <button
+              onClick={() => revokeToken(token)}
+              disabled={revokingId !== null}
+              className="px-3 py-1 text-sm bg-red-500 text-white rounded-md hover:bg-red-600 disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors whitespace-nowrap"
+            >
+              {revokingId === token.id ? '⏳ 撤销中' : '🗑️ 撤销'}
+            </button>
+          </div>
+        ))}
+      </div>
+    );
+  };
+
+  return (
+    <div className="bg-gray-50 dark:bg-gray-900 min-h-screen">
+      <div className="bg-white dark:bg-gray-800 p-4 border-y border-gray-200 dark:border-gray-700">
+        <h2 className="text-xl font-semibold text-gray-900 dark:text-white">
+          🔑 API 令牌
+        </h2>
+        <p className="text-sm text-gray-600 dark:text-gray-400">
+          供脚本和 CI 调用 API，请求时添加请求头 <code>Authorization: Bearer &lt;令牌&gt;</code>
+        </p>
+        {!storageAvailable && (
+          <p className="mt-3 text-sm text-yellow-700 dark:text-yellow-400">
+            ⚠️ 存储后端不可用，无法创建 API 令牌
+          </p>
+        )}
+      </div>
+      <div className="p-6 space-y-4">
+        {renderNewSecret()}
+        {renderCreateForm()}
+        {renderTokenList()}
+      </div>
+    </div>
+  );
+}
@@ -1,12 +1,13 @@
 /**
  * 用户认证组件
- * 基于现有 Island 组件模式，提供简单的密码保护机制
+ * 基于现有 Island 组件模式，通过服务端登录接口验证管理密码，会话保存在 HttpOnly Cookie 中
  * @author Claude 4.0 sonnet
  * @version 1.0.0
  */
 
 import { useState, useEffect, useRef } from 'react';
 import { handleError } from '../utils/error-handler.js';
+import { api, ApiClient } from '../utils/api-client.js';
 
 /**
  * 认证状态枚举
@@ -19,77 +20,94 @@ const AuthStatus = {
   ERROR: 'error'
 };
 
+/**
+ * 登录状态提示的 localStorage 键（仅记录登录时间，会话本身保存在 HttpOnly Cookie 中）
+ */
+const AUTH_HINT_KEY = 'cloudnav_admin_auth';
+
+/**
+ * 服务端使用 PBKDF2 校验密码，耗时较长，使用较长的超时时间
+ */
+const loginClient = new ApiClient({ timeout: 15000 });
+
 export default function AuthIsland({ children, onAuthChange }) {
   const [authStatus, setAuthStatus] = useState(AuthStatus.CHECKING);
   const [password, setPassword] = useState('');
   const [error, setError] = useState('');
   const [showPassword, setShowPassword] = useState(false);
   
-  // 会话管理
-  const sessionTimeout = 24 * 60 * 60 * 1000; // 24小时
-  const inactivityTimeout = 2 * 60 * 60 * 1000; // 2小时无操作自动登出
+  // 会话管理（会话由服务端通过 HttpOnly Cookie 维护，这里只跟踪页面上的无操作时长）
+  const inactivityTimeoutRef = useRef(2 * 60 * 60 * 1000); // 2小时无操作自动登出，以服务端配置为准
   const lastActivityRef = useRef(Date.now());
   const inactivityTimerRef = useRef(null);
 
   /**
-   * 检查认证状态
+   * 记录登录状态提示，供首页卡片等脚本判断是否显示管理员信息（不包含任何凭据）
+   * @param {boolean} authenticated - 是否已登录
    */
-  const checkAuthStatus = () => {
+  const setAuthHint = (authenticated) => {
     try {
-      const authData = localStorage.getItem('cloudnav_admin_auth');
-      if (!authData) {
-        setAuthStatus(AuthStatus.UNAUTHENTICATED);
-        return;
+      if (authenticated) {
+        localStorage.setItem(AUTH_HINT_KEY, JSON.stringify({ timestamp: Date.now() }));
+      } else {
+        localStorage.removeItem(AUTH_HINT_KEY);
       }
+    } catch (error) {
+      console.warn('保存登录状态提示失败:', error);
+    }
+  };
+
+  /**
+   * 进入已登录状态
+   */
+  const enterAuthenticated = () => {
+    setAuthHint(true);
+    setAuthStatus(AuthStatus.AUTHENTICATED);
+    lastActivityRef.current = Date.now();
+    startInactivityTimer();
+    if (onAuthChange) onAuthChange(true);
+  };
 
-      const { timestamp, hash } = JSON.parse(authData);
-      const now = Date.now();
+  /**
+   * 检查认证状态
+   */
+  const checkAuthStatus = async () => {
+    try {
+      const response = await api.get('/api/auth/session');
+      const session = response.data || {};
+
+      if (session.idleTimeout) {
+        inactivityTimeoutRef.current = session.idleTimeout;
+      }
 
-      // 检查会话是否过期
-      if (now - timestamp > sessionTimeout) {
-        localStorage.removeItem('cloudnav_admin_auth');
+      if (!session.enabled) {
+        setAuthHint(false);
         setAuthStatus(AuthStatus.UNAUTHENTICATED);
+        setError('管理功能未启用，请在环境变量中设置 ENABLE_ADMIN=true');
         return;
       }
 
-      // 检查是否有管理权限
-      const isAdminEnabled = import.meta.env.PUBLIC_ENABLE_ADMIN === 'true';
-      if (!isAdminEnabled) {
+      if (!session.configured) {
+        setAuthHint(false);
         setAuthStatus(AuthStatus.UNAUTHENTICATED);
-        setError('管理功能未启用');
+        setError('管理密码未配置，请在环境变量中设置 ADMIN_PASSWORD_HASH');
         return;
       }
 
-      // 验证密码哈希
-      const expectedHash = import.meta.env.PUBLIC_ADMIN_PASSWORD_HASH;
-      if (expectedHash && hash === expectedHash) {
-        setAuthStatus(AuthStatus.AUTHENTICATED);
-        lastActivityRef.current = now;
-        startInactivityTimer();
-        if (onAuthChange) onAuthChange(true);
+      if (session.authenticated) {
+        enterAuthenticated();
       } else {
-        localStorage.removeItem('cloudnav_admin_auth');
+        setAuthHint(false);
         setAuthStatus(AuthStatus.UNAUTHENTICATED);
       }
     } catch (error) {
       console.error('检查认证状态失败:', error);
+      const appError = handleError.generic(error, { operation: 'check_auth' });
+      setError(appError.getUserMessage());
       setAuthStatus(AuthStatus.UNAUTHENTICATED);
     }
   };
 
-  /**
-   * 简单的密码哈希函数
-   * @param {string} password - 密码
-   * @returns {Promise<string>}
-   */
-  const hashPassword = async (password) => {
-    const encoder = new TextEncoder();
-    const data = encoder.encode(password + 'cloudnav_salt');
-    const hashBuffer = await crypto.subtle.digest('SHA-256', data);
-    const hashArray = Array.from(new Uint8Array(hashBuffer));
-    return hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
-  };
-
   /**
    * 处理登录
    */
@@ -103,56 +121,41 @@ export default function AuthIsland({ children, onAuthChange }) {
       setAuthStatus(AuthStatus.AUTHENTICATING);
       setError('');
 
-      // 检查管理功能是否启用
-      const isAdminEnabled = import.meta.env.PUBLIC_ENABLE_ADMIN === 'true';
-      if (!isAdminEnabled) {
-        setError('管理功能未启用，请在环境变量中设置 PUBLIC_ENABLE_ADMIN=true');
-        setAuthStatus(AuthStatus.UNAUTHENTICATED);
-        return;
-      }
-
-      // 获取预设的密码哈希
-      const expectedHash = import.meta.env.PUBLIC_ADMIN_PASSWORD_HASH;
-      if (!expectedHash) {
-        setError('管理密码未配置，请在环境变量中设置 PUBLIC_ADMIN_PASSWORD_HASH');
-        setAuthStatus(AuthStatus.UNAUTHENTICATED);
-        return;
-      }
-
-      // 验证密码
-      const inputHash = await hashPassword(password);
-      if (inputHash === expectedHash) {
-        // 登录成功
-        const authData = {
-          timestamp: Date.now(),
-          hash: inputHash
-        };
-        localStorage.setItem('cloudnav_admin_auth', JSON.stringify(authData));
-        setAuthStatus(AuthStatus.AUTHENTICATED);
-        lastActivityRef.current = Date.now();
-        startInactivityTimer();
-        if (onAuthChange) onAuthChange(true);
-        console.log('✅ 管理员登录成功');
-      } else {
-        setError('密码错误');
-        setAuthStatus(AuthStatus.UNAUTHENTICATED);
-      }
+      await loginClient.post('/api/auth/login', { password });
+      setPassword('');
+      enterAuthenticated();
+      console.log('✅ 管理员登录成功');
     } catch (error) {
       console.error('登录失败:', error);
-      setError('登录过程中发生错误');
+      const body = error.body;
+      if (error.status === 401) {
+        const remaining = body?.data?.remainingAttempts;
+        setError(remaining !== undefined ? `密码错误，还可尝试 ${remaining} 次` : '密码错误');
+      } else if (error.status === 429 || error.status === 403 || error.status === 503) {
+        setError(body?.message || '登录失败');
+      } else {
+        const appError = handleError.generic(error, { operation: 'login' });
+        setError(appError.getUserMessage());
+      }
       setAuthStatus(AuthStatus.UNAUTHENTICATED);
     }
   };
 
   /**
    * 处理登出
+   * @param {string} reason - 登出原因（显示在登录界面）
    */
-  const handleLogout = () => {
-    localStorage.removeItem('cloudnav_admin_auth');
+  const handleLogout = async (reason = '') => {
+    stopInactivityTimer();
+    try {
+      await api.post('/api/auth/logout', {});
+    } catch (error) {
+      console.error('登出请求失败:', error);
+    }
+    setAuthHint(false);
     setAuthStatus(AuthStatus.UNAUTHENTICATED);
     setPassword('');
-    setError('');
-    stopInactivityTimer();
+    setError(reason);
     if (onAuthChange) onAuthChange(false);
     console.log('📤 管理员已登出');
   };
@@ -164,8 +167,8 @@ export default function AuthIsland({ children, onAuthChange }) {
     stopInactivityTimer();
     inactivityTimerRef.current = setTimeout(() => {
       console.log('⏰ 长时间无操作，自动登出');
-      handleLogout();
-    }, inactivityTimeout);
+      handleLogout('长时间无操作，已自动登出，请重新登录');
+    }, inactivityTimeoutRef.current);
   };
 
   /**
@@ -302,8 +305,8 @@ export default function AuthIsland({ children, onAuthChange }) {
           <div className="text-center">
             <div className="text-xs text-gray-500 dark:text-gray-400">
               <p>💡 提示：管理功能需要在环境变量中配置</p>
-              <p className="mt-1">PUBLIC_ENABLE_ADMIN=true</p>
-              <p className="mt-1">PUBLIC_ADMIN_PASSWORD_HASH=密码哈希值</p>
+              <p className="mt-1">ENABLE_ADMIN=true</p>
+              <p className="mt-1">ADMIN_PASSWORD_HASH=密码哈希值（npm run setup 生成）</p>
             </div>
           </div>
         </div>
@@ -336,7 +339,7 @@ export default function AuthIsland({ children, onAuthChange }) {
       {/* 登出按钮 */}
       <div className="fixed top-4 right-4 z-50">
         <button
-          onClick={handleLogout}
+          onClick={() => handleLogout()}
           className="bg-red-500 hover:bg-red-600 text-white px-3 py-1 rounded-md text-sm transition-colors flex items-center gap-1"
           title="登出管理"
         >
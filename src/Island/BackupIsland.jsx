@@ -0,0 +1,325 @@
+/**
+ * 备份管理组件
+ * 基于现有 Island 组件模式，创建、下载、恢复和删除全站数据备份
+ * @author Claude 4.0 sonnet
+ * @version 1.0.0
+ */
+
+import { useState, useEffect, useRef } from 'react';
+import { handleError } from '../utils/error-handler.js';
+import { api, resolveApiUrl } from '../utils/api-client.js';
+
+/**
+ * 备份原因显示名称
+ */
+const REASON_LABELS = {
+  manual: '手动备份',
+  scheduled: '定时备份',
+  'pre-import': '导入前自动备份',
+  'pre-migration': '迁移前自动备份',
+  'pre-restore': '恢复前自动备份'
+};
+
+export default function BackupIsland() {
+  const [backups, setBackups] = useState([]);
+  const [generations, setGenerations] = useState(null);
+  const [label, setLabel] = useState('');
+  const [isLoading, setIsLoading] = useState(true);
+  const [isProcessing, setIsProcessing] = useState(false);
+  const [error, setError] = useState(null);
+
+  // API 调用控制
+  const isApiCallInProgress = useRef(false);
+  const lastApiCallTime = useRef(0);
+  const MIN_API_INTERVAL = 1000;
+
+  /**
+   * 获取备份列表
+   */
+  const fetchBackups = async () => {
+    if (isApiCallInProgress.current) {
+      console.log('备份 API 调用正在进行中，跳过重复请求');
+      return;
+    }
+
+    const now = Date.now();
+    if (now - lastApiCallTime.current < MIN_API_INTERVAL) {
+      console.log('备份 API 调用过于频繁，跳过请求');
+      return;
+    }
+
+    isApiCallInProgress.current = true;
+    lastApiCallTime.current = now;
+
+    try {
+      console.log('💾 获取备份列表...');
+      const response = await api.get('/api/backups');
+      setBackups(response.data?.backups || []);
+      setGenerations(response.data?.generations ?? null);
+      setError(null);
+      console.log(`✅ 共有 ${response.data?.backups?.length || 0} 个备份`);
+    } catch (error) {
+      console.error('❌ 获取备份列表失败:', error);
+      const appError = handleError.generic(error, { operation: 'fetch_backups' });
+      setError(appError.getUserMessage());
+    } finally {
+      setIsLoading(false);
+      isApiCallInProgress.current = false;
+    }
+  };
+
+  /**
+   * 执行备份操作后刷新列表
+   * @param {Function} operation - 要执行的请求
+   * @param {string} operationName - 操作名称（用于错误上下文）
+   */
+  const runOperation = async (operation, operationName) => {
+    try {
+      setIsProcessing(true);
+      await operation();
+      lastApiCallTime.current = 0;
+      await fetchBackups();
+    } catch (error) {
+      console.error(`❌ 备份操作失败 (${operationName}):`, error);
+      if (error.status === 400) {
+        alert(error.body?.data?.reason || error.body?.message || '操作失败，请刷新后重试');
+        return;
+      }
+      const appError = handleError.generic(error, { operation: operationName });
+      setError(appError.getUserMessage());
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
+  /**
+   * 创建备份
+   */
+  const createBackup = () => runOperation(async () => {
+    await api.post('/api/backups', { label });
+    setLabel('');
+    console.log('✅ 备份创建成功');
+  }, 'create_backup');
+
+  /**
+   * 从备份恢复
+   * @param {Object} backup - 备份摘要
+   */
+  const restoreBackup = (backup) => {
+    if (!confirm(`确定要恢复到 ${formatTime(backup.timestamp)} 的备份吗？\n当前的书签、分类、设置和统计数据将被替换，恢复前会自动备份当前数据。`)) {
+      return;
+    }
+    runOperation(async () => {
+      await api.post(`/api/backups/${backup.id}`);
+      alert('恢复成功，刷新页面后即可看到恢复的数据');
+    }, 'restore_backup');
+  };
+
+  /**
+   * 删除备份
+   * @param {Object} backup - 备份摘要
+   */
+  const deleteBackup = (backup) => {
+    if (!confirm(`确定要删除 ${formatTime(backup.timestamp)} 的备份吗？此操作无法撤销。`)) {
+      return;
+    }
+    runOperation(async () => {
+      await api.delete(`/api/backups/${backup.id}`);
+      console.log('✅ 备份已删除');
+    }, 'delete_backup');
+  };
+
+  /**
+   * 格式化时间
+   * @param {number} timestamp - 时间戳
+   * @returns {string}
+   */
+  const formatTime = (timestamp) => new Date(timestamp).toLocaleString('zh-CN');
+
+  /**
+   * 格式化大小
+   * @param {number} size - 字节数
+   * @returns {string}
+   */
+  const formatSize = (size) => {
+    if (!size) return '-';
+    if (size < 1024) return `${size} B`;
+    if (size < 1024 * 1024) return `${(size / 1024).toFixed(1)} KB`;
+    return `${(size / 1024 / 1024).toFixed(1)} MB`;
+  };
+
+  // 组件初始化
+  useEffect(() => {
+    let isComponentMounted = true;
+
+    const initBackups = () => {
+      if (!isComponentMounted) return;
+
+      // 使用 requestIdleCallback 优化性能
+      if ('requestIdleCallback' in window) {
+        window.requestIdleCallback(() => {
+          if (isComponentMounted) {
+            fetchBackups();
+          }
+        });
+      } else {
+        setTimeout(() => {
+          if (isComponentMounted) {
+            fetchBackups();
+          }
+        }, 100);
+      }
+    };
+
+    initBackups();
+
+    return () => {
+      isComponentMounted = false;
+    };
+  }, []);
+
+  /**
+   * 渲染工具栏
+   */
+  const renderToolbar = () => (
+    <div className="bg-white dark:bg-gray-800 p-4 border-b border-gray-200 dark:border-gray-700">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <div>
+          <h2 className="text-xl font-semibold text-gray-900 dark:text-white">
+            💾 数据备份
+          </h2>
+          <p className="text-sm text-gray-600 dark:text-gray-400">
+            备份包含分类、书签、元数据、设置和统计数据{generations && `，保留最近 ${generations} 份`}
+          </p>
+        </div>
+
+        <div className="flex items-center gap-2">
+          <input
+            type="text"
+            value={label}
+            onChange={(e) => setLabel(e.target.value)}
+            placeholder="备注（可选）"
+            maxLength={100}
+            className="px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-sm"
+          />
+          <button
+            onClick={createBackup}
+            disabled={isProcessing}
+            className="px-4 py-2 bg-blue-500 text-white rounded-md hover:bg-blue-600 disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors flex items-center gap-2"
+          >
+            <span>➕</span>
+            立即备份
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+
+  /**
+   * 渲染备份列表
+   */
+  const renderBackupList = () => {
+    if (isLoading) {
+      return (
+        <div className="flex items-center justify-center py-12">
+          <div className="text-center">
+            <div className="text-2xl mb-2">⏳</div>
+            <div className="text-gray-600 dark:text-gray-300 flex items-end">
+              加载中
+              <span className="inline-block ml-px font-bold animate-wave">.</span>
+              <span className="inline-block ml-px font-bold animate-wave [animation-delay:0.1s]">.</span>
+              <span className="inline-block ml-px font-bold animate-wave [animation-delay:0.2s]">.</span>
+            </div>
+          </div>
+        </div>
+      );
+    }
+
+    if (error) {
+      return (
+        <div className="flex items-center justify-center py-12">
+          <div className="text-center">
+            <div className="text-2xl mb-2">❌</div>
+            <div className="text-red-600 dark:text-red-400 mb-4">{error}</div>
+            <button
+              onClick={fetchBackups}
+              className="px-4 py-2 bg-blue-500 text-white rounded-md hover:bg-blue-600 transition-colors"
+            >
+              重试
+            </button>
+          </div>
+        </div>
+      );
+    }
+
+    if (backups.length === 0) {
+      return (
+        <div className="text-center py-12">
+          <div className="text-4xl mb-4">📦</div>
+          <h3 className="text-lg font-medium text-gray-900 dark:text-white mb-2">
+            还没有备份
+          </h3>
+          <p className="text-gray-600 dark:text-gray-400">
+            点击「立即备份」保存当前数据，替换导入和数据迁移前也会自动备份
+          </p>
+        </div>
+      );
+    }
+
+    return (
+      <div className="p-6 space-y-3">
+        {backups.map(backup => (
+          <div
+            key={backup.id}
+            className="bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg p-4 flex flex-wrap items-center justify-between gap-3"
+          >
+            <div className="min-w-0 flex-1">
+              <div className="font-medium text-gray-900 dark:text-white">
+                {formatTime(backup.timestamp)}
+                <span className="ml-2 text-xs text-gray-500 dark:text-gray-400">
+                  {REASON_LABELS[backup.reason] || backup.reason}
+                </span>
+              </div>
+              {backup.label && (
+                <div className="text-sm text-gray-700 dark:text-gray-300 truncate">{backup.label}</div>
+              )}
+              <div className="text-xs text-gray-500 dark:text-gray-400">
+                {backup.counts?.categories || 0} 个分类 · {backup.counts?.sites || 0} 个书签 · {formatSize(backup.size)} · 数据版本 {backup.version}
+              </div>
+            </div>
+
+            <div className="flex gap-2">
+              <a
+                href={resolveApiUrl(`/api/backups/${backup.id}?download=true`)}
+                className="px-3 py-1 text-sm border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 rounded-md hover:bg-gray-50 dark:hover:bg-gray-700 transition-colors"
+              >
+                📥 下载
+              </a>
+              <button
+                onClick={() => restoreBackup(backup)}
+                disabled={isProcessing}
+                className="px-3 py-1 text-sm bg-green-500 text-white rounded-md hover:bg-green-600 disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors"
+              >
+                ♻️ 恢复
+              </button>
+              <button
+                onClick={() => deleteBackup(backup)}
+                disabled={isProcessing}
+                className="px-3 py-1 text-sm bg-red-500 text-white rounded-md hover:bg-red-600 disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors"
+              >
+                删除
+              </button>
+            </div>
+          </div>
+        ))}
+      </div>
+    );
+  };
+
+  return (
+    <div className="bg-gray-50 dark:bg-gray-900 min-h-screen">
+      {renderToolbar()}
+      {renderBackupList()}
+    </div>
+  );
+}
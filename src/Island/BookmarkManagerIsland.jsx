@@ -7,7 +7,11 @@
 
 import { useState, useEffect, useRef } from 'react';
 import { handleError } from '../utils/error-handler.js';
-import { api } from '../utils/api-client.js';
+import { api, ApiClient } from '../utils/api-client.js';
+import { formatETag } from '../utils/etag.js';
+import { normalizeTags, MAX_TAGS } from '../utils/tags.js';
+import { moveItem } from '../utils/ordering.js';
+import { validate, toFieldErrorMap, SiteSchema } from '../utils/schema.js';
 
 /**
  * 操作模式枚举
@@ -18,6 +22,11 @@ const OperationMode = {
   EDIT: 'edit'
 };
 
+/**
+ * 抓取网页需要等待目标站点响应，使用单独的超时时间
+ */
+const previewClient = new ApiClient({ timeout: 15000 });
+
 export default function BookmarkManagerIsland() {
   const [bookmarks, setBookmarks] = useState([]);
   const [categories, setCategories] = useState([]);
@@ -27,6 +36,21 @@ export default function BookmarkManagerIsland() {
   const [selectedBookmark, setSelectedBookmark] = useState(null);
   const [searchQuery, setSearchQuery] = useState('');
   const [selectedCategory, setSelectedCategory] = useState('');
+  const [tags, setTags] = useState([]); // 所有标签及使用次数
+  const [selectedTag, setSelectedTag] = useState('');
+  const [tagInput, setTagInput] = useState('');
+  const [revision, setRevision] = useState(null); // 书签集合版本号，用于乐观并发控制
+  const [draggedId, setDraggedId] = useState(null); // 正在拖动的书签
+  const [dragOverId, setDragOverId] = useState(null); // 拖动经过的书签
+  const [isReordering, setIsReordering] = useState(false);
+  const [selectedIds, setSelectedIds] = useState([]); // 多选的书签
+  const [bulkCategory, setBulkCategory] = useState(''); // 批量移动的目标分类
+  const [bulkTag, setBulkTag] = useState(''); // 批量添加的标签
+  const [isBatchProcessing, setIsBatchProcessing] = useState(false);
+  const [preview, setPreview] = useState(null); // 根据 URL 获取的网页信息
+  const [previewError, setPreviewError] = useState(null);
+  const [isPreviewLoading, setIsPreviewLoading] = useState(false);
+  const [fieldErrors, setFieldErrors] = useState({}); // 字段路径 → 校验错误
   
   // 表单数据
   const [formData, setFormData] = useState({
@@ -36,13 +60,16 @@ export default function BookmarkManagerIsland() {
     description: '',
     shortDesc: '',
     category: '',
-    icon: ''
+    icon: '',
+    tags: [],
+    pinned: false
   });
 
   // API 调用控制
   const isApiCallInProgress = useRef(false);
   const lastApiCallTime = useRef(0);
   const MIN_API_INTERVAL = 1000;
+  const lastPreviewUrl = useRef(''); // 最近一次获取信息的 URL，避免重复抓取
 
   /**
    * 获取书签列表
@@ -69,12 +96,14 @@ export default function BookmarkManagerIsland() {
       const params = new URLSearchParams();
       if (searchQuery) params.append('search', searchQuery);
       if (selectedCategory) params.append('category', selectedCategory);
+      if (selectedTag) params.append('tag', selectedTag);
       
       const queryString = params.toString();
       const url = `/api/bookmarks${queryString ? `?${queryString}` : ''}`;
       
       const response = await api.get(url);
       setBookmarks(response.data.sites || []);
+      setRevision(response.revision ?? null);
       setError(null);
       console.log(`✅ 获取到 ${response.data.sites?.length || 0} 个书签`);
     } catch (error) {
@@ -100,30 +129,85 @@ export default function BookmarkManagerIsland() {
     }
   };
 
+  /**
+   * 获取标签列表
+   */
+  const fetchTags = async () => {
+    try {
+      console.log('🏷️ 获取标签列表...');
+      const response = await api.get('/api/tags');
+      setTags(response.data?.tags || []);
+      console.log(`✅ 获取到 ${response.data?.tags?.length || 0} 个标签`);
+    } catch (error) {
+      console.error('❌ 获取标签列表失败:', error);
+    }
+  };
+
+  /**
+   * 生成 If-Match 请求头
+   * @returns {Object}
+   */
+  const getIfMatchHeaders = () => (
+    revision === null ? {} : { 'If-Match': formatETag('sites', revision) }
+  );
+
+  /**
+   * 处理版本冲突：重新加载最新数据，保留当前表单以便重试
+   */
+  const handleConflict = async () => {
+    alert('书签数据已被其他会话修改，已重新加载最新数据，请确认后重试。');
+    lastApiCallTime.current = 0;
+    await fetchBookmarks();
+  };
+
   /**
    * 保存书签
    */
   const saveBookmark = async () => {
+    // 输入框中尚未确认的标签一并保存
+    const bookmarkData = {
+      ...formData,
+      id: formData.id || generateId(),
+      tags: normalizeTags([...formData.tags, ...normalizeTags(tagInput)])
+    };
+
+    // 提交前按与服务端相同的规则校验，错误显示在对应输入框下方
+    const validation = validate(SiteSchema, bookmarkData);
+    if (!validation.valid) {
+      setFieldErrors(toFieldErrorMap(validation.errors));
+      return;
+    }
+
     try {
       setIsLoading(true);
       
       if (operationMode === OperationMode.CREATE) {
         console.log('📝 创建新书签...');
-        await api.post('/api/bookmarks', formData);
+        await api.post('/api/bookmarks', bookmarkData);
         console.log('✅ 书签创建成功');
       } else if (operationMode === OperationMode.EDIT) {
         console.log('📝 更新书签...');
-        await api.put(`/api/bookmarks/${formData.id}`, formData);
+        await api.put(`/api/bookmarks/${formData.id}`, bookmarkData, {
+          headers: getIfMatchHeaders()
+        });
         console.log('✅ 书签更新成功');
       }
       
-      // 刷新书签列表
-      await fetchBookmarks();
+      // 刷新书签和标签列表
+      await Promise.all([fetchBookmarks(), fetchTags()]);
       setOperationMode(OperationMode.VIEW);
       resetForm();
       
     } catch (error) {
       console.error('❌ 保存书签失败:', error);
+      if (error.status === 409) {
+        await handleConflict();
+        return;
+      }
+      if (error.status === 400 && error.body?.data?.fieldErrors?.length) {
+        setFieldErrors(toFieldErrorMap(error.body.data.fieldErrors));
+        return;
+      }
       const appError = handleError.generic(error, { operation: 'save_bookmark' });
       setError(appError.getUserMessage());
     } finally {
@@ -135,21 +219,27 @@ export default function BookmarkManagerIsland() {
    * 删除书签
    */
   const deleteBookmark = async (bookmarkId) => {
-    if (!confirm('确定要删除这个书签吗？')) {
+    if (!confirm('确定要删除这个书签吗？删除后可在回收站中恢复。')) {
       return;
     }
 
     try {
       setIsLoading(true);
       console.log(`🗑️ 删除书签: ${bookmarkId}`);
-      await api.delete(`/api/bookmarks/${bookmarkId}`);
+      await api.delete(`/api/bookmarks/${bookmarkId}`, {
+        headers: getIfMatchHeaders()
+      });
       console.log('✅ 书签删除成功');
       
-      // 刷新书签列表
-      await fetchBookmarks();
+      // 刷新书签和标签列表
+      await Promise.all([fetchBookmarks(), fetchTags()]);
       
     } catch (error) {
       console.error('❌ 删除书签失败:', error);
+      if (error.status === 409) {
+        await handleConflict();
+        return;
+      }
       const appError = handleError.generic(error, { operation: 'delete_bookmark' });
       setError(appError.getUserMessage());
     } finally {
@@ -157,6 +247,196 @@ export default function BookmarkManagerIsland() {
     }
   };
 
+  /**
+   * 切换书签的置顶状态
+   * @param {Object} bookmark - 书签
+   */
+  const togglePinned = async (bookmark) => {
+    try {
+      setIsLoading(true);
+      console.log(`📌 ${bookmark.pinned ? '取消置顶' : '置顶'}书签: ${bookmark.id}`);
+      await api.put(`/api/bookmarks/${bookmark.id}`, { pinned: !bookmark.pinned }, {
+        headers: getIfMatchHeaders()
+      });
+      lastApiCallTime.current = 0;
+      await fetchBookmarks();
+    } catch (error) {
+      console.error('❌ 切换置顶状态失败:', error);
+      if (error.status === 409) {
+        await handleConflict();
+        return;
+      }
+      const appError = handleError.generic(error, { operation: 'toggle_pinned' });
+      setError(appError.getUserMessage());
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  /**
+   * 是否允许拖拽排序（搜索结果按相关度排列，不支持手动排序）
+   */
+  const canReorder = !searchQuery && operationMode === OperationMode.VIEW && !isReordering;
+
+  /**
+   * 拖拽结束：将书签移动到目标位置并保存新顺序
+   * @param {string} targetId - 放置位置的书签 ID
+   */
+  const handleDrop = async (targetId) => {
+    const sourceId = draggedId;
+    setDraggedId(null);
+    setDragOverId(null);
+    if (!sourceId || sourceId === targetId) return;
+
+    const previous = bookmarks;
+    const reordered = moveItem(bookmarks, sourceId, targetId);
+    setBookmarks(reordered);
+
+    try {
+      setIsReordering(true);
+      console.log(`↕️ 调整书签顺序: ${sourceId} → ${targetId}`);
+      // 只提交当前显示的书签，服务端保持其他书签的位置不变
+      const response = await api.patch('/api/bookmarks/reorder', {
+        ids: reordered.map(bookmark => bookmark.id)
+      }, {
+        headers: getIfMatchHeaders()
+      });
+      setRevision(response.revision ?? null);
+      console.log('✅ 书签顺序已保存');
+    } catch (error) {
+      console.error('❌ 保存书签顺序失败:', error);
+      setBookmarks(previous);
+      if (error.status === 409) {
+        await handleConflict();
+        return;
+      }
+      if (error.status === 400) {
+        alert(error.body?.data?.reason || error.body?.message || '书签顺序无效');
+        return;
+      }
+      const appError = handleError.generic(error, { operation: 'reorder_bookmarks' });
+      alert(appError.getUserMessage());
+    } finally {
+      setIsReordering(false);
+    }
+  };
+
+  /**
+   * 切换书签的选中状态
+   * @param {string} bookmarkId - 书签 ID
+   */
+  const toggleSelected = (bookmarkId) => {
+    setSelectedIds(prev => (
+      prev.includes(bookmarkId) ? prev.filter(id => id !== bookmarkId) : [...prev, bookmarkId]
+    ));
+  };
+
+  /**
+   * 全选或取消全选当前显示的书签
+   */
+  const toggleSelectAll = () => {
+    setSelectedIds(prev => (prev.length === bookmarks.length ? [] : bookmarks.map(bookmark => bookmark.id)));
+  };
+
+  /**
+   * 提交批量操作，整批只写入一次
+   * @param {Array} operations - 操作列表
+   * @param {string} description - 操作描述（用于日志）
+   * @returns {Promise<boolean>} 是否成功
+   */
+  const runBatch = async (operations, description) => {
+    if (operations.length === 0) return false;
+
+    try {
+      setIsBatchProcessing(true);
+      console.log(`📦 批量${description}: ${operations.length} 个书签`);
+      const response = await api.post('/api/bookmarks/batch', { operations }, {
+        headers: getIfMatchHeaders()
+      });
+      setRevision(response.revision ?? null);
+      console.log(`✅ 批量${description}完成`);
+
+      setSelectedIds([]);
+      lastApiCallTime.current = 0;
+      await Promise.all([fetchBookmarks(), fetchTags()]);
+      return true;
+    } catch (error) {
+      console.error(`❌ 批量${description}失败:`, error);
+      if (error.status === 409) {
+        await handleConflict();
+        return false;
+      }
+      if (error.status === 400) {
+        const failures = error.body?.data?.results?.filter(result => result.error)
+          .map(result => `${result.id}: ${result.error}`)
+          || error.body?.data?.errors?.map(item => `#${item.index + 1}: ${item.errors.join('；')}`);
+        alert([error.body?.data?.reason || error.body?.message || '批量操作失败', ...(failures || [])].join('\n'));
+        return false;
+      }
+      const appError = handleError.generic(error, { operation: 'batch_bookmarks' });
+      alert(appError.getUserMessage());
+      return false;
+    } finally {
+      setIsBatchProcessing(false);
+    }
+  };
+
+  /**
+   * 将选中的书签移动到指定分类
+   */
+  const bulkMove = async () => {
+    if (!bulkCategory) return;
+    const operations = selectedIds
+      .filter(id => bookmarks.find(bookmark => bookmark.id === id)?.category !== bulkCategory)
+      .map(id => ({ op: 'move', id, category: bulkCategory }));
+    if (operations.length === 0) {
+      alert('选中的书签已在该分类中');
+      return;
+    }
+    if (await runBatch(operations, '移动')) {
+      setBulkCategory('');
+    }
+  };
+
+  /**
+   * 为选中的书签添加标签
+   */
+  const bulkAddTag = async () => {
+    const added = normalizeTags(bulkTag);
+    if (added.length === 0) return;
+    const operations = bookmarks
+      .filter(bookmark => selectedIds.includes(bookmark.id))
+      .map(bookmark => ({
+        op: 'update',
+        id: bookmark.id,
+        changes: { tags: normalizeTags([...(bookmark.tags || []), ...added]).slice(0, MAX_TAGS) }
+      }));
+    if (await runBatch(operations, '添加标签')) {
+      setBulkTag('');
+    }
+  };
+
+  /**
+   * 批量置顶或取消置顶
+   * @param {boolean} pinned - 是否置顶
+   */
+  const bulkSetPinned = (pinned) => runBatch(
+    bookmarks
+      .filter(bookmark => selectedIds.includes(bookmark.id) && (bookmark.pinned === true) !== pinned)
+      .map(bookmark => ({ op: 'update', id: bookmark.id, changes: { pinned } })),
+    pinned ? '置顶' : '取消置顶'
+  );
+
+  /**
+   * 批量删除选中的书签
+   */
+  const bulkDelete = async () => {
+    if (!confirm(`确定要删除选中的 ${selectedIds.length} 个书签吗？删除后可在回收站中恢复。`)) {
+      return;
+    }
+    await runBatch(selectedIds.map(id => ({ op: 'delete', id })), '删除');
+  };
+
   /**
    * 重置表单
    */
@@ -168,9 +448,16 @@ export default function BookmarkManagerIsland() {
       description: '',
       shortDesc: '',
       category: '',
-      icon: ''
+      icon: '',
+      tags: [],
+      pinned: false
     });
+    setTagInput('');
+    setFieldErrors({});
     setSelectedBookmark(null);
+    setPreview(null);
+    setPreviewError(null);
+    lastPreviewUrl.current = '';
   };
 
   /**
@@ -192,8 +479,12 @@ export default function BookmarkManagerIsland() {
       description: bookmark.description || '',
       shortDesc: bookmark.shortDesc || '',
       category: bookmark.category,
-      icon: bookmark.icon || ''
+      icon: bookmark.icon || '',
+      tags: bookmark.tags || [],
+      pinned: bookmark.pinned === true
     });
+    setTagInput('');
+    setFieldErrors({});
     setSelectedBookmark(bookmark);
     setOperationMode(OperationMode.EDIT);
   };
@@ -214,6 +505,111 @@ export default function BookmarkManagerIsland() {
       ...prev,
       [field]: value
     }));
+    setFieldErrors(prev => {
+      if (!prev[field]) return prev;
+      const { [field]: _removed, ...rest } = prev;
+      return rest;
+    });
+  };
+
+  /**
+   * 渲染字段校验错误
+   * @param {string} field - 字段路径
+   */
+  const renderFieldError = (field) => fieldErrors[field] && (
+    <p className="mt-1 text-xs text-red-600 dark:text-red-400">{fieldErrors[field]}</p>
+  );
+
+  /**
+   * 根据 URL 获取网页信息，填充表单中尚未填写的标题、描述、图标和 ID
+   * @param {string} url - 书签地址
+   */
+  const fetchPreview = async (url) => {
+    const target = url.trim();
+    if (!/^https?:\/\/[^/\s]+/i.test(target)) {
+      setPreviewError('请输入以 http:// 或 https:// 开头的地址');
+      return;
+    }
+
+    lastPreviewUrl.current = target;
+    setIsPreviewLoading(true);
+    setPreviewError(null);
+
+    // 只填充空白字段，不覆盖已输入的内容；ID 只在新增时填充
+    const fillForm = (data) => {
+      setFormData(prev => ({
+        ...prev,
+        id: operationMode === OperationMode.CREATE ? prev.id || data.suggestedId || '' : prev.id,
+        title: prev.title || data.title || '',
+        description: prev.description || data.description || '',
+        shortDesc: prev.shortDesc || data.shortDesc || '',
+        icon: prev.icon || data.icon || ''
+      }));
+    };
+
+    try {
+      console.log(`🪄 获取网页信息: ${target}`);
+      const response = await previewClient.post('/api/bookmarks/preview', { url: target });
+      setPreview(response.data);
+      fillForm(response.data);
+      console.log('✅ 网页信息获取成功');
+    } catch (error) {
+      console.error('❌ 获取网页信息失败:', error);
+      const data = error.body?.data;
+      setPreview(data ? { duplicate: data.duplicate, icons: [] } : null);
+      if (data?.suggestedId) fillForm({ suggestedId: data.suggestedId });
+      setPreviewError(data?.reason
+        ? `无法获取网页信息：${data.reason}`
+        : error.body?.message || handleError.generic(error, { operation: 'preview_bookmark' }).getUserMessage());
+    } finally {
+      setIsPreviewLoading(false);
+    }
+  };
+
+  /**
+   * URL 输入框失去焦点时，新增书签且尚未填写标题则自动获取网页信息
+   */
+  const handleUrlBlur = () => {
+    const url = formData.url.trim();
+    if (operationMode !== OperationMode.CREATE || !url || formData.title || url === lastPreviewUrl.current) {
+      return;
+    }
+    fetchPreview(url);
+  };
+
+  /**
+   * 将输入框中的标签加入表单
+   */
+  const commitTagInput = () => {
+    const added = normalizeTags(tagInput);
+    if (added.length === 0) return;
+    setFormData(prev => ({
+      ...prev,
+      tags: normalizeTags([...prev.tags, ...added]).slice(0, MAX_TAGS)
+    }));
+    setTagInput('');
+  };
+
+  /**
+   * 处理标签输入框按键：回车或逗号确认，退格删除最后一个标签
+   */
+  const handleTagKeyDown = (e) => {
+    if (e.key === 'Enter' || e.key === ',' || e.key === '，') {
+      e.preventDefault();
+      commitTagInput();
+    } else if (e.key === 'Backspace' && !tagInput && formData.tags.length > 0) {
+      removeTag(formData.tags[formData.tags.length - 1]);
+    }
+  };
+
+  /**
+   * 从表单中移除标签
+   */
+  const removeTag = (tag) => {
+    setFormData(prev => ({
+      ...prev,
+      tags: prev.tags.filter(item => item !== tag)
+    }));
   };
 
   /**
@@ -239,7 +635,7 @@ export default function BookmarkManagerIsland() {
       
       try {
         setIsLoading(true);
-        await Promise.all([fetchCategories(), fetchBookmarks()]);
+        await Promise.all([fetchCategories(), fetchTags(), fetchBookmarks()]);
       } catch (error) {
         console.error('初始化书签管理器失败:', error);
       } finally {
@@ -274,7 +670,12 @@ export default function BookmarkManagerIsland() {
     }, 300); // 防抖
 
     return () => clearTimeout(timeoutId);
-  }, [searchQuery, selectedCategory]);
+  }, [searchQuery, selectedCategory, selectedTag]);
+
+  // 列表刷新后移除已不在当前列表中的选中项
+  useEffect(() => {
+    setSelectedIds(prev => prev.filter(id => bookmarks.some(bookmark => bookmark.id === id)));
+  }, [bookmarks]);
 
   /**
    * 渲染工具栏
@@ -312,6 +713,20 @@ export default function BookmarkManagerIsland() {
               </option>
             ))}
           </select>
+
+          {/* 标签筛选 */}
+          <select
+            value={selectedTag}
+            onChange={(e) => setSelectedTag(e.target.value)}
+            className="px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          >
+            <option value="">所有标签</option>
+            {tags.map(tag => (
+              <option key={tag.name} value={tag.name}>
+                #{tag.name} ({tag.count})
+              </option>
+            ))}
+          </select>
         </div>
 
         {/* 操作按钮 */}
@@ -348,6 +763,111 @@ export default function BookmarkManagerIsland() {
     </div>
   );
 
+  /**
+   * 渲染批量操作栏
+   */
+  const renderBulkActions = () => {
+    if (operationMode !== OperationMode.VIEW || bookmarks.length === 0) return null;
+
+    const inputClassName = 'px-3 py-1.5 text-sm border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+    const buttonClassName = 'px-3 py-1.5 text-sm text-white rounded-md disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors';
+    const hasSelection = selectedIds.length > 0;
+
+    return (
+      <div className="bg-white dark:bg-gray-800 px-4 py-3 border-b border-gray-200 dark:border-gray-700">
+        <div className="flex flex-wrap items-center gap-3">
+          <label className="inline-flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+            <input
+              type="checkbox"
+              checked={hasSelection && selectedIds.length === bookmarks.length}
+              onChange={toggleSelectAll}
+              className="rounded border-gray-300 dark:border-gray-600 text-blue-600 focus:ring-blue-500"
+            />
+            {hasSelection ? `已选 ${selectedIds.length} 个` : '全选'}
+          </label>
+
+          {hasSelection && (
+            <>
+              <div className="flex items-center gap-2">
+                <select
+                  value={bulkCategory}
+                  onChange={(e) => setBulkCategory(e.target.value)}
+                  className={inputClassName}
+                >
+                  <option value="">移动到分类...</option>
+                  {categories.map(category => (
+                    <option key={category.id} value={category.id}>
+                      {category.icon} {category.name}
+                    </option>
+                  ))}
+                </select>
+                <button
+                  onClick={bulkMove}
+                  disabled={!bulkCategory || isBatchProcessing}
+                  className={`${buttonClassName} bg-blue-500 hover:bg-blue-600`}
+                >
+                  移动
+                </button>
+              </div>
+
+              <div className="flex items-center gap-2">
+                <input
+                  type="text"
+                  list="bookmark-tag-suggestions-bulk"
+                  value={bulkTag}
+                  onChange={(e) => setBulkTag(e.target.value)}
+                  onKeyDown={(e) => e.key === 'Enter' && bulkAddTag()}
+                  className={`${inputClassName} w-36`}
+                  placeholder="添加标签"
+                />
+                <datalist id="bookmark-tag-suggestions-bulk">
+                  {tags.map(tag => (
+                    <option key={tag.name} value={tag.name} />
+                  ))}
+                </datalist>
+                <button
+                  onClick={bulkAddTag}
+                  disabled={!bulkTag.trim() || isBatchProcessing}
+                  className={`${buttonClassName} bg-blue-500 hover:bg-blue-600`}
+                >
+                  添加
+                </button>
+              </div>
+
+              <button
+                onClick={() => bulkSetPinned(true)}
+                disabled={isBatchProcessing}
+                className={`${buttonClassName} bg-yellow-500 hover:bg-yellow-600`}
+              >
+                📌 置顶
+              </button>
+              <button
+                onClick={() => bulkSetPinned(false)}
+                disabled={isBatchProcessing}
+                className={`${buttonClassName} bg-gray-500 hover:bg-gray-600`}
+              >
+                取消置顶
+              </button>
+              <button
+                onClick={bulkDelete}
+                disabled={isBatchProcessing}
+                className={`${buttonClassName} bg-red-500 hover:bg-red-600`}
+              >
+                🗑️ 删除
+              </button>
+              <button
+                onClick={() => setSelectedIds([])}
+                className="text-sm text-gray-600 dark:text-gray-400 hover:underline"
+              >
+                取消选择
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+    );
+  };
+
   /**
    * 渲染书签表单
    */
@@ -373,6 +893,7 @@ export default function BookmarkManagerIsland() {
               className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-transparent"
               placeholder="输入书签标题"
             />
+            {renderFieldError('title')}
           </div>
 
           {/* 书签URL */}
@@ -380,13 +901,66 @@ export default function BookmarkManagerIsland() {
             <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
               URL *
             </label>
+            <div className="flex gap-2">
+              <input
+                type="url"
+                value={formData.url}
+                onChange={(e) => handleInputChange('url', e.target.value)}
+                onBlur={handleUrlBlur}
+                className="flex-1 min-w-0 px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                placeholder="https://example.com"
+              />
+              <button
+                type="button"
+                onClick={() => fetchPreview(formData.url)}
+                disabled={isPreviewLoading || !formData.url.trim()}
+                className="px-3 py-2 text-sm bg-gray-200 text-gray-800 dark:bg-gray-700 dark:text-gray-200 rounded-md hover:bg-gray-300 dark:hover:bg-gray-600 disabled:opacity-50 disabled:cursor-not-allowed whitespace-nowrap transition-colors"
+                title="从网页获取标题、描述和图标，只填充尚未填写的字段"
+              >
+                {isPreviewLoading ? '⏳ 获取中' : '🪄 获取信息'}
+              </button>
+            </div>
+            {renderFieldError('url')}
+            {previewError && (
+              <p className="mt-1 text-xs text-red-600 dark:text-red-400">{previewError}</p>
+            )}
+            {preview?.duplicate && preview.duplicate.id !== formData.id && (
+              <p className="mt-1 text-xs text-yellow-700 dark:text-yellow-400">
+                ⚠️ 已有相同地址的书签：{preview.duplicate.title}
+              </p>
+            )}
+          </div>
+
+          {/* 书签ID（仅新增时可编辑） */}
+          {operationMode === OperationMode.CREATE && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                ID
+              </label>
+              <input
+                type="text"
+                value={formData.id}
+                onChange={(e) => handleInputChange('id', e.target.value.trim())}
+                className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                placeholder="留空自动生成"
+              />
+              {renderFieldError('id')}
+            </div>
+          )}
+
+          {/* 简短描述 */}
+          <div>
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+              简短描述
+            </label>
             <input
-              type="url"
-              value={formData.url}
-              onChange={(e) => handleInputChange('url', e.target.value)}
+              type="text"
+              value={formData.shortDesc}
+              onChange={(e) => handleInputChange('shortDesc', e.target.value)}
               className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-              placeholder="https://example.com"
+              placeholder="卡片上显示的一句话介绍（可选）"
             />
+            {renderFieldError('shortDesc')}
           </div>
 
           {/* 分类选择 */}
@@ -406,6 +980,7 @@ export default function BookmarkManagerIsland() {
                 </option>
               ))}
             </select>
+            {renderFieldError('category')}
           </div>
 
           {/* 图标URL */}
@@ -420,6 +995,85 @@ export default function BookmarkManagerIsland() {
               className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-transparent"
               placeholder="图标URL（可选）"
             />
+            {renderFieldError('icon')}
+            {preview?.icons?.length > 1 && (
+              <div className="flex flex-wrap items-center gap-1 mt-1">
+                <span className="text-xs text-gray-500 dark:text-gray-400">候选图标：</span>
+                {preview.icons.map(icon => (
+                  <button
+                    key={icon.url}
+                    type="button"
+                    onClick={() => handleInputChange('icon', icon.url)}
+                    className={`w-7 h-7 p-0.5 rounded border ${formData.icon === icon.url ? 'border-blue-500' : 'border-gray-200 dark:border-gray-600'} bg-white dark:bg-gray-700`}
+                    title={[icon.rel, icon.sizes, icon.url].filter(Boolean).join(' · ')}
+                  >
+                    <img
+                      src={icon.url}
+                      alt=""
+                      className="w-full h-full object-contain"
+                      onError={(e) => { e.currentTarget.parentElement.style.display = 'none'; }}
+                    />
+                  </button>
+                ))}
+              </div>
+            )}
+          </div>
+
+          {/* 标签 */}
+          <div className="md:col-span-2">
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+              标签
+            </label>
+            <div className="flex flex-wrap items-center gap-2 px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 focus-within:ring-2 focus-within:ring-blue-500">
+              {formData.tags.map(tag => (
+                <span
+                  key={tag}
+                  className="inline-flex items-center gap-1 px-2 py-0.5 text-sm rounded-full bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-200"
+                >
+                  #{tag}
+                  <button
+                    type="button"
+                    onClick={() => removeTag(tag)}
+                    className="hover:text-red-600 dark:hover:text-red-400"
+                    title="移除标签"
+                  >
+                    ×
+                  </button>
+                </span>
+              ))}
+              <input
+                type="text"
+                list="bookmark-tag-suggestions"
+                value={tagInput}
+                onChange={(e) => setTagInput(e.target.value)}
+                onKeyDown={handleTagKeyDown}
+                onBlur={commitTagInput}
+                disabled={formData.tags.length >= MAX_TAGS}
+                className="flex-1 min-w-[8rem] bg-transparent text-gray-900 dark:text-white focus:outline-none"
+                placeholder={formData.tags.length >= MAX_TAGS ? `最多 ${MAX_TAGS} 个标签` : '输入标签，回车或逗号确认'}
+              />
+              <datalist id="bookmark-tag-suggestions">
+                {tags
+                  .filter(tag => !formData.tags.some(item => item.toLowerCase() === tag.name.toLowerCase()))
+                  .map(tag => (
+                    <option key={tag.name} value={tag.name} />
+                  ))}
+              </datalist>
+            </div>
+            {renderFieldError('tags')}
+          </div>
+
+          {/* 置顶 */}
+          <div className="md:col-span-2">
+            <label className="inline-flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+              <input
+                type="checkbox"
+                checked={formData.pinned}
+                onChange={(e) => handleInputChange('pinned', e.target.checked)}
+                className="rounded border-gray-300 dark:border-gray-600 text-blue-600 focus:ring-blue-500"
+              />
+              📌 置顶到首页
+            </label>
           </div>
 
           {/* 描述 */}
@@ -434,16 +1088,8 @@ export default function BookmarkManagerIsland() {
               className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-transparent"
               placeholder="书签描述（可选）"
             />
+            {renderFieldError('description')}
           </div>
-
-          {/* 自动生成ID */}
-          {operationMode === OperationMode.CREATE && !formData.id && formData.title && (
-            <input
-              type="hidden"
-              value={formData.id = generateId()}
-              onChange={() => {}}
-            />
-          )}
         </div>
       </div>
     );
@@ -494,9 +1140,9 @@ export default function BookmarkManagerIsland() {
             暂无书签
           </h3>
           <p className="text-gray-600 dark:text-gray-400 mb-4">
-            {searchQuery || selectedCategory ? '没有找到符合条件的书签' : '还没有添加任何书签'}
+            {searchQuery || selectedCategory || selectedTag ? '没有找到符合条件的书签' : '还没有添加任何书签'}
           </p>
-          {!searchQuery && !selectedCategory && (
+          {!searchQuery && !selectedCategory && !selectedTag && (
             <button
               onClick={startCreate}
               className="px-4 py-2 bg-blue-500 text-white rounded-md hover:bg-blue-600 transition-colors"
@@ -509,66 +1155,127 @@ export default function BookmarkManagerIsland() {
     }
 
     return (
-      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4 p-6">
-        {bookmarks.map(bookmark => {
-          const category = categories.find(cat => cat.id === bookmark.category);
-          return (
-            <div
-              key={bookmark.id}
-              className="bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg p-4 hover:shadow-md transition-shadow"
-            >
-              <div className="flex items-start justify-between mb-3">
-                <div className="flex items-center gap-3 flex-1 min-w-0">
-                  <img
-                    src={bookmark.icon || '/images/default.svg'}
-                    alt={bookmark.title}
-                    className="w-8 h-8 rounded flex-shrink-0"
-                    onError={(e) => {
-                      e.target.src = '/images/default.svg';
-                    }}
-                  />
-                  <div className="min-w-0 flex-1">
-                    <h4 className="font-medium text-gray-900 dark:text-white truncate">
-                      {bookmark.title}
-                    </h4>
-                    <p className="text-sm text-gray-600 dark:text-gray-400 truncate">
-                      {category?.icon} {category?.name}
-                    </p>
+      <div className="p-6">
+        {canReorder && bookmarks.length > 1 && (
+          <p className="text-sm text-gray-500 dark:text-gray-400 mb-4">
+            拖动书签卡片可调整显示顺序
+          </p>
+        )}
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+          {bookmarks.map(bookmark => {
+            const category = categories.find(cat => cat.id === bookmark.category);
+            return (
+              <div
+                key={bookmark.id}
+                draggable={canReorder}
+                onDragStart={(e) => {
+                  e.dataTransfer.effectAllowed = 'move';
+                  setDraggedId(bookmark.id);
+                }}
+                onDragOver={(e) => {
+                  if (!draggedId) return;
+                  e.preventDefault();
+                  if (dragOverId !== bookmark.id) setDragOverId(bookmark.id);
+                }}
+                onDrop={(e) => {
+                  e.preventDefault();
+                  handleDrop(bookmark.id);
+                }}
+                onDragEnd={() => {
+                  setDraggedId(null);
+                  setDragOverId(null);
+                }}
+                className={`bg-white dark:bg-gray-800 border rounded-lg p-4 hover:shadow-md transition-shadow ${
+                  dragOverId === bookmark.id && draggedId !== bookmark.id
+                    ? 'border-blue-500 ring-2 ring-blue-300 dark:ring-blue-700'
+                    : selectedIds.includes(bookmark.id)
+                      ? 'border-blue-400 dark:border-blue-600'
+                      : 'border-gray-200 dark:border-gray-700'
+                } ${draggedId === bookmark.id ? 'opacity-50' : ''} ${canReorder ? 'cursor-move' : ''}`}
+              >
+                <div className="flex items-start justify-between mb-3">
+                  <div className="flex items-center gap-3 flex-1 min-w-0">
+                    <input
+                      type="checkbox"
+                      checked={selectedIds.includes(bookmark.id)}
+                      onChange={() => toggleSelected(bookmark.id)}
+                      className="rounded border-gray-300 dark:border-gray-600 text-blue-600 focus:ring-blue-500 flex-shrink-0"
+                      title="选择"
+                    />
+                    <img
+                      src={bookmark.icon || '/images/default.svg'}
+                      alt={bookmark.title}
+                      className="w-8 h-8 rounded flex-shrink-0"
+                      onError={(e) => {
+                        e.target.src = '/images/default.svg';
+                      }}
+                    />
+                    <div className="min-w-0 flex-1">
+                      <h4 className="font-medium text-gray-900 dark:text-white truncate">
+                        {bookmark.pinned && <span className="mr-1" title="已置顶">📌</span>}
+                        {bookmark.title}
+                      </h4>
+                      <p className="text-sm text-gray-600 dark:text-gray-400 truncate">
+                        {category?.icon} {category?.name}
+                      </p>
+                    </div>
+                  </div>
+                  <div className="flex gap-1 ml-2">
+                    <button
+                      onClick={() => togglePinned(bookmark)}
+                      className={`p-1 rounded hover:bg-yellow-100 dark:hover:bg-yellow-900 ${bookmark.pinned ? '' : 'opacity-40 hover:opacity-100'}`}
+                      title={bookmark.pinned ? '取消置顶' : '置顶到首页'}
+                    >
+                      📌
+                    </button>
+                    <button
+                      onClick={() => startEdit(bookmark)}
+                      className="p-1 text-blue-600 hover:bg-blue-100 dark:hover:bg-blue-900 rounded"
+                      title="编辑"
+                    >
+                      ✏️
+                    </button>
+                    <button
+                      onClick={() => deleteBookmark(bookmark.id)}
+                      className="p-1 text-red-600 hover:bg-red-100 dark:hover:bg-red-900 rounded"
+                      title="删除"
+                    >
+                      🗑️
+                    </button>
                   </div>
                 </div>
-                <div className="flex gap-1 ml-2">
-                  <button
-                    onClick={() => startEdit(bookmark)}
-                    className="p-1 text-blue-600 hover:bg-blue-100 dark:hover:bg-blue-900 rounded"
-                    title="编辑"
-                  >
-                    ✏️
-                  </button>
-                  <button
-                    onClick={() => deleteBookmark(bookmark.id)}
-                    className="p-1 text-red-600 hover:bg-red-100 dark:hover:bg-red-900 rounded"
-                    title="删除"
-                  >
-                    🗑️
-                  </button>
-                </div>
+                
+                <p className="text-sm text-gray-600 dark:text-gray-400 mb-3 line-clamp-2">
+                  {bookmark.description || bookmark.shortDesc}
+                </p>
+                
+                {bookmark.tags?.length > 0 && (
+                  <div className="flex flex-wrap gap-1 mb-3">
+                    {bookmark.tags.map(tag => (
+                      <button
+                        key={tag}
+                        onClick={() => setSelectedTag(tag)}
+                        className="px-2 py-0.5 text-xs rounded-full bg-gray-100 text-gray-700 dark:bg-gray-700 dark:text-gray-300 hover:bg-blue-100 hover:text-blue-800 dark:hover:bg-blue-900 dark:hover:text-blue-200 transition-colors"
+                        title="按此标签筛选"
+                      >
+                        #{tag}
+                      </button>
+                    ))}
+                  </div>
+                )}
+                
+                <a
+                  href={bookmark.url}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="text-sm text-blue-600 dark:text-blue-400 hover:underline truncate block"
+                >
+                  {bookmark.url}
+                </a>
               </div>
-              
-              <p className="text-sm text-gray-600 dark:text-gray-400 mb-3 line-clamp-2">
-                {bookmark.description || bookmark.shortDesc}
-              </p>
-              
-              <a
-                href={bookmark.url}
-                target="_blank"
-                rel="noopener noreferrer"
-                className="text-sm text-blue-600 dark:text-blue-400 hover:underline truncate block"
-              >
-                {bookmark.url}
-              </a>
-            </div>
-          );
-        })}
+            );
+          })}
+        </div>
       </div>
     );
   };
@@ -576,6 +1283,7 @@ export default function BookmarkManagerIsland() {
   return (
     <div className="bg-gray-50 dark:bg-gray-900 min-h-screen">
       {renderToolbar()}
+      {renderBulkActions()}
       {renderBookmarkForm()}
       {renderBookmarkList()}
     </div>
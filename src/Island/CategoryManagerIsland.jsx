@@ -8,6 +8,11 @@
 import { useState, useEffect, useRef } from 'react';
 import { handleError } from '../utils/error-handler.js';
 import { api } from '../utils/api-client.js';
+import { formatETag } from '../utils/etag.js';
+import { flattenCategoryTree, getDescendantIds, getChildCategories } from '../utils/category-tree.js';
+import { moveItem, applyReorder } from '../utils/ordering.js';
+import { CategoryDeleteStrategy } from '../utils/category-operations.js';
+import { validate, toFieldErrorMap, CategorySchema } from '../utils/schema.js';
 
 /**
  * 操作模式枚举
@@ -15,7 +20,19 @@ import { api } from '../utils/api-client.js';
 const OperationMode = {
   VIEW: 'view',
   CREATE: 'create',
-  EDIT: 'edit'
+  EDIT: 'edit',
+  DELETE: 'delete',
+  MERGE: 'merge',
+  SPLIT: 'split'
+};
+
+/**
+ * 删除策略说明
+ */
+const DELETE_STRATEGY_LABELS = {
+  [CategoryDeleteStrategy.BLOCK]: '仅删除空分类',
+  [CategoryDeleteStrategy.REASSIGN]: '书签转移到其他分类，子分类上移一级',
+  [CategoryDeleteStrategy.CASCADE]: '连同子分类和书签一起移入回收站'
 };
 
 /**
@@ -33,13 +50,25 @@ export default function CategoryManagerIsland() {
   const [error, setError] = useState(null);
   const [operationMode, setOperationMode] = useState(OperationMode.VIEW);
   const [selectedCategory, setSelectedCategory] = useState(null);
+  const [revision, setRevision] = useState(null); // 分类集合版本号，用于乐观并发控制
+  const [draggedId, setDraggedId] = useState(null); // 正在拖动的分类
+  const [dragOverId, setDragOverId] = useState(null); // 拖动经过的分类
+  const [isReordering, setIsReordering] = useState(false);
+  const [operationForm, setOperationForm] = useState({ strategy: CategoryDeleteStrategy.BLOCK, target: '', name: '', icon: '' }); // 删除、合并、拆分的选项
+  const [preview, setPreview] = useState(null); // 删除、合并的预览结果
+  const [previewError, setPreviewError] = useState(null);
+  const [categorySites, setCategorySites] = useState([]); // 拆分时来源分类下的书签
+  const [splitSiteIds, setSplitSiteIds] = useState([]); // 拆分时选中的书签
+  const [isProcessing, setIsProcessing] = useState(false);
+  const [fieldErrors, setFieldErrors] = useState({}); // 字段路径 → 校验错误
   
   // 表单数据
   const [formData, setFormData] = useState({
     id: '',
     name: '',
     icon: '',
-    description: ''
+    description: '',
+    parentId: ''
   });
 
   // API 调用控制
@@ -69,6 +98,7 @@ export default function CategoryManagerIsland() {
       console.log('📂 获取分类列表...');
       const response = await api.get('/api/categories?includeStats=true');
       setCategories(response.data || []);
+      setRevision(response.revision ?? null);
       setError(null);
       console.log(`✅ 获取到 ${response.data?.length || 0} 个分类`);
     } catch (error) {
@@ -81,20 +111,49 @@ export default function CategoryManagerIsland() {
     }
   };
 
+  /**
+   * 生成 If-Match 请求头
+   * @returns {Object}
+   */
+  const getIfMatchHeaders = () => (
+    revision === null ? {} : { 'If-Match': formatETag('categories', revision) }
+  );
+
+  /**
+   * 处理版本冲突：重新加载最新数据，保留当前表单以便重试
+   */
+  const handleConflict = async () => {
+    alert('分类数据已被其他会话修改，已重新加载最新数据，请确认后重试。');
+    lastApiCallTime.current = 0;
+    await fetchCategories();
+  };
+
   /**
    * 保存分类
    */
   const saveCategory = async () => {
+    // 空的父分类表示根分类
+    const categoryData = { ...formData, parentId: formData.parentId || null };
+
+    // 提交前按与服务端相同的规则校验，错误显示在对应输入框下方
+    const validation = validate(CategorySchema, categoryData);
+    if (!validation.valid) {
+      setFieldErrors(toFieldErrorMap(validation.errors));
+      return;
+    }
+
     try {
       setIsLoading(true);
       
       if (operationMode === OperationMode.CREATE) {
         console.log('📝 创建新分类...');
-        await api.post('/api/categories', formData);
+        await api.post('/api/categories', categoryData);
         console.log('✅ 分类创建成功');
       } else if (operationMode === OperationMode.EDIT) {
         console.log('📝 更新分类...');
-        await api.put(`/api/categories/${formData.id}`, formData);
+        await api.put(`/api/categories/${formData.id}`, categoryData, {
+          headers: getIfMatchHeaders()
+        });
         console.log('✅ 分类更新成功');
       }
       
@@ -105,6 +164,19 @@ export default function CategoryManagerIsland() {
       
     } catch (error) {
       console.error('❌ 保存分类失败:', error);
+      if (error.status === 409) {
+        await handleConflict();
+        return;
+      }
+      if (error.status === 400) {
+        const serverErrors = error.body?.data?.fieldErrors;
+        if (serverErrors?.length) {
+          setFieldErrors(toFieldErrorMap(serverErrors));
+        } else {
+          alert(error.body?.data?.reason || error.body?.message || '分类数据无效');
+        }
+        return;
+      }
       const appError = handleError.generic(error, { operation: 'save_category' });
       setError(appError.getUserMessage());
     } finally {
@@ -113,36 +185,234 @@ export default function CategoryManagerIsland() {
   };
 
   /**
-   * 删除分类
+   * 开始删除分类
+   * 空分类默认直接删除，否则默认把书签转移到其他分类
+   * @param {Object} category - 分类
    */
-  const deleteCategory = async (categoryId) => {
-    const category = categories.find(cat => cat.id === categoryId);
-    const siteCount = category?.siteCount || 0;
-    
-    if (siteCount > 0) {
-      alert(`无法删除分类"${category.name}"，还有 ${siteCount} 个书签使用此分类。请先移动或删除这些书签。`);
+  const startDelete = (category) => {
+    const isEmpty = !category.siteCount && getChildCategories(categories, category.id).length === 0;
+    startCategoryOperation(category, OperationMode.DELETE, {
+      strategy: isEmpty ? CategoryDeleteStrategy.BLOCK : CategoryDeleteStrategy.REASSIGN
+    });
+  };
+
+  /**
+   * 开始合并分类（当前分类合并到选择的目标分类）
+   * @param {Object} category - 分类
+   */
+  const startMerge = (category) => {
+    startCategoryOperation(category, OperationMode.MERGE);
+  };
+
+  /**
+   * 开始拆分分类：加载分类下的书签供选择
+   * @param {Object} category - 分类
+   */
+  const startSplit = async (category) => {
+    try {
+      setIsProcessing(true);
+      const response = await api.get(`/api/bookmarks?category=${encodeURIComponent(category.id)}`);
+      setCategorySites(response.data || []);
+      setSplitSiteIds([]);
+      startCategoryOperation(category, OperationMode.SPLIT, { icon: category.icon || '' });
+    } catch (error) {
+      console.error('❌ 获取分类书签失败:', error);
+      const appError = handleError.generic(error, { operation: 'fetch_category_sites' });
+      alert(appError.getUserMessage());
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
+  /**
+   * 进入删除、合并或拆分模式
+   * @param {Object} category - 要操作的分类
+   * @param {string} mode - 操作模式
+   * @param {Object} options - 初始选项
+   */
+  const startCategoryOperation = (category, mode, options = {}) => {
+    resetForm();
+    setSelectedCategory(category);
+    setOperationForm({ strategy: CategoryDeleteStrategy.BLOCK, target: '', name: '', icon: '', ...options });
+    setPreview(null);
+    setPreviewError(null);
+    setOperationMode(mode);
+  };
+
+  /**
+   * 更新删除、合并、拆分的选项
+   * @param {string} field - 字段名
+   * @param {string} value - 字段值
+   */
+  const handleOperationChange = (field, value) => {
+    setOperationForm(prev => ({ ...prev, [field]: value }));
+  };
+
+  /**
+   * 发送删除、合并或拆分请求
+   * @param {boolean} dryRun - 为 true 时只获取预览
+   * @returns {Promise<any>}
+   */
+  const requestCategoryOperation = (dryRun) => {
+    const headers = dryRun ? {} : getIfMatchHeaders();
+    const { strategy, target, name, icon } = operationForm;
+
+    if (operationMode === OperationMode.DELETE) {
+      const query = new URLSearchParams({ strategy });
+      if (strategy === CategoryDeleteStrategy.REASSIGN) query.set('target', target);
+      if (dryRun) query.set('dryRun', 'true');
+      return api.delete(`/api/categories/${selectedCategory.id}?${query}`, { headers });
+    }
+
+    if (operationMode === OperationMode.MERGE) {
+      return api.post('/api/categories/merge', { sources: [selectedCategory.id], target, dryRun }, { headers });
+    }
+
+    return api.post('/api/categories/split', {
+      source: selectedCategory.id,
+      category: { id: `${selectedCategory.id}_${Date.now().toString(36)}`, name: name.trim(), icon: icon.trim() },
+      siteIds: splitSiteIds,
+      dryRun
+    }, { headers });
+  };
+
+  /**
+   * 获取删除或合并的预览
+   */
+  const fetchPreview = async () => {
+    const needsTarget = operationMode === OperationMode.MERGE || operationForm.strategy === CategoryDeleteStrategy.REASSIGN;
+    if (needsTarget && !operationForm.target) {
+      setPreview(null);
+      setPreviewError(null);
       return;
     }
 
-    if (!confirm(`确定要删除分类"${category.name}"吗？`)) {
+    try {
+      const response = await requestCategoryOperation(true);
+      setPreview(response.data);
+      setPreviewError(null);
+    } catch (error) {
+      setPreview(null);
+      setPreviewError(error.body?.data?.reason || error.body?.message || handleError.generic(error, { operation: 'preview_category_operation' }).getUserMessage());
+    }
+  };
+
+  /**
+   * 执行删除、合并或拆分
+   */
+  const executeCategoryOperation = async () => {
+    const messages = {
+      [OperationMode.DELETE]: `确定要删除分类"${selectedCategory.name}"吗？删除的分类和书签可在回收站中恢复。`,
+      [OperationMode.MERGE]: `确定要将分类"${selectedCategory.name}"合并到所选分类吗？`,
+      [OperationMode.SPLIT]: `确定要将选中的 ${splitSiteIds.length} 个书签拆分到新分类"${operationForm.name}"吗？`
+    };
+    if (!confirm(messages[operationMode])) {
       return;
     }
 
     try {
-      setIsLoading(true);
-      console.log(`🗑️ 删除分类: ${categoryId}`);
-      await api.delete(`/api/categories/${categoryId}`);
-      console.log('✅ 分类删除成功');
-      
-      // 刷新分类列表
+      setIsProcessing(true);
+      console.log(`📝 分类操作: ${operationMode} ${selectedCategory.id}`);
+      await requestCategoryOperation(false);
+      console.log('✅ 分类操作成功');
+
+      lastApiCallTime.current = 0;
       await fetchCategories();
-      
+      cancelOperation();
     } catch (error) {
-      console.error('❌ 删除分类失败:', error);
-      const appError = handleError.generic(error, { operation: 'delete_category' });
+      console.error('❌ 分类操作失败:', error);
+      if (error.status === 409) {
+        await handleConflict();
+        return;
+      }
+      if (error.status === 400) {
+        alert(error.body?.data?.errors?.join('\n') || error.body?.data?.reason || error.body?.message || '操作无法执行');
+        return;
+      }
+      const appError = handleError.generic(error, { operation: `${operationMode}_category` });
       setError(appError.getUserMessage());
     } finally {
-      setIsLoading(false);
+      setIsProcessing(false);
+    }
+  };
+
+  /**
+   * 可作为转移或合并目标的分类：排除当前分类及其子孙分类
+   * @returns {Array<{category: Object, depth: number}>}
+   */
+  const getTargetOptions = () => {
+    if (!selectedCategory) return [];
+    const excluded = new Set([selectedCategory.id, ...getDescendantIds(categories, selectedCategory.id)]);
+    return flattenCategoryTree(categories).filter(({ category }) => !excluded.has(category.id));
+  };
+
+  /**
+   * 获取分类显示名称
+   * @param {string} categoryId - 分类 ID
+   * @returns {string}
+   */
+  const getCategoryName = (categoryId) => {
+    const category = categories.find(cat => cat.id === categoryId);
+    return category ? `${category.icon || '📂'} ${category.name}` : categoryId;
+  };
+
+  /**
+   * 是否允许拖拽排序
+   */
+  const canReorder = operationMode === OperationMode.VIEW && !isReordering;
+
+  /**
+   * 判断两个分类是否属于同一父分类（只能在同级之间拖拽排序）
+   * @param {string} idA - 分类 ID
+   * @param {string} idB - 分类 ID
+   * @returns {boolean}
+   */
+  const isSibling = (idA, idB) => {
+    const a = categories.find(cat => cat.id === idA);
+    const b = categories.find(cat => cat.id === idB);
+    return Boolean(a && b) && (a.parentId || null) === (b.parentId || null);
+  };
+
+  /**
+   * 拖拽结束：在同级分类中移动到目标位置并保存新顺序
+   * @param {string} targetId - 放置位置的分类 ID
+   */
+  const handleDrop = async (targetId) => {
+    const sourceId = draggedId;
+    setDraggedId(null);
+    setDragOverId(null);
+    if (!sourceId || sourceId === targetId || !isSibling(sourceId, targetId)) return;
+
+    const source = categories.find(cat => cat.id === sourceId);
+    const siblings = categories.filter(cat => (cat.parentId || null) === (source.parentId || null));
+    const ids = moveItem(siblings, sourceId, targetId).map(cat => cat.id);
+
+    const previous = categories;
+    setCategories(applyReorder(categories, ids));
+
+    try {
+      setIsReordering(true);
+      console.log(`↕️ 调整分类顺序: ${sourceId} → ${targetId}`);
+      const response = await api.patch('/api/categories/reorder', { ids }, {
+        headers: getIfMatchHeaders()
+      });
+      setRevision(response.revision ?? null);
+      console.log('✅ 分类顺序已保存');
+    } catch (error) {
+      console.error('❌ 保存分类顺序失败:', error);
+      setCategories(previous);
+      if (error.status === 409) {
+        await handleConflict();
+        return;
+      }
+      if (error.status === 400) {
+        alert(error.body?.data?.reason || error.body?.message || '分类顺序无效');
+        return;
+      }
+      const appError = handleError.generic(error, { operation: 'reorder_categories' });
+      alert(appError.getUserMessage());
+    } finally {
+      setIsReordering(false);
     }
   };
 
@@ -154,16 +424,22 @@ export default function CategoryManagerIsland() {
       id: '',
       name: '',
       icon: '',
-      description: ''
+      description: '',
+      parentId: ''
     });
+    setFieldErrors({});
     setSelectedCategory(null);
   };
 
   /**
    * 开始创建分类
+   * @param {string} parentId - 父分类 ID（创建子分类时）
    */
-  const startCreate = () => {
+  const startCreate = (parentId = '') => {
     resetForm();
+    if (parentId) {
+      handleInputChange('parentId', parentId);
+    }
     setOperationMode(OperationMode.CREATE);
   };
 
@@ -175,8 +451,10 @@ export default function CategoryManagerIsland() {
       id: category.id,
       name: category.name,
       icon: category.icon || '',
-      description: category.description || ''
+      description: category.description || '',
+      parentId: category.parentId || ''
     });
+    setFieldErrors({});
     setSelectedCategory(category);
     setOperationMode(OperationMode.EDIT);
   };
@@ -187,6 +465,10 @@ export default function CategoryManagerIsland() {
   const cancelOperation = () => {
     setOperationMode(OperationMode.VIEW);
     resetForm();
+    setPreview(null);
+    setPreviewError(null);
+    setCategorySites([]);
+    setSplitSiteIds([]);
   };
 
   /**
@@ -197,6 +479,22 @@ export default function CategoryManagerIsland() {
       ...prev,
       [field]: value
     }));
+    setFieldErrors(prev => {
+      if (!prev[field]) return prev;
+      const { [field]: _removed, ...rest } = prev;
+      return rest;
+    });
+  };
+
+  /**
+   * 渲染字段校验错误
+   * @param {...string} fields - 字段路径，显示第一个有错误的字段
+   */
+  const renderFieldError = (...fields) => {
+    const message = fields.map(field => fieldErrors[field]).find(Boolean);
+    return message && (
+      <p className="mt-1 text-xs text-red-600 dark:text-red-400">{message}</p>
+    );
   };
 
   /**
@@ -209,6 +507,17 @@ export default function CategoryManagerIsland() {
       .substring(0, 20) + '_' + Date.now().toString(36);
   };
 
+  /**
+   * 可选的父分类：编辑时排除自身及其子孙分类，避免形成循环
+   * @returns {Array<{category: Object, depth: number}>}
+   */
+  const getParentOptions = () => {
+    const excluded = operationMode === OperationMode.EDIT
+      ? new Set([formData.id, ...getDescendantIds(categories, formData.id)])
+      : new Set();
+    return flattenCategoryTree(categories).filter(({ category }) => !excluded.has(category.id));
+  };
+
   /**
    * 选择图标
    */
@@ -246,6 +555,13 @@ export default function CategoryManagerIsland() {
     };
   }, []);
 
+  // 删除、合并的选项变化时刷新预览
+  useEffect(() => {
+    if (operationMode === OperationMode.DELETE || operationMode === OperationMode.MERGE) {
+      fetchPreview();
+    }
+  }, [operationMode, selectedCategory, operationForm.strategy, operationForm.target]);
+
   /**
    * 渲染工具栏
    */
@@ -256,15 +572,16 @@ export default function CategoryManagerIsland() {
           📂 分类管理
         </h2>
         
-        {operationMode === OperationMode.VIEW ? (
+        {operationMode === OperationMode.VIEW && (
           <button
-            onClick={startCreate}
+            onClick={() => startCreate()}
             className="px-4 py-2 bg-blue-500 text-white rounded-md hover:bg-blue-600 transition-colors flex items-center gap-2"
           >
             <span>➕</span>
             新增分类
           </button>
-        ) : (
+        )}
+        {(operationMode === OperationMode.CREATE || operationMode === OperationMode.EDIT) && (
           <div className="flex gap-2">
             <button
               onClick={saveCategory}
@@ -291,7 +608,7 @@ export default function CategoryManagerIsland() {
    * 渲染分类表单
    */
   const renderCategoryForm = () => {
-    if (operationMode === OperationMode.VIEW) return null;
+    if (operationMode !== OperationMode.CREATE && operationMode !== OperationMode.EDIT) return null;
 
     return (
       <div className="bg-white dark:bg-gray-800 p-6 border-b border-gray-200 dark:border-gray-700">
@@ -319,6 +636,28 @@ export default function CategoryManagerIsland() {
                 className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-transparent"
                 placeholder="输入分类名称"
               />
+              {/* 分类 ID 由名称自动生成，ID 的错误也显示在名称下方 */}
+              {renderFieldError('name', 'id')}
+            </div>
+
+            {/* 父分类 */}
+            <div className="mb-4">
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                父分类
+              </label>
+              <select
+                value={formData.parentId}
+                onChange={(e) => handleInputChange('parentId', e.target.value)}
+                className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              >
+                <option value="">（无，作为顶级分类）</option>
+                {getParentOptions().map(({ category, depth }) => (
+                  <option key={category.id} value={category.id}>
+                    {'　'.repeat(depth)}{category.icon} {category.name}
+                  </option>
+                ))}
+              </select>
+              {renderFieldError('parentId')}
             </div>
 
             {/* 分类描述 */}
@@ -333,6 +672,7 @@ export default function CategoryManagerIsland() {
                 className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-transparent"
                 placeholder="分类描述（可选）"
               />
+              {renderFieldError('description')}
             </div>
           </div>
 
@@ -382,10 +722,196 @@ export default function CategoryManagerIsland() {
                   className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-transparent"
                   placeholder="或输入自定义图标"
                 />
+                {renderFieldError('icon')}
+              </div>
+            </div>
+          </div>
+        </div>
+      </div>
+    );
+  };
+
+  /**
+   * 渲染删除、合并的预览
+   */
+  const renderPreview = () => {
+    if (previewError) {
+      return (
+        <div className="p-3 rounded-md bg-red-50 dark:bg-red-900/30 text-sm text-red-600 dark:text-red-400">
+          {previewError}
+        </div>
+      );
+    }
+
+    if (!preview) {
+      return (
+        <div className="text-sm text-gray-500 dark:text-gray-400">
+          {operationForm.target || operationMode === OperationMode.DELETE ? '正在生成预览...' : '请选择目标分类'}
+        </div>
+      );
+    }
+
+    const groups = [
+      { key: 'movedSites', title: '转移的书签', items: preview.movedSites, render: site => `${site.title}：${getCategoryName(site.from)} → ${getCategoryName(site.category)}` },
+      { key: 'removedSites', title: '移入回收站的书签', items: preview.removedSites, render: site => `${site.title}（${getCategoryName(site.category)}）` },
+      { key: 'movedCategories', title: '移动的子分类', items: preview.movedCategories, render: category => `${category.icon || '📂'} ${category.name} → ${category.parentId ? getCategoryName(category.parentId) : '顶级分类'}` },
+      { key: 'removedCategories', title: '删除的分类', items: preview.removedCategories, render: category => `${category.icon || '📂'} ${category.name}` }
+    ].filter(group => group.items?.length > 0);
+
+    return (
+      <div className="space-y-3">
+        {groups.map(group => (
+          <div key={group.key}>
+            <div className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+              {group.title}（{group.items.length}）
+            </div>
+            <ul className="max-h-40 overflow-y-auto text-sm text-gray-600 dark:text-gray-400 border border-gray-200 dark:border-gray-700 rounded-md divide-y divide-gray-100 dark:divide-gray-700">
+              {group.items.map(item => (
+                <li key={item.id} className="px-3 py-1 truncate">{group.render(item)}</li>
+              ))}
+            </ul>
+          </div>
+        ))}
+      </div>
+    );
+  };
+
+  /**
+   * 渲染删除、合并、拆分面板
+   */
+  const renderOperationPanel = () => {
+    if (![OperationMode.DELETE, OperationMode.MERGE, OperationMode.SPLIT].includes(operationMode) || !selectedCategory) {
+      return null;
+    }
+
+    const titles = {
+      [OperationMode.DELETE]: '删除分类',
+      [OperationMode.MERGE]: '合并分类',
+      [OperationMode.SPLIT]: '拆分分类'
+    };
+    const needsTarget = operationMode === OperationMode.MERGE || operationForm.strategy === CategoryDeleteStrategy.REASSIGN;
+    const canExecute = operationMode === OperationMode.SPLIT
+      ? splitSiteIds.length > 0 && operationForm.name.trim() && operationForm.icon.trim()
+      : Boolean(preview) && !previewError && (!needsTarget || operationForm.target);
+    const selectClassName = 'w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+    return (
+      <div className="bg-white dark:bg-gray-800 p-6 border-b border-gray-200 dark:border-gray-700">
+        <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-4">
+          {titles[operationMode]}：{selectedCategory.icon || '📂'} {selectedCategory.name}
+        </h3>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+          <div className="space-y-4">
+            {operationMode === OperationMode.DELETE && (
+              <div className="space-y-2">
+                {Object.values(CategoryDeleteStrategy).map(strategy => (
+                  <label key={strategy} className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+                    <input
+                      type="radio"
+                      name="delete-strategy"
+                      checked={operationForm.strategy === strategy}
+                      onChange={() => handleOperationChange('strategy', strategy)}
+                    />
+                    {DELETE_STRATEGY_LABELS[strategy]}
+                  </label>
+                ))}
+              </div>
+            )}
+
+            {needsTarget && operationMode !== OperationMode.SPLIT && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                  {operationMode === OperationMode.MERGE ? '合并到' : '书签转移到'}
+                </label>
+                <select
+                  value={operationForm.target}
+                  onChange={(e) => handleOperationChange('target', e.target.value)}
+                  className={selectClassName}
+                >
+                  <option value="">请选择目标分类</option>
+                  {getTargetOptions().map(({ category, depth }) => (
+                    <option key={category.id} value={category.id}>
+                      {'　'.repeat(depth)}{category.icon} {category.name}
+                    </option>
+                  ))}
+                </select>
               </div>
+            )}
+
+            {operationMode === OperationMode.SPLIT && (
+              <>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                    新分类名称 *
+                  </label>
+                  <input
+                    type="text"
+                    value={operationForm.name}
+                    onChange={(e) => handleOperationChange('name', e.target.value)}
+                    className={selectClassName}
+                    placeholder="输入新分类名称"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                    新分类图标 *
+                  </label>
+                  <input
+                    type="text"
+                    value={operationForm.icon}
+                    onChange={(e) => handleOperationChange('icon', e.target.value)}
+                    className={selectClassName}
+                    placeholder="输入图标"
+                  />
+                </div>
+                <p className="text-sm text-gray-500 dark:text-gray-400">
+                  新分类与「{selectedCategory.name}」同级，选中的书签将转移到新分类
+                </p>
+              </>
+            )}
+          </div>
+
+          <div>
+            <div className="text-sm font-medium text-gray-900 dark:text-white mb-2">
+              {operationMode === OperationMode.SPLIT ? `选择要转移的书签（已选 ${splitSiteIds.length} 个）` : '影响预览'}
             </div>
+            {operationMode === OperationMode.SPLIT ? (
+              <ul className="max-h-64 overflow-y-auto text-sm border border-gray-200 dark:border-gray-700 rounded-md divide-y divide-gray-100 dark:divide-gray-700">
+                {categorySites.map(site => (
+                  <li key={site.id}>
+                    <label className="flex items-center gap-2 px-3 py-1 text-gray-700 dark:text-gray-300">
+                      <input
+                        type="checkbox"
+                        checked={splitSiteIds.includes(site.id)}
+                        onChange={(e) => setSplitSiteIds(prev => (
+                          e.target.checked ? [...prev, site.id] : prev.filter(id => id !== site.id)
+                        ))}
+                      />
+                      <span className="truncate">{site.title}</span>
+                    </label>
+                  </li>
+                ))}
+              </ul>
+            ) : renderPreview()}
           </div>
         </div>
+
+        <div className="flex justify-end gap-2 mt-6">
+          <button
+            onClick={executeCategoryOperation}
+            disabled={!canExecute || isProcessing}
+            className="px-4 py-2 bg-red-500 text-white rounded-md hover:bg-red-600 disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors"
+          >
+            确认{titles[operationMode]}
+          </button>
+          <button
+            onClick={cancelOperation}
+            className="px-4 py-2 bg-gray-500 text-white rounded-md hover:bg-gray-600 transition-colors"
+          >
+            取消
+          </button>
+        </div>
       </div>
     );
   };
@@ -438,7 +964,7 @@ export default function CategoryManagerIsland() {
             还没有创建任何分类
           </p>
           <button
-            onClick={startCreate}
+            onClick={() => startCreate()}
             className="px-4 py-2 bg-blue-500 text-white rounded-md hover:bg-blue-600 transition-colors"
           >
             创建第一个分类
@@ -448,11 +974,41 @@ export default function CategoryManagerIsland() {
     }
 
     return (
-      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4 p-6">
-        {categories.map(category => (
+      <div className="space-y-3 p-6">
+        {canReorder && categories.length > 1 && (
+          <p className="text-sm text-gray-500 dark:text-gray-400">
+            拖动分类卡片可在同级分类之间调整显示顺序
+          </p>
+        )}
+        {flattenCategoryTree(categories).map(({ category, depth }) => (
           <div
             key={category.id}
-            className="bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg p-4 hover:shadow-md transition-shadow"
+            draggable={canReorder}
+            onDragStart={(e) => {
+              e.dataTransfer.effectAllowed = 'move';
+              setDraggedId(category.id);
+            }}
+            onDragOver={(e) => {
+              if (!draggedId || !isSibling(draggedId, category.id)) return;
+              e.preventDefault();
+              if (dragOverId !== category.id) setDragOverId(category.id);
+            }}
+            onDrop={(e) => {
+              e.preventDefault();
+              handleDrop(category.id);
+            }}
+            onDragEnd={() => {
+              setDraggedId(null);
+              setDragOverId(null);
+            }}
+            style={{ marginLeft: `${depth * 1.5}rem` }}
+            className={`bg-white dark:bg-gray-800 border rounded-lg p-4 hover:shadow-md transition-shadow ${
+              dragOverId === category.id && draggedId !== category.id
+                ? 'border-blue-500 ring-2 ring-blue-300 dark:ring-blue-700'
+                : 'border-gray-200 dark:border-gray-700'
+            } ${
+              depth > 0 ? 'border-l-4 border-l-blue-200 dark:border-l-blue-800' : ''
+            } ${draggedId === category.id ? 'opacity-50' : ''} ${canReorder ? 'cursor-move' : ''}`}
           >
             <div className="flex items-start justify-between mb-3">
               <div className="flex items-center gap-3 flex-1 min-w-0">
@@ -465,10 +1021,18 @@ export default function CategoryManagerIsland() {
                   </h4>
                   <p className="text-sm text-gray-600 dark:text-gray-400">
                     {category.siteCount || 0} 个书签
+                    {category.totalSiteCount > category.siteCount && `（含子分类共 ${category.totalSiteCount} 个）`}
                   </p>
                 </div>
               </div>
               <div className="flex gap-1 ml-2">
+                <button
+                  onClick={() => startCreate(category.id)}
+                  className="p-1 text-green-600 hover:bg-green-100 dark:hover:bg-green-900 rounded"
+                  title="添加子分类"
+                >
+                  ➕
+                </button>
                 <button
                   onClick={() => startEdit(category)}
                   className="p-1 text-blue-600 hover:bg-blue-100 dark:hover:bg-blue-900 rounded"
@@ -477,10 +1041,25 @@ export default function CategoryManagerIsland() {
                   ✏️
                 </button>
                 <button
-                  onClick={() => deleteCategory(category.id)}
+                  onClick={() => startMerge(category)}
+                  className="p-1 text-purple-600 hover:bg-purple-100 dark:hover:bg-purple-900 rounded"
+                  title="合并到其他分类"
+                  disabled={categories.length < 2}
+                >
+                  🔀
+                </button>
+                <button
+                  onClick={() => startSplit(category)}
+                  className="p-1 text-yellow-600 hover:bg-yellow-100 dark:hover:bg-yellow-900 rounded"
+                  title="拆分出新分类"
+                  disabled={!category.siteCount || isProcessing}
+                >
+                  ✂️
+                </button>
+                <button
+                  onClick={() => startDelete(category)}
                   className="p-1 text-red-600 hover:bg-red-100 dark:hover:bg-red-900 rounded"
                   title="删除"
-                  disabled={category.siteCount > 0}
                 >
                   🗑️
                 </button>
@@ -506,6 +1085,7 @@ export default function CategoryManagerIsland() {
     <div className="bg-gray-50 dark:bg-gray-900 min-h-screen">
       {renderToolbar()}
       {renderCategoryForm()}
+      {renderOperationPanel()}
       {renderCategoryList()}
     </div>
   );
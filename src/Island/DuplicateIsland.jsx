@@ -0,0 +1,394 @@
+/**
+ * 重复书签组件
+ * 基于现有 Island 组件模式，按规范化 URL 和标题相似度列出重复书签，
+ * 选择保留的书签后合并其余书签（信息补全到保留的书签，点击数累加）
+ * @author Claude 4.0 sonnet
+ * @version 1.0.0
+ */
+
+import { useState, useEffect, useRef } from 'react';
+import { handleError } from '../utils/error-handler.js';
+import { api } from '../utils/api-client.js';
+import { formatETag } from '../utils/etag.js';
+
+/**
+ * 重复原因显示配置
+ */
+const REASON_CONFIG = {
+  url: { label: 'URL 相同', className: 'bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-200' },
+  title: { label: '标题相近', className: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900 dark:text-yellow-200' }
+};
+
+/**
+ * 标题相似度阈值选项
+ */
+const THRESHOLD_OPTIONS = [
+  { value: 0.7, label: '宽松（0.7）' },
+  { value: 0.8, label: '默认（0.8）' },
+  { value: 0.9, label: '严格（0.9）' },
+  { value: 1, label: '仅 URL 相同或标题一致' }
+];
+
+export default function DuplicateIsland() {
+  const [groups, setGroups] = useState([]);
+  const [revision, setRevision] = useState(null);
+  const [threshold, setThreshold] = useState(0.8);
+  const [selections, setSelections] = useState({}); // 每组的选择：{ target, sources }
+  const [isLoading, setIsLoading] = useState(true);
+  const [isProcessing, setIsProcessing] = useState(false);
+  const [error, setError] = useState(null);
+
+  // API 调用控制
+  const isApiCallInProgress = useRef(false);
+  const lastApiCallTime = useRef(0);
+  const MIN_API_INTERVAL = 1000;
+
+  /**
+   * 获取重复书签
+   * @param {number} value - 标题相似度阈值
+   */
+  const fetchDuplicates = async (value = threshold) => {
+    if (isApiCallInProgress.current) {
+      console.log('重复书签 API 调用正在进行中，跳过重复请求');
+      return;
+    }
+
+    const now = Date.now();
+    if (now - lastApiCallTime.current < MIN_API_INTERVAL) {
+      console.log('重复书签 API 调用过于频繁，跳过请求');
+      return;
+    }
+
+    isApiCallInProgress.current = true;
+    lastApiCallTime.current = now;
+
+    try {
+      console.log('👯 查找重复书签...');
+      const response = await api.get(`/api/bookmarks/duplicates?threshold=${value}`);
+      const list = response.data?.groups || [];
+      setGroups(list);
+      setRevision(response.revision ?? null);
+      // 默认保留建议的书签，合并组内其他书签
+      setSelections(Object.fromEntries(list.map(group => [group.key, {
+        target: group.targetId,
+        sources: group.sites.filter(site => site.id !== group.targetId).map(site => site.id)
+      }])));
+      setError(null);
+      console.log(`✅ 找到 ${list.length} 组重复书签`);
+    } catch (error) {
+      console.error('❌ 查找重复书签失败:', error);
+      const appError = handleError.generic(error, { operation: 'fetch_duplicates' });
+      setError(appError.getUserMessage());
+    } finally {
+      setIsLoading(false);
+      isApiCallInProgress.current = false;
+    }
+  };
+
+  /**
+   * 重新扫描
+   * @param {number} value - 标题相似度阈值
+   */
+  const rescan = async (value = threshold) => {
+    lastApiCallTime.current = 0;
+    setIsLoading(true);
+    await fetchDuplicates(value);
+  };
+
+  /**
+   * 修改阈值并重新扫描
+   * @param {string} value - 阈值
+   */
+  const handleThresholdChange = (value) => {
+    const next = Number(value);
+    setThreshold(next);
+    rescan(next);
+  };
+
+  /**
+   * 选择组内保留的书签，其他书签默认全部合并
+   * @param {Object} group - 重复组
+   * @param {string} siteId - 保留的书签 ID
+   */
+  const selectTarget = (group, siteId) => {
+    setSelections(prev => ({
+      ...prev,
+      [group.key]: {
+        target: siteId,
+        sources: group.sites.filter(site => site.id !== siteId).map(site => site.id)
+      }
+    }));
+  };
+
+  /**
+   * 切换书签是否参与合并
+   * @param {Object} group - 重复组
+   * @param {string} siteId - 书签 ID
+   */
+  const toggleSource = (group, siteId) => {
+    setSelections(prev => {
+      const selection = prev[group.key];
+      const sources = selection.sources.includes(siteId)
+        ? selection.sources.filter(id => id !== siteId)
+        : [...selection.sources, siteId];
+      return { ...prev, [group.key]: { ...selection, sources } };
+    });
+  };
+
+  /**
+   * 合并一组重复书签
+   * @param {Object} group - 重复组
+   */
+  const mergeGroup = async (group) => {
+    const { target, sources } = selections[group.key] || {};
+    if (!target || !sources?.length) return;
+
+    const targetSite = group.sites.find(site => site.id === target);
+    if (!confirm(`确定要将 ${sources.length} 个书签合并到"${targetSite?.title}"吗？被合并的书签将移入回收站，点击数累加到保留的书签。`)) {
+      return;
+    }
+
+    try {
+      setIsProcessing(true);
+      console.log(`🔗 合并重复书签: ${sources.join(', ')} → ${target}`);
+      await api.post('/api/bookmarks/duplicates', { target, sources }, {
+        headers: revision === null ? {} : { 'If-Match': formatETag('sites', revision) }
+      });
+      console.log('✅ 重复书签已合并');
+      await rescan();
+    } catch (error) {
+      console.error('❌ 合并重复书签失败:', error);
+      if (error.status === 409) {
+        alert('书签数据已被其他会话修改，已重新加载最新数据，请确认后重试。');
+        await rescan();
+        return;
+      }
+      if (error.status === 400) {
+        alert(error.body?.data?.reason || error.body?.message || '合并失败');
+        return;
+      }
+      const appError = handleError.generic(error, { operation: 'merge_duplicates' });
+      setError(appError.getUserMessage());
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
+  // 组件初始化
+  useEffect(() => {
+    let isComponentMounted = true;
+
+    const initDuplicates = () => {
+      if (!isComponentMounted) return;
+
+      // 使用 requestIdleCallback 优化性能
+      if ('requestIdleCallback' in window) {
+        window.requestIdleCallback(() => {
+          if (isComponentMounted) {
+            fetchDuplicates();
+          }
+        });
+      } else {
+        setTimeout(() => {
+          if (isComponentMounted) {
+            fetchDuplicates();
+          }
+        }, 100);
+      }
+    };
+
+    initDuplicates();
+
+    return () => {
+      isComponentMounted = false;
+    };
+  }, []);
+
+  /**
+   * 渲染一组重复书签
+   * @param {Object} group - 重复组
+   */
+  const renderGroup = (group) => {
+    const selection = selections[group.key] || { target: group.targetId, sources: [] };
+
+    return (
+      <div
+        key={group.key}
+        className="bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg p-4"
+      >
+        <div className="flex flex-wrap items-center justify-between gap-3 mb-3">
+          <div className="flex flex-wrap items-center gap-2 min-w-0">
+            <span className="font-mono text-sm text-gray-700 dark:text-gray-300 truncate">{group.key}</span>
+            {group.reasons.map(reason => (
+              <span key={reason} className={`px-2 py-0.5 text-xs rounded-full ${REASON_CONFIG[reason]?.className || ''}`}>
+                {REASON_CONFIG[reason]?.label || reason}
+              </span>
+            ))}
+          </div>
+          <button
+            onClick={() => mergeGroup(group)}
+            disabled={isProcessing || selection.sources.length === 0}
+            className="px-3 py-1 text-sm bg-blue-500 text-white rounded-md hover:bg-blue-600 disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors"
+          >
+            🔗 合并 {selection.sources.length} 个
+          </button>
+        </div>
+
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-gray-500 dark:text-gray-400">
+              <th className="py-1 pr-3 font-normal">保留</th>
+              <th className="py-1 pr-3 font-normal">合并</th>
+              <th className="py-1 pr-3 font-normal">书签</th>
+              <th className="py-1 pr-3 font-normal">标签</th>
+              <th className="py-1 font-normal text-right">点击</th>
+            </tr>
+          </thead>
+          <tbody>
+            {group.sites.map(site => {
+              const isTarget = selection.target === site.id;
+              return (
+                <tr key={site.id} className="border-t border-gray-100 dark:border-gray-700 align-top">
+                  <td className="py-2 pr-3">
+                    <input
+                      type="radio"
+                      name={`duplicate-target-${group.key}`}
+                      checked={isTarget}
+                      onChange={() => selectTarget(group, site.id)}
+                    />
+                  </td>
+                  <td className="py-2 pr-3">
+                    <input
+                      type="checkbox"
+                      checked={selection.sources.includes(site.id)}
+                      disabled={isTarget}
+                      onChange={() => toggleSource(group, site.id)}
+                    />
+                  </td>
+                  <td className="py-2 pr-3 min-w-0">
+                    <div className="font-medium text-gray-900 dark:text-white">
+                      {site.title}
+                      {site.id === group.targetId && (
+                        <span className="ml-2 text-xs text-green-600 dark:text-green-400">建议保留</span>
+                      )}
+                    </div>
+                    <a
+                      href={site.url}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className="text-xs text-blue-600 dark:text-blue-400 hover:underline break-all"
+                    >
+                      {site.url}
+                    </a>
+                    {site.description && site.description !== site.title && (
+                      <div className="text-xs text-gray-500 dark:text-gray-400 line-clamp-2">{site.description}</div>
+                    )}
+                  </td>
+                  <td className="py-2 pr-3 text-xs text-gray-600 dark:text-gray-400">
+                    {(site.tags || []).map(tag => `#${tag}`).join(' ')}
+                  </td>
+                  <td className="py-2 text-right text-gray-700 dark:text-gray-300">{site.clicks}</td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    );
+  };
+
+  /**
+   * 渲染重复书签列表
+   */
+  const renderDuplicateList = () => {
+    if (isLoading) {
+      return (
+        <div className="flex items-center justify-center py-12">
+          <div className="text-center">
+            <div className="text-2xl mb-2">⏳</div>
+            <div className="text-gray-600 dark:text-gray-300 flex items-end">
+              加载中
+              <span className="inline-block ml-px font-bold animate-wave">.</span>
+              <span className="inline-block ml-px font-bold animate-wave [animation-delay:0.1s]">.</span>
+              <span className="inline-block ml-px font-bold animate-wave [animation-delay:0.2s]">.</span>
+            </div>
+          </div>
+        </div>
+      );
+    }
+
+    if (error) {
+      return (
+        <div className="flex items-center justify-center py-12">
+          <div className="text-center">
+            <div className="text-2xl mb-2">❌</div>
+            <div className="text-red-600 dark:text-red-400 mb-4">{error}</div>
+            <button
+              onClick={() => rescan()}
+              className="px-4 py-2 bg-blue-500 text-white rounded-md hover:bg-blue-600 transition-colors"
+            >
+              重试
+            </button>
+          </div>
+        </div>
+      );
+    }
+
+    if (groups.length === 0) {
+      return (
+        <div className="text-center py-12">
+          <div className="text-4xl mb-4">✨</div>
+          <h3 className="text-lg font-medium text-gray-900 dark:text-white mb-2">
+            没有重复书签
+          </h3>
+          <p className="text-gray-600 dark:text-gray-400">
+            所有书签的地址都不相同
+          </p>
+        </div>
+      );
+    }
+
+    return (
+      <div className="p-6 space-y-4">
+        {groups.map(renderGroup)}
+      </div>
+    );
+  };
+
+  return (
+    <div className="bg-gray-50 dark:bg-gray-900 min-h-screen">
+      <div className="bg-white dark:bg-gray-800 p-4 border-b border-gray-200 dark:border-gray-700">
+        <div className="flex flex-wrap items-center justify-between gap-4">
+          <div>
+            <h2 className="text-xl font-semibold text-gray-900 dark:text-white">
+              👯 重复书签
+            </h2>
+            <p className="text-sm text-gray-600 dark:text-gray-400">
+              忽略协议、www、结尾斜杠和跟踪参数后地址相同，或同一站点下标题相近的书签
+            </p>
+          </div>
+          <div className="flex items-center gap-2">
+            <select
+              value={threshold}
+              onChange={(e) => handleThresholdChange(e.target.value)}
+              className="px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              title="标题相似度阈值"
+            >
+              {THRESHOLD_OPTIONS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+            <button
+              onClick={() => rescan()}
+              disabled={isLoading || isProcessing}
+              className="px-4 py-2 bg-blue-500 text-white rounded-md hover:bg-blue-600 disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors"
+            >
+              🔄 重新扫描
+            </button>
+          </div>
+        </div>
+      </div>
+      {renderDuplicateList()}
+    </div>
+  );
+}
@@ -0,0 +1,407 @@
+/**
+ * 变更历史组件
+ * 基于现有 Island 组件模式，浏览书签和分类的修改记录，支持撤销、重做和回滚
+ * @author Claude 4.0 sonnet
+ * @version 1.0.0
+ */
+
+import { useState, useEffect, useRef } from 'react';
+import { handleError } from '../utils/error-handler.js';
+import { api } from '../utils/api-client.js';
+
+/**
+ * 操作类型显示配置
+ */
+const ACTION_CONFIG = {
+  create: { label: '新增', icon: '➕', className: 'bg-green-100 dark:bg-green-900 text-green-700 dark:text-green-300' },
+  update: { label: '修改', icon: '✏️', className: 'bg-blue-100 dark:bg-blue-900 text-blue-700 dark:text-blue-300' },
+  delete: { label: '删除', icon: '🗑️', className: 'bg-red-100 dark:bg-red-900 text-red-700 dark:text-red-300' },
+  batch: { label: '批量', icon: '📦', className: 'bg-purple-100 dark:bg-purple-900 text-purple-700 dark:text-purple-300' },
+  revert: { label: '还原', icon: '↩️', className: 'bg-yellow-100 dark:bg-yellow-900 text-yellow-700 dark:text-yellow-300' },
+  undo: { label: '撤销', icon: '↩️', className: 'bg-yellow-100 dark:bg-yellow-900 text-yellow-700 dark:text-yellow-300' },
+  redo: { label: '重做', icon: '↪️', className: 'bg-yellow-100 dark:bg-yellow-900 text-yellow-700 dark:text-yellow-300' },
+  rollback: { label: '回滚', icon: '⏪', className: 'bg-orange-100 dark:bg-orange-900 text-orange-700 dark:text-orange-300' }
+};
+
+/**
+ * 集合筛选选项
+ */
+const COLLECTION_FILTERS = [
+  { value: '', label: '全部' },
+  { value: 'sites', label: '书签' },
+  { value: 'categories', label: '分类' }
+];
+
+export default function HistoryIsland() {
+  const [entries, setEntries] = useState([]);
+  const [undoTarget, setUndoTarget] = useState(null);
+  const [redoTarget, setRedoTarget] = useState(null);
+  const [collection, setCollection] = useState('');
+  const [expandedId, setExpandedId] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isProcessing, setIsProcessing] = useState(false);
+  const [error, setError] = useState(null);
+
+  // API 调用控制
+  const isApiCallInProgress = useRef(false);
+  const lastApiCallTime = useRef(0);
+  const MIN_API_INTERVAL = 1000;
+
+  /**
+   * 获取变更历史
+   * @param {string} filter - 集合筛选
+   */
+  const fetchHistory = async (filter = collection) => {
+    if (isApiCallInProgress.current) {
+      console.log('历史 API 调用正在进行中，跳过重复请求');
+      return;
+    }
+
+    const now = Date.now();
+    if (now - lastApiCallTime.current < MIN_API_INTERVAL) {
+      console.log('历史 API 调用过于频繁，跳过请求');
+      return;
+    }
+
+    isApiCallInProgress.current = true;
+    lastApiCallTime.current = now;
+
+    try {
+      console.log('🕘 获取变更历史...');
+      const params = new URLSearchParams({ limit: '100' });
+      if (filter) {
+        params.set('collection', filter);
+      }
+      const response = await api.get(`/api/history?${params.toString()}`);
+      setEntries(response.data?.entries || []);
+      setUndoTarget(response.data?.undo || null);
+      setRedoTarget(response.data?.redo || null);
+      setError(null);
+      console.log(`✅ 获取到 ${response.data?.entries?.length || 0} 条变更历史`);
+    } catch (error) {
+      console.error('❌ 获取变更历史失败:', error);
+      const appError = handleError.generic(error, { operation: 'fetch_history' });
+      setError(appError.getUserMessage());
+    } finally {
+      setIsLoading(false);
+      isApiCallInProgress.current = false;
+    }
+  };
+
+  /**
+   * 执行历史操作
+   * @param {Object} payload - 请求数据（action、id、timestamp）
+   * @param {string} confirmMessage - 确认提示
+   */
+  const runHistoryAction = async (payload, confirmMessage) => {
+    if (confirmMessage && !confirm(confirmMessage)) {
+      return;
+    }
+
+    try {
+      setIsProcessing(true);
+      console.log(`↩️ 执行历史操作: ${payload.action}`);
+      await api.post('/api/history', payload);
+      console.log('✅ 历史操作成功');
+
+      lastApiCallTime.current = 0;
+      await fetchHistory();
+    } catch (error) {
+      console.error('❌ 历史操作失败:', error);
+      if (error.status === 409 || error.status === 400) {
+        alert(error.body?.data?.reason || error.body?.message || '操作失败，请刷新后重试');
+        lastApiCallTime.current = 0;
+        await fetchHistory();
+        return;
+      }
+      const appError = handleError.generic(error, { operation: 'history_action' });
+      setError(appError.getUserMessage());
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
+  /**
+   * 切换集合筛选
+   * @param {string} value - 集合类型
+   */
+  const changeCollection = (value) => {
+    setCollection(value);
+    setExpandedId(null);
+    lastApiCallTime.current = 0;
+    fetchHistory(value);
+  };
+
+  /**
+   * 格式化时间
+   * @param {number} timestamp - 时间戳
+   * @returns {string}
+   */
+  const formatTime = (timestamp) => new Date(timestamp).toLocaleString('zh-CN');
+
+  /**
+   * 获取记录的显示名称
+   * @param {Object} change - 变更
+   * @returns {string}
+   */
+  const getRecordName = (change) => {
+    const record = change.after || change.before || {};
+    return record.title || record.name || change.id;
+  };
+
+  /**
+   * 列出修改前后不同的字段
+   * @param {Object} change - 变更
+   * @returns {Array<{field: string, before: any, after: any}>}
+   */
+  const getChangedFields = (change) => {
+    if (!change.before || !change.after) return [];
+    const fields = new Set([...Object.keys(change.before), ...Object.keys(change.after)]);
+    return [...fields]
+      .filter(field => JSON.stringify(change.before[field]) !== JSON.stringify(change.after[field]))
+      .map(field => ({ field, before: change.before[field], after: change.after[field] }));
+  };
+
+  // 组件初始化
+  useEffect(() => {
+    let isComponentMounted = true;
+
+    const initHistory = () => {
+      if (!isComponentMounted) return;
+
+      // 使用 requestIdleCallback 优化性能
+      if ('requestIdleCallback' in window) {
+        window.requestIdleCallback(() => {
+          if (isComponentMounted) {
+            fetchHistory();
+          }
+        });
+      } else {
+        setTimeout(() => {
+          if (isComponentMounted) {
+            fetchHistory();
+          }
+        }, 100);
+      }
+    };
+
+    initHistory();
+
+    return () => {
+      isComponentMounted = false;
+    };
+  }, []);
+
+  /**
+   * 渲染工具栏
+   */
+  const renderToolbar = () => (
+    <div className="bg-white dark:bg-gray-800 p-4 border-b border-gray-200 dark:border-gray-700">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <h2 className="text-xl font-semibold text-gray-900 dark:text-white">
+          🕘 变更历史
+        </h2>
+
+        <div className="flex flex-wrap items-center gap-2">
+          <select
+            value={collection}
+            onChange={(e) => changeCollection(e.target.value)}
+            className="px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-sm"
+          >
+            {COLLECTION_FILTERS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+          <button
+            onClick={() => runHistoryAction({ action: 'undo' }, `确定要撤销「${undoTarget?.summary}」吗？`)}
+            disabled={!undoTarget || isProcessing}
+            title={undoTarget ? `撤销: ${undoTarget.summary}` : '没有可撤销的变更'}
+            className="px-4 py-2 bg-yellow-500 text-white rounded-md hover:bg-yellow-600 disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors flex items-center gap-2"
+          >
+            <span>↩️</span>
+            撤销
+          </button>
+          <button
+            onClick={() => runHistoryAction({ action: 'redo' })}
+            disabled={!redoTarget || isProcessing}
+            title={redoTarget ? `重做: ${redoTarget.summary}` : '没有可重做的变更'}
+            className="px-4 py-2 bg-blue-500 text-white rounded-md hover:bg-blue-600 disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors flex items-center gap-2"
+          >
+            <span>↪️</span>
+            重做
+          </button>
+          <button
+            onClick={() => {
+              lastApiCallTime.current = 0;
+              fetchHistory();
+            }}
+            disabled={isProcessing}
+            className="px-4 py-2 bg-gray-500 text-white rounded-md hover:bg-gray-600 disabled:cursor-not-allowed transition-colors flex items-center gap-2"
+          >
+            <span>🔄</span>
+            刷新
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+
+  /**
+   * 渲染变更详情
+   * @param {Object} entry - 历史记录
+   */
+  const renderChanges = (entry) => (
+    <div className="mt-3 border-t border-gray-200 dark:border-gray-700 pt-3 space-y-2">
+      {entry.changes.length === 0 && entry.beforeOrder && (
+        <div className="text-sm text-gray-600 dark:text-gray-400">仅调整了排列顺序</div>
+      )}
+      {entry.changes.map(change => {
+        const changedFields = getChangedFields(change);
+        return (
+          <div key={change.id} className="text-sm">
+            <div className="font-medium text-gray-900 dark:text-white">
+              {change.before === null ? '➕' : change.after === null ? '➖' : '✏️'} {getRecordName(change)}
+              <span className="ml-2 text-xs text-gray-500">ID: {change.id}</span>
+            </div>
+            {changedFields.map(({ field, before, after }) => (
+              <div key={field} className="ml-6 text-xs font-mono break-all">
+                <span className="text-gray-500">{field}: </span>
+                <span className="text-red-600 dark:text-red-400 line-through">{JSON.stringify(before)}</span>
+                <span className="mx-1 text-gray-400">→</span>
+                <span className="text-green-600 dark:text-green-400">{JSON.stringify(after)}</span>
+              </div>
+            ))}
+          </div>
+        );
+      })}
+    </div>
+  );
+
+  /**
+   * 渲染历史列表
+   */
+  const renderHistoryList = () => {
+    if (isLoading) {
+      return (
+        <div className="flex items-center justify-center py-12">
+          <div className="text-center">
+            <div className="text-2xl mb-2">⏳</div>
+            <div className="text-gray-600 dark:text-gray-300 flex items-end">
+              加载中
+              <span className="inline-block ml-px font-bold animate-wave">.</span>
+              <span className="inline-block ml-px font-bold animate-wave [animation-delay:0.1s]">.</span>
+              <span className="inline-block ml-px font-bold animate-wave [animation-delay:0.2s]">.</span>
+            </div>
+          </div>
+        </div>
+      );
+    }
+
+    if (error) {
+      return (
+        <div className="flex items-center justify-center py-12">
+          <div className="text-center">
+            <div className="text-2xl mb-2">❌</div>
+            <div className="text-red-600 dark:text-red-400 mb-4">{error}</div>
+            <button
+              onClick={() => fetchHistory()}
+              className="px-4 py-2 bg-blue-500 text-white rounded-md hover:bg-blue-600 transition-colors"
+            >
+              重试
+            </button>
+          </div>
+        </div>
+      );
+    }
+
+    if (entries.length === 0) {
+      return (
+        <div className="text-center py-12">
+          <div className="text-4xl mb-4">🕘</div>
+          <h3 className="text-lg font-medium text-gray-900 dark:text-white mb-2">
+            暂无变更记录
+          </h3>
+          <p className="text-gray-600 dark:text-gray-400">
+            书签和分类的修改会记录在这里
+          </p>
+        </div>
+      );
+    }
+
+    return (
+      <div className="p-6 space-y-3">
+        {entries.map(entry => {
+          const config = ACTION_CONFIG[entry.action] || ACTION_CONFIG.batch;
+          const isReverted = Boolean(entry.revertedBy);
+
+          return (
+            <div
+              key={entry.id}
+              className={`bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg p-4 ${
+                isReverted ? 'opacity-60' : ''
+              }`}
+            >
+              <div className="flex flex-wrap items-start justify-between gap-3">
+                <div className="min-w-0 flex-1">
+                  <div className="flex items-center gap-2 mb-1">
+                    <span className={`px-2 py-0.5 rounded text-xs font-medium ${config.className}`}>
+                      {config.icon} {config.label}
+                    </span>
+                    <span className={`font-medium text-gray-900 dark:text-white truncate ${isReverted ? 'line-through' : ''}`}>
+                      {entry.summary}
+                    </span>
+                  </div>
+                  <div className="text-xs text-gray-500 dark:text-gray-400">
+                    {formatTime(entry.timestamp)} · {entry.actor}{entry.ip ? ` (${entry.ip})` : ''} · 来源: {entry.source} · 版本 {entry.revision}
+                    {isReverted && ' · 已撤销'}
+                  </div>
+                </div>
+
+                <div className="flex gap-1">
+                  <button
+                    onClick={() => setExpandedId(expandedId === entry.id ? null : entry.id)}
+                    className="px-2 py-1 text-sm text-gray-600 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 rounded"
+                    title="查看详情"
+                  >
+                    {expandedId === entry.id ? '收起' : '详情'}
+                  </button>
+                  <button
+                    onClick={() => runHistoryAction(
+                      { action: 'revert', id: entry.id },
+                      `确定要撤销「${entry.summary}」吗？`
+                    )}
+                    disabled={isReverted || isProcessing}
+                    className="px-2 py-1 text-sm text-yellow-700 dark:text-yellow-300 hover:bg-yellow-100 dark:hover:bg-yellow-900 rounded disabled:opacity-40 disabled:cursor-not-allowed"
+                    title="撤销此变更"
+                  >
+                    ↩️ 撤销
+                  </button>
+                  <button
+                    onClick={() => runHistoryAction(
+                      { action: 'rollback', timestamp: entry.timestamp },
+                      `确定要回滚到 ${formatTime(entry.timestamp)} 吗？此后的所有变更都将被撤销。`
+                    )}
+                    disabled={isProcessing}
+                    className="px-2 py-1 text-sm text-orange-700 dark:text-orange-300 hover:bg-orange-100 dark:hover:bg-orange-900 rounded disabled:opacity-40 disabled:cursor-not-allowed"
+                    title="回滚到此变更完成时的状态"
+                  >
+                    ⏪ 回滚到此
+                  </button>
+                </div>
+              </div>
+
+              {expandedId === entry.id && renderChanges(entry)}
+            </div>
+          );
+        })}
+      </div>
+    );
+  };
+
+  return (
+    <div className="bg-gray-50 dark:bg-gray-900 min-h-screen">
+      {renderToolbar()}
+      {renderHistoryList()}
+    </div>
+  );
+}
@@ -38,6 +38,7 @@ export default function ImportExportIsland() {
   const [importProgress, setImportProgress] = useState(0);
   const [error, setError] = useState(null);
   const [successMessage, setSuccessMessage] = useState('');
+  const [mergeMode, setMergeMode] = useState('append');
   
   // 文件输入引用
   const fileInputRef = useRef(null);
@@ -103,6 +104,10 @@ export default function ImportExportIsland() {
   const confirmImport = async () => {
     if (!parseResult || isApiCallInProgress.current) return;
 
+    if (mergeMode === 'replace' && !confirm('替换模式会删除现有的全部书签和分类，导入前会自动创建备份。确定继续吗？')) {
+      return;
+    }
+
     try {
       isApiCallInProgress.current = true;
       setImportStatus(ImportStatus.IMPORTING);
@@ -116,14 +121,15 @@ export default function ImportExportIsland() {
         categories: parseResult.categories,
         sites: parseResult.sites,
         options: {
-          mergeMode: 'append', // 追加模式
+          mergeMode,           // 追加或替换
           downloadIcons: true  // 自动下载图标
         }
       });
 
       setImportProgress(100);
       setImportStatus(ImportStatus.COMPLETED);
-      setSuccessMessage(`导入成功！共导入 ${response.data.importedSites} 个书签，${response.data.importedCategories} 个分类`);
+      setSuccessMessage(`导入成功！共导入 ${response.data.importedSites} 个书签，${response.data.importedCategories} 个分类` +
+        (response.data.backupId ? `，导入前的数据已备份（${response.data.backupId}）` : ''));
       
       console.log('✅ 书签导入完成');
 
@@ -335,6 +341,33 @@ export default function ImportExportIsland() {
               </div>
             </div>
 
+            {/* 导入方式 */}
+            <div className="mb-6">
+              <h4 className="font-medium text-gray-900 dark:text-white mb-3">导入方式：</h4>
+              <div className="flex flex-wrap gap-4 text-sm text-gray-700 dark:text-gray-300">
+                <label className="flex items-center gap-2">
+                  <input
+                    type="radio"
+                    name="merge-mode"
+                    value="append"
+                    checked={mergeMode === 'append'}
+                    onChange={() => setMergeMode('append')}
+                  />
+                  追加到现有书签
+                </label>
+                <label className="flex items-center gap-2">
+                  <input
+                    type="radio"
+                    name="merge-mode"
+                    value="replace"
+                    checked={mergeMode === 'replace'}
+                    onChange={() => setMergeMode('replace')}
+                  />
+                  替换现有书签（自动备份）
+                </label>
+              </div>
+            </div>
+
             <div className="flex gap-3">
               <button
                 onClick={confirmImport}
@@ -0,0 +1,431 @@
+/**
+ * 链接检查组件
+ * 基于现有 Island 组件模式，分批检查书签链接是否可以访问，列出失效和重定向的书签，
+ * 并可将永久重定向的书签地址更新为重定向后的地址
+ * @author Claude 4.0 sonnet
+ * @version 1.0.0
+ */
+
+import { useState, useEffect, useRef } from 'react';
+import { handleError } from '../utils/error-handler.js';
+import { api, ApiClient } from '../utils/api-client.js';
+import { formatETag } from '../utils/etag.js';
+
+/**
+ * 检查一批链接耗时较长，使用单独的超时时间
+ */
+const checkClient = new ApiClient({ timeout: 60000 });
+
+/**
+ * 链接状态显示配置
+ */
+const STATUS_CONFIG = {
+  ok: { label: '正常', className: 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-200' },
+  redirected: { label: '已重定向', className: 'bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-200' },
+  restricted: { label: '受限', className: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900 dark:text-yellow-200' },
+  broken: { label: '失效', className: 'bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-200' },
+  unreachable: { label: '无法访问', className: 'bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-200' },
+  unchecked: { label: '未检查', className: 'bg-gray-100 text-gray-700 dark:bg-gray-700 dark:text-gray-300' }
+};
+
+/**
+ * 状态筛选选项
+ */
+const FILTER_OPTIONS = [
+  { value: 'problems', label: '需要处理（失效、重定向）' },
+  { value: 'all', label: '全部' },
+  ...Object.entries(STATUS_CONFIG).map(([value, config]) => ({ value, label: config.label }))
+];
+
+/**
+ * 单次检查的书签数量选项
+ */
+const BATCH_SIZE_OPTIONS = [10, 20, 50];
+
+export default function LinkHealthIsland() {
+  const [entries, setEntries] = useState([]);
+  const [summary, setSummary] = useState(null);
+  const [revision, setRevision] = useState(null);
+  const [filter, setFilter] = useState('problems');
+  const [batchSize, setBatchSize] = useState(20);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isChecking, setIsChecking] = useState(false);
+  const [isProcessing, setIsProcessing] = useState(false);
+  const [error, setError] = useState(null);
+
+  // API 调用控制
+  const isApiCallInProgress = useRef(false);
+  const lastApiCallTime = useRef(0);
+  const MIN_API_INTERVAL = 1000;
+
+  /**
+   * 获取链接检查结果
+   */
+  const fetchResults = async () => {
+    if (isApiCallInProgress.current) {
+      console.log('链接检查 API 调用正在进行中，跳过重复请求');
+      return;
+    }
+
+    const now = Date.now();
+    if (now - lastApiCallTime.current < MIN_API_INTERVAL) {
+      console.log('链接检查 API 调用过于频繁，跳过请求');
+      return;
+    }
+
+    isApiCallInProgress.current = true;
+    lastApiCallTime.current = now;
+
+    try {
+      console.log('🩺 获取链接检查结果...');
+      const response = await api.get('/api/health/links');
+      setEntries(response.data?.results || []);
+      setSummary(response.data?.summary || null);
+      setRevision(response.revision ?? null);
+      setError(null);
+      console.log('✅ 链接检查结果加载成功');
+    } catch (error) {
+      console.error('❌ 获取链接检查结果失败:', error);
+      const appError = handleError.generic(error, { operation: 'fetch_link_health' });
+      setError(appError.getUserMessage());
+    } finally {
+      setIsLoading(false);
+      isApiCallInProgress.current = false;
+    }
+  };
+
+  /**
+   * 重新加载
+   */
+  const reload = async () => {
+    lastApiCallTime.current = 0;
+    setIsLoading(true);
+    await fetchResults();
+  };
+
+  /**
+   * 检查链接
+   * @param {string[]} ids - 指定的书签 ID，为空时检查最久未检查的一批
+   */
+  const runCheck = async (ids) => {
+    try {
+      setIsChecking(true);
+      console.log(`🩺 检查链接: ${ids ? ids.join(', ') : `最久未检查的 ${batchSize} 个`}`);
+      const response = await checkClient.post('/api/health/links', ids ? { ids } : { limit: batchSize });
+      console.log(`✅ ${response.message}`);
+      lastApiCallTime.current = 0;
+      await fetchResults();
+    } catch (error) {
+      console.error('❌ 检查链接失败:', error);
+      if (error.status === 400) {
+        alert(error.body?.message || '检查失败');
+        return;
+      }
+      const appError = handleError.generic(error, { operation: 'check_links' });
+      alert(appError.getUserMessage());
+    } finally {
+      setIsChecking(false);
+    }
+  };
+
+  /**
+   * 将永久重定向的书签地址更新为重定向后的地址
+   * @param {string[]} ids - 指定的书签 ID，为空时更新全部
+   */
+  const applyRedirects = async (ids) => {
+    const count = ids ? ids.length : summary?.permanentRedirects || 0;
+    if (!confirm(`确定要将 ${count} 个书签的地址更新为重定向后的地址吗？`)) {
+      return;
+    }
+
+    try {
+      setIsProcessing(true);
+      const response = await api.post('/api/health/redirects', ids ? { ids } : {}, {
+        headers: revision === null ? {} : { 'If-Match': formatETag('sites', revision) }
+      });
+      console.log(`✅ ${response.message}`);
+      if (response.data?.failed > 0) {
+        alert(response.message);
+      }
+      await reload();
+    } catch (error) {
+      console.error('❌ 更新重定向地址失败:', error);
+      if (error.status === 409) {
+        alert('书签数据已被其他会话修改，已重新加载最新数据，请确认后重试。');
+        await reload();
+        return;
+      }
+      if (error.status === 400) {
+        alert(error.body?.data?.reason || error.body?.message || '更新失败');
+        return;
+      }
+      const appError = handleError.generic(error, { operation: 'apply_redirects' });
+      setError(appError.getUserMessage());
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
+  // 组件初始化
+  useEffect(() => {
+    let isComponentMounted = true;
+
+    const initLinkHealth = () => {
+      if (!isComponentMounted) return;
+
+      // 使用 requestIdleCallback 优化性能
+      if ('requestIdleCallback' in window) {
+        window.requestIdleCallback(() => {
+          if (isComponentMounted) {
+            fetchResults();
+          }
+        });
+      } else {
+        setTimeout(() => {
+          if (isComponentMounted) {
+            fetchResults();
+          }
+        }, 100);
+      }
+    };
+
+    initLinkHealth();
+
+    return () => {
+      isComponentMounted = false;
+    };
+  }, []);
+
+  /**
+   * 按筛选条件过滤结果
+   * @returns {Array}
+   */
+  const getFilteredEntries = () => {
+    const statusOf = (entry) => entry.health?.status || 'unchecked';
+    switch (filter) {
+      case 'all':
+        return entries;
+      case 'problems':
+        return entries.filter(entry => ['broken', 'unreachable', 'redirected'].includes(statusOf(entry)));
+      default:
+        return entries.filter(entry => statusOf(entry) === filter);
+    }
+  };
+
+  /**
+   * 渲染统计信息
+   */
+  const renderSummary = () => {
+    if (!summary) return null;
+
+    return (
+      <div className="flex flex-wrap gap-2 px-6 pt-6">
+        {Object.entries(STATUS_CONFIG).map(([status, config]) => (
+          <button
+            key={status}
+            onClick={() => setFilter(status)}
+            className={`px-3 py-1 text-sm rounded-full ${config.className} ${filter === status ? 'ring-2 ring-blue-500' : ''}`}
+          >
+            {config.label} {summary[status] || 0}
+          </button>
+        ))}
+        <span className="px-3 py-1 text-sm text-gray-600 dark:text-gray-400">
+          共 {summary.total} 个
+          {summary.lastCheckedAt && `，最近检查于 ${new Date(summary.lastCheckedAt).toLocaleString()}`}
+        </span>
+      </div>
+    );
+  };
+
+  /**
+   * 渲染检查详情
+   * @param {Object} health - 检查结果
+   */
+  const renderDetail = (health) => {
+    if (!health) return <span className="text-gray-400">-</span>;
+
+    return (
+      <div className="text-xs text-gray-600 dark:text-gray-400 space-y-0.5">
+        <div>
+          {health.statusCode ? `HTTP ${health.statusCode}` : health.error}
+          {health.latency !== undefined && ` · ${health.latency}ms`}
+        </div>
+        {health.finalUrl !== health.url && (
+          <div className="break-all">
+            → {health.finalUrl}
+            {health.permanentRedirect && <span className="ml-1 text-blue-600 dark:text-blue-400">（永久）</span>}
+          </div>
+        )}
+        <div>{new Date(health.checkedAt).toLocaleString()}</div>
+      </div>
+    );
+  };
+
+  /**
+   * 渲染结果列表
+   */
+  const renderResultList = () => {
+    if (isLoading) {
+      return (
+        <div className="flex items-center justify-center py-12">
+          <div className="text-center">
+            <div className="text-2xl mb-2">⏳</div>
+            <div className="text-gray-600 dark:text-gray-300 flex items-end">
+              加载中
+              <span className="inline-block ml-px font-bold animate-wave">.</span>
+              <span className="inline-block ml-px font-bold animate-wave [animation-delay:0.1s]">.</span>
+              <span className="inline-block ml-px font-bold animate-wave [animation-delay:0.2s]">.</span>
+            </div>
+          </div>
+        </div>
+      );
+    }
+
+    if (error) {
+      return (
+        <div className="flex items-center justify-center py-12">
+          <div className="text-center">
+            <div className="text-2xl mb-2">❌</div>
+            <div className="text-red-600 dark:text-red-400 mb-4">{error}</div>
+            <button
+              onClick={reload}
+              className="px-4 py-2 bg-blue-500 text-white rounded-md hover:bg-blue-600 transition-colors"
+            >
+              重试
+            </button>
+          </div>
+        </div>
+      );
+    }
+
+    const filtered = getFilteredEntries();
+    if (filtered.length === 0) {
+      return (
+        <div className="text-center py-12">
+          <div className="text-4xl mb-4">✨</div>
+          <h3 className="text-lg font-medium text-gray-900 dark:text-white mb-2">
+            没有符合条件的书签
+          </h3>
+          <p className="text-gray-600 dark:text-gray-400">
+            {summary?.unchecked ? `还有 ${summary.unchecked} 个书签未检查` : '所有书签都已检查'}
+          </p>
+        </div>
+      );
+    }
+
+    return (
+      <div className="p-6">
+        <table className="w-full text-sm bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg">
+          <thead>
+            <tr className="text-left text-gray-500 dark:text-gray-400">
+              <th className="py-2 px-3 font-normal">书签</th>
+              <th className="py-2 px-3 font-normal">状态</th>
+              <th className="py-2 px-3 font-normal">详情</th>
+              <th className="py-2 px-3 font-normal text-right">操作</th>
+            </tr>
+          </thead>
+          <tbody>
+            {filtered.map(entry => {
+              const status = entry.health?.status || 'unchecked';
+              return (
+                <tr key={entry.siteId} className="border-t border-gray-100 dark:border-gray-700 align-top">
+                  <td className="py-2 px-3 min-w-0">
+                    <div className="font-medium text-gray-900 dark:text-white">{entry.title}</div>
+                    <a
+                      href={entry.url}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className="text-xs text-blue-600 dark:text-blue-400 hover:underline break-all"
+                    >
+                      {entry.url}
+                    </a>
+                  </td>
+                  <td className="py-2 px-3">
+                    <span className={`px-2 py-0.5 text-xs rounded-full whitespace-nowrap ${STATUS_CONFIG[status]?.className || ''}`}>
+                      {STATUS_CONFIG[status]?.label || status}
+                    </span>
+                  </td>
+                  <td className="py-2 px-3">{renderDetail(entry.health)}</td>
+                  <td className="py-2 px-3 text-right whitespace-nowrap space-x-2">
+                    {entry.health?.permanentRedirect && (
+                      <button
+                        onClick={() => applyRedirects([entry.siteId])}
+                        disabled={isProcessing}
+                        className="px-2 py-1 text-xs bg-blue-500 text-white rounded hover:bg-blue-600 disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors"
+                      >
+                        更新为新地址
+                      </button>
+                    )}
+                    <button
+                      onClick={() => runCheck([entry.siteId])}
+                      disabled={isChecking}
+                      className="px-2 py-1 text-xs bg-gray-200 text-gray-800 dark:bg-gray-700 dark:text-gray-200 rounded hover:bg-gray-300 dark:hover:bg-gray-600 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                    >
+                      重新检查
+                    </button>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    );
+  };
+
+  return (
+    <div className="bg-gray-50 dark:bg-gray-900 min-h-screen">
+      <div className="bg-white dark:bg-gray-800 p-4 border-b border-gray-200 dark:border-gray-700">
+        <div className="flex flex-wrap items-center justify-between gap-4">
+          <div>
+            <h2 className="text-xl font-semibold text-gray-900 dark:text-white">
+              🩺 链接检查
+            </h2>
+            <p className="text-sm text-gray-600 dark:text-gray-400">
+              每次检查最久未检查的一批书签，失效的书签会在首页向管理员标记
+            </p>
+          </div>
+          <div className="flex flex-wrap items-center gap-2">
+            <select
+              value={filter}
+              onChange={(e) => setFilter(e.target.value)}
+              className="px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            >
+              {FILTER_OPTIONS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+            <select
+              value={batchSize}
+              onChange={(e) => setBatchSize(Number(e.target.value))}
+              className="px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              title="每批检查的书签数量"
+            >
+              {BATCH_SIZE_OPTIONS.map(size => (
+                <option key={size} value={size}>每批 {size} 个</option>
+              ))}
+            </select>
+            <button
+              onClick={() => runCheck()}
+              disabled={isLoading || isChecking}
+              className="px-4 py-2 bg-blue-500 text-white rounded-md hover:bg-blue-600 disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors"
+            >
+              {isChecking ? '⏳ 检查中...' : '🩺 检查下一批'}
+            </button>
+            {summary?.permanentRedirects > 0 && (
+              <button
+                onClick={() => applyRedirects()}
+                disabled={isProcessing}
+                className="px-4 py-2 bg-green-500 text-white rounded-md hover:bg-green-600 disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors"
+              >
+                ↪️ 全部更新（{summary.permanentRedirects}）
+              </button>
+            )}
+          </div>
+        </div>
+      </div>
+      {renderSummary()}
+      {renderResultList()}
+    </div>
+  );
+}
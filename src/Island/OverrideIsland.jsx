@@ -0,0 +1,337 @@
+/**
+ * 混合模式覆盖数据组件
+ * 基于现有 Island 组件模式，列出覆盖了 navLinks.js 基础数据的书签和分类（新增、修改、隐藏），
+ * 支持将记录恢复为原始数据
+ * @author Claude 4.0 sonnet
+ * @version 1.0.0
+ */
+
+import { useState, useEffect, useRef } from 'react';
+import { handleError } from '../utils/error-handler.js';
+import { api } from '../utils/api-client.js';
+
+/**
+ * 覆盖状态显示配置
+ */
+const STATUS_CONFIG = {
+  added: { label: '新增', className: 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-200' },
+  modified: { label: '已修改', className: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900 dark:text-yellow-200' },
+  hidden: { label: '已隐藏', className: 'bg-gray-200 text-gray-700 dark:bg-gray-700 dark:text-gray-300' }
+};
+
+/**
+ * 集合显示名称
+ */
+const COLLECTION_LABELS = {
+  sites: '书签',
+  categories: '分类'
+};
+
+export default function OverrideIsland() {
+  const [overrides, setOverrides] = useState({ categories: [], sites: [] });
+  const [revisions, setRevisions] = useState({ categories: 0, sites: 0 });
+  const [isHybrid, setIsHybrid] = useState(false);
+  const [expandedId, setExpandedId] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isProcessing, setIsProcessing] = useState(false);
+  const [error, setError] = useState(null);
+
+  // API 调用控制
+  const isApiCallInProgress = useRef(false);
+  const lastApiCallTime = useRef(0);
+  const MIN_API_INTERVAL = 1000;
+
+  /**
+   * 获取覆盖数据
+   */
+  const fetchOverrides = async () => {
+    if (isApiCallInProgress.current) {
+      console.log('覆盖数据 API 调用正在进行中，跳过重复请求');
+      return;
+    }
+
+    const now = Date.now();
+    if (now - lastApiCallTime.current < MIN_API_INTERVAL) {
+      console.log('覆盖数据 API 调用过于频繁，跳过请求');
+      return;
+    }
+
+    isApiCallInProgress.current = true;
+    lastApiCallTime.current = now;
+
+    try {
+      console.log('🧩 获取覆盖数据...');
+      const response = await api.get('/api/overrides');
+      setIsHybrid(Boolean(response.data?.hybrid));
+      setOverrides({
+        categories: response.data?.categories || [],
+        sites: response.data?.sites || []
+      });
+      setRevisions(response.data?.revisions || { categories: 0, sites: 0 });
+      setError(null);
+    } catch (error) {
+      console.error('❌ 获取覆盖数据失败:', error);
+      const appError = handleError.generic(error, { operation: 'fetch_overrides' });
+      setError(appError.getUserMessage());
+    } finally {
+      setIsLoading(false);
+      isApiCallInProgress.current = false;
+    }
+  };
+
+  /**
+   * 恢复为原始数据
+   * @param {string} type - 集合类型
+   * @param {Object} item - 覆盖记录
+   */
+  const resetItem = async (type, item) => {
+    const name = getItemName(item);
+    if (!confirm(`确定要将"${name}"恢复为 navLinks.js 中的原始数据吗？后台对它的修改将被丢弃。`)) {
+      return;
+    }
+
+    try {
+      setIsProcessing(true);
+      await api.post('/api/overrides', { type, id: item.id, revision: revisions[type] });
+      console.log(`✅ 已恢复原始数据: ${name}`);
+      lastApiCallTime.current = 0;
+      await fetchOverrides();
+    } catch (error) {
+      console.error('❌ 恢复原始数据失败:', error);
+      if (error.status === 409) {
+        alert('数据已被其他人修改，已重新加载最新数据');
+        lastApiCallTime.current = 0;
+        await fetchOverrides();
+        return;
+      }
+      if (error.status === 400) {
+        alert(error.body?.data?.reason || error.body?.message || '恢复失败');
+        return;
+      }
+      const appError = handleError.generic(error, { operation: 'reset_override' });
+      setError(appError.getUserMessage());
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
+  /**
+   * 获取记录显示名称
+   * @param {Object} item - 覆盖记录
+   * @returns {string}
+   */
+  const getItemName = (item) => {
+    const record = item.current || item.base || {};
+    return record.title || record.name || item.id;
+  };
+
+  /**
+   * 格式化字段值
+   * @param {any} value - 字段值
+   * @returns {string}
+   */
+  const formatValue = (value) => {
+    if (value === undefined || value === null) return '（空）';
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+  };
+
+  // 组件初始化
+  useEffect(() => {
+    let isComponentMounted = true;
+
+    const initOverrides = () => {
+      if (!isComponentMounted) return;
+
+      // 使用 requestIdleCallback 优化性能
+      if ('requestIdleCallback' in window) {
+        window.requestIdleCallback(() => {
+          if (isComponentMounted) {
+            fetchOverrides();
+          }
+        });
+      } else {
+        setTimeout(() => {
+          if (isComponentMounted) {
+            fetchOverrides();
+          }
+        }, 100);
+      }
+    };
+
+    initOverrides();
+
+    return () => {
+      isComponentMounted = false;
+    };
+  }, []);
+
+  /**
+   * 渲染单条覆盖记录
+   * @param {string} type - 集合类型
+   * @param {Object} item - 覆盖记录
+   */
+  const renderOverrideItem = (type, item) => {
+    const status = STATUS_CONFIG[item.status];
+    const key = `${type}:${item.id}`;
+    const isExpanded = expandedId === key;
+
+    return (
+      <div
+        key={key}
+        className="bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg p-4"
+      >
+        <div className="flex flex-wrap items-center justify-between gap-3">
+          <div className="min-w-0 flex-1">
+            <div className="font-medium text-gray-900 dark:text-white truncate">
+              {getItemName(item)}
+              <span className={`ml-2 px-2 py-0.5 text-xs rounded-full ${status.className}`}>
+                {status.label}
+              </span>
+            </div>
+            <div className="text-xs text-gray-500 dark:text-gray-400">
+              {item.id}
+              {item.fields.length > 0 && ` · 修改字段: ${item.fields.join(', ')}`}
+            </div>
+          </div>
+
+          <div className="flex gap-2">
+            {item.status === 'modified' && (
+              <button
+                onClick={() => setExpandedId(isExpanded ? null : key)}
+                className="px-3 py-1 text-sm border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 rounded-md hover:bg-gray-50 dark:hover:bg-gray-700 transition-colors"
+              >
+                {isExpanded ? '收起' : '对比'}
+              </button>
+            )}
+            {item.status !== 'added' && (
+              <button
+                onClick={() => resetItem(type, item)}
+                disabled={isProcessing}
+                className="px-3 py-1 text-sm bg-blue-500 text-white rounded-md hover:bg-blue-600 disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors"
+              >
+                ↩️ 恢复原始数据
+              </button>
+            )}
+          </div>
+        </div>
+
+        {isExpanded && (
+          <table className="mt-3 w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-500 dark:text-gray-400">
+                <th className="py-1 pr-4 font-normal">字段</th>
+                <th className="py-1 pr-4 font-normal">navLinks.js</th>
+                <th className="py-1 font-normal">当前</th>
+              </tr>
+            </thead>
+            <tbody>
+              {item.fields.map(field => (
+                <tr key={field} className="border-t border-gray-100 dark:border-gray-700 align-top">
+                  <td className="py-1 pr-4 text-gray-700 dark:text-gray-300">{field}</td>
+                  <td className="py-1 pr-4 text-red-600 dark:text-red-400 break-all">{formatValue(item.base?.[field])}</td>
+                  <td className="py-1 text-green-600 dark:text-green-400 break-all">{formatValue(item.current?.[field])}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    );
+  };
+
+  /**
+   * 渲染覆盖数据列表
+   */
+  const renderOverrideList = () => {
+    if (isLoading) {
+      return (
+        <div className="flex items-center justify-center py-12">
+          <div className="text-center">
+            <div className="text-2xl mb-2">⏳</div>
+            <div className="text-gray-600 dark:text-gray-300 flex items-end">
+              加载中
+              <span className="inline-block ml-px font-bold animate-wave">.</span>
+              <span className="inline-block ml-px font-bold animate-wave [animation-delay:0.1s]">.</span>
+              <span className="inline-block ml-px font-bold animate-wave [animation-delay:0.2s]">.</span>
+            </div>
+          </div>
+        </div>
+      );
+    }
+
+    if (error) {
+      return (
+        <div className="flex items-center justify-center py-12">
+          <div className="text-center">
+            <div className="text-2xl mb-2">❌</div>
+            <div className="text-red-600 dark:text-red-400 mb-4">{error}</div>
+            <button
+              onClick={fetchOverrides}
+              className="px-4 py-2 bg-blue-500 text-white rounded-md hover:bg-blue-600 transition-colors"
+            >
+              重试
+            </button>
+          </div>
+        </div>
+      );
+    }
+
+    if (!isHybrid) {
+      return (
+        <div className="text-center py-12">
+          <div className="text-4xl mb-4">🧩</div>
+          <h3 className="text-lg font-medium text-gray-900 dark:text-white mb-2">
+            当前不是混合模式
+          </h3>
+          <p className="text-gray-600 dark:text-gray-400">
+            设置 DATA_SOURCE="hybrid" 后，navLinks.js 作为基础数据，后台的修改单独保存
+          </p>
+        </div>
+      );
+    }
+
+    const total = overrides.categories.length + overrides.sites.length;
+    if (total === 0) {
+      return (
+        <div className="text-center py-12">
+          <div className="text-4xl mb-4">✨</div>
+          <h3 className="text-lg font-medium text-gray-900 dark:text-white mb-2">
+            没有覆盖数据
+          </h3>
+          <p className="text-gray-600 dark:text-gray-400">
+            当前数据与 navLinks.js 完全一致
+          </p>
+        </div>
+      );
+    }
+
+    return (
+      <div className="p-6 space-y-6">
+        {['categories', 'sites'].map(type => overrides[type].length > 0 && (
+          <div key={type}>
+            <h3 className="text-lg font-medium text-gray-900 dark:text-white mb-3">
+              {COLLECTION_LABELS[type]}（{overrides[type].length}）
+            </h3>
+            <div className="space-y-3">
+              {overrides[type].map(item => renderOverrideItem(type, item))}
+            </div>
+          </div>
+        ))}
+      </div>
+    );
+  };
+
+  return (
+    <div className="bg-gray-50 dark:bg-gray-900 min-h-screen">
+      <div className="bg-white dark:bg-gray-800 p-4 border-b border-gray-200 dark:border-gray-700">
+        <h2 className="text-xl font-semibold text-gray-900 dark:text-white">
+          🧩 覆盖数据
+        </h2>
+        <p className="text-sm text-gray-600 dark:text-gray-400">
+          混合模式下与 navLinks.js 不同的书签和分类；更新 navLinks.js 不会覆盖这里的修改
+        </p>
+      </div>
+      {renderOverrideList()}
+    </div>
+  );
+}
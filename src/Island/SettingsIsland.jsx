@@ -0,0 +1,271 @@
+/**
+ * 系统设置组件
+ * 基于现有 Island 组件模式，调整首页置顶和最近添加区块的显示数量
+ * @author Claude 4.0 sonnet
+ * @version 1.0.0
+ */
+
+import { useState, useEffect, useRef } from 'react';
+import { handleError } from '../utils/error-handler.js';
+import { api } from '../utils/api-client.js';
+import { DEFAULT_HOME_SETTINGS, MAX_HOME_SECTION_LIMIT } from '../utils/home-sections.js';
+import { validate, toFieldErrorMap, SettingsSchema } from '../utils/schema.js';
+
+/**
+ * 首页区块设置项
+ */
+const HOME_FIELDS = [
+  {
+    key: 'pinnedLimit',
+    countKey: 'pinned',
+    label: '📌 置顶书签',
+    description: '首页顶部置顶区块最多显示的书签数，设为 0 则不显示该区块'
+  },
+  {
+    key: 'recentLimit',
+    countKey: 'recent',
+    label: '🆕 最近添加',
+    description: '按添加时间显示最新书签的数量，设为 0 则不显示该区块'
+  }
+];
+
+export default function SettingsIsland() {
+  const [homeSettings, setHomeSettings] = useState(DEFAULT_HOME_SETTINGS);
+  const [counts, setCounts] = useState(null);
+  const [maxLimit, setMaxLimit] = useState(MAX_HOME_SECTION_LIMIT);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  const [isDirty, setIsDirty] = useState(false);
+  const [error, setError] = useState(null);
+  const [fieldErrors, setFieldErrors] = useState({});
+
+  // API 调用控制
+  const isApiCallInProgress = useRef(false);
+  const lastApiCallTime = useRef(0);
+  const MIN_API_INTERVAL = 1000;
+
+  /**
+   * 获取站点设置
+   */
+  const fetchSettings = async () => {
+    if (isApiCallInProgress.current) {
+      console.log('设置 API 调用正在进行中，跳过重复请求');
+      return;
+    }
+
+    const now = Date.now();
+    if (now - lastApiCallTime.current < MIN_API_INTERVAL) {
+      console.log('设置 API 调用过于频繁，跳过请求');
+      return;
+    }
+
+    isApiCallInProgress.current = true;
+    lastApiCallTime.current = now;
+
+    try {
+      console.log('⚙️ 获取站点设置...');
+      const response = await api.get('/api/settings');
+      setHomeSettings({ ...DEFAULT_HOME_SETTINGS, ...response.data?.settings?.home });
+      setCounts(response.data?.counts || null);
+      setMaxLimit(response.data?.maxLimit || MAX_HOME_SECTION_LIMIT);
+      setIsDirty(false);
+      setError(null);
+      console.log('✅ 站点设置获取成功');
+    } catch (error) {
+      console.error('❌ 获取站点设置失败:', error);
+      const appError = handleError.generic(error, { operation: 'fetch_settings' });
+      setError(appError.getUserMessage());
+    } finally {
+      setIsLoading(false);
+      isApiCallInProgress.current = false;
+    }
+  };
+
+  /**
+   * 保存首页区块设置
+   */
+  const saveSettings = async () => {
+    const validation = validate(SettingsSchema, { home: homeSettings }, { partial: true });
+    if (!validation.valid) {
+      setFieldErrors(toFieldErrorMap(validation.errors));
+      return;
+    }
+
+    try {
+      setIsSaving(true);
+      console.log('⚙️ 保存站点设置...');
+      const response = await api.put('/api/settings', { home: homeSettings });
+      setHomeSettings({ ...DEFAULT_HOME_SETTINGS, ...response.data?.settings?.home });
+      setIsDirty(false);
+      setFieldErrors({});
+      console.log('✅ 站点设置已保存');
+    } catch (error) {
+      console.error('❌ 保存站点设置失败:', error);
+      if (error.status === 400) {
+        const serverErrors = error.body?.data?.fieldErrors;
+        if (serverErrors?.length) {
+          setFieldErrors(toFieldErrorMap(serverErrors));
+        } else {
+          alert(error.body?.data?.reason || error.body?.message || '设置无效');
+        }
+        return;
+      }
+      const appError = handleError.generic(error, { operation: 'save_settings' });
+      setError(appError.getUserMessage());
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  /**
+   * 修改数量设置
+   * @param {string} key - 设置项
+   * @param {string} value - 输入值
+   */
+  const handleLimitChange = (key, value) => {
+    const limit = Math.min(maxLimit, Math.max(0, parseInt(value, 10) || 0));
+    setHomeSettings(prev => ({ ...prev, [key]: limit }));
+    setFieldErrors(prev => {
+      const { [`home.${key}`]: _removed, ...rest } = prev;
+      return rest;
+    });
+    setIsDirty(true);
+  };
+
+  // 组件初始化
+  useEffect(() => {
+    let isComponentMounted = true;
+
+    const initSettings = () => {
+      if (!isComponentMounted) return;
+
+      // 使用 requestIdleCallback 优化性能
+      if ('requestIdleCallback' in window) {
+        window.requestIdleCallback(() => {
+          if (isComponentMounted) {
+            fetchSettings();
+          }
+        });
+      } else {
+        setTimeout(() => {
+          if (isComponentMounted) {
+            fetchSettings();
+          }
+        }, 100);
+      }
+    };
+
+    initSettings();
+
+    return () => {
+      isComponentMounted = false;
+    };
+  }, []);
+
+  /**
+   * 渲染工具栏
+   */
+  const renderToolbar = () => (
+    <div className="bg-white dark:bg-gray-800 p-4 border-b border-gray-200 dark:border-gray-700">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <div>
+          <h2 className="text-xl font-semibold text-gray-900 dark:text-white">
+            ⚙️ 系统设置
+          </h2>
+          <p className="text-sm text-gray-600 dark:text-gray-400">
+            首页区块的显示数量，保存后刷新首页生效
+          </p>
+        </div>
+
+        <button
+          onClick={saveSettings}
+          disabled={isSaving || !isDirty}
+          className="px-4 py-2 bg-green-500 text-white rounded-md hover:bg-green-600 disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors flex items-center gap-2"
+        >
+          <span>💾</span>
+          保存
+        </button>
+      </div>
+    </div>
+  );
+
+  /**
+   * 渲染设置表单
+   */
+  const renderSettings = () => {
+    if (isLoading) {
+      return (
+        <div className="flex items-center justify-center py-12">
+          <div className="text-center">
+            <div className="text-2xl mb-2">⏳</div>
+            <div className="text-gray-600 dark:text-gray-300 flex items-end">
+              加载中
+              <span className="inline-block ml-px font-bold animate-wave">.</span>
+              <span className="inline-block ml-px font-bold animate-wave [animation-delay:0.1s]">.</span>
+              <span className="inline-block ml-px font-bold animate-wave [animation-delay:0.2s]">.</span>
+            </div>
+          </div>
+        </div>
+      );
+    }
+
+    if (error) {
+      return (
+        <div className="flex items-center justify-center py-12">
+          <div className="text-center">
+            <div className="text-2xl mb-2">❌</div>
+            <div className="text-red-600 dark:text-red-400 mb-4">{error}</div>
+            <button
+              onClick={fetchSettings}
+              className="px-4 py-2 bg-blue-500 text-white rounded-md hover:bg-blue-600 transition-colors"
+            >
+              重试
+            </button>
+          </div>
+        </div>
+      );
+    }
+
+    return (
+      <div className="p-6 space-y-4">
+        <h3 className="text-lg font-semibold text-gray-900 dark:text-white">首页区块</h3>
+        {HOME_FIELDS.map(field => (
+          <div
+            key={field.key}
+            className="bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg p-4 flex flex-wrap items-center justify-between gap-3"
+          >
+            <div className="min-w-0 flex-1">
+              <div className="font-medium text-gray-900 dark:text-white">{field.label}</div>
+              <div className="text-sm text-gray-600 dark:text-gray-400">{field.description}</div>
+              {counts && (
+                <div className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+                  当前共有 {counts[field.countKey] || 0} 个可显示的书签
+                </div>
+              )}
+              {fieldErrors[`home.${field.key}`] && (
+                <p className="mt-1 text-xs text-red-600 dark:text-red-400">
+                  {fieldErrors[`home.${field.key}`]}
+                </p>
+              )}
+            </div>
+            <input
+              type="number"
+              min={0}
+              max={maxLimit}
+              value={homeSettings[field.key]}
+              onChange={(e) => handleLimitChange(field.key, e.target.value)}
+              className="w-24 px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+          </div>
+        ))}
+      </div>
+    );
+  };
+
+  return (
+    <div className="bg-gray-50 dark:bg-gray-900">
+      {renderToolbar()}
+      {renderSettings()}
+    </div>
+  );
+}
@@ -0,0 +1,439 @@
+/**
+ * 静态数据同步组件
+ * 基于现有 Island 组件模式，逐条列出 navLinks.js 与 KV 中数据的差异，
+ * 选择部分差异同步到 KV，或以 KV 为准生成保留原有格式的 navLinks.js
+ * @author Claude 4.0 sonnet
+ * @version 1.0.0
+ */
+
+import { useState, useEffect, useRef } from 'react';
+import { handleError } from '../utils/error-handler.js';
+import { api } from '../utils/api-client.js';
+
+/**
+ * 差异状态显示配置
+ */
+const STATUS_CONFIG = {
+  static_only: {
+    label: '仅 navLinks.js',
+    toKV: '新增到 KV',
+    toStatic: '从 navLinks.js 删除',
+    className: 'bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-200'
+  },
+  kv_only: {
+    label: '仅 KV',
+    toKV: '从 KV 删除（进入回收站）',
+    toStatic: '写入 navLinks.js',
+    className: 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-200'
+  },
+  changed: {
+    label: '字段不同',
+    toKV: '以 navLinks.js 为准',
+    toStatic: '以 KV 为准',
+    className: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900 dark:text-yellow-200'
+  }
+};
+
+/**
+ * 集合显示配置
+ */
+const COLLECTIONS = [
+  { type: 'categories', title: '📂 分类', labelField: 'name' },
+  { type: 'sites', title: '🔖 书签', labelField: 'title' }
+];
+
+/**
+ * 格式化字段值
+ * @param {any} value - 字段值
+ * @returns {string}
+ */
+const formatValue = (value) => {
+  if (value === null || value === undefined) return '（未设置）';
+  if (Array.isArray(value)) return value.join(', ');
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+export default function StaticSyncIsland() {
+  const [report, setReport] = useState(null);
+  const [selected, setSelected] = useState({ categories: [], sites: [] });
+  const [isLoading, setIsLoading] = useState(true);
+  const [isProcessing, setIsProcessing] = useState(false);
+  const [error, setError] = useState(null);
+
+  // API 调用控制
+  const isApiCallInProgress = useRef(false);
+  const lastApiCallTime = useRef(0);
+  const MIN_API_INTERVAL = 1000;
+
+  /**
+   * 获取差异报告
+   */
+  const fetchReport = async () => {
+    if (isApiCallInProgress.current) {
+      console.log('静态数据同步 API 调用正在进行中，跳过重复请求');
+      return;
+    }
+
+    const now = Date.now();
+    if (now - lastApiCallTime.current < MIN_API_INTERVAL) {
+      console.log('静态数据同步 API 调用过于频繁，跳过请求');
+      return;
+    }
+
+    isApiCallInProgress.current = true;
+    lastApiCallTime.current = now;
+
+    try {
+      console.log('🔀 比较 navLinks.js 与 KV...');
+      const response = await api.get('/api/sync');
+      setReport(response.data);
+      setSelected({ categories: [], sites: [] });
+      setError(null);
+      console.log('✅ 差异报告加载成功');
+    } catch (error) {
+      console.error('❌ 获取差异报告失败:', error);
+      const appError = handleError.generic(error, { operation: 'fetch_static_diff' });
+      setError(appError.getUserMessage());
+    } finally {
+      setIsLoading(false);
+      isApiCallInProgress.current = false;
+    }
+  };
+
+  /**
+   * 重新比较
+   */
+  const reload = async () => {
+    lastApiCallTime.current = 0;
+    setIsLoading(true);
+    await fetchReport();
+  };
+
+  /**
+   * 切换条目选择
+   * @param {string} type - 集合类型
+   * @param {string} id - 记录 ID
+   */
+  const toggleSelected = (type, id) => {
+    setSelected(prev => ({
+      ...prev,
+      [type]: prev[type].includes(id) ? prev[type].filter(item => item !== id) : [...prev[type], id]
+    }));
+  };
+
+  /**
+   * 全选或取消全选一个集合
+   * @param {string} type - 集合类型
+   */
+  const toggleSelectAll = (type) => {
+    const ids = report?.[type]?.entries.map(entry => entry.id) || [];
+    setSelected(prev => ({
+      ...prev,
+      [type]: prev[type].length === ids.length ? [] : ids
+    }));
+  };
+
+  /**
+   * 下载生成的 navLinks.js
+   * @param {string} code - 源码
+   * @param {string} filename - 文件名
+   */
+  const downloadCode = (code, filename) => {
+    const blob = new Blob([code], { type: 'text/javascript;charset=utf-8' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+  };
+
+  /**
+   * 同步选中的差异
+   * @param {string} direction - 同步方向（to_kv / to_static）
+   */
+  const runSync = async (direction) => {
+    const count = selected.categories.length + selected.sites.length;
+    if (count === 0) return;
+
+    if (direction === 'to_kv' && !confirm(`确定要以 navLinks.js 为准更新 KV 中的 ${count} 项数据吗？仅存在于 KV 的选中记录将被移入回收站。`)) {
+      return;
+    }
+
+    try {
+      setIsProcessing(true);
+      const response = await api.post('/api/sync', {
+        direction,
+        categories: selected.categories,
+        sites: selected.sites,
+        revisions: report?.revisions
+      });
+
+      if (direction === 'to_static') {
+        downloadCode(response.data.code, response.data.filename);
+        alert('已生成新的 navLinks.js，请用它替换 src/data/navLinks.js 后重新部署。');
+        return;
+      }
+
+      console.log(`✅ ${response.message}`);
+      await reload();
+    } catch (error) {
+      console.error('❌ 同步失败:', error);
+      if (error.status === 409) {
+        alert('数据已被其他会话修改，已重新比较，请确认后重试。');
+        await reload();
+        return;
+      }
+      if (error.status === 400 || error.status === 503) {
+        alert(error.body?.data?.reason || error.body?.message || '同步失败');
+        return;
+      }
+      const appError = handleError.generic(error, { operation: 'sync_static_data' });
+      setError(appError.getUserMessage());
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
+  // 组件初始化
+  useEffect(() => {
+    let isComponentMounted = true;
+
+    const initStaticSync = () => {
+      if (!isComponentMounted) return;
+
+      // 使用 requestIdleCallback 优化性能
+      if ('requestIdleCallback' in window) {
+        window.requestIdleCallback(() => {
+          if (isComponentMounted) {
+            fetchReport();
+          }
+        });
+      } else {
+        setTimeout(() => {
+          if (isComponentMounted) {
+            fetchReport();
+          }
+        }, 100);
+      }
+    };
+
+    initStaticSync();
+
+    return () => {
+      isComponentMounted = false;
+    };
+  }, []);
+
+  /**
+   * 渲染一条差异
+   * @param {Object} collection - 集合配置
+   * @param {Object} entry - 差异条目
+   */
+  const renderEntry = (collection, entry) => {
+    const record = entry.kv || entry.static;
+    const config = STATUS_CONFIG[entry.status];
+
+    return (
+      <tr key={entry.id} className="border-t border-gray-100 dark:border-gray-700 align-top">
+        <td className="py-2 px-3">
+          <input
+            type="checkbox"
+            checked={selected[collection.type].includes(entry.id)}
+            onChange={() => toggleSelected(collection.type, entry.id)}
+          />
+        </td>
+        <td className="py-2 px-3 min-w-0">
+          <div className="font-medium text-gray-900 dark:text-white">{record[collection.labelField] || entry.id}</div>
+          <div className="text-xs font-mono text-gray-500 dark:text-gray-400">{entry.id}</div>
+        </td>
+        <td className="py-2 px-3">
+          <span className={`px-2 py-0.5 text-xs rounded-full whitespace-nowrap ${config.className}`}>
+            {config.label}
+          </span>
+          <div className="mt-1 text-xs text-gray-500 dark:text-gray-400 whitespace-nowrap">
+            → KV：{config.toKV}
+          </div>
+          <div className="text-xs text-gray-500 dark:text-gray-400 whitespace-nowrap">
+            → 源码：{config.toStatic}
+          </div>
+        </td>
+        <td className="py-2 px-3">
+          {entry.fields.length > 0 ? (
+            <table className="w-full text-xs">
+              <tbody>
+                {entry.fields.map(field => (
+                  <tr key={field.field}>
+                    <td className="pr-2 py-0.5 font-mono text-gray-600 dark:text-gray-400 whitespace-nowrap">{field.field}</td>
+                    <td className="pr-2 py-0.5 text-blue-700 dark:text-blue-300 break-all">{formatValue(field.staticValue)}</td>
+                    <td className="py-0.5 text-green-700 dark:text-green-300 break-all">{formatValue(field.kvValue)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          ) : (
+            <span className="text-xs text-gray-500 dark:text-gray-400 break-all">
+              {record.url || record.icon || ''}
+            </span>
+          )}
+        </td>
+      </tr>
+    );
+  };
+
+  /**
+   * 渲染一个集合的差异
+   * @param {Object} collection - 集合配置
+   */
+  const renderCollection = (collection) => {
+    const { entries, summary } = report[collection.type];
+
+    return (
+      <div
+        key={collection.type}
+        className="bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg p-4"
+      >
+        <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+          <h3 className="text-lg font-medium text-gray-900 dark:text-white">{collection.title}</h3>
+          <div className="text-sm text-gray-600 dark:text-gray-400">
+            仅 navLinks.js {summary.staticOnly} · 仅 KV {summary.kvOnly} · 字段不同 {summary.changed} · 一致 {summary.unchanged}
+          </div>
+        </div>
+
+        {entries.length === 0 ? (
+          <p className="text-sm text-gray-500 dark:text-gray-400">两侧数据一致</p>
+        ) : (
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-500 dark:text-gray-400">
+                <th className="py-1 px-3 font-normal">
+                  <input
+                    type="checkbox"
+                    checked={selected[collection.type].length === entries.length}
+                    onChange={() => toggleSelectAll(collection.type)}
+                    title="全选"
+                  />
+                </th>
+                <th className="py-1 px-3 font-normal">记录</th>
+                <th className="py-1 px-3 font-normal">差异</th>
+                <th className="py-1 px-3 font-normal">
+                  字段（<span className="text-blue-700 dark:text-blue-300">navLinks.js</span> / <span className="text-green-700 dark:text-green-300">KV</span>）
+                </th>
+              </tr>
+            </thead>
+            <tbody>
+              {entries.map(entry => renderEntry(collection, entry))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    );
+  };
+
+  /**
+   * 渲染差异报告
+   */
+  const renderReport = () => {
+    if (isLoading) {
+      return (
+        <div className="flex items-center justify-center py-12">
+          <div className="text-center">
+            <div className="text-2xl mb-2">⏳</div>
+            <div className="text-gray-600 dark:text-gray-300 flex items-end">
+              加载中
+              <span className="inline-block ml-px font-bold animate-wave">.</span>
+              <span className="inline-block ml-px font-bold animate-wave [animation-delay:0.1s]">.</span>
+              <span className="inline-block ml-px font-bold animate-wave [animation-delay:0.2s]">.</span>
+            </div>
+          </div>
+        </div>
+      );
+    }
+
+    if (error) {
+      return (
+        <div className="flex items-center justify-center py-12">
+          <div className="text-center">
+            <div className="text-2xl mb-2">❌</div>
+            <div className="text-red-600 dark:text-red-400 mb-4">{error}</div>
+            <button
+              onClick={reload}
+              className="px-4 py-2 bg-blue-500 text-white rounded-md hover:bg-blue-600 transition-colors"
+            >
+              重试
+            </button>
+          </div>
+        </div>
+      );
+    }
+
+    if (!report) return null;
+
+    if (report.categories.entries.length === 0 && report.sites.entries.length === 0) {
+      return (
+        <div className="text-center py-12">
+          <div className="text-4xl mb-4">✨</div>
+          <h3 className="text-lg font-medium text-gray-900 dark:text-white mb-2">
+            数据一致
+          </h3>
+          <p className="text-gray-600 dark:text-gray-400">
+            navLinks.js 与 KV 中的分类和书签完全相同
+          </p>
+        </div>
+      );
+    }
+
+    return (
+      <div className="p-6 space-y-4">
+        {COLLECTIONS.map(renderCollection)}
+      </div>
+    );
+  };
+
+  const selectedCount = selected.categories.length + selected.sites.length;
+
+  return (
+    <div className="bg-gray-50 dark:bg-gray-900 min-h-screen">
+      <div className="bg-white dark:bg-gray-800 p-4 border-b border-gray-200 dark:border-gray-700">
+        <div className="flex flex-wrap items-center justify-between gap-4">
+          <div>
+            <h2 className="text-xl font-semibold text-gray-900 dark:text-white">
+              🔀 静态数据同步
+            </h2>
+            <p className="text-sm text-gray-600 dark:text-gray-400">
+              逐条比较 navLinks.js 与 KV，选中的条目整条同步；生成的 navLinks.js 保留原有注释和格式
+            </p>
+          </div>
+          <div className="flex flex-wrap items-center gap-2">
+            <button
+              onClick={reload}
+              disabled={isLoading || isProcessing}
+              className="px-4 py-2 bg-gray-200 text-gray-800 dark:bg-gray-700 dark:text-gray-200 rounded-md hover:bg-gray-300 dark:hover:bg-gray-600 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+            >
+              🔄 重新比较
+            </button>
+            <button
+              onClick={() => runSync('to_kv')}
+              disabled={isProcessing || selectedCount === 0 || report?.persistent === false}
+              className="px-4 py-2 bg-blue-500 text-white rounded-md hover:bg-blue-600 disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors"
+              title={report?.persistent === false ? '当前使用静态数据，没有可写入的 KV 存储' : ''}
+            >
+              ⬅️ 同步到 KV（{selectedCount}）
+            </button>
+            <button
+              onClick={() => runSync('to_static')}
+              disabled={isProcessing || selectedCount === 0}
+              className="px-4 py-2 bg-green-500 text-white rounded-md hover:bg-green-600 disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors"
+            >
+              ➡️ 生成 navLinks.js（{selectedCount}）
+            </button>
+          </div>
+        </div>
+      </div>
+      {renderReport()}
+    </div>
+  );
+}
@@ -20,6 +20,17 @@ const StatsType = {
   ADVANCED: 'advanced'
 };
 
+/**
+ * 数据源显示名称
+ */
+const DATA_SOURCE_LABELS = {
+  kv: 'KV',
+  d1: 'D1',
+  sqlite: 'SQLite',
+  file: 'JSON 文件',
+  hybrid: '混合'
+};
+
 export default function StatsIsland() {
   const [currentView, setCurrentView] = useState(StatsType.OVERVIEW);
   const [statsData, setStatsData] = useState({
@@ -299,7 +310,7 @@ export default function StatsIsland() {
             </div>
             <div className="text-center">
               <div className="text-xl font-bold text-orange-600 dark:text-orange-400">
-                {overview.dataSource === 'kv' ? 'KV' : '静态'}
+                {DATA_SOURCE_LABELS[overview.dataSource] || '静态'}
               </div>
               <div className="text-sm text-gray-600 dark:text-gray-400">数据源</div>
             </div>
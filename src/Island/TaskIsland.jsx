@@ -0,0 +1,320 @@
+/**
+ * 定时任务组件
+ * 基于现有 Island 组件模式，查看定时任务的执行状态并手动立即执行
+ * @author Claude 4.0 sonnet
+ * @version 1.0.0
+ */
+
+import { useState, useEffect, useRef } from 'react';
+import { handleError } from '../utils/error-handler.js';
+import { api, ApiClient } from '../utils/api-client.js';
+
+/**
+ * 立即执行会在所有空间中运行任务（例如检查链接），使用较长的超时时间
+ */
+const runClient = new ApiClient({ timeout: 120000 });
+
+/**
+ * 执行状态显示
+ */
+const STATUS_LABELS = {
+  success: { text: '成功', className: 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-200' },
+  error: { text: '出错', className: 'bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-200' },
+  skipped: { text: '已跳过', className: 'bg-gray-100 text-gray-700 dark:bg-gray-700 dark:text-gray-300' }
+};
+
+/**
+ * 触发方式显示名称
+ */
+const TRIGGER_LABELS = {
+  cron: '定时触发',
+  manual: '手动执行'
+};
+
+export default function TaskIsland() {
+  const [tasks, setTasks] = useState([]);
+  const [crons, setCrons] = useState([]);
+  const [storageAvailable, setStorageAvailable] = useState(true);
+  const [runningId, setRunningId] = useState(null); // 正在手动执行的任务
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // API 调用控制
+  const isApiCallInProgress = useRef(false);
+  const lastApiCallTime = useRef(0);
+  const MIN_API_INTERVAL = 1000;
+
+  /**
+   * 获取定时任务列表
+   */
+  const fetchTasks = async () => {
+    if (isApiCallInProgress.current) {
+      console.log('定时任务 API 调用正在进行中，跳过重复请求');
+      return;
+    }
+
+    const now = Date.now();
+    if (now - lastApiCallTime.current < MIN_API_INTERVAL) {
+      console.log('定时任务 API 调用过于频繁，跳过请求');
+      return;
+    }
+
+    isApiCallInProgress.current = true;
+    lastApiCallTime.current = now;
+
+    try {
+      console.log('⏰ 获取定时任务列表...');
+      const response = await api.get('/api/tasks');
+      setTasks(response.data?.tasks || []);
+      setCrons(response.data?.crons || []);
+      setStorageAvailable(response.data?.storageAvailable !== false);
+      setError(null);
+      console.log(`✅ 共有 ${response.data?.tasks?.length || 0} 个定时任务`);
+    } catch (error) {
+      console.error('❌ 获取定时任务列表失败:', error);
+      const appError = handleError.generic(error, { operation: 'fetch_tasks' });
+      setError(appError.getUserMessage());
+    } finally {
+      setIsLoading(false);
+      isApiCallInProgress.current = false;
+    }
+  };
+
+  /**
+   * 立即执行任务
+   * @param {Object} task - 任务
+   */
+  const runTask = async (task) => {
+    if (!confirm(`确定要立即执行「${task.name}」吗？任务会在所有空间中依次执行。`)) {
+      return;
+    }
+
+    try {
+      setRunningId(task.id);
+      console.log(`⏰ 立即执行定时任务: ${task.id}`);
+      const response = await runClient.post(`/api/tasks/${task.id}`);
+      console.log(`✅ ${response.message}`);
+      if (response.data?.result?.lastStatus === 'error') {
+        alert(response.message);
+      }
+      lastApiCallTime.current = 0;
+      await fetchTasks();
+    } catch (error) {
+      console.error('❌ 执行定时任务失败:', error);
+      if (error.status === 409) {
+        alert(error.body?.data?.reason || '任务正在执行，请稍后再试');
+        lastApiCallTime.current = 0;
+        await fetchTasks();
+        return;
+      }
+      const appError = handleError.generic(error, { operation: 'run_task' });
+      setError(appError.getUserMessage());
+    } finally {
+      setRunningId(null);
+    }
+  };
+
+  /**
+   * 格式化时间
+   * @param {number} timestamp - 时间戳
+   * @returns {string}
+   */
+  const formatTime = (timestamp) => timestamp ? new Date(timestamp).toLocaleString('zh-CN') : '-';
+
+  /**
+   * 格式化耗时
+   * @param {number} duration - 毫秒数
+   * @returns {string}
+   */
+  const formatDuration = (duration) => {
+    if (duration === null || duration === undefined) return '-';
+    return duration < 1000 ? `${duration}ms` : `${(duration / 1000).toFixed(1)}s`;
+  };
+
+  /**
+   * 格式化单个空间的执行结果
+   * @param {Object} result - 执行结果
+   * @returns {string}
+   */
+  const formatResult = (result) => {
+    if (result.status === 'skipped') return `跳过（${result.reason}）`;
+    if (result.status === 'error') return `失败：${result.error}`;
+    return Object.entries(result)
+      .filter(([key]) => key !== 'status')
+      .map(([key, value]) => `${key}: ${value}`)
+      .join(' · ') || '完成';
+  };
+
+  // 组件初始化
+  useEffect(() => {
+    let isComponentMounted = true;
+
+    const initTasks = () => {
+      if (!isComponentMounted) return;
+
+      // 使用 requestIdleCallback 优化性能
+      if ('requestIdleCallback' in window) {
+        window.requestIdleCallback(() => {
+          if (isComponentMounted) {
+            fetchTasks();
+          }
+        });
+      } else {
+        setTimeout(() => {
+          if (isComponentMounted) {
+            fetchTasks();
+          }
+        }, 100);
+      }
+    };
+
+    initTasks();
+
+    return () => {
+      isComponentMounted = false;
+    };
+  }, []);
+
+  /**
+   * 渲染工具栏
+   */
+  const renderToolbar = () => (
+    <div className="bg-white dark:bg-gray-800 p-4 border-b border-gray-200 dark:border-gray-700">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <div>
+          <h2 className="text-xl font-semibold text-gray-900 dark:text-white">
+            ⏰ 定时任务
+          </h2>
+          <p className="text-sm text-gray-600 dark:text-gray-400">
+            由 Cron Triggers 按 UTC 时间触发{crons.length > 0 && `，wrangler.toml 中需配置 ${crons.map(cron => `"${cron}"`).join('、')}`}
+          </p>
+        </div>
+
+        <button
+          onClick={() => { lastApiCallTime.current = 0; fetchTasks(); }}
+          disabled={isLoading || runningId !== null}
+          className="px-4 py-2 border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 rounded-md hover:bg-gray-50 dark:hover:bg-gray-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+        >
+          🔄 刷新
+        </button>
+      </div>
+      {!storageAvailable && (
+        <p className="mt-3 text-sm text-yellow-700 dark:text-yellow-400">
+          ⚠️ 存储后端不可用，任务会被跳过，执行记录也无法保存
+        </p>
+      )}
+    </div>
+  );
+
+  /**
+   * 渲染任务列表
+   */
+  const renderTaskList = () => {
+    if (isLoading) {
+      return (
+        <div className="flex items-center justify-center py-12">
+          <div className="text-center">
+            <div className="text-2xl mb-2">⏳</div>
+            <div className="text-gray-600 dark:text-gray-300 flex items-end">
+              加载中
+              <span className="inline-block ml-px font-bold animate-wave">.</span>
+              <span className="inline-block ml-px font-bold animate-wave [animation-delay:0.1s]">.</span>
+              <span className="inline-block ml-px font-bold animate-wave [animation-delay:0.2s]">.</span>
+            </div>
+          </div>
+        </div>
+      );
+    }
+
+    if (error) {
+      return (
+        <div className="flex items-center justify-center py-12">
+          <div className="text-center">
+            <div className="text-2xl mb-2">❌</div>
+            <div className="text-red-600 dark:text-red-400 mb-4">{error}</div>
+            <button
+              onClick={fetchTasks}
+              className="px-4 py-2 bg-blue-500 text-white rounded-md hover:bg-blue-600 transition-colors"
+            >
+              重试
+            </button>
+          </div>
+        </div>
+      );
+    }
+
+    return (
+      <div className="p-6 space-y-3">
+        {tasks.map(task => {
+          const status = STATUS_LABELS[task.lastStatus];
+          const isRunning = runningId === task.id || Boolean(task.running);
+
+          return (
+            <div
+              key={task.id}
+              className="bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg p-4"
+            >
+              <div className="flex flex-wrap items-start justify-between gap-3">
+                <div className="min-w-0 flex-1">
+                  <div className="font-medium text-gray-900 dark:text-white flex flex-wrap items-center gap-2">
+                    <span>{task.icon} {task.name}</span>
+                    <code className="px-1.5 py-0.5 text-xs rounded bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-300">
+                      {task.cron}
+                    </code>
+                    {status && (
+                      <span className={`px-2 py-0.5 text-xs rounded-full ${status.className}`}>
+                        {status.text}
+                      </span>
+                    )}
+                    {task.running && (
+                      <span className="px-2 py-0.5 text-xs rounded-full bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-200">
+                        执行中
+                      </span>
+                    )}
+                  </div>
+                  <div className="text-sm text-gray-600 dark:text-gray-400">{task.description}</div>
+                  <div className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+                    上次执行：{formatTime(task.lastRun)}
+                    {task.lastRun && ` · ${TRIGGER_LABELS[task.lastTrigger] || task.lastTrigger} · 耗时 ${formatDuration(task.lastDuration)}`}
+                    {' · '}下次执行：{formatTime(task.nextRun)}
+                  </div>
+                </div>
+
+                <button
+                  onClick={() => runTask(task)}
+                  disabled={runningId !== null || isRunning}
+                  className="px-3 py-1 text-sm bg-blue-500 text-white rounded-md hover:bg-blue-600 disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors whitespace-nowrap"
+                >
+                  {runningId === task.id ? '⏳ 执行中' : '▶️ 立即执行'}
+                </button>
+              </div>
+
+              {task.lastResult && (
+                <div className="mt-3 space-y-1">
+                  {Object.entries(task.lastResult).map(([spaceId, result]) => (
+                    <div key={spaceId} className="text-xs text-gray-600 dark:text-gray-400">
+                      <span className="font-medium text-gray-700 dark:text-gray-300">{spaceId}</span>：{formatResult(result)}
+                    </div>
+                  ))}
+                </div>
+              )}
+
+              {task.lastError && (
+                <div className="mt-3 p-2 rounded-md bg-red-50 dark:bg-red-900/30 text-xs text-red-600 dark:text-red-400">
+                  最近一次错误（{formatTime(task.lastErrorAt)}）：{task.lastError}
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    );
+  };
+
+  return (
+    <div className="bg-gray-50 dark:bg-gray-900 min-h-screen">
+      {renderToolbar()}
+      {renderTaskList()}
+    </div>
+  );
+}
@@ -0,0 +1,322 @@
+/**
+ * 回收站组件
+ * 基于现有 Island 组件模式，查看已删除的书签和分类，支持恢复和彻底删除
+ * @author Claude 4.0 sonnet
+ * @version 1.0.0
+ */
+
+import { useState, useEffect, useRef } from 'react';
+import { handleError } from '../utils/error-handler.js';
+import { api } from '../utils/api-client.js';
+
+/**
+ * 类型筛选选项
+ */
+const TYPE_FILTERS = [
+  { value: '', label: '全部' },
+  { value: 'sites', label: '书签' },
+  { value: 'categories', label: '分类' }
+];
+
+export default function TrashIsland() {
+  const [items, setItems] = useState([]);
+  const [retentionDays, setRetentionDays] = useState(null);
+  const [typeFilter, setTypeFilter] = useState('');
+  const [isLoading, setIsLoading] = useState(true);
+  const [isProcessing, setIsProcessing] = useState(false);
+  const [error, setError] = useState(null);
+
+  // API 调用控制
+  const isApiCallInProgress = useRef(false);
+  const lastApiCallTime = useRef(0);
+  const MIN_API_INTERVAL = 1000;
+
+  /**
+   * 获取回收站列表
+   */
+  const fetchTrash = async () => {
+    if (isApiCallInProgress.current) {
+      console.log('回收站 API 调用正在进行中，跳过重复请求');
+      return;
+    }
+
+    const now = Date.now();
+    if (now - lastApiCallTime.current < MIN_API_INTERVAL) {
+      console.log('回收站 API 调用过于频繁，跳过请求');
+      return;
+    }
+
+    isApiCallInProgress.current = true;
+    lastApiCallTime.current = now;
+
+    try {
+      console.log('🗑️ 获取回收站列表...');
+      const response = await api.get('/api/trash');
+      setItems(response.data?.items || []);
+      setRetentionDays(response.data?.retentionDays ?? null);
+      setError(null);
+      console.log(`✅ 回收站共有 ${response.data?.items?.length || 0} 个条目`);
+    } catch (error) {
+      console.error('❌ 获取回收站列表失败:', error);
+      const appError = handleError.generic(error, { operation: 'fetch_trash' });
+      setError(appError.getUserMessage());
+    } finally {
+      setIsLoading(false);
+      isApiCallInProgress.current = false;
+    }
+  };
+
+  /**
+   * 执行回收站操作后刷新列表
+   * @param {Function} operation - 要执行的请求
+   * @param {string} operationName - 操作名称（用于错误上下文）
+   */
+  const runOperation = async (operation, operationName) => {
+    try {
+      setIsProcessing(true);
+      await operation();
+      lastApiCallTime.current = 0;
+      await fetchTrash();
+    } catch (error) {
+      console.error(`❌ 回收站操作失败 (${operationName}):`, error);
+      if (error.status === 400 || error.status === 409) {
+        alert(error.body?.data?.reason || error.body?.message || '操作失败，请刷新后重试');
+        return;
+      }
+      const appError = handleError.generic(error, { operation: operationName });
+      setError(appError.getUserMessage());
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
+  /**
+   * 恢复条目
+   * @param {Object} item - 回收站条目
+   */
+  const restoreItem = (item) => runOperation(async () => {
+    console.log(`♻️ 恢复: ${getItemName(item)}`);
+    await api.post(`/api/trash/${item.id}`);
+    console.log('✅ 恢复成功');
+  }, 'restore_trash');
+
+  /**
+   * 彻底删除条目
+   * @param {Object} item - 回收站条目
+   */
+  const purgeItem = (item) => {
+    if (!confirm(`确定要彻底删除"${getItemName(item)}"吗？此操作无法撤销。`)) {
+      return;
+    }
+    runOperation(async () => {
+      await api.delete(`/api/trash/${item.id}`);
+      console.log('✅ 已彻底删除');
+    }, 'purge_trash');
+  };
+
+  /**
+   * 清空回收站
+   */
+  const emptyTrash = () => {
+    if (!confirm(`确定要清空回收站吗？${items.length} 个条目将被彻底删除。`)) {
+      return;
+    }
+    runOperation(async () => {
+      await api.delete('/api/trash');
+      console.log('✅ 回收站已清空');
+    }, 'empty_trash');
+  };
+
+  /**
+   * 获取条目显示名称
+   * @param {Object} item - 回收站条目
+   * @returns {string}
+   */
+  const getItemName = (item) => item.record.title || item.record.name || item.record.id;
+
+  /**
+   * 计算剩余保留天数
+   * @param {Object} item - 回收站条目
+   * @returns {number}
+   */
+  const getDaysLeft = (item) => Math.max(0, Math.ceil((item.expiresAt - Date.now()) / (24 * 60 * 60 * 1000)));
+
+  // 组件初始化
+  useEffect(() => {
+    let isComponentMounted = true;
+
+    const initTrash = () => {
+      if (!isComponentMounted) return;
+
+      // 使用 requestIdleCallback 优化性能
+      if ('requestIdleCallback' in window) {
+        window.requestIdleCallback(() => {
+          if (isComponentMounted) {
+            fetchTrash();
+          }
+        });
+      } else {
+        setTimeout(() => {
+          if (isComponentMounted) {
+            fetchTrash();
+          }
+        }, 100);
+      }
+    };
+
+    initTrash();
+
+    return () => {
+      isComponentMounted = false;
+    };
+  }, []);
+
+  const filteredItems = typeFilter ? items.filter(item => item.type === typeFilter) : items;
+
+  /**
+   * 渲染工具栏
+   */
+  const renderToolbar = () => (
+    <div className="bg-white dark:bg-gray-800 p-4 border-b border-gray-200 dark:border-gray-700">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <div>
+          <h2 className="text-xl font-semibold text-gray-900 dark:text-white">
+            🗑️ 回收站
+          </h2>
+          {retentionDays && (
+            <p className="text-sm text-gray-600 dark:text-gray-400">
+              删除的书签和分类保留 {retentionDays} 天，到期后自动清理
+            </p>
+          )}
+        </div>
+
+        <div className="flex items-center gap-2">
+          <select
+            value={typeFilter}
+            onChange={(e) => setTypeFilter(e.target.value)}
+            className="px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-sm"
+          >
+            {TYPE_FILTERS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+          <button
+            onClick={emptyTrash}
+            disabled={items.length === 0 || isProcessing}
+            className="px-4 py-2 bg-red-500 text-white rounded-md hover:bg-red-600 disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors flex items-center gap-2"
+          >
+            <span>🧹</span>
+            清空回收站
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+
+  /**
+   * 渲染回收站列表
+   */
+  const renderTrashList = () => {
+    if (isLoading) {
+      return (
+        <div className="flex items-center justify-center py-12">
+          <div className="text-center">
+            <div className="text-2xl mb-2">⏳</div>
+            <div className="text-gray-600 dark:text-gray-300 flex items-end">
+              加载中
+              <span className="inline-block ml-px font-bold animate-wave">.</span>
+              <span className="inline-block ml-px font-bold animate-wave [animation-delay:0.1s]">.</span>
+              <span className="inline-block ml-px font-bold animate-wave [animation-delay:0.2s]">.</span>
+            </div>
+          </div>
+        </div>
+      );
+    }
+
+    if (error) {
+      return (
+        <div className="flex items-center justify-center py-12">
+          <div className="text-center">
+            <div className="text-2xl mb-2">❌</div>
+            <div className="text-red-600 dark:text-red-400 mb-4">{error}</div>
+            <button
+              onClick={fetchTrash}
+              className="px-4 py-2 bg-blue-500 text-white rounded-md hover:bg-blue-600 transition-colors"
+            >
+              重试
+            </button>
+          </div>
+        </div>
+      );
+    }
+
+    if (filteredItems.length === 0) {
+      return (
+        <div className="text-center py-12">
+          <div className="text-4xl mb-4">✨</div>
+          <h3 className="text-lg font-medium text-gray-900 dark:text-white mb-2">
+            回收站是空的
+          </h3>
+          <p className="text-gray-600 dark:text-gray-400">
+            删除的书签和分类会先放到这里
+          </p>
+        </div>
+      );
+    }
+
+    return (
+      <div className="p-6 space-y-3">
+        {filteredItems.map(item => (
+          <div
+            key={item.id}
+            className="bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg p-4 flex flex-wrap items-center justify-between gap-3"
+          >
+            <div className="flex items-center gap-3 min-w-0 flex-1">
+              <div className="text-2xl flex-shrink-0">
+                {item.type === 'categories' ? (item.record.icon || '📂') : '🔖'}
+              </div>
+              <div className="min-w-0">
+                <div className="font-medium text-gray-900 dark:text-white truncate">
+                  {getItemName(item)}
+                  <span className="ml-2 text-xs text-gray-500 dark:text-gray-400">
+                    {item.type === 'categories' ? '分类' : '书签'}
+                  </span>
+                </div>
+                {item.record.url && (
+                  <div className="text-sm text-blue-600 dark:text-blue-400 truncate">{item.record.url}</div>
+                )}
+                <div className="text-xs text-gray-500 dark:text-gray-400">
+                  删除于 {new Date(item.deletedAt).toLocaleString('zh-CN')} · {item.deletedBy} · {getDaysLeft(item)} 天后自动清理
+                </div>
+              </div>
+            </div>
+
+            <div className="flex gap-2">
+              <button
+                onClick={() => restoreItem(item)}
+                disabled={isProcessing}
+                className="px-3 py-1 text-sm bg-green-500 text-white rounded-md hover:bg-green-600 disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors"
+              >
+                ♻️ 恢复
+              </button>
+              <button
+                onClick={() => purgeItem(item)}
+                disabled={isProcessing}
+                className="px-3 py-1 text-sm bg-red-500 text-white rounded-md hover:bg-red-600 disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors"
+              >
+                彻底删除
+              </button>
+            </div>
+          </div>
+        ))}
+      </div>
+    );
+  };
+
+  return (
+    <div className="bg-gray-50 dark:bg-gray-900 min-h-screen">
+      {renderToolbar()}
+      {renderTrashList()}
+    </div>
+  );
+}
@@ -1,6 +1,19 @@
 import React, { useEffect, useRef, useState } from 'react';
 import { sites, categories } from '../data/navLinks.js';
 import { stats } from '../utils/stats-collector.js';
+import { rankedSearch, highlightSegments } from '../utils/search-index.js';
+
+/**
+ * 渲染带高亮的文本
+ */
+function HighlightedText({ text, ranges }) {
+  return highlightSegments(text, ranges).map((segment, index) => (
+    segment.highlighted
+      ? <mark key={index} className="bg-yellow-200 dark:bg-yellow-600/60 text-inherit rounded-sm">{segment.text}</mark>
+      : <span key={index}>{segment.text}</span>
+  ));
+}
+
 export default function SearchIsland() {
   const [isVisible, setIsVisible] = useState(false);
   const [searchResults, setSearchResults] = useState([]);
@@ -31,23 +44,12 @@ export default function SearchIsland() {
       searchResultsRef.current?.classList.add('hidden');
       return;
     }
-    const getCategoryNameById = (categoryId) => {
-      const category = categories.find(cat => cat.id === categoryId);
-      return category ? category.name : '';
-    };
-    const filteredResults = sites.filter(site => {
-      const categoryObj = categories.find(cat => cat.id === site.category);
-      const categoryName = categoryObj ? categoryObj.name.toLowerCase() : '';
-      return (
-        site.title.toLowerCase().includes(searchTerm) ||
-        site.description.toLowerCase().includes(searchTerm) ||
-        (site.shortDesc && site.shortDesc.toLowerCase().includes(searchTerm)) ||
-        categoryName.includes(searchTerm)
-      );
-    }).map(site => {
+    // 全文索引搜索，结果按相关度排序
+    const filteredResults = rankedSearch(sites, searchTerm, { categories }).map(({ site, highlights }) => {
       const categoryObj = categories.find(cat => cat.id === site.category);
       return {
         ...site,
+        highlights,
         categoryName: categoryObj ? categoryObj.name : '',
         categoryIcon: categoryObj ? categoryObj.icon : null 
       };
@@ -129,10 +131,18 @@ export default function SearchIsland() {
                       />
                     </div>
                     <div className="flex-grow">
-                      <h4 className="font-medium text-gray-900 dark:text-gray-100">{result.title}</h4>
-                      <p className="text-sm text-gray-600 dark:text-gray-400 line-clamp-1">{result.shortDesc || result.description}</p>
+                      <h4 className="font-medium text-gray-900 dark:text-gray-100">
+                        <HighlightedText text={result.title} ranges={result.highlights.title} />
+                      </h4>
+                      <p className="text-sm text-gray-600 dark:text-gray-400 line-clamp-1">
+                        {result.shortDesc
+                          ? <HighlightedText text={result.shortDesc} ranges={result.highlights.shortDesc} />
+                          : <HighlightedText text={result.description} ranges={result.highlights.description} />}
+                      </p>
                       {result.categoryName && (
-                        <span className="text-xs text-gray-500 dark:text-gray-400 mt-1">分类: {result.categoryName}</span>
+                        <span className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+                          分类: <HighlightedText text={result.categoryName} ranges={result.highlights.category} />
+                        </span>
                       )}
                     </div>
                   </div>
@@ -0,0 +1,273 @@
+/**
+ * API 令牌管理器
+ * 为脚本和 CI 等自动化场景签发个人访问令牌，请求通过 Authorization: Bearer 携带；
+ * 令牌按权限限制可访问的接口，可设置有效期并记录最近使用时间。每个令牌保存在默认空间的 api:token:<令牌 ID> 键中，
+ * 最近使用信息单独保存在 api:token-usage:<令牌 ID> 键中，记录使用时间不会改写令牌本身，也不会恢复已撤销的令牌；
+ * 只保存令牌的 SHA-256，令牌 ID 取自哈希的前缀，验证时直接按 ID 读取，明文仅在创建时返回一次
+ * @author Claude 4.0 sonnet
+ * @version 1.0.0
+ */
+
+import { kvAdapter, KV_KEYS } from './kv-adapter.js';
+import { sessionManager, getClientIp } from './session-manager.js';
+import { API_TOKEN_PREFIX } from '../utils/api-tokens.js';
+import { validate, formatErrors, ApiTokenSchema } from '../utils/schema.js';
+import { handleError } from '../utils/error-handler.js';
+
+/**
+ * 最近使用时间的刷新间隔（毫秒），避免每个请求都写入 KV
+ */
+const LAST_USED_UPDATE_INTERVAL = 5 * 60 * 1000;
+
+/**
+ * 令牌显示前缀的长度（含 cnav_），用于在列表中辨认令牌
+ */
+const TOKEN_HINT_LENGTH = API_TOKEN_PREFIX.length + 6;
+
+/**
+ * 令牌 ID 使用的哈希前缀长度（十六进制字符数）
+ */
+const TOKEN_ID_HASH_LENGTH = 24;
+
+/**
+ * 读取请求中的 Bearer 令牌
+ * @param {Request} request - 请求对象
+ * @returns {string|null}
+ */
+export function getBearerToken(request) {
+  const match = (request.headers.get('Authorization') || '').match(/^Bearer\s+(\S+)\s*$/i);
+  return match ? match[1] : null;
+}
+
+/**
+ * API 令牌管理器类
+ */
+export class ApiTokenManager {
+  /**
+   * @param {KVAdapter} kv - KV 适配器（默认空间的全局实例，令牌对所有空间有效）
+   */
+  constructor(kv = kvAdapter) {
+    this.kv = kv;
+  }
+
+  /**
+   * 获取令牌的存储键
+   * @param {string} id - 令牌 ID
+   * @returns {string}
+   */
+  tokenKey(id) {
+    return `${KV_KEYS.API_TOKEN_PREFIX}${id}`;
+  }
+
+  /**
+   * 获取令牌使用信息的存储键
+   * @param {string} id - 令牌 ID
+   * @returns {string}
+   */
+  usageKey(id) {
+    return `${KV_KEYS.API_TOKEN_USAGE_PREFIX}${id}`;
+  }
+
+  /**
+   * 由令牌哈希得到令牌 ID
+   * @param {string} hash - 令牌哈希
+   * @returns {string}
+   */
+  tokenIdFromHash(hash) {
+    return `tok_${hash.slice(0, TOKEN_ID_HASH_LENGTH)}`;
+  }
+
+  /**
+   * 计算令牌哈希
+   * @param {string} token - 令牌明文
+   * @returns {Promise<string>}
+   */
+  async hashToken(token) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(token));
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+
+  /**
+   * 生成令牌明文（cnav_ + 32 字节 Base64URL）
+   * @returns {string}
+   */
+  generateToken() {
+    const bytes = crypto.getRandomValues(new Uint8Array(32));
+    const random = btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    return `${API_TOKEN_PREFIX}${random}`;
+  }
+
+  /**
+   * 转换为可返回给前端的令牌信息（不含哈希）
+   * @param {Object} record - 令牌记录
+   * @param {Object|null} usage - 最近使用信息
+   * @param {number} now - 当前时间
+   * @returns {Object}
+   */
+  toSummary(record, usage = null, now = Date.now()) {
+    const { hash, ...summary } = record;
+    return {
+      ...summary,
+      lastUsedAt: usage?.lastUsedAt || null,
+      lastUsedIp: usage?.lastUsedIp || null,
+      expired: Boolean(record.expiresAt && record.expiresAt <= now)
+    };
+  }
+
+  /**
+   * 获取令牌列表，按创建时间倒序
+   * @returns {Promise<Array>}
+   */
+  async list() {
+    if (!this.kv.isKVAvailable()) {
+      return [];
+    }
+
+    const ids = (await this.kv.list({ prefix: KV_KEYS.API_TOKEN_PREFIX }))
+      .map(item => item.name.slice(KV_KEYS.API_TOKEN_PREFIX.length));
+    const values = await this.kv.bulkGet(ids.flatMap(id => [this.tokenKey(id), this.usageKey(id)]));
+    const now = Date.now();
+
+    return ids
+      .map(id => values[this.tokenKey(id)] && this.toSummary(values[this.tokenKey(id)], values[this.usageKey(id)], now))
+      .filter(Boolean)
+      .sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  /**
+   * 创建令牌
+   * @param {Object} data - 令牌信息（name、scopes、expiresInDays）
+   * @param {string} actor - 创建者
+   * @returns {Promise<{token: Object, secret: string}>} secret 为令牌明文，只在此时返回
+   * @throws {AppError} 字段无效或存储后端不可用时抛出验证错误
+   */
+  async create(data, actor = 'admin') {
+    const { valid, errors } = validate(ApiTokenSchema, data);
+    if (!valid) {
+      throw handleError.validation(formatErrors(errors).join('；'), { operation: 'create_api_token' }, { fieldErrors: errors });
+    }
+    if (!this.kv.isKVAvailable()) {
+      throw handleError.validation('存储后端不可用，无法保存 API 令牌');
+    }
+
+    const secret = this.generateToken();
+    const hash = await this.hashToken(secret);
+    const now = Date.now();
+    const record = {
+      id: this.tokenIdFromHash(hash),
+      name: data.name.trim().slice(0, 100),
+      scopes: [...new Set(data.scopes)],
+      hint: secret.slice(0, TOKEN_HINT_LENGTH),
+      hash,
+      createdAt: now,
+      createdBy: actor,
+      expiresAt: data.expiresInDays ? now + data.expiresInDays * 24 * 60 * 60 * 1000 : null
+    };
+
+    await this.kv.set(this.tokenKey(record.id), record);
+    console.log(`🔑 API 令牌已创建: ${record.name}（${record.scopes.join(', ')}）`);
+    return { token: this.toSummary(record, null, now), secret };
+  }
+
+  /**
+   * 撤销令牌
+   * @param {string} id - 令牌 ID
+   * @returns {Promise<boolean>} 是否存在并已撤销
+   */
+  async revoke(id) {
+    if (!this.kv.isKVAvailable()) {
+      return false;
+    }
+
+    const record = await this.kv.get(this.tokenKey(id), { skipCache: true });
+    if (!record) {
+      return false;
+    }
+
+    await this.kv.delete(this.tokenKey(id));
+    await this.kv.delete(this.usageKey(id));
+    console.log(`🗑️ API 令牌已撤销: ${record.name}`);
+    return true;
+  }
+
+  /**
+   * 验证令牌及权限，通过时记录最近使用时间
+   * @param {string} secret - 令牌明文
+   * @param {string} scope - 需要的权限（TokenScope）
+   * @param {string|null} ip - 请求方 IP
+   * @returns {Promise<Object|null>} 令牌不存在、已过期或缺少权限时返回 null
+   */
+  async verify(secret, scope, ip = null) {
+    if (!secret || !secret.startsWith(API_TOKEN_PREFIX) || !scope) {
+      return null;
+    }
+
+    try {
+      if (!this.kv.isKVAvailable()) {
+        return null;
+      }
+
+      const hash = await this.hashToken(secret);
+      const id = this.tokenIdFromHash(hash);
+      // 撤销需要在所有实例中立即生效，不使用本地缓存
+      const record = await this.kv.get(this.tokenKey(id), { skipCache: true });
+      const now = Date.now();
+
+      if (!record || record.hash !== hash) {
+        return null;
+      }
+      if (record.expiresAt && record.expiresAt <= now) {
+        console.warn(`⚠️ API 令牌已过期: ${record.name}`);
+        return null;
+      }
+      if (!record.scopes.includes(scope)) {
+        console.warn(`⚠️ API 令牌 ${record.name} 缺少权限: ${scope}`);
+        return null;
+      }
+
+      // 使用信息写入单独的键，不会覆盖令牌记录
+      let usage = await this.kv.get(this.usageKey(id), { skipCache: true });
+      if (!usage?.lastUsedAt || now - usage.lastUsedAt > LAST_USED_UPDATE_INTERVAL) {
+        usage = { lastUsedAt: now, lastUsedIp: ip };
+        try {
+          await this.kv.set(this.usageKey(id), usage);
+        } catch (error) {
+          console.warn('⚠️ 更新 API 令牌使用时间失败:', error);
+        }
+      }
+      return this.toSummary(record, usage, now);
+    } catch (error) {
+      console.error('验证 API 令牌失败:', error);
+      return null;
+    }
+  }
+}
+
+// 默认 API 令牌管理器实例
+export const apiTokenManager = new ApiTokenManager();
+
+/**
+ * 验证请求的管理权限
+ * 携带 Bearer 令牌时只按令牌判断（需要具有 scope 权限，未指定 scope 的接口不接受令牌），
+ * 否则检查管理员会话
+ * @param {Request} request - 请求对象
+ * @param {string} scope - 接口需要的令牌权限（TokenScope），为空表示仅限管理员会话
+ * @returns {Promise<Object|null>} 通过时返回会话或令牌信息
+ */
+export async function authorizeRequest(request, scope = null) {
+  const secret = getBearerToken(request);
+  if (secret) {
+    return scope ? await apiTokenManager.verify(secret, scope, getClientIp(request)) : null;
+  }
+  return await sessionManager.getSessionFromRequest(request);
+}
+
+/**
+ * 便捷的 API 令牌操作函数
+ */
+export const apiTokens = {
+  list: () => apiTokenManager.list(),
+  create: (data, actor) => apiTokenManager.create(data, actor),
+  revoke: (id) => apiTokenManager.revoke(id),
+  verify: (secret, scope, ip) => apiTokenManager.verify(secret, scope, ip)
+};
@@ -0,0 +1,268 @@
+/**
+ * 备份管理器
+ * 将分类、网站、元数据、设置和统计数据保存为带时间戳的快照，保留最近 N 份，
+ * 支持一键恢复；导入替换、数据迁移等破坏性操作前会自动创建备份
+ * @author Claude 4.0 sonnet
+ * @version 1.0.0
+ */
+
+import { kvAdapter, KV_KEYS, DATA_VERSION } from './kv-adapter.js';
+import { dataManager } from './data-manager.js';
+import { handleError } from '../utils/error-handler.js';
+
+/**
+ * 默认保留的备份份数
+ */
+export const DEFAULT_BACKUP_GENERATIONS = 10;
+
+/**
+ * 备份原因
+ */
+export const BackupReason = {
+  MANUAL: 'manual',             // 手动创建
+  SCHEDULED: 'scheduled',       // 定时任务
+  PRE_IMPORT: 'pre-import',     // 替换导入前
+  PRE_MIGRATION: 'pre-migration', // 数据迁移前
+  PRE_RESTORE: 'pre-restore'    // 恢复备份前
+};
+
+/**
+ * 备份中包含的设置和统计键
+ */
+const SNAPSHOT_KEYS = [
+  KV_KEYS.CONFIG_SETTINGS,
+  KV_KEYS.STATS_CLICKS,
+  KV_KEYS.STATS_SEARCHES,
+  KV_KEYS.STATS_PAGES,
+  KV_KEYS.STATS_CATEGORIES,
+  KV_KEYS.STATS_TIME,
+  KV_KEYS.STATS_BOOKMARKS,
+  KV_KEYS.STATS_USAGE
+];
+
+/**
+ * 备份管理器类
+ */
+export class BackupManager {
+  /**
+   * @param {KVAdapter} kv - 使用的 KV 适配器（多空间时为带键前缀的适配器）
+   * @param {DataManager} manager - 同一空间的数据管理器
+   */
+  constructor(kv = kvAdapter, manager = dataManager) {
+    this.kv = kv;
+    this.dataManager = manager;
+    this.generations = DEFAULT_BACKUP_GENERATIONS;
+    this.init();
+  }
+
+  /**
+   * 初始化保留份数配置
+   */
+  init() {
+    const configured = parseInt(
+      import.meta.env.BACKUP_GENERATIONS ||
+      (typeof process !== 'undefined' ? process.env.BACKUP_GENERATIONS : '') ||
+      ''
+    );
+
+    if (configured > 0) {
+      this.generations = configured;
+    }
+  }
+
+  /**
+   * 备份条目键
+   * @param {string} id - 备份 ID
+   * @returns {string}
+   */
+  entryKey(id) {
+    return `${KV_KEYS.BACKUP_ENTRY_PREFIX}${id}`;
+  }
+
+  /**
+   * 生成备份 ID（按时间有序）
+   * @returns {string}
+   */
+  generateId() {
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+  }
+
+  /**
+   * 读取备份索引（最新的在前）
+   * @returns {Promise<Array>} 备份摘要列表
+   */
+  async getIndex() {
+    return await this.kv.get(KV_KEYS.BACKUP_INDEX, { skipCache: true }) || [];
+  }
+
+  /**
+   * 检查存储是否可用
+   */
+  assertAvailable() {
+    if (!this.kv.isKVAvailable()) {
+      throw handleError.validation('存储后端不可用，静态数据模式无法创建或恢复备份');
+    }
+  }
+
+  /**
+   * 创建备份
+   * @param {Object} options - 选项
+   * @param {string} options.reason - 备份原因（BackupReason）
+   * @param {string} options.label - 备注
+   * @param {string} options.actor - 操作者
+   * @returns {Promise<Object>} 备份摘要
+   */
+  async create(options = {}) {
+    this.assertAvailable();
+
+    const [categories, sites, metadata, version] = await Promise.all([
+      this.dataManager.getCollection('categories'),
+      this.dataManager.getCollection('sites'),
+      this.kv.get(KV_KEYS.METADATA, { skipCache: true }),
+      this.kv.get(KV_KEYS.VERSION, { skipCache: true })
+    ]);
+    const values = await this.kv.bulkGet(SNAPSHOT_KEYS);
+
+    const summary = {
+      id: this.generateId(),
+      timestamp: Date.now(),
+      reason: options.reason || BackupReason.MANUAL,
+      label: options.label || '',
+      actor: options.actor || 'system',
+      dataSource: this.dataManager.getDataSourceInfo().source,
+      version: version?.version || DATA_VERSION.CURRENT,
+      counts: {
+        categories: categories.items.length,
+        sites: sites.items.length
+      },
+      revisions: {
+        categories: categories.revision,
+        sites: sites.revision
+      }
+    };
+
+    const snapshot = {
+      ...summary,
+      categories: categories.items,
+      sites: sites.items,
+      metadata: metadata || null,
+      entries: Object.fromEntries(SNAPSHOT_KEYS.map(key => [key, values[key] ?? null]))
+    };
+    summary.size = JSON.stringify(snapshot).length;
+
+    await this.kv.set(this.entryKey(summary.id), snapshot);
+
+    const index = await this.getIndex();
+    index.unshift(summary);
+    const expired = index.splice(this.generations);
+    await this.kv.set(KV_KEYS.BACKUP_INDEX, index);
+    await Promise.all(expired.map(item => this.kv.delete(this.entryKey(item.id))));
+
+    console.log(`💾 备份已创建: ${summary.id}（${summary.reason}）`);
+    return summary;
+  }
+
+  /**
+   * 获取备份列表
+   * @returns {Promise<Array>}
+   */
+  async list() {
+    return this.getIndex();
+  }
+
+  /**
+   * 获取完整备份
+   * @param {string} id - 备份 ID
+   * @returns {Promise<Object|null>}
+   */
+  async get(id) {
+    return await this.kv.get(this.entryKey(id), { skipCache: true });
+  }
+
+  /**
+   * 删除备份
+   * @param {string} id - 备份 ID
+   * @returns {Promise<boolean>} 是否存在并已删除
+   */
+  async remove(id) {
+    const index = await this.getIndex();
+    const remaining = index.filter(item => item.id !== id);
+    if (remaining.length === index.length) {
+      return false;
+    }
+
+    await this.kv.set(KV_KEYS.BACKUP_INDEX, remaining);
+    await this.kv.delete(this.entryKey(id));
+    return true;
+  }
+
+  /**
+   * 从备份恢复全部数据
+   * 恢复前自动备份当前数据；分类和网站通过数据管理器写入，会记录变更历史并可撤销
+   * @param {string} id - 备份 ID
+   * @param {Object} options - 选项（actor、ip）
+   * @returns {Promise<{backup: Object, safetyBackup: Object, revisions: Object}>}
+   */
+  async restore(id, options = {}) {
+    this.assertAvailable();
+
+    const snapshot = await this.get(id);
+    if (!snapshot) {
+      throw handleError.validation(`备份 "${id}" 不存在`);
+    }
+    if (!Array.isArray(snapshot.categories) || !Array.isArray(snapshot.sites)) {
+      throw handleError.validation(`备份 "${id}" 数据不完整，无法恢复`);
+    }
+
+    const safetyBackup = await this.create({
+      reason: BackupReason.PRE_RESTORE,
+      label: `恢复备份 ${id} 之前`,
+      actor: options.actor
+    });
+
+    const writeOptions = { actor: options.actor, ip: options.ip, source: 'backup' };
+    const revisions = {
+      categories: await this.dataManager.saveCategories(snapshot.categories, writeOptions),
+      sites: await this.dataManager.saveSites(snapshot.sites, writeOptions)
+    };
+
+    for (const [key, value] of Object.entries(snapshot.entries || {})) {
+      if (value === null) {
+        await this.kv.delete(key);
+      } else {
+        await this.kv.set(key, value);
+      }
+    }
+
+    await this.dataManager.invalidateCaches();
+    console.log(`✅ 已从备份恢复: ${id}`);
+
+    const { categories, sites, metadata, entries, ...backup } = snapshot;
+    return { backup, safetyBackup, revisions };
+  }
+
+  /**
+   * 获取备份配置信息
+   * @returns {Object}
+   */
+  getInfo() {
+    return {
+      generations: this.generations
+    };
+  }
+}
+
+// 默认备份管理器实例
+export const backupManager = new BackupManager();
+
+/**
+ * 便捷的备份操作函数
+ */
+export const backups = {
+  list: () => backupManager.list(),
+  get: (id) => backupManager.get(id),
+  create: (options) => backupManager.create(options),
+  restore: (id, options) => backupManager.restore(id, options),
+  remove: (id) => backupManager.remove(id),
+  getInfo: () => backupManager.getInfo()
+};
@@ -1,14 +1,27 @@
 /**
  * 统一数据管理器
- * 提供静态文件和 KV 存储的统一访问接口，支持自动切换和数据同步
+ * 提供静态文件和持久化存储（KV / D1 / SQLite / JSON 文件）的统一访问接口，支持自动切换和数据同步
  * @author Claude 4.0 sonnet
  * @version 1.0.0
  */
 
 import { categories as staticCategories, sites as staticSites, searchSites, sitesToHtml } from './navLinks.js';
-import { kvAdapter, KV_KEYS } from './kv-adapter.js';
+import { kvAdapter, KV_KEYS, STORAGE_LAYOUT, DATA_VERSION } from './kv-adapter.js';
+import { recordStore } from './record-store.js';
+import { overlayStore } from './overlay-store.js';
+import { isHybridMode } from './storage-backends.js';
+import { historyManager, HistoryAction, applyInverse, isSameRecord } from './history-manager.js';
+import { trashManager } from './trash-manager.js';
 import { handleError, ErrorType } from '../utils/error-handler.js';
 import { cache } from '../utils/cache-manager.js';
+import { getSearchIndex } from '../utils/search-index.js';
+import { countTags, filterSitesByTags } from '../utils/tags.js';
+import { buildCategoryTree, getDescendantIds, validateParent } from '../utils/category-tree.js';
+import { sortByOrder, getNextOrder, validateReorderIds, applyReorder } from '../utils/ordering.js';
+import { planCategoryDelete, planCategoryMerge, planCategorySplit } from '../utils/category-operations.js';
+import { planBookmarkBatch } from '../utils/bookmark-batch.js';
+import { normalizeUrl, isSameUrl } from '../utils/url-normalizer.js';
+import { findDuplicateGroups, mergeSiteRecords } from '../utils/duplicates.js';
 
 /**
  * 数据源类型枚举
@@ -16,6 +29,9 @@ import { cache } from '../utils/cache-manager.js';
 export const DataSource = {
   STATIC: 'static',    // 静态文件
   KV: 'kv',           // KV 存储
+  D1: 'd1',           // Cloudflare D1
+  SQLITE: 'sqlite',   // 本地 SQLite 文件
+  FILE: 'file',       // 本地 JSON 文件
   HYBRID: 'hybrid'    // 混合模式
 };
 
@@ -23,11 +39,29 @@ export const DataSource = {
  * 数据管理器类
  */
 export class DataManager {
-  constructor() {
+  /**
+   * @param {Object} options - 选项，默认使用全局的存储实例
+   * @param {string} options.space - 所属空间 ID，用于区分缓存
+   * @param {KVAdapter} options.kv - KV 适配器
+   * @param {RecordStore} options.recordStore - 记录存储
+   * @param {OverlayStore} options.overlayStore - 覆盖层存储
+   * @param {HistoryManager} options.historyManager - 变更历史管理器
+   * @param {TrashManager} options.trashManager - 回收站管理器
+   */
+  constructor(options = {}) {
+    this.space = options.space || null;
+    this.kv = options.kv || kvAdapter;
+    this.recordStore = options.recordStore || recordStore;
+    this.overlayStore = options.overlayStore || overlayStore;
+    this.historyManager = options.historyManager || historyManager;
+    this.trashManager = options.trashManager || trashManager;
     this.dataSource = DataSource.STATIC;
+    this.storageLayout = null;
+    this.versionError = null;
     this.isInitialized = false;
-    this.cachePrefix = 'dm_';
+    this.cachePrefix = this.space ? `dm_${this.space}_` : 'dm_';
     this.cacheTTL = 600000; // 10 分钟缓存
+    this.cacheGeneration = undefined; // 本地缓存对应的数据代次，undefined 表示尚未检查
     this.init();
   }
 
@@ -38,15 +72,24 @@ export class DataManager {
     try {
       console.log('🔄 初始化数据管理器...');
       
-      // 检查 KV 是否可用
-      if (kvAdapter.isKVAvailable()) {
+      // 检查存储后端是否可用（由 DATA_SOURCE 选择）
+      if (this.kv.isKVAvailable()) {
         // 检查版本兼容性
-        const isCompatible = await kvAdapter.checkVersionCompatibility();
+        const isCompatible = await this.kv.checkVersionCompatibility();
         if (isCompatible) {
-          this.dataSource = DataSource.KV;
-          console.log('✅ 使用 KV 存储模式');
+          // 混合模式下 navLinks.js 是基础数据，存储后端只保存覆盖层
+          this.dataSource = isHybridMode() ? DataSource.HYBRID : (this.kv.getBackendType() || DataSource.KV);
+          this.versionError = null;
+          this.storageLayout = await this.recordStore.getLayout();
+          console.log(`✅ 使用 ${this.dataSource} 存储模式，存储布局: ${this.storageLayout}`);
         } else {
-          console.warn('⚠️ KV 数据版本不兼容，使用静态数据模式');
+          // 无法识别的版本（通常是更新版本的程序写入的数据）不能按当前结构读写，
+          // 也不能退回静态数据掩盖问题：之后的每次数据访问都会抛出包含具体版本的错误
+          const versionInfo = await this.kv.getVersion();
+          this.versionError = handleError.unsupportedVersion(
+            `存储中的数据版本 ${versionInfo.version} 无法识别（当前支持 ${DATA_VERSION.COMPATIBLE.join(', ')}），请部署写入该数据的程序版本或更新版本`,
+            { storedVersion: versionInfo.version, compatible: DATA_VERSION.COMPATIBLE }
+          );
           this.dataSource = DataSource.STATIC;
         }
       } else {
@@ -65,11 +108,15 @@ export class DataManager {
 
   /**
    * 确保已初始化
+   * @throws {AppError} 存储中的数据版本无法识别时抛出 UNSUPPORTED_VERSION 错误
    */
   async ensureInitialized() {
     if (!this.isInitialized) {
       await this.init();
     }
+    if (this.versionError) {
+      throw this.versionError;
+    }
   }
 
   /**
@@ -81,6 +128,86 @@ export class DataManager {
     return `${this.cachePrefix}${key}`;
   }
 
+  /**
+   * 检查数据代次，其他实例修改过数据时清除本管理器的缓存
+   * 代次检查由 KV 适配器节流，这里只比较本管理器上次看到的代次
+   * @returns {Promise<void>}
+   */
+  async syncCacheGeneration() {
+    if (!this.isPersistent()) {
+      return;
+    }
+
+    const generation = await this.kv.syncGeneration();
+    if (generation !== this.cacheGeneration) {
+      if (this.cacheGeneration !== undefined) {
+        this.clearCache();
+      }
+      this.cacheGeneration = generation;
+    }
+  }
+
+  /**
+   * 当前数据源是否可以保存修改
+   * @returns {boolean}
+   */
+  isPersistent() {
+    return this.dataSource !== DataSource.STATIC;
+  }
+
+  /**
+   * 是否为混合模式
+   * @returns {boolean}
+   */
+  isHybrid() {
+    return this.dataSource === DataSource.HYBRID;
+  }
+
+  /**
+   * 获取当前 KV 存储布局
+   * 迁移可能在其他实例中完成，因此每次读取布局标记（经过 KV 适配器缓存）
+   * @param {Object} options - 选项（skipCache）
+   * @returns {Promise<string>}
+   */
+  async getStorageLayout(options = {}) {
+    this.storageLayout = await this.recordStore.getLayout(options);
+    return this.storageLayout;
+  }
+
+  /**
+   * 获取集合在当前布局下承载版本号的 KV 键
+   * @param {string} type - 集合类型（categories / sites）
+   * @param {string} layout - 存储布局
+   * @returns {string}
+   */
+  getCollectionKey(type, layout) {
+    if (layout === STORAGE_LAYOUT.RECORDS) {
+      return this.recordStore.indexKey(type);
+    }
+    return type === 'categories' ? KV_KEYS.CATEGORIES : KV_KEYS.SITES;
+  }
+
+  /**
+   * 从 KV 读取集合（自动适配存储布局）
+   * @param {string} type - 集合类型
+   * @param {Object} options - 选项（skipCache）
+   * @returns {Promise<{items: Array|null, metadata: Object|null}>}
+   */
+  async readCollection(type, options = {}) {
+    if (this.isHybrid()) {
+      return this.overlayStore.readCollection(type, options);
+    }
+
+    const layout = await this.getStorageLayout(options);
+
+    if (layout === STORAGE_LAYOUT.RECORDS) {
+      return this.recordStore.readCollection(type, options);
+    }
+
+    const { value, metadata } = await this.kv.getWithMetadata(this.getCollectionKey(type, layout), options);
+    return { items: value, metadata };
+  }
+
   /**
    * 获取分类列表
    * @param {boolean} useCache - 是否使用缓存
@@ -94,6 +221,7 @@ export class DataManager {
       
       // 尝试从缓存获取
       if (useCache) {
+        await this.syncCacheGeneration();
         const cachedData = cache.get(cacheKey);
         if (cachedData) {
           console.log('从缓存获取分类数据');
@@ -103,9 +231,9 @@ export class DataManager {
 
       let categories;
       
-      if (this.dataSource === DataSource.KV) {
-        // 从 KV 获取
-        categories = await kvAdapter.get(KV_KEYS.CATEGORIES);
+      if (this.isPersistent()) {
+        // 从存储后端获取
+        ({ items: categories } = await this.readCollection('categories'));
         if (!categories) {
           console.log('KV 中无分类数据，使用静态数据');
           categories = staticCategories;
@@ -115,6 +243,9 @@ export class DataManager {
         categories = staticCategories;
       }
 
+      // 按手动排序位置排列
+      categories = sortByOrder(categories);
+
       // 缓存数据
       cache.set(cacheKey, categories, this.cacheTTL);
       
@@ -140,6 +271,7 @@ export class DataManager {
       
       // 尝试从缓存获取
       if (useCache) {
+        await this.syncCacheGeneration();
         const cachedData = cache.get(cacheKey);
         if (cachedData) {
           console.log('从缓存获取网站数据');
@@ -149,9 +281,9 @@ export class DataManager {
 
       let sites;
       
-      if (this.dataSource === DataSource.KV) {
-        // 从 KV 获取
-        sites = await kvAdapter.get(KV_KEYS.SITES);
+      if (this.isPersistent()) {
+        // 从存储后端获取
+        ({ items: sites } = await this.readCollection('sites'));
         if (!sites) {
           console.log('KV 中无网站数据，使用静态数据');
           sites = staticSites;
@@ -161,6 +293,9 @@ export class DataManager {
         sites = staticSites;
       }
 
+      // 按手动排序位置排列
+      sites = sortByOrder(sites);
+
       // 缓存数据
       cache.set(cacheKey, sites, this.cacheTTL);
       
@@ -173,60 +308,234 @@ export class DataManager {
     }
   }
 
+  /**
+   * 获取分类树
+   * @returns {Promise<Array>} 根节点列表，每个节点带 children
+   */
+  async getCategoryTree() {
+    const categories = await this.getCategories();
+    return buildCategoryTree(categories);
+  }
+
   /**
    * 获取指定分类的网站
    * @param {string} categoryId - 分类 ID
+   * @param {Object} options - 选项
+   * @param {boolean} options.includeDescendants - 是否包含所有子分类中的网站
    * @returns {Promise<Array>}
    */
-  async getSitesByCategory(categoryId) {
+  async getSitesByCategory(categoryId, options = {}) {
+    await this.ensureInitialized();
+
+    if (options.includeDescendants) {
+      const categories = await this.getCategories();
+      const categoryIds = new Set([categoryId, ...getDescendantIds(categories, categoryId)]);
+      const sites = await this.getSites();
+      return sites.filter(site => categoryIds.has(site.category));
+    }
+
+    // 新布局下未缓存全部网站时，直接读取分类索引（混合模式需要合并基础数据，不使用索引）
+    await this.syncCacheGeneration();
+    if (this.isPersistent() && !this.isHybrid() && !cache.get(this.getCacheKey('sites'))) {
+      try {
+        const layout = await this.getStorageLayout();
+        if (layout === STORAGE_LAYOUT.RECORDS && await this.kv.get(this.recordStore.indexKey('sites'))) {
+          return await this.recordStore.readSitesByCategory(categoryId);
+        }
+      } catch (error) {
+        console.warn('读取分类索引失败，改为读取全部网站:', error);
+      }
+    }
+
     const sites = await this.getSites();
     return sites.filter(site => site.category === categoryId);
   }
 
+  /**
+   * 获取所有标签及使用次数
+   * @returns {Promise<Array<{name: string, count: number}>>}
+   */
+  async getTags() {
+    const sites = await this.getSites();
+    return countTags(sites);
+  }
+
+  /**
+   * 获取包含全部指定标签的网站
+   * @param {string[]} tags - 标签列表
+   * @returns {Promise<Array>}
+   */
+  async getSitesByTags(tags) {
+    const sites = await this.getSites();
+    return filterSitesByTags(sites, tags);
+  }
+
   /**
    * 搜索网站
+   * 使用全文索引按相关度排序返回网站列表
    * @param {string} query - 搜索关键词
    * @returns {Promise<Array>}
    */
   async searchSites(query) {
-    const sites = await this.getSites();
-    
-    if (!query) return sites;
-    
-    const lowerQuery = query.toLowerCase();
-    return sites.filter(site => {
-      return (
-        site.title.toLowerCase().includes(lowerQuery) ||
-        site.description.toLowerCase().includes(lowerQuery) ||
-        site.shortDesc.toLowerCase().includes(lowerQuery) ||
-        site.category.toLowerCase().includes(lowerQuery)
-      );
-    });
+    if (!query) return this.getSites();
+
+    const results = await this.searchSitesRanked(query);
+    return results.map(result => result.site);
   }
 
   /**
-   * 保存分类列表
-   * @param {Array} categories - 分类数组
-   * @returns {Promise<void>}
+   * 带得分和高亮信息的搜索
+   * 索引按网站数组缓存，数据更新后自动重建
+   * @param {string} query - 搜索关键词
+   * @param {Object} options - 选项（limit）
+   * @returns {Promise<Array<{site: Object, score: number, highlights: Object}>>}
    */
-  async saveCategories(categories) {
+  async searchSitesRanked(query, options = {}) {
+    const [sites, categories] = await Promise.all([this.getSites(), this.getCategories()]);
+    return getSearchIndex(sites, categories).search(query, options);
+  }
+
+  /**
+   * 获取集合的当前版本号
+   * 版本号保存在集合 KV 键的元数据中，与数据一次写入；静态模式下恒为 0
+   * @param {string} type - 集合类型（categories / sites）
+   * @param {boolean} useCache - 是否使用缓存
+   * @returns {Promise<number>}
+   */
+  async getRevision(type, useCache = true) {
     await this.ensureInitialized();
-    
+
+    if (!this.isPersistent()) {
+      return 0;
+    }
+
     try {
-      if (this.dataSource === DataSource.KV) {
-        await kvAdapter.set(KV_KEYS.CATEGORIES, categories);
-        console.log('✅ 分类数据已保存到 KV');
-      } else {
-        throw new Error('静态数据模式不支持保存操作');
+      const options = { skipCache: !useCache };
+      if (this.isHybrid()) {
+        const { metadata } = await this.overlayStore.readOverlay(type, options);
+        return metadata?.revision || 0;
       }
+      const layout = await this.getStorageLayout(options);
+      const { metadata } = await this.kv.getWithMetadata(this.getCollectionKey(type, layout), options);
+      return metadata?.revision || 0;
+    } catch (error) {
+      console.warn(`获取 ${type} 版本号失败:`, error);
+      return 0;
+    }
+  }
 
-      // 更新缓存
-      const cacheKey = this.getCacheKey('categories');
-      cache.set(cacheKey, categories, this.cacheTTL);
-      
-      // 更新元数据
-      await this.updateMetadata('categories', categories.length);
-      
+  /**
+   * 读取用于修改的集合（绕过缓存，附带版本号）
+   * @param {string} type - 集合类型（categories / sites）
+   * @returns {Promise<{items: Array, revision: number}>}
+   */
+  async getCollection(type) {
+    await this.ensureInitialized();
+
+    const fallback = type === 'categories' ? staticCategories : staticSites;
+
+    if (!this.isPersistent()) {
+      return { items: [...fallback], revision: 0 };
+    }
+
+    const { items, metadata } = await this.readCollection(type, { skipCache: true });
+    return {
+      items: [...(items || fallback)],
+      revision: metadata?.revision || 0
+    };
+  }
+
+  /**
+   * 校验期望版本号
+   * @param {string} type - 集合类型
+   * @param {number|undefined} expectedRevision - 调用方持有的版本号，未提供时不校验
+   * @param {number} currentRevision - 存储中的当前版本号
+   */
+  assertRevision(type, expectedRevision, currentRevision) {
+    if (expectedRevision === undefined || expectedRevision === null) {
+      return;
+    }
+
+    if (expectedRevision !== currentRevision) {
+      throw handleError.conflict(
+        `${type === 'categories' ? '分类' : '网站'}数据已被修改（期望版本 ${expectedRevision}，当前版本 ${currentRevision}）`,
+        { collection: type, expectedRevision, currentRevision }
+      );
+    }
+  }
+
+  /**
+   * 写入集合并递增版本号
+   * KV 不支持原子比较写入，这里在写入前重新读取版本号，尽量缩小并发覆盖的窗口；
+   * 新布局下只写入变化的记录，版本号保存在集合索引的元数据中；混合模式下只写入与 navLinks.js 的差异；
+   * 写入后记录变更历史
+   * @param {string} type - 集合类型
+   * @param {Array} items - 集合数据
+   * @param {Object} options - 选项
+   * @param {number} options.expectedRevision - 期望的当前版本号
+   * @param {string} options.actor - 操作者
+   * @param {string} options.ip - 操作者 IP
+   * @param {string} options.source - 修改来源（api / import / ai_organize 等）
+   * @returns {Promise<number>} 新版本号
+   */
+  async saveCollection(type, items, options = {}) {
+    await this.ensureInitialized();
+
+    if (!this.isPersistent()) {
+      throw new Error('静态数据模式不支持保存操作，请通过 DATA_SOURCE 配置持久化存储');
+    }
+
+    const hybrid = this.isHybrid();
+    const layout = hybrid ? null : await this.getStorageLayout({ skipCache: true });
+    const current = hybrid || layout === STORAGE_LAYOUT.RECORDS
+      ? await this.readCollection(type, { skipCache: true })
+      : await this.kv.getWithMetadata(this.getCollectionKey(type, layout), { skipCache: true });
+    const currentRevision = current.metadata?.revision || 0;
+    this.assertRevision(type, options.expectedRevision, currentRevision);
+
+    const revision = currentRevision + 1;
+    const metadata = { revision, updatedAt: Date.now() };
+
+    if (hybrid) {
+      await this.overlayStore.writeCollection(type, items, metadata);
+    } else if (layout === STORAGE_LAYOUT.RECORDS) {
+      await this.recordStore.writeCollection(type, items, current.items || [], metadata);
+    } else {
+      await this.kv.set(this.getCollectionKey(type, layout), items, { metadata });
+    }
+
+    // 更新缓存
+    cache.set(this.getCacheKey(type), sortByOrder(items), this.cacheTTL);
+
+    // 更新元数据
+    await this.updateMetadata(type, items.length, revision);
+
+    // 通知其他实例清除缓存
+    await this.kv.bumpGeneration();
+
+    // 记录变更历史，KV 中尚无数据时以静态数据作为修改前的内容
+    const previousItems = (hybrid || layout === STORAGE_LAYOUT.RECORDS ? current.items : current.value)
+      || (type === 'categories' ? staticCategories : staticSites);
+    try {
+      await this.historyManager.record({ collection: type, previousItems, items, revision, options });
+    } catch (error) {
+      console.warn('记录变更历史失败:', error);
+    }
+
+    return revision;
+  }
+
+  /**
+   * 保存分类列表
+   * @param {Array} categories - 分类数组
+   * @param {Object} options - 选项（expectedRevision）
+   * @returns {Promise<number>} 新版本号
+   */
+  async saveCategories(categories, options = {}) {
+    try {
+      const revision = await this.saveCollection('categories', categories, options);
+      console.log(`✅ 分类数据已保存到 ${this.dataSource}，版本 ${revision}`);
+      return revision;
     } catch (error) {
       console.error('保存分类数据失败:', error);
       throw handleError.generic(error, { operation: 'save_categories' });
@@ -236,26 +545,14 @@ export class DataManager {
   /**
    * 保存网站列表
    * @param {Array} sites - 网站数组
-   * @returns {Promise<void>}
+   * @param {Object} options - 选项（expectedRevision）
+   * @returns {Promise<number>} 新版本号
    */
-  async saveSites(sites) {
-    await this.ensureInitialized();
-    
+  async saveSites(sites, options = {}) {
     try {
-      if (this.dataSource === DataSource.KV) {
-        await kvAdapter.set(KV_KEYS.SITES, sites);
-        console.log('✅ 网站数据已保存到 KV');
-      } else {
-        throw new Error('静态数据模式不支持保存操作');
-      }
-
-      // 更新缓存
-      const cacheKey = this.getCacheKey('sites');
-      cache.set(cacheKey, sites, this.cacheTTL);
-      
-      // 更新元数据
-      await this.updateMetadata('sites', sites.length);
-      
+      const revision = await this.saveCollection('sites', sites, options);
+      console.log(`✅ 网站数据已保存到 ${this.dataSource}，版本 ${revision}`);
+      return revision;
     } catch (error) {
       console.error('保存网站数据失败:', error);
       throw handleError.generic(error, { operation: 'save_sites' });
@@ -265,95 +562,271 @@ export class DataManager {
   /**
    * 添加新分类
    * @param {Object} category - 分类对象
-   * @returns {Promise<void>}
+   * @param {Object} options - 选项（expectedRevision）
+   * @returns {Promise<number>} 新版本号
    */
-  async addCategory(category) {
-    const categories = await this.getCategories();
+  async addCategory(category, options = {}) {
+    const { items: categories, revision } = await this.getCollection('categories');
+    this.assertRevision('categories', options.expectedRevision, revision);
     
     // 检查 ID 是否已存在
     if (categories.find(cat => cat.id === category.id)) {
       throw handleError.validation(`分类 ID "${category.id}" 已存在`);
     }
     
-    categories.push(category);
-    await this.saveCategories(categories);
+    const parentError = validateParent(categories, category.id, category.parentId);
+    if (parentError) {
+      throw handleError.validation(parentError);
+    }
+    
+    categories.push({ ...category, order: category.order ?? getNextOrder(categories) });
+    const newRevision = await this.saveCategories(categories, { ...options, expectedRevision: revision });
     
     console.log(`✅ 新增分类: ${category.name}`);
+    return newRevision;
   }
 
   /**
    * 更新分类
    * @param {string} categoryId - 分类 ID
    * @param {Object} updates - 更新数据
-   * @returns {Promise<void>}
+   * @param {Object} options - 选项（expectedRevision）
+   * @returns {Promise<number>} 新版本号
    */
-  async updateCategory(categoryId, updates) {
-    const categories = await this.getCategories();
+  async updateCategory(categoryId, updates, options = {}) {
+    const { items: categories, revision } = await this.getCollection('categories');
+    this.assertRevision('categories', options.expectedRevision, revision);
     const index = categories.findIndex(cat => cat.id === categoryId);
     
     if (index === -1) {
       throw handleError.validation(`分类 "${categoryId}" 不存在`);
     }
     
+    if (updates.parentId !== undefined) {
+      const parentError = validateParent(categories, categoryId, updates.parentId);
+      if (parentError) {
+        throw handleError.validation(parentError);
+      }
+    }
+    
     categories[index] = { ...categories[index], ...updates };
-    await this.saveCategories(categories);
+    // parentId 为空表示移动到根级
+    if (!categories[index].parentId) {
+      delete categories[index].parentId;
+    }
+    const newRevision = await this.saveCategories(categories, { ...options, expectedRevision: revision });
     
     console.log(`✅ 更新分类: ${categoryId}`);
+    return newRevision;
   }
 
   /**
-   * 删除分类
-   * @param {string} categoryId - 分类 ID
+   * 生成分类删除、合并或拆分的操作计划（只读取，不写入）
+   * @param {string} operation - 操作类型（delete / merge / split）
+   * @param {Object} params - 操作参数
+   * @returns {Promise<Object>} 操作计划，附带读取时两个集合的版本号和内容（写入失败时用于回滚）
+   */
+  async planCategoryOperation(operation, params = {}) {
+    const [categoryCollection, siteCollection] = await Promise.all([
+      this.getCollection('categories'),
+      this.getCollection('sites')
+    ]);
+    const categories = sortByOrder(categoryCollection.items);
+    const sites = sortByOrder(siteCollection.items);
+
+    let plan;
+    switch (operation) {
+      case 'delete':
+        plan = planCategoryDelete(categories, sites, params.categoryId, params);
+        break;
+      case 'merge':
+        plan = planCategoryMerge(categories, sites, params.sourceIds, params.targetId);
+        break;
+      case 'split':
+        plan = planCategorySplit(categories, sites, params.sourceId, params.category, params.siteIds);
+        break;
+      default:
+        throw handleError.validation(`不支持的分类操作 "${operation}"`);
+    }
+
+    if (plan.error) {
+      throw handleError.validation(plan.error);
+    }
+
+    return {
+      ...plan,
+      categoriesRevision: categoryCollection.revision,
+      sitesRevision: siteCollection.revision,
+      previousCategories: categoryCollection.items,
+      previousSites: siteCollection.items
+    };
+  }
+
+  /**
+   * 写入分类操作计划
+   * 新建分类时先写分类再写书签，其他情况先处理书签再删除分类，避免书签指向不存在的分类；
+   * 被删除的分类和书签按 permanent 选项移入回收站或彻底删除。
+   * 两个集合分别写入，第二个集合写入失败（版本冲突或存储错误）时将第一个集合恢复为操作前的内容，
+   * 并撤回它移入回收站的条目，然后抛出原始错误
+   * @param {Object} plan - planCategoryOperation 生成的计划
+   * @param {Object} options - 选项（expectedRevision 为分类集合版本号、permanent、actor、ip、source）
+   * @returns {Promise<{revision: number, sitesRevision: number}>} 两个集合的新版本号
+   */
+  async applyCategoryPlan(plan, options = {}) {
+    this.assertRevision('categories', options.expectedRevision, plan.categoriesRevision);
+
+    const revisions = { categories: plan.categoriesRevision, sites: plan.sitesRevision };
+    const categoriesStep = {
+      type: 'categories',
+      changed: plan.createdCategories.length > 0 || plan.removedCategories.length > 0 || plan.movedCategories.length > 0,
+      items: plan.categories,
+      removed: plan.removedCategories,
+      previousItems: plan.previousCategories
+    };
+    const sitesStep = {
+      type: 'sites',
+      changed: plan.movedSites.length > 0 || plan.removedSites.length > 0,
+      items: plan.sites,
+      removed: plan.removedSites,
+      previousItems: plan.previousSites
+    };
+    const steps = (plan.createdCategories.length > 0 ? [categoriesStep, sitesStep] : [sitesStep, categoriesStep])
+      .filter(step => step.changed);
+
+    let written = null;
+    for (const step of steps) {
+      try {
+        const { revision, trashed } = await this.trashAndSave(step.type, step.items, step.removed, {
+          ...options,
+          expectedRevision: revisions[step.type]
+        });
+        revisions[step.type] = revision;
+        written = { ...step, revision, trashed };
+      } catch (error) {
+        if (written) {
+          await this.rollbackCategoryPlanStep(written, options);
+        }
+        throw error;
+      }
+    }
+
+    return { revision: revisions.categories, sitesRevision: revisions.sites };
+  }
+
+  /**
+   * 回滚分类操作计划中已写入的集合：恢复操作前的内容并撤回移入回收站的条目
+   * 回滚失败时只记录日志，调用方仍会收到导致回滚的原始错误
+   * @param {Object} written - 已写入的步骤（type、previousItems、revision、trashed）
+   * @param {Object} options - 原操作的选项（actor、ip）
    * @returns {Promise<void>}
    */
-  async deleteCategory(categoryId) {
-    const categories = await this.getCategories();
-    const sites = await this.getSites();
-    
-    // 检查是否有网站使用此分类
-    const sitesInCategory = sites.filter(site => site.category === categoryId);
-    if (sitesInCategory.length > 0) {
-      throw handleError.validation(`无法删除分类 "${categoryId}"，还有 ${sitesInCategory.length} 个网站使用此分类`);
+  async rollbackCategoryPlanStep(written, options = {}) {
+    try {
+      await this.saveCollection(written.type, written.previousItems, {
+        actor: options.actor,
+        ip: options.ip,
+        source: 'rollback',
+        expectedRevision: written.revision
+      });
+      if (written.trashed.length > 0) {
+        await this.trashManager.remove(written.trashed.map(item => item.id));
+      }
+      console.warn(`↩️ 分类操作未完成，已将 ${written.type} 恢复为操作前的内容`);
+    } catch (error) {
+      console.error(`回滚 ${written.type} 失败:`, error);
     }
-    
-    const filteredCategories = categories.filter(cat => cat.id !== categoryId);
-    await this.saveCategories(filteredCategories);
-    
-    console.log(`✅ 删除分类: ${categoryId}`);
+  }
+
+  /**
+   * 删除分类
+   * 默认（block）在分类下还有书签或子分类时拒绝删除；
+   * reassign 将书签转移到 target 分类、子分类上移一级；cascade 连同子分类和其中的书签一起删除
+   * @param {string} categoryId - 分类 ID
+   * @param {Object} options - 选项（expectedRevision、permanent、strategy、target）
+   * @returns {Promise<number>} 新版本号
+   */
+  async deleteCategory(categoryId, options = {}) {
+    const plan = await this.planCategoryOperation('delete', {
+      categoryId,
+      strategy: options.strategy,
+      target: options.target
+    });
+    const { revision } = await this.applyCategoryPlan(plan, options);
+
+    console.log(`✅ 删除分类: ${categoryId}（${options.strategy || 'block'}）${options.permanent ? '（彻底删除）' : '（移入回收站）'}`);
+    return revision;
+  }
+
+  /**
+   * 合并分类：来源分类的书签和子分类转移到目标分类，来源分类移入回收站
+   * @param {string[]} sourceIds - 来源分类 ID 列表
+   * @param {string} targetId - 目标分类 ID
+   * @param {Object} options - 选项（expectedRevision、permanent）
+   * @returns {Promise<{revision: number, sitesRevision: number, plan: Object}>}
+   */
+  async mergeCategories(sourceIds, targetId, options = {}) {
+    const plan = await this.planCategoryOperation('merge', { sourceIds, targetId });
+    const revisions = await this.applyCategoryPlan(plan, options);
+
+    console.log(`✅ 合并分类: ${sourceIds.join(', ')} -> ${targetId}，转移 ${plan.movedSites.length} 个网站`);
+    return { ...revisions, plan };
+  }
+
+  /**
+   * 拆分分类：新建分类并把来源分类中选中的书签转移过去
+   * @param {string} sourceId - 来源分类 ID
+   * @param {Object} category - 新分类
+   * @param {string[]} siteIds - 要转移的书签 ID 列表
+   * @param {Object} options - 选项（expectedRevision）
+   * @returns {Promise<{revision: number, sitesRevision: number, plan: Object}>}
+   */
+  async splitCategory(sourceId, category, siteIds, options = {}) {
+    const plan = await this.planCategoryOperation('split', { sourceId, category, siteIds });
+    const revisions = await this.applyCategoryPlan(plan, options);
+
+    console.log(`✅ 拆分分类: ${sourceId} -> ${category.id}，转移 ${plan.movedSites.length} 个网站`);
+    return { ...revisions, plan };
   }
 
   /**
    * 添加新网站
    * @param {Object} site - 网站对象
-   * @returns {Promise<void>}
+   * @param {Object} options - 选项（expectedRevision）
+   * @returns {Promise<number>} 新版本号
    */
-  async addSite(site) {
-    const sites = await this.getSites();
+  async addSite(site, options = {}) {
+    const { items: sites, revision } = await this.getCollection('sites');
+    this.assertRevision('sites', options.expectedRevision, revision);
     
     // 检查 ID 是否已存在
     if (sites.find(s => s.id === site.id)) {
       throw handleError.validation(`网站 ID "${site.id}" 已存在`);
     }
     
-    // 检查 URL 是否已存在
-    if (sites.find(s => s.url === site.url)) {
-      throw handleError.validation(`网站 URL "${site.url}" 已存在`);
+    // 检查 URL 是否已存在（忽略协议、www、结尾斜杠和跟踪参数的差异）
+    const normalizedUrl = normalizeUrl(site.url);
+    const duplicate = sites.find(s => normalizeUrl(s.url) === normalizedUrl);
+    if (duplicate) {
+      throw handleError.validation(`网站 URL "${site.url}" 已存在（与 "${duplicate.title}" 重复）`);
     }
     
-    sites.push(site);
-    await this.saveSites(sites);
+    sites.push({ ...site, order: site.order ?? getNextOrder(sites) });
+    const newRevision = await this.saveSites(sites, { ...options, expectedRevision: revision });
     
     console.log(`✅ 新增网站: ${site.title}`);
+    return newRevision;
   }
 
   /**
    * 更新网站
    * @param {string} siteId - 网站 ID
    * @param {Object} updates - 更新数据
-   * @returns {Promise<void>}
+   * @param {Object} options - 选项（expectedRevision）
+   * @returns {Promise<number>} 新版本号
    */
-  async updateSite(siteId, updates) {
-    const sites = await this.getSites();
+  async updateSite(siteId, updates, options = {}) {
+    const { items: sites, revision } = await this.getCollection('sites');
+    this.assertRevision('sites', options.expectedRevision, revision);
     const index = sites.findIndex(site => site.id === siteId);
     
     if (index === -1) {
@@ -361,44 +834,522 @@ export class DataManager {
     }
     
     sites[index] = { ...sites[index], ...updates };
-    await this.saveSites(sites);
+    const newRevision = await this.saveSites(sites, { ...options, expectedRevision: revision });
     
     console.log(`✅ 更新网站: ${siteId}`);
+    return newRevision;
   }
 
   /**
    * 删除网站
    * @param {string} siteId - 网站 ID
-   * @returns {Promise<void>}
+   * @param {Object} options - 选项（expectedRevision）
+   * @returns {Promise<number>} 新版本号
    */
-  async deleteSite(siteId) {
-    const sites = await this.getSites();
-    const filteredSites = sites.filter(site => site.id !== siteId);
+  async deleteSite(siteId, options = {}) {
+    const { items: sites, revision } = await this.getCollection('sites');
+    this.assertRevision('sites', options.expectedRevision, revision);
+    const site = sites.find(s => s.id === siteId);
     
-    if (filteredSites.length === sites.length) {
+    if (!site) {
       throw handleError.validation(`网站 "${siteId}" 不存在`);
     }
     
-    await this.saveSites(filteredSites);
+    const filteredSites = sites.filter(s => s.id !== siteId);
+    const newRevision = await this.saveWithTrash('sites', filteredSites, [site], { ...options, expectedRevision: revision });
     
-    console.log(`✅ 删除网站: ${siteId}`);
+    console.log(`✅ 删除网站: ${siteId}${options.permanent ? '（彻底删除）' : '（移入回收站）'}`);
+    return newRevision;
+  }
+
+  /**
+   * 批量创建、更新、删除和移动网站
+   * 所有操作在一次读取的书签列表上依次执行，最后只写入一次（有删除时被删除的网站移入回收站）
+   * @param {Array} operations - 操作列表（见 BatchOperation）
+   * @param {Object} options - 选项（expectedRevision、atomic、permanent）
+   * @returns {Promise<{revision: number|null, results: Array, applied: number, failed: number}>}
+   *   没有可执行的操作时不写入，revision 为 null
+   */
+  async applySiteBatch(operations, options = {}) {
+    const { items: sites, revision } = await this.getCollection('sites');
+    this.assertRevision('sites', options.expectedRevision, revision);
+    const categories = await this.getCategories(false);
+
+    const plan = planBookmarkBatch(sites, categories, operations, { atomic: options.atomic });
+    const { results, applied, failed } = plan;
+    if (applied === 0) {
+      return { revision: null, results, applied, failed };
+    }
+
+    const saveOptions = { ...options, expectedRevision: revision };
+    const newRevision = plan.removed.length > 0
+      ? await this.saveWithTrash('sites', plan.sites, plan.removed, saveOptions)
+      : await this.saveSites(plan.sites, saveOptions);
+
+    console.log(`✅ 批量操作网站: 成功 ${applied} 个，失败 ${failed} 个，版本 ${newRevision}`);
+    return { revision: newRevision, results, applied, failed };
+  }
+
+  /**
+   * 读取书签点击数（siteId → 次数），统计数据不可用时返回空对象
+   * @returns {Promise<Object>}
+   */
+  async getSiteClicks() {
+    try {
+      const clickStats = await this.kv.get(KV_KEYS.STATS_CLICKS);
+      return clickStats?.sites || {};
+    } catch (error) {
+      console.warn('读取点击统计失败:', error);
+      return {};
+    }
+  }
+
+  /**
+   * 查找重复书签
+   * @param {Object} options - 选项（titleThreshold：标题相似度阈值）
+   * @returns {Promise<{groups: Array, revision: number}>}
+   */
+  async findDuplicateSites(options = {}) {
+    const [{ items: sites, revision }, clicks] = await Promise.all([
+      this.getCollection('sites'),
+      this.getSiteClicks()
+    ]);
+
+    const groups = findDuplicateGroups(sites, { ...options, clicks }).map(group => ({
+      ...group,
+      sites: group.sites.map(site => ({ ...site, clicks: clicks[site.id] || 0 }))
+    }));
+
+    return { groups, revision };
+  }
+
+  /**
+   * 合并重复书签
+   * 被合并的书签移入回收站（permanent 为 true 时直接删除），它们的描述、图标、标签补全到保留的书签上，
+   * 点击数累加到保留的书签；重复的 ID 只合并一次
+   * @param {string[]} sourceIds - 被合并的书签 ID
+   * @param {string} targetId - 保留的书签 ID
+   * @param {Object} options - 选项（expectedRevision、permanent）
+   * @returns {Promise<{revision: number, site: Object, clicks: number, merged: string[]}>} merged 为去重后被合并的书签 ID
+   */
+  async mergeSites(sourceIds, targetId, options = {}) {
+    const { items: sites, revision } = await this.getCollection('sites');
+    this.assertRevision('sites', options.expectedRevision, revision);
+
+    if (!Array.isArray(sourceIds) || sourceIds.length === 0 || sourceIds.some(id => typeof id !== 'string' || !id)) {
+      throw handleError.validation('被合并的书签必须是非空的书签 ID 数组');
+    }
+    // 重复的 ID 只合并一次，避免同一书签被两次移入回收站、点击数被重复累加
+    const uniqueIds = [...new Set(sourceIds)];
+    if (uniqueIds.includes(targetId)) {
+      throw handleError.validation('保留的书签不能同时作为被合并的书签');
+    }
+
+    const target = sites.find(site => site.id === targetId);
+    if (!target) {
+      throw handleError.validation(`网站 "${targetId}" 不存在`);
+    }
+    const sources = uniqueIds.map(id => sites.find(site => site.id === id));
+    const missing = uniqueIds.filter((id, index) => !sources[index]);
+    if (missing.length > 0) {
+      throw handleError.validation(`以下网站不存在: ${missing.join(', ')}`);
+    }
+
+    const merged = { ...mergeSiteRecords(target, sources), lastModified: Date.now() };
+    const removedIds = new Set(uniqueIds);
+    const nextSites = sites
+      .filter(site => !removedIds.has(site.id))
+      .map(site => (site.id === targetId ? merged : site));
+
+    const newRevision = await this.saveWithTrash('sites', nextSites, sources, { ...options, expectedRevision: revision });
+    const clicks = await this.mergeSiteClicks(uniqueIds, targetId);
+
+    console.log(`✅ 合并网站: ${uniqueIds.join(', ')} → ${targetId}`);
+    return { revision: newRevision, site: merged, clicks, merged: uniqueIds };
+  }
+
+  /**
+   * 将被合并书签的点击数累加到保留的书签
+   * 统计数据写入失败不影响已完成的合并
+   * @param {string[]} sourceIds - 被合并的书签 ID
+   * @param {string} targetId - 保留的书签 ID
+   * @returns {Promise<number>} 保留书签合并后的点击数
+   */
+  async mergeSiteClicks(sourceIds, targetId) {
+    try {
+      const clickStats = await this.kv.get(KV_KEYS.STATS_CLICKS);
+      if (!clickStats?.sites) {
+        return 0;
+      }
+
+      const moved = sourceIds.reduce((sum, id) => sum + (clickStats.sites[id] || 0), 0);
+      if (moved === 0) {
+        return clickStats.sites[targetId] || 0;
+      }
+
+      sourceIds.forEach(id => delete clickStats.sites[id]);
+      clickStats.sites[targetId] = (clickStats.sites[targetId] || 0) + moved;
+      clickStats.lastUpdated = Date.now();
+      await this.kv.set(KV_KEYS.STATS_CLICKS, clickStats);
+      return clickStats.sites[targetId];
+    } catch (error) {
+      console.warn('合并点击统计失败:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * 调整书签或分类的显示顺序
+   * 一次读取、一次写入整个集合，所有记录的 order 同时更新；分类只能在同一父分类下重排
+   * @param {string} type - 集合类型（categories / sites）
+   * @param {string[]} ids - 新顺序的 ID 列表，可以只包含部分记录
+   * @param {Object} options - 选项（expectedRevision）
+   * @returns {Promise<{revision: number, items: Array}>} 新版本号和重排后的列表
+   */
+  async reorderCollection(type, ids, options = {}) {
+    const { items, revision } = await this.getCollection(type);
+    this.assertRevision(type, options.expectedRevision, revision);
+
+    const idError = validateReorderIds(items, ids);
+    if (idError) {
+      throw handleError.validation(idError);
+    }
+
+    if (type === 'categories') {
+      const parentIds = new Set(items.filter(item => ids.includes(item.id)).map(item => item.parentId || null));
+      if (parentIds.size > 1) {
+        throw handleError.validation('只能在同一父分类下调整分类顺序');
+      }
+    }
+
+    const reordered = applyReorder(items, ids);
+    const newRevision = await this.saveCollection(type, reordered, { ...options, expectedRevision: revision });
+
+    console.log(`✅ 已调整 ${ids.length} 个${type === 'categories' ? '分类' : '网站'}的顺序，版本 ${newRevision}`);
+    return { revision: newRevision, items: reordered };
+  }
+
+  /**
+   * 调整网站顺序
+   * @param {string[]} ids - 新顺序的网站 ID 列表
+   * @param {Object} options - 选项（expectedRevision）
+   * @returns {Promise<{revision: number, items: Array}>}
+   */
+  async reorderSites(ids, options = {}) {
+    return this.reorderCollection('sites', ids, options);
+  }
+
+  /**
+   * 调整分类顺序
+   * @param {string[]} ids - 新顺序的分类 ID 列表（需属于同一父分类）
+   * @param {Object} options - 选项（expectedRevision）
+   * @returns {Promise<{revision: number, items: Array}>}
+   */
+  async reorderCategories(ids, options = {}) {
+    return this.reorderCollection('categories', ids, options);
+  }
+
+  /**
+   * 保存删除后的集合，并将被删除的记录移入回收站
+   * 先写回收站再写集合，集合写入失败时撤回回收站条目，避免出现重复记录
+   * @param {string} type - 集合类型
+   * @param {Array} items - 删除后的集合
+   * @param {Array} removed - 被删除的记录
+   * @param {Object} options - 选项（expectedRevision、permanent 为 true 时不进入回收站）
+   * @returns {Promise<number>} 新版本号
+   */
+  async saveWithTrash(type, items, removed, options = {}) {
+    const { revision } = await this.trashAndSave(type, items, removed, options);
+    return revision;
+  }
+
+  /**
+   * 与 saveWithTrash 相同，同时返回移入回收站的条目，便于调用方在后续步骤失败时撤回
+   * @param {string} type - 集合类型
+   * @param {Array} items - 删除后的集合
+   * @param {Array} removed - 被删除的记录
+   * @param {Object} options - 选项（expectedRevision、permanent 为 true 时不进入回收站）
+   * @returns {Promise<{revision: number, trashed: Array}>}
+   */
+  async trashAndSave(type, items, removed, options = {}) {
+    const save = (collection) => type === 'categories'
+      ? this.saveCategories(collection, options)
+      : this.saveSites(collection, options);
+
+    if (removed.length === 0 || options.permanent || !this.isPersistent()) {
+      return { revision: await save(items), trashed: [] };
+    }
+
+    const trashed = await this.trashManager.add(type, removed, options);
+    try {
+      return { revision: await save(items), trashed };
+    } catch (error) {
+      await this.trashManager.remove(trashed.map(item => item.id));
+      throw error;
+    }
+  }
+
+  /**
+   * 从回收站恢复记录
+   * 恢复网站时，如果所属分类也在回收站中会一并恢复
+   * @param {string} trashId - 回收站条目 ID
+   * @param {Object} options - 选项（actor、ip、source）
+   * @returns {Promise<{type: string, record: Object, revision: number}>}
+   */
+  async restoreFromTrash(trashId, options = {}) {
+    const entry = await this.trashManager.get(trashId);
+    if (!entry) {
+      throw handleError.validation(`回收站条目 "${trashId}" 不存在或已过期`);
+    }
+
+    const { type, record } = entry;
+    const { items, revision } = await this.getCollection(type);
+
+    if (items.find(item => item.id === record.id)) {
+      throw handleError.validation(`${type === 'categories' ? '分类' : '网站'} ID "${record.id}" 已存在，无法恢复`);
+    }
+
+    if (type === 'sites') {
+      // 与新增书签相同，忽略协议、www、结尾斜杠和跟踪参数的差异
+      const duplicate = items.find(item => isSameUrl(item.url, record.url));
+      if (duplicate) {
+        throw handleError.validation(`网站 URL "${record.url}" 已存在（与 "${duplicate.title}" 重复），无法恢复`);
+      }
+
+      const categories = await this.getCategories(false);
+      if (!categories.find(cat => cat.id === record.category)) {
+        const categoryEntry = await this.trashManager.findByRecord('categories', record.category);
+        if (!categoryEntry) {
+          throw handleError.validation(`分类 "${record.category}" 不存在，请先创建该分类后再恢复`);
+        }
+        await this.restoreFromTrash(categoryEntry.id, options);
+      }
+    }
+
+    const newRevision = await this.saveCollection(type, [...items, record], {
+      ...options,
+      expectedRevision: revision,
+      action: HistoryAction.RESTORE
+    });
+    await this.trashManager.remove([trashId]);
+
+    console.log(`✅ 已从回收站恢复: ${record.title || record.name}`);
+    return { type, record, revision: newRevision };
+  }
+
+  /**
+   * 获取混合模式下被覆盖的记录
+   * @param {string} type - 集合类型
+   * @returns {Promise<Array>}
+   */
+  async getOverrides(type) {
+    await this.ensureInitialized();
+
+    if (!this.isHybrid()) {
+      return [];
+    }
+    return this.overlayStore.getOverrides(type, { skipCache: true });
+  }
+
+  /**
+   * 将混合模式下的记录恢复为 navLinks.js 中的原始数据
+   * @param {string} type - 集合类型
+   * @param {string} id - 记录 ID
+   * @param {Object} options - 选项（expectedRevision、actor、ip、source）
+   * @returns {Promise<number>} 新版本号
+   */
+  async resetOverride(type, id, options = {}) {
+    await this.ensureInitialized();
+
+    if (!this.isHybrid()) {
+      throw handleError.validation('只有混合模式支持恢复原始数据');
+    }
+
+    const { items, revision } = await this.getCollection(type);
+    this.assertRevision(type, options.expectedRevision, revision);
+
+    const resetItems = this.overlayStore.resetItem(type, items, id);
+    if (!resetItems) {
+      throw handleError.validation(`"${id}" 不在 navLinks.js 的基础数据中，无法恢复`);
+    }
+
+    if (type === 'sites') {
+      const site = resetItems.find(item => item.id === id);
+      const duplicate = resetItems.find(item => item.id !== id && isSameUrl(item.url, site.url));
+      if (duplicate) {
+        throw handleError.validation(`网站 URL "${site.url}" 已被其他书签使用（与 "${duplicate.title}" 重复），无法恢复`);
+      }
+      const categories = await this.getCategories(false);
+      if (!categories.find(cat => cat.id === site.category)) {
+        throw handleError.validation(`分类 "${site.category}" 不存在，请先恢复该分类`);
+      }
+    }
+
+    const newRevision = await this.saveCollection(type, resetItems, { ...options, expectedRevision: revision });
+    try {
+      await this.trashManager.removeByRecords(type, [id]);
+    } catch (error) {
+      console.warn('清理回收站条目失败:', error);
+    }
+
+    console.log(`✅ 已恢复为原始数据: ${id}`);
+    return newRevision;
+  }
+
+  /**
+   * 撤销一条历史记录
+   * 变更涉及的记录在此之后又被修改时拒绝撤销，避免覆盖新的修改
+   * @param {Object} entry - 历史记录
+   * @param {string} action - 本次撤销的操作类型
+   * @param {Object} options - 选项（actor、ip、source）
+   * @returns {Promise<{revision: number, historyId: string}>}
+   */
+  async revertEntry(entry, action, options = {}) {
+    const { items, revision } = await this.getCollection(entry.collection);
+    const currentById = new Map(items.map(item => [item.id, item]));
+
+    const modified = entry.changes.filter(change => !isSameRecord(currentById.get(change.id), change.after));
+    if (modified.length > 0) {
+      throw handleError.conflict(
+        `无法撤销「${entry.summary}」，其中 ${modified.length} 条记录之后已被修改`,
+        { entryId: entry.id, ids: modified.map(change => change.id), currentRevision: revision }
+      );
+    }
+
+    const historyId = this.historyManager.generateId();
+    const newRevision = await this.saveCollection(entry.collection, applyInverse(items, entry), {
+      ...options,
+      expectedRevision: revision,
+      action,
+      revertOf: entry.id,
+      historyId
+    });
+    await this.historyManager.markReverted(entry.id, historyId);
+    await this.discardRestoredTrash(entry.collection, [entry]);
+
+    console.log(`✅ 已撤销变更: ${entry.summary}`);
+    return { revision: newRevision, historyId };
+  }
+
+  /**
+   * 撤销指定的历史记录
+   * @param {string} entryId - 历史记录 ID
+   * @param {Object} options - 选项（actor、ip、source）
+   * @returns {Promise<{revision: number, historyId: string}>}
+   */
+  async revertHistory(entryId, options = {}) {
+    const entry = await this.historyManager.getEntry(entryId);
+    if (!entry) {
+      throw handleError.validation(`历史记录 "${entryId}" 不存在`);
+    }
+    if (entry.revertedBy) {
+      throw handleError.validation(`历史记录 "${entryId}" 已被撤销`);
+    }
+    return this.revertEntry(entry, HistoryAction.REVERT, options);
+  }
+
+  /**
+   * 撤销最近一次变更
+   * @param {Object} options - 选项（actor、ip、source）
+   * @returns {Promise<{revision: number, historyId: string}>}
+   */
+  async undo(options = {}) {
+    const entry = await this.historyManager.findUndoTarget();
+    if (!entry) {
+      throw handleError.validation('没有可撤销的变更');
+    }
+    return this.revertEntry(entry, HistoryAction.UNDO, options);
+  }
+
+  /**
+   * 重做最近一次撤销的变更
+   * @param {Object} options - 选项（actor、ip、source）
+   * @returns {Promise<{revision: number, historyId: string}>}
+   */
+  async redo(options = {}) {
+    const entry = await this.historyManager.findRedoTarget();
+    if (!entry) {
+      throw handleError.validation('没有可重做的变更');
+    }
+    return this.revertEntry(entry, HistoryAction.REDO, options);
+  }
+
+  /**
+   * 撤销删除操作后，移除回收站中对应的条目
+   * @param {string} type - 集合类型
+   * @param {Array} entries - 被撤销的历史记录
+   * @returns {Promise<void>}
+   */
+  async discardRestoredTrash(type, entries) {
+    const restoredIds = entries.flatMap(entry => entry.changes
+      .filter(change => change.after === null)
+      .map(change => change.id));
+
+    if (restoredIds.length === 0) return;
+
+    try {
+      await this.trashManager.removeByRecords(type, restoredIds);
+    } catch (error) {
+      console.warn('清理回收站条目失败:', error);
+    }
+  }
+
+  /**
+   * 回滚到指定时间点
+   * 按从新到旧的顺序撤销该时间之后所有未撤销的变更，每个集合只写入一次
+   * @param {number} timestamp - 目标时间点
+   * @param {Object} options - 选项（actor、ip、source）
+   * @returns {Promise<{reverted: number, revisions: Object}>}
+   */
+  async rollbackTo(timestamp, options = {}) {
+    const { entries } = await this.historyManager.list({ limit: this.historyManager.limit, since: timestamp });
+    const pending = entries.filter(entry => !entry.revertedBy);
+
+    if (pending.length === 0) {
+      throw handleError.validation('该时间点之后没有可回滚的变更');
+    }
+
+    const revisions = {};
+    for (const type of ['categories', 'sites']) {
+      const typeEntries = pending.filter(entry => entry.collection === type);
+      if (typeEntries.length === 0) continue;
+
+      const { items, revision } = await this.getCollection(type);
+      const rolledBack = typeEntries.reduce((result, entry) => applyInverse(result, entry), items);
+      const historyId = this.historyManager.generateId();
+
+      revisions[type] = await this.saveCollection(type, rolledBack, {
+        ...options,
+        expectedRevision: revision,
+        action: HistoryAction.ROLLBACK,
+        historyId
+      });
+
+      await Promise.all(typeEntries.map(entry => this.historyManager.markReverted(entry.id, historyId)));
+      await this.discardRestoredTrash(type, typeEntries);
+    }
+
+    console.log(`✅ 已回滚 ${pending.length} 条变更`);
+    return { reverted: pending.length, revisions };
   }
 
   /**
    * 更新元数据
    * @param {string} type - 数据类型
    * @param {number} count - 数据数量
+   * @param {number} revision - 数据版本号
    * @returns {Promise<void>}
    */
-  async updateMetadata(type, count) {
+  async updateMetadata(type, count, revision) {
     try {
-      if (this.dataSource === DataSource.KV) {
-        const metadata = await kvAdapter.get(KV_KEYS.METADATA) || {};
+      if (this.isPersistent()) {
+        const metadata = await this.kv.get(KV_KEYS.METADATA) || {};
         metadata[type] = {
           count,
+          revision,
           lastUpdated: Date.now()
         };
-        await kvAdapter.set(KV_KEYS.METADATA, metadata);
+        await this.kv.set(KV_KEYS.METADATA, metadata);
       }
     } catch (error) {
       console.warn('更新元数据失败:', error);
@@ -411,8 +1362,8 @@ export class DataManager {
    */
   async getMetadata() {
     try {
-      if (this.dataSource === DataSource.KV) {
-        return await kvAdapter.get(KV_KEYS.METADATA) || {};
+      if (this.isPersistent()) {
+        return await this.kv.get(KV_KEYS.METADATA) || {};
       }
       return {};
     } catch (error) {
@@ -438,6 +1389,15 @@ export class DataManager {
     }
   }
 
+  /**
+   * 数据被整体替换后（恢复备份、数据迁移等）清除本实例的缓存，并更新数据代次让其他实例也清除缓存
+   * @returns {Promise<void>}
+   */
+  async invalidateCaches() {
+    this.clearCache();
+    await this.kv.bumpGeneration();
+  }
+
   /**
    * 获取数据源信息
    * @returns {Object}
@@ -445,7 +1405,9 @@ export class DataManager {
   getDataSourceInfo() {
     return {
       source: this.dataSource,
-      isKVAvailable: kvAdapter.isKVAvailable(),
+      storageLayout: this.storageLayout,
+      versionError: this.versionError?.message || null,
+      isKVAvailable: this.kv.isKVAvailable(),
       isInitialized: this.isInitialized
     };
   }
@@ -461,19 +1423,45 @@ export const data = {
   // 获取数据
   getCategories: () => dataManager.getCategories(),
   getSites: () => dataManager.getSites(),
-  getSitesByCategory: (categoryId) => dataManager.getSitesByCategory(categoryId),
+  getSitesByCategory: (categoryId, options) => dataManager.getSitesByCategory(categoryId, options),
   searchSites: (query) => dataManager.searchSites(query),
+  searchSitesRanked: (query, options) => dataManager.searchSitesRanked(query, options),
+  getTags: () => dataManager.getTags(),
+  getCategoryTree: () => dataManager.getCategoryTree(),
+  getSitesByTags: (tags) => dataManager.getSitesByTags(tags),
   
-  // 管理操作（仅在 KV 模式下可用）
-  addCategory: (category) => dataManager.addCategory(category),
-  updateCategory: (id, updates) => dataManager.updateCategory(id, updates),
-  deleteCategory: (id) => dataManager.deleteCategory(id),
-  addSite: (site) => dataManager.addSite(site),
-  updateSite: (id, updates) => dataManager.updateSite(id, updates),
-  deleteSite: (id) => dataManager.deleteSite(id),
+  // 管理操作（仅在持久化存储模式下可用）
+  addCategory: (category, options) => dataManager.addCategory(category, options),
+  updateCategory: (id, updates, options) => dataManager.updateCategory(id, updates, options),
+  deleteCategory: (id, options) => dataManager.deleteCategory(id, options),
+  mergeCategories: (sourceIds, targetId, options) => dataManager.mergeCategories(sourceIds, targetId, options),
+  splitCategory: (sourceId, category, siteIds, options) => dataManager.splitCategory(sourceId, category, siteIds, options),
+  addSite: (site, options) => dataManager.addSite(site, options),
+  updateSite: (id, updates, options) => dataManager.updateSite(id, updates, options),
+  deleteSite: (id, options) => dataManager.deleteSite(id, options),
+  applySiteBatch: (operations, options) => dataManager.applySiteBatch(operations, options),
+  findDuplicateSites: (options) => dataManager.findDuplicateSites(options),
+  mergeSites: (sourceIds, targetId, options) => dataManager.mergeSites(sourceIds, targetId, options),
+  reorderSites: (ids, options) => dataManager.reorderSites(ids, options),
+  reorderCategories: (ids, options) => dataManager.reorderCategories(ids, options),
+  getRevision: (type) => dataManager.getRevision(type),
+
+  // 变更历史
+  revertHistory: (id, options) => dataManager.revertHistory(id, options),
+  undo: (options) => dataManager.undo(options),
+  redo: (options) => dataManager.redo(options),
+  rollbackTo: (timestamp, options) => dataManager.rollbackTo(timestamp, options),
+
+  // 回收站
+  restoreFromTrash: (id, options) => dataManager.restoreFromTrash(id, options),
+
+  // 混合模式
+  getOverrides: (type) => dataManager.getOverrides(type),
+  resetOverride: (type, id, options) => dataManager.resetOverride(type, id, options),
   
   // 工具函数
   clearCache: (type) => dataManager.clearCache(type),
+  invalidateCaches: () => dataManager.invalidateCaches(),
   getDataSourceInfo: () => dataManager.getDataSourceInfo(),
   getMetadata: () => dataManager.getMetadata()
 };
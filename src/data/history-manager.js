@@ -0,0 +1,332 @@
+/**
+ * 变更历史管理器
+ * 记录书签和分类的每次修改（操作者、时间、修改前后的差异），支持撤销、重做和回滚；
+ * 每条记录单独保存在 history:entry:<记录 ID> 键中，记录 ID 以时间开头，按前缀列出键即得到时间顺序，
+ * 并发写入的记录各写各的键，不会因为改写共享的索引而丢失
+ * @author Claude 4.0 sonnet
+ * @version 1.0.0
+ */
+
+import { kvAdapter, KV_KEYS } from './kv-adapter.js';
+
+/**
+ * 历史记录操作类型
+ */
+export const HistoryAction = {
+  CREATE: 'create',       // 新增单条记录
+  UPDATE: 'update',       // 修改单条记录
+  DELETE: 'delete',       // 删除单条记录
+  BATCH: 'batch',         // 一次写入多条变化
+  REVERT: 'revert',       // 撤销指定变更
+  UNDO: 'undo',           // 撤销最近一次变更
+  REDO: 'redo',           // 重做被撤销的变更
+  ROLLBACK: 'rollback',   // 回滚到指定时间点
+  RESTORE: 'restore'      // 从回收站恢复
+};
+
+/**
+ * 历史记录保留条数
+ */
+export const HISTORY_LIMIT = 500;
+
+/**
+ * 深度比较两条记录
+ * @param {Object|null} a
+ * @param {Object|null} b
+ * @returns {boolean}
+ */
+export function isSameRecord(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+/**
+ * 计算两个集合之间的差异
+ * @param {Array} previousItems - 修改前的集合
+ * @param {Array} items - 修改后的集合
+ * @returns {{changes: Array, beforeOrder: string[]|null}}
+ */
+export function diffCollections(previousItems = [], items = []) {
+  const previousById = new Map(previousItems.map((item, index) => [item.id, { item, index }]));
+  const nextIds = new Set(items.map(item => item.id));
+  const changes = [];
+
+  items.forEach(item => {
+    const previous = previousById.get(item.id);
+    if (!previous) {
+      changes.push({ id: item.id, before: null, after: item });
+    } else if (!isSameRecord(previous.item, item)) {
+      changes.push({ id: item.id, before: previous.item, after: item });
+    }
+  });
+
+  previousItems.forEach((item, index) => {
+    if (!nextIds.has(item.id)) {
+      changes.push({ id: item.id, before: item, after: null, index });
+    }
+  });
+
+  // 仅记录保留下来的记录之间的顺序变化
+  const previousOrder = previousItems.filter(item => nextIds.has(item.id)).map(item => item.id);
+  const nextOrder = items.filter(item => previousById.has(item.id)).map(item => item.id);
+  const orderChanged = previousOrder.join('\n') !== nextOrder.join('\n');
+
+  return {
+    changes,
+    beforeOrder: orderChanged ? previousItems.map(item => item.id) : null
+  };
+}
+
+/**
+ * 将一条历史记录的逆操作应用到集合上
+ * @param {Array} items - 当前集合
+ * @param {Object} entry - 历史记录
+ * @returns {Array} 新集合
+ */
+export function applyInverse(items, entry) {
+  let result = [...items];
+
+  entry.changes.forEach(change => {
+    if (change.before === null) {
+      // 新增的记录 -> 移除
+      result = result.filter(item => item.id !== change.id);
+    } else if (change.after === null) {
+      // 删除的记录 -> 按原位置恢复
+      if (!result.some(item => item.id === change.id)) {
+        const index = Math.min(change.index ?? result.length, result.length);
+        result.splice(index, 0, change.before);
+      }
+    } else {
+      // 修改的记录 -> 恢复修改前的内容
+      result = result.map(item => item.id === change.id ? change.before : item);
+    }
+  });
+
+  if (entry.beforeOrder) {
+    const position = new Map(entry.beforeOrder.map((id, index) => [id, index]));
+    result.sort((a, b) => (position.get(a.id) ?? Infinity) - (position.get(b.id) ?? Infinity));
+  }
+
+  return result;
+}
+
+/**
+ * 变更历史管理器类
+ */
+export class HistoryManager {
+  /**
+   * @param {KVAdapter} kv - 使用的 KV 适配器（多空间时为带键前缀的适配器）
+   */
+  constructor(kv = kvAdapter) {
+    this.kv = kv;
+    this.limit = HISTORY_LIMIT;
+    // 最近一次生成 ID 使用的时间，保证同一实例内 ID 严格递增
+    this.lastIdTime = 0;
+  }
+
+  /**
+   * 历史记录键
+   * @param {string} id - 记录 ID
+   * @returns {string}
+   */
+  entryKey(id) {
+    return `${KV_KEYS.HISTORY_ENTRY_PREFIX}${id}`;
+  }
+
+  /**
+   * 生成历史记录 ID（按时间有序，键名按字典序排列即为时间顺序）
+   * @returns {string}
+   */
+  generateId() {
+    this.lastIdTime = Math.max(Date.now(), this.lastIdTime + 1);
+    return `${this.lastIdTime.toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+  }
+
+  /**
+   * 生成变更摘要
+   * @param {string} collection - 集合类型
+   * @param {string} action - 操作类型
+   * @param {Array} changes - 变更列表
+   * @returns {string}
+   */
+  describe(collection, action, changes) {
+    const label = collection === 'categories' ? '分类' : '网站';
+    const first = changes[0];
+    const name = first ? (first.after || first.before)?.name || (first.after || first.before)?.title || first.id : '';
+
+    switch (action) {
+      case HistoryAction.CREATE:
+        return `新增${label}: ${name}`;
+      case HistoryAction.UPDATE:
+        return `更新${label}: ${name}`;
+      case HistoryAction.DELETE:
+        return `删除${label}: ${name}`;
+      case HistoryAction.UNDO:
+        return `撤销${label}变更（${changes.length} 项）`;
+      case HistoryAction.REDO:
+        return `重做${label}变更（${changes.length} 项）`;
+      case HistoryAction.REVERT:
+        return `还原${label}变更（${changes.length} 项）`;
+      case HistoryAction.ROLLBACK:
+        return `回滚${label}数据（${changes.length} 项）`;
+      case HistoryAction.RESTORE:
+        return `从回收站恢复${label}: ${name}`;
+      default:
+        return changes.length ? `批量修改${label}（${changes.length} 项）` : `调整${label}顺序`;
+    }
+  }
+
+  /**
+   * 列出历史记录 ID（最新的在前）
+   * @returns {Promise<string[]>}
+   */
+  async listIds() {
+    const keys = await this.kv.list({ prefix: KV_KEYS.HISTORY_ENTRY_PREFIX });
+    return keys
+      .map(item => item.name.slice(KV_KEYS.HISTORY_ENTRY_PREFIX.length))
+      .sort()
+      .reverse();
+  }
+
+  /**
+   * 记录一次修改
+   * @param {Object} params - 记录参数
+   * @param {string} params.collection - 集合类型
+   * @param {Array} params.previousItems - 修改前的集合
+   * @param {Array} params.items - 修改后的集合
+   * @param {number} params.revision - 修改后的版本号
+   * @param {Object} params.options - 调用方选项（actor、ip、source、action、revertOf、historyId）
+   * @returns {Promise<Object|null>} 历史记录，无变化时返回 null
+   */
+  async record({ collection, previousItems, items, revision, options = {} }) {
+    const { changes, beforeOrder } = diffCollections(previousItems, items);
+    if (!changes.length && !beforeOrder) {
+      return null;
+    }
+
+    let action = options.action;
+    if (!action) {
+      action = HistoryAction.BATCH;
+      if (changes.length === 1 && !beforeOrder) {
+        const [change] = changes;
+        action = change.before === null ? HistoryAction.CREATE : change.after === null ? HistoryAction.DELETE : HistoryAction.UPDATE;
+      }
+    }
+
+    const entry = {
+      id: options.historyId || this.generateId(),
+      timestamp: Date.now(),
+      collection,
+      action,
+      revision,
+      actor: options.actor || 'system',
+      ip: options.ip || null,
+      source: options.source || 'api',
+      summary: this.describe(collection, action, changes),
+      changes,
+      beforeOrder,
+      revertOf: options.revertOf || null,
+      revertedBy: null
+    };
+
+    await this.kv.set(this.entryKey(entry.id), entry);
+
+    // 只删除超出保留条数的最早记录，不改写其它记录
+    const expired = (await this.listIds()).slice(this.limit);
+    await Promise.all(expired.map(id => this.kv.delete(this.entryKey(id))));
+
+    return entry;
+  }
+
+  /**
+   * 获取单条历史记录
+   * @param {string} id - 记录 ID
+   * @returns {Promise<Object|null>}
+   */
+  async getEntry(id) {
+    return await this.kv.get(this.entryKey(id), { skipCache: true });
+  }
+
+  /**
+   * 获取历史记录列表
+   * @param {Object} options - 选项
+   * @param {number} options.limit - 返回条数
+   * @param {number} options.offset - 偏移量
+   * @param {string} options.collection - 按集合过滤
+   * @param {number} options.since - 只返回该时间之后的记录
+   * @returns {Promise<{entries: Array, total: number}>}
+   */
+  async list(options = {}) {
+    const { limit = 50, offset = 0, collection, since } = options;
+    const ids = await this.listIds();
+    const values = await this.kv.bulkGet(ids.map(id => this.entryKey(id)));
+
+    let entries = ids
+      .map(id => values[this.entryKey(id)])
+      .filter(Boolean);
+
+    if (collection) {
+      entries = entries.filter(entry => entry.collection === collection);
+    }
+    if (since) {
+      entries = entries.filter(entry => entry.timestamp > since);
+    }
+
+    return {
+      entries: entries.slice(offset, offset + limit),
+      total: entries.length
+    };
+  }
+
+  /**
+   * 标记历史记录已被撤销
+   * @param {string} id - 被撤销的记录 ID
+   * @param {string} revertedBy - 执行撤销的记录 ID
+   * @returns {Promise<void>}
+   */
+  async markReverted(id, revertedBy) {
+    const entry = await this.getEntry(id);
+    if (entry) {
+      entry.revertedBy = revertedBy;
+      await this.kv.set(this.entryKey(id), entry);
+    }
+  }
+
+  /**
+   * 查找可撤销的最近一次变更
+   * @returns {Promise<Object|null>}
+   */
+  async findUndoTarget() {
+    const { entries } = await this.list({ limit: this.limit });
+    return entries.find(entry => !entry.revertedBy && entry.action !== HistoryAction.UNDO) || null;
+  }
+
+  /**
+   * 查找可重做的变更（最近的撤销之后没有新的普通变更）
+   * @returns {Promise<Object|null>}
+   */
+  async findRedoTarget() {
+    const { entries } = await this.list({ limit: this.limit });
+
+    for (const entry of entries) {
+      if (entry.action === HistoryAction.UNDO && !entry.revertedBy) {
+        return entry;
+      }
+      if (entry.action !== HistoryAction.UNDO && entry.action !== HistoryAction.REDO) {
+        break;
+      }
+    }
+
+    return null;
+  }
+}
+
+// 默认历史管理器实例
+export const historyManager = new HistoryManager();
+
+/**
+ * 便捷的历史记录操作函数
+ */
+export const history = {
+  list: (options) => historyManager.list(options),
+  get: (id) => historyManager.getEntry(id)
+};
@@ -1,12 +1,14 @@
 /**
  * Cloudflare KV 数据适配器
- * 提供对 Cloudflare KV 存储的 CRUD 操作，支持批量操作和事务处理
+ * 提供对 Cloudflare KV 存储的 CRUD 操作，支持批量操作和事务处理；
+ * 底层存储由 DATA_SOURCE 选择，也可以是 D1 / 本地 SQLite 或本地 JSON 文件（见 storage-backends.js）
  * @author Claude 4.0 sonnet
  * @version 1.0.0
  */
 
 import { handleError, ErrorType } from '../utils/error-handler.js';
 import { cache } from '../utils/cache-manager.js';
+import { createStorageBackend, StorageBackendType } from './storage-backends.js';
 
 /**
  * KV 存储键名常量
@@ -23,26 +25,79 @@ export const KV_KEYS = {
   STATS_BOOKMARKS: 'stats:bookmarks',
   STATS_USAGE: 'stats:usage',
   CONFIG_SETTINGS: 'config:settings',
-  VERSION: 'data:version'
+  VERSION: 'data:version',
+  LAYOUT: 'data:layout',
+  // 按记录存储布局
+  BOOKMARK_PREFIX: 'bookmark:',
+  CATEGORY_PREFIX: 'category:',
+  INDEX_BOOKMARKS: 'index:bookmarks',
+  INDEX_CATEGORIES: 'index:categories',
+  INDEX_CATEGORY_BOOKMARKS_PREFIX: 'index:bookmarks:category:',
+  // 变更历史（history:entry:<记录 ID>，记录 ID 以时间开头，按键名排序即按时间排序）
+  HISTORY_ENTRY_PREFIX: 'history:entry:',
+  // 回收站（trash:item:<条目 ID>，每个条目一个键；trash:items 为旧版的整体数组，读取时迁移）
+  TRASH_ITEM_PREFIX: 'trash:item:',
+  TRASH_LEGACY: 'trash:items',
+  // 备份
+  BACKUP_INDEX: 'backup:index',
+  BACKUP_ENTRY_PREFIX: 'backup:entry:',
+  // 混合模式覆盖层（overlay:categories / overlay:sites）
+  OVERLAY_PREFIX: 'overlay:',
+  // 链接检查结果
+  HEALTH_LINKS: 'health:links',
+  // 定时任务执行记录（全局，不区分空间；tasks:status:<任务 ID>，每个任务一个键）
+  TASK_STATUS_PREFIX: 'tasks:status:',
+  // API 令牌（全局，不区分空间）：api:token:<令牌 ID> 保存令牌，api:token-usage:<令牌 ID> 保存最近使用信息
+  API_TOKEN_PREFIX: 'api:token:',
+  API_TOKEN_USAGE_PREFIX: 'api:token-usage:',
+  // 数据代次，数据修改后更新，各实例据此清除本地缓存
+  CACHE_GENERATION: 'cache:generation'
+};
+
+/**
+ * 存储布局枚举
+ */
+export const STORAGE_LAYOUT = {
+  LEGACY: 'legacy',     // 整个集合保存在单个 KV 值中
+  RECORDS: 'records'    // 每条记录一个 KV 键，并维护索引键
 };
 
 /**
  * 数据版本信息
  */
 export const DATA_VERSION = {
-  CURRENT: '1.0.0',
-  COMPATIBLE: ['1.0.0']
+  CURRENT: '1.2.0',
+  // 可以直接读取的版本，旧版本数据可通过 schema-migrator.js 升级
+  COMPATIBLE: ['1.0.0', '1.1.0', '1.2.0']
 };
 
+/**
+ * 数据代次检查间隔（毫秒）
+ * 间隔内的读取直接使用上次检查的结果，其他实例的修改最迟在一个间隔后生效（不含 KV 自身的最终一致性延迟）
+ */
+export const GENERATION_CHECK_INTERVAL = 2000;
+
 /**
  * KV 适配器类
  */
 export class KVAdapter {
-  constructor(kvNamespace = null) {
+  /**
+   * @param {Object|null} kvNamespace - 手动指定的存储后端，未指定时按 DATA_SOURCE 创建
+   * @param {Object} options - 选项
+   * @param {string} options.keyPrefix - 所有键的前缀（多空间时用于隔离数据）
+   * @param {string} options.backendType - 手动指定后端时的后端类型
+   */
+  constructor(kvNamespace = null, options = {}) {
     this.kv = kvNamespace;
+    this.backendType = kvNamespace ? (options.backendType || StorageBackendType.KV) : null;
+    this.keyPrefix = options.keyPrefix || '';
     this.isAvailable = false;
     this.cachePrefix = 'kv_';
     this.cacheTTL = 300000; // 5 分钟缓存
+    this.generation = undefined; // 本地缓存对应的数据代次，undefined 表示尚未读取
+    this.generationCheckedAt = 0;
+    this.generationCheck = null;
+    this.generationStats = { checks: 0, invalidations: 0, lastInvalidatedAt: null };
     this.init();
   }
 
@@ -51,11 +106,13 @@ export class KVAdapter {
    */
   init() {
     try {
-      // 在 Cloudflare Workers 环境中，KV 通过全局变量访问
-      if (typeof BOOKMARKS_KV !== 'undefined') {
-        this.kv = BOOKMARKS_KV;
+      // 按 DATA_SOURCE 选择存储后端，Cloudflare KV 通过全局变量访问
+      const backend = this.kv ? null : createStorageBackend();
+      if (backend) {
+        this.kv = backend.store;
+        this.backendType = backend.type;
         this.isAvailable = true;
-        console.log('✅ KV 存储已连接');
+        console.log(`✅ 存储后端已连接: ${backend.type}`);
       } else if (this.kv) {
         this.isAvailable = true;
         console.log('✅ KV 存储已手动设置');
@@ -70,11 +127,54 @@ export class KVAdapter {
   }
 
   /**
-   * 检查 KV 是否可用
+   * 检查存储后端是否可用
    * @returns {boolean}
    */
   isKVAvailable() {
-    return this.isAvailable && this.kv;
+    return Boolean(this.isAvailable && this.kv);
+  }
+
+  /**
+   * 获取当前存储后端类型
+   * @returns {string|null} kv / d1 / sqlite / file，不可用时为 null
+   */
+  getBackendType() {
+    return this.isKVAvailable() ? this.backendType : null;
+  }
+
+  /**
+   * 创建共享同一存储后端、使用键前缀的适配器
+   * 存储不可用时没有数据可以隔离，直接返回当前适配器
+   * @param {string} keyPrefix - 追加的键前缀
+   * @returns {KVAdapter}
+   */
+  withKeyPrefix(keyPrefix) {
+    if (!this.isKVAvailable() || !keyPrefix) {
+      return this;
+    }
+    return new KVAdapter(this.kv, {
+      keyPrefix: `${this.keyPrefix}${keyPrefix}`,
+      backendType: this.backendType
+    });
+  }
+
+  /**
+   * 生成存储后端中的实际键
+   * @param {string} key - 原始键
+   * @returns {string}
+   */
+  getStorageKey(key) {
+    return `${this.keyPrefix}${key}`;
+  }
+
+  /**
+   * 本适配器缓存键的公共前缀
+   * 键前缀之后以 # 结束（空间 ID 不含 #），默认空间的 kv_# 不会匹配 kv_space:<ID>:# 下的缓存，
+   * 按前缀清除缓存时各空间互不影响
+   * @returns {string}
+   */
+  getCacheNamespace() {
+    return `${this.cachePrefix}${this.keyPrefix}#`;
   }
 
   /**
@@ -83,7 +183,105 @@ export class KVAdapter {
    * @returns {string}
    */
   getCacheKey(key) {
-    return `${this.cachePrefix}${key}`;
+    return `${this.getCacheNamespace()}${key}`;
+  }
+
+  /**
+   * 生成元数据缓存键
+   * @param {string} key - 原始键
+   * @returns {string}
+   */
+  getMetadataCacheKey(key) {
+    return `${this.getCacheNamespace()}meta#${key}`;
+  }
+
+  /**
+   * 检查数据代次，代次变化时清除本适配器的全部缓存
+   * 其他实例修改数据后会更新存储中的代次；同一实例在 GENERATION_CHECK_INTERVAL 内只读取一次，并发的检查共用同一次读取
+   * @returns {Promise<string|null>} 当前数据代次，从未修改过数据时为 null
+   */
+  async syncGeneration() {
+    if (!this.isKVAvailable()) {
+      return null;
+    }
+
+    if (Date.now() - this.generationCheckedAt < GENERATION_CHECK_INTERVAL) {
+      return this.generation ?? null;
+    }
+
+    if (!this.generationCheck) {
+      this.generationCheck = this.readGeneration().finally(() => {
+        this.generationCheck = null;
+      });
+    }
+    return this.generationCheck;
+  }
+
+  /**
+   * 读取存储中的数据代次（不经过缓存）
+   * @returns {Promise<string|null>}
+   */
+  async readGeneration() {
+    try {
+      const stamp = await this.kv.get(this.getStorageKey(KV_KEYS.CACHE_GENERATION), 'json');
+      const generation = stamp?.generation ?? null;
+      this.generationStats.checks++;
+      this.generationCheckedAt = Date.now();
+
+      if (this.generation !== undefined && generation !== this.generation) {
+        // 只清除本空间的数据和元数据缓存
+        const count = cache.deleteByPrefix(this.getCacheNamespace());
+        this.generationStats.invalidations++;
+        this.generationStats.lastInvalidatedAt = Date.now();
+        console.log(`🔄 数据代次已变化，清除 ${count} 条 KV 缓存`);
+      }
+
+      this.generation = generation;
+      return generation;
+    } catch (error) {
+      // 读取失败时继续使用本地缓存，下次读取时重试
+      console.warn('读取数据代次失败:', error);
+      return this.generation ?? null;
+    }
+  }
+
+  /**
+   * 更新数据代次，通知其他实例清除缓存
+   * 写入前先检查一次代次，避免把其他实例刚做的修改当作本实例已知的数据
+   * @returns {Promise<string|null>} 新的数据代次
+   */
+  async bumpGeneration() {
+    if (!this.isKVAvailable()) {
+      return null;
+    }
+
+    await this.readGeneration();
+
+    const generation = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    try {
+      await this.kv.put(this.getStorageKey(KV_KEYS.CACHE_GENERATION), JSON.stringify({ generation, updatedAt: Date.now() }));
+      this.generation = generation;
+      this.generationCheckedAt = Date.now();
+      console.log(`✅ 数据代次已更新: ${generation}`);
+      return generation;
+    } catch (error) {
+      // 代次写入失败只影响其他实例的缓存时效，不影响本次修改
+      console.warn('更新数据代次失败:', error);
+      return this.generation ?? null;
+    }
+  }
+
+  /**
+   * 获取数据代次检查情况，用于后台展示缓存状态
+   * @returns {{generation: string|null, checkedAt: number|null, checkInterval: number, checks: number, invalidations: number, lastInvalidatedAt: number|null}}
+   */
+  getGenerationInfo() {
+    return {
+      generation: this.generation ?? null,
+      checkedAt: this.generationCheckedAt || null,
+      checkInterval: GENERATION_CHECK_INTERVAL,
+      ...this.generationStats
+    };
   }
 
   /**
@@ -98,16 +296,19 @@ export class KVAdapter {
         throw new Error('KV 存储不可用');
       }
 
-      // 先尝试从缓存获取
+      // 先尝试从缓存获取，读取前确认缓存没有被其他实例的修改作废
       const cacheKey = this.getCacheKey(key);
-      const cachedData = cache.get(cacheKey);
-      if (cachedData && !options.skipCache) {
+      if (!options.skipCache) {
+        await this.syncGeneration();
+      }
+      const cachedData = options.skipCache ? null : cache.get(cacheKey);
+      if (cachedData) {
         console.log(`从缓存获取数据: ${key}`);
         return cachedData;
       }
 
       console.log(`从 KV 获取数据: ${key}`);
-      const value = await this.kv.get(key, options.type || 'json');
+      const value = await this.kv.get(this.getStorageKey(key), options.type || 'json');
       
       if (value === null) {
         return null;
@@ -123,6 +324,46 @@ export class KVAdapter {
     }
   }
 
+  /**
+   * 获取数据及其 KV 元数据
+   * @param {string} key - 存储键
+   * @param {Object} options - 选项
+   * @returns {Promise<{value: any, metadata: Object|null}>}
+   */
+  async getWithMetadata(key, options = {}) {
+    try {
+      if (!this.isKVAvailable()) {
+        throw new Error('KV 存储不可用');
+      }
+
+      // 值和元数据需要同时命中缓存才可使用
+      if (!options.skipCache) {
+        await this.syncGeneration();
+      }
+      const cachedValue = options.skipCache ? null : cache.get(this.getCacheKey(key));
+      const cachedMetadata = cachedValue ? cache.get(this.getMetadataCacheKey(key)) : null;
+      if (cachedValue && cachedMetadata) {
+        console.log(`从缓存获取数据及元数据: ${key}`);
+        return { value: cachedValue, metadata: cachedMetadata };
+      }
+
+      console.log(`从 KV 获取数据及元数据: ${key}`);
+      const result = await this.kv.getWithMetadata(this.getStorageKey(key), options.type || 'json');
+      const value = result?.value ?? null;
+      const metadata = result?.metadata ?? null;
+
+      if (value !== null) {
+        cache.set(this.getCacheKey(key), value, this.cacheTTL);
+        cache.set(this.getMetadataCacheKey(key), metadata, this.cacheTTL);
+      }
+
+      return { value, metadata };
+    } catch (error) {
+      console.error(`KV 获取数据及元数据失败 [${key}]:`, error);
+      throw handleError.network(error, { operation: 'kv_get_with_metadata', key });
+    }
+  }
+
   /**
    * 设置数据
    * @param {string} key - 存储键
@@ -139,7 +380,7 @@ export class KVAdapter {
       console.log(`向 KV 设置数据: ${key}`);
       
       // 设置到 KV
-      await this.kv.put(key, JSON.stringify(value), {
+      await this.kv.put(this.getStorageKey(key), JSON.stringify(value), {
         expirationTtl: options.ttl,
         metadata: options.metadata
       });
@@ -147,6 +388,7 @@ export class KVAdapter {
       // 更新缓存
       const cacheKey = this.getCacheKey(key);
       cache.set(cacheKey, value, this.cacheTTL);
+      cache.set(this.getMetadataCacheKey(key), options.metadata || null, this.cacheTTL);
 
       console.log(`✅ KV 数据设置成功: ${key}`);
     } catch (error) {
@@ -169,11 +411,12 @@ export class KVAdapter {
       console.log(`从 KV 删除数据: ${key}`);
       
       // 从 KV 删除
-      await this.kv.delete(key);
+      await this.kv.delete(this.getStorageKey(key));
 
       // 从缓存删除
       const cacheKey = this.getCacheKey(key);
       cache.delete(cacheKey);
+      cache.delete(this.getMetadataCacheKey(key));
 
       console.log(`✅ KV 数据删除成功: ${key}`);
     } catch (error) {
@@ -183,8 +426,9 @@ export class KVAdapter {
   }
 
   /**
-   * 列出键
-   * @param {Object} options - 选项
+   * 列出键（按键名排序）
+   * 未指定 limit 时依次读取所有分页，返回全部匹配的键
+   * @param {Object} options - 选项（prefix、limit、cursor）
    * @returns {Promise<Array>}
    */
   async list(options = {}) {
@@ -194,8 +438,16 @@ export class KVAdapter {
       }
 
       console.log('列出 KV 键');
-      const result = await this.kv.list(options);
-      return result.keys || [];
+      const keys = [];
+      let cursor = options.cursor;
+      do {
+        const result = await this.kv.list({ ...options, cursor, prefix: this.getStorageKey(options.prefix || '') });
+        keys.push(...(result.keys || []));
+        cursor = result.list_complete ? undefined : result.cursor;
+      } while (cursor && !options.limit);
+
+      // 返回的键名去掉适配器自身的前缀
+      return keys.map(item => ({ ...item, name: item.name.slice(this.keyPrefix.length) }));
     } catch (error) {
       console.error('KV 列出键失败:', error);
       throw handleError.network(error, { operation: 'kv_list' });
@@ -234,6 +486,53 @@ export class KVAdapter {
     }
   }
 
+  /**
+   * 批量读取多个键（不经过缓存）
+   * 优先使用 KV 的批量读取接口，每次最多 100 个键；不支持时逐个读取
+   * @param {string[]} keys - 键数组
+   * @param {Object} options - 选项
+   * @returns {Promise<Object>} 键值对象，不存在的键值为 null
+   */
+  async bulkGet(keys, options = {}) {
+    try {
+      if (!this.isKVAvailable()) {
+        throw new Error('KV 存储不可用');
+      }
+
+      const type = options.type || 'json';
+      const chunkSize = 100;
+      const results = {};
+
+      console.log(`批量读取 KV 数据: ${keys.length} 个键`);
+
+      for (let i = 0; i < keys.length; i += chunkSize) {
+        const chunk = keys.slice(i, i + chunkSize);
+        let values = null;
+
+        try {
+          values = await this.kv.get(chunk.map(key => this.getStorageKey(key)), { type });
+        } catch (error) {
+          values = null;
+        }
+
+        if (values instanceof Map) {
+          chunk.forEach(key => {
+            results[key] = values.get(this.getStorageKey(key)) ?? null;
+          });
+        } else {
+          await Promise.all(chunk.map(async (key) => {
+            results[key] = await this.kv.get(this.getStorageKey(key), type);
+          }));
+        }
+      }
+
+      return results;
+    } catch (error) {
+      console.error('KV 批量读取失败:', error);
+      throw handleError.network(error, { operation: 'kv_bulk_get', keys });
+    }
+  }
+
   /**
    * 批量设置数据
    * @param {Object} data - 键值对对象
@@ -273,6 +572,7 @@ export class KVAdapter {
     if (key) {
       const cacheKey = this.getCacheKey(key);
       cache.delete(cacheKey);
+      cache.delete(this.getMetadataCacheKey(key));
       console.log(`清除缓存: ${key}`);
     } else {
       // 清除所有 KV 相关缓存
@@ -344,11 +644,16 @@ export const kvAdapter = new KVAdapter();
  */
 export const kv = {
   get: (key, options) => kvAdapter.get(key, options),
+  getWithMetadata: (key, options) => kvAdapter.getWithMetadata(key, options),
   set: (key, value, options) => kvAdapter.set(key, value, options),
   delete: (key) => kvAdapter.delete(key),
   list: (options) => kvAdapter.list(options),
   batchGet: (keys) => kvAdapter.batchGet(keys),
+  bulkGet: (keys, options) => kvAdapter.bulkGet(keys, options),
   batchSet: (data) => kvAdapter.batchSet(data),
   isAvailable: () => kvAdapter.isKVAvailable(),
+  bumpGeneration: () => kvAdapter.bumpGeneration(),
+  getGenerationInfo: () => kvAdapter.getGenerationInfo(),
+  getBackendType: () => kvAdapter.getBackendType(),
   clearCache: (key) => kvAdapter.clearCache(key)
 };
@@ -0,0 +1,164 @@
+/**
+ * 链接健康状态管理器
+ * 保存每个书签最近一次链接检查的结果（状态码、最终地址、耗时、检查时间），
+ * 每次按最久未检查的顺序挑选一批书签进行检查，避免单次请求发起过多子请求
+ * @author Claude 4.0 sonnet
+ * @version 1.0.0
+ */
+
+import { kvAdapter, KV_KEYS } from './kv-adapter.js';
+import { checkLinks, LinkStatus, FAILED_LINK_STATUSES } from '../utils/link-checker.js';
+
+/**
+ * 单次检查的默认书签数量
+ */
+export const DEFAULT_CHECK_BATCH_SIZE = 20;
+
+/**
+ * 单次检查的最大书签数量
+ */
+export const MAX_CHECK_BATCH_SIZE = 50;
+
+/**
+ * 链接健康状态管理器类
+ */
+export class LinkHealthManager {
+  /**
+   * @param {KVAdapter} kv - 使用的 KV 适配器（多空间时为带键前缀的适配器）
+   */
+  constructor(kv = kvAdapter) {
+    this.kv = kv;
+  }
+
+  /**
+   * 读取全部检查结果
+   * @returns {Promise<Object>} siteId → 检查结果
+   */
+  async getResults() {
+    return await this.kv.get(KV_KEYS.HEALTH_LINKS, { skipCache: true }) || {};
+  }
+
+  /**
+   * 保存检查结果
+   * @param {Object} results - siteId → 检查结果
+   * @returns {Promise<void>}
+   */
+  async saveResults(results) {
+    await this.kv.set(KV_KEYS.HEALTH_LINKS, results);
+  }
+
+  /**
+   * 挑选需要检查的书签
+   * 指定 ID 时只检查这些书签，否则优先检查从未检查过的书签，其次是最久未检查的书签
+   * @param {Array} sites - 当前书签列表
+   * @param {Object} results - 已有的检查结果
+   * @param {Object} options - 选项（ids、limit）
+   * @returns {Array}
+   */
+  selectSites(sites, results, options = {}) {
+    const limit = Math.min(Math.max(1, options.limit || DEFAULT_CHECK_BATCH_SIZE), MAX_CHECK_BATCH_SIZE);
+
+    if (Array.isArray(options.ids) && options.ids.length > 0) {
+      return sites.filter(site => options.ids.includes(site.id)).slice(0, limit);
+    }
+
+    return sites
+      .filter(site => site.url)
+      .map(site => ({ site, checkedAt: results[site.id]?.url === site.url ? results[site.id].checkedAt : 0 }))
+      .sort((a, b) => a.checkedAt - b.checkedAt)
+      .slice(0, limit)
+      .map(({ site }) => site);
+  }
+
+  /**
+   * 检查一批书签并保存结果
+   * 已删除书签的旧结果会被一并清理
+   * @param {Array} sites - 当前书签列表
+   * @param {Object} options - 选项（ids、limit，以及链接检查选项 timeout、concurrency 等）
+   * @returns {Promise<{checked: Object, results: Object}>} 本次检查结果和全部结果
+   */
+  async checkSites(sites, options = {}) {
+    const previous = await this.getResults();
+    const targets = this.selectSites(sites, previous, options);
+
+    console.log(`🩺 检查 ${targets.length} 个链接...`);
+    const checked = await checkLinks(targets, options);
+
+    const siteIds = new Set(sites.map(site => site.id));
+    const results = Object.fromEntries(
+      Object.entries({ ...previous, ...checked }).filter(([siteId]) => siteIds.has(siteId))
+    );
+    await this.saveResults(results);
+
+    const failed = Object.values(checked).filter(result => FAILED_LINK_STATUSES.includes(result.status)).length;
+    console.log(`✅ 链接检查完成: ${targets.length} 个，失效 ${failed} 个`);
+    return { checked, results };
+  }
+
+  /**
+   * 书签地址已更新为重定向后的地址，标记为正常，避免继续提示
+   * @param {Object} updates - siteId → 新地址
+   * @returns {Promise<void>}
+   */
+  async markRedirectsApplied(updates) {
+    const results = await this.getResults();
+    Object.entries(updates).forEach(([siteId, url]) => {
+      if (!results[siteId]) return;
+      results[siteId] = {
+        ...results[siteId],
+        url,
+        finalUrl: url,
+        status: LinkStatus.OK,
+        redirects: 0,
+        permanentRedirect: false
+      };
+    });
+    await this.saveResults(results);
+  }
+
+  /**
+   * 合并书签和检查结果，书签地址在检查后被修改时视为未检查
+   * @param {Array} sites - 当前书签列表
+   * @param {Object} results - 检查结果
+   * @returns {Array<{siteId: string, title: string, url: string, category: string, health: Object|null}>}
+   */
+  joinResults(sites, results) {
+    return sites.map(site => {
+      const health = results[site.id];
+      return {
+        siteId: site.id,
+        title: site.title,
+        url: site.url,
+        category: site.category,
+        health: health && health.url === site.url ? health : null
+      };
+    });
+  }
+
+  /**
+   * 统计各状态的书签数量
+   * @param {Array} entries - joinResults 的返回值
+   * @returns {Object}
+   */
+  summarize(entries) {
+    const summary = Object.fromEntries(Object.values(LinkStatus).map(status => [status, 0]));
+    summary.unchecked = 0;
+    summary.permanentRedirects = 0;
+
+    entries.forEach(entry => {
+      if (!entry.health) {
+        summary.unchecked++;
+        return;
+      }
+      summary[entry.health.status] = (summary[entry.health.status] || 0) + 1;
+      if (entry.health.permanentRedirect) summary.permanentRedirects++;
+    });
+
+    summary.total = entries.length;
+    summary.lastCheckedAt = entries.reduce((latest, entry) => Math.max(latest, entry.health?.checkedAt || 0), 0) || null;
+    return summary;
+  }
+}
+
+// 默认链接健康状态管理器实例
+export const linkHealthManager = new LinkHealthManager();
@@ -6,9 +6,13 @@
  */
 
 import { categories as staticCategories, sites as staticSites, dataVersion } from './navLinks.js';
-import { kvAdapter, KV_KEYS, DATA_VERSION } from './kv-adapter.js';
+import staticSource from './navLinks.js?raw';
+import { kvAdapter, KV_KEYS, DATA_VERSION, STORAGE_LAYOUT } from './kv-adapter.js';
 import { dataManager } from './data-manager.js';
+import { recordStore } from './record-store.js';
 import { handleError, ErrorType } from '../utils/error-handler.js';
+import { diffCollections, applyDiffEntries, patchStaticSource, SyncDirection } from '../utils/static-sync.js';
+import { validateCollections, formatErrors } from '../utils/schema.js';
 
 /**
  * 迁移状态枚举
@@ -79,52 +83,25 @@ export class MigrationTool {
 
   /**
    * 验证数据完整性
+   * 使用与 API 相同的结构校验（schema.js），并检查 ID 唯一、书签分类和父分类存在
    * @param {Array} categories - 分类数据
    * @param {Array} sites - 网站数据
    * @returns {boolean}
    */
   validateData(categories, sites) {
-    try {
-      this.log('验证数据完整性...');
-      
-      // 验证分类数据
-      for (const category of categories) {
-        if (!category.id || !category.name) {
-          throw new Error(`分类数据不完整: ${JSON.stringify(category)}`);
-        }
-      }
-
-      // 验证网站数据
-      for (const site of sites) {
-        if (!site.id || !site.title || !site.url || !site.category) {
-          throw new Error(`网站数据不完整: ${JSON.stringify(site)}`);
-        }
-        
-        // 检查分类是否存在
-        if (!categories.find(cat => cat.id === site.category)) {
-          throw new Error(`网站 "${site.title}" 引用了不存在的分类: ${site.category}`);
-        }
-      }
-
-      // 检查 ID 唯一性
-      const categoryIds = categories.map(cat => cat.id);
-      const siteIds = sites.map(site => site.id);
-      
-      if (new Set(categoryIds).size !== categoryIds.length) {
-        throw new Error('分类 ID 存在重复');
-      }
-      
-      if (new Set(siteIds).size !== siteIds.length) {
-        throw new Error('网站 ID 存在重复');
-      }
-
-      this.log('✅ 数据完整性验证通过');
-      return true;
-    } catch (error) {
-      this.log(`❌ 数据验证失败: ${error.message}`, 'error');
-      this.errors.push(error.message);
+    this.log('验证数据完整性...');
+
+    const { valid, errors } = validateCollections(categories, sites);
+    if (!valid) {
+      formatErrors(errors).forEach(message => {
+        this.log(`❌ 数据验证失败: ${message}`, 'error');
+        this.errors.push(message);
+      });
       return false;
     }
+
+    this.log('✅ 数据完整性验证通过');
+    return true;
   }
 
   /**
@@ -154,23 +131,36 @@ export class MigrationTool {
       }
       this.progress = 20;
 
-      // 检查 KV 中是否已有数据
-      const existingCategories = await kvAdapter.get(KV_KEYS.CATEGORIES);
-      const existingSites = await kvAdapter.get(KV_KEYS.SITES);
+      // 检查 KV 中是否已有数据（两种存储布局）
+      const existingCategories = await dataManager.readCollection('categories', { skipCache: true });
+      const existingSites = await dataManager.readCollection('sites', { skipCache: true });
+      const layout = dataManager.storageLayout;
       
-      if (existingCategories || existingSites) {
+      if (existingCategories.items || existingSites.items) {
         this.log('⚠️ KV 中已存在数据，将进行覆盖', 'warn');
       }
       this.progress = 30;
 
+      // 新数据统一按记录布局写入，版本号在原有基础上递增
+      const previous = (collection) => layout === STORAGE_LAYOUT.RECORDS ? collection.items || [] : [];
+      const nextMetadata = (collection) => ({
+        revision: (collection.metadata?.revision || 0) + 1,
+        updatedAt: Date.now()
+      });
+
       // 迁移分类数据
       this.log(`迁移分类数据: ${staticCategories.length} 个分类`);
-      await kvAdapter.set(KV_KEYS.CATEGORIES, staticCategories);
+      await recordStore.writeCollection('categories', staticCategories, previous(existingCategories), nextMetadata(existingCategories));
       this.progress = 50;
 
       // 迁移网站数据
       this.log(`迁移网站数据: ${staticSites.length} 个网站`);
-      await kvAdapter.set(KV_KEYS.SITES, staticSites);
+      await recordStore.writeCollection('sites', staticSites, previous(existingSites), nextMetadata(existingSites));
+      await recordStore.setLayout(STORAGE_LAYOUT.RECORDS);
+      if (layout === STORAGE_LAYOUT.LEGACY) {
+        await recordStore.deleteLegacyCollection('categories');
+        await recordStore.deleteLegacyCollection('sites');
+      }
       this.progress = 70;
 
       // 设置元数据
@@ -198,7 +188,7 @@ export class MigrationTool {
       this.progress = 95;
 
       // 清除缓存
-      dataManager.clearCache();
+      await dataManager.invalidateCaches();
       this.progress = 100;
 
       this.status = MigrationStatus.COMPLETED;
@@ -213,6 +203,121 @@ export class MigrationTool {
     }
   }
 
+  /**
+   * 从旧布局（整个集合一个 KV 值）迁移到按记录存储布局
+   * 已是新布局时直接返回成功，可重复执行
+   * @param {Object} options - 选项
+   * @param {boolean} options.dryRun - 仅检查并输出计划，不写入
+   * @param {boolean} options.keepLegacy - 迁移后保留旧的集合键
+   * @param {DataManager} options.manager - 要迁移的空间的数据管理器，默认为默认空间
+   * @returns {Promise<boolean>}
+   */
+  async migrateToRecordLayout(options = {}) {
+    const { dryRun = false, keepLegacy = false, manager = dataManager } = options;
+    const { kv, recordStore: store } = manager;
+
+    try {
+      this.status = MigrationStatus.IN_PROGRESS;
+      this.progress = 0;
+      this.errors = [];
+      this.migrationLog = [];
+
+      this.log(`🚀 开始迁移到按记录存储布局${dryRun ? '（试运行）' : ''}...`);
+
+      if (!kv.isKVAvailable()) {
+        throw new Error('KV 存储不可用，无法进行迁移');
+      }
+
+      const layout = await store.getLayout({ skipCache: true });
+      if (layout === STORAGE_LAYOUT.RECORDS) {
+        this.log('✅ 已是按记录存储布局，无需迁移');
+        this.progress = 100;
+        this.status = MigrationStatus.COMPLETED;
+        return true;
+      }
+      this.progress = 10;
+
+      // 读取旧布局数据
+      const legacyCategories = await store.readLegacyCollection('categories');
+      const legacySites = await store.readLegacyCollection('sites');
+      const categories = legacyCategories.items || [];
+      const sites = legacySites.items || [];
+
+      if (!this.validateData(categories, sites)) {
+        this.status = MigrationStatus.FAILED;
+        return false;
+      }
+      this.progress = 30;
+
+      const categoryIndexCount = store.groupByCategory(sites).size;
+      this.log(`计划写入: ${categories.length} 个分类记录, ${sites.length} 个网站记录, ${categoryIndexCount} 个分类索引`);
+
+      if (dryRun) {
+        this.progress = 100;
+        this.status = MigrationStatus.COMPLETED;
+        this.log('✅ 试运行完成，未写入任何数据');
+        return true;
+      }
+
+      // 保留原有版本号，客户端持有的 ETag 在迁移后仍然有效
+      const now = Date.now();
+      await store.writeCollection('categories', categories, [], {
+        revision: legacyCategories.metadata?.revision || 0,
+        updatedAt: now
+      });
+      this.progress = 50;
+
+      await store.writeCollection('sites', sites, [], {
+        revision: legacySites.metadata?.revision || 0,
+        updatedAt: now
+      });
+      this.progress = 70;
+
+      // 写入布局标记前校验新布局数据
+      const writtenCategories = await store.readCollection('categories', { skipCache: true });
+      const writtenSites = await store.readCollection('sites', { skipCache: true });
+      if (writtenCategories.items?.length !== categories.length || writtenSites.items?.length !== sites.length) {
+        throw new Error('新布局数据校验失败，记录数量不一致');
+      }
+      this.progress = 80;
+
+      await store.setLayout(STORAGE_LAYOUT.RECORDS);
+      this.progress = 90;
+
+      if (keepLegacy) {
+        this.log('⚠️ 已保留旧的集合键，后续修改不会同步到旧键', 'warn');
+      } else {
+        await store.deleteLegacyCollection('categories');
+        await store.deleteLegacyCollection('sites');
+        this.log('已删除旧的集合键');
+      }
+
+      const metadata = await kv.get(KV_KEYS.METADATA, { skipCache: true }) || {};
+      metadata.migration = {
+        fromLayout: STORAGE_LAYOUT.LEGACY,
+        toLayout: STORAGE_LAYOUT.RECORDS,
+        timestamp: now,
+        source: 'legacy_to_records'
+      };
+      await kv.set(KV_KEYS.METADATA, metadata);
+
+      kv.clearCache(KV_KEYS.LAYOUT);
+      await manager.invalidateCaches();
+      manager.storageLayout = STORAGE_LAYOUT.RECORDS;
+      this.progress = 100;
+
+      this.status = MigrationStatus.COMPLETED;
+      this.log('✅ 存储布局迁移完成！');
+
+      return true;
+    } catch (error) {
+      this.status = MigrationStatus.FAILED;
+      this.log(`❌ 存储布局迁移失败: ${error.message}`, 'error');
+      this.errors.push(error.message);
+      return false;
+    }
+  }
+
   /**
    * 从 KV 导出到静态文件格式
    * @returns {Promise<Object|null>}
@@ -225,9 +330,9 @@ export class MigrationTool {
         throw new Error('KV 存储不可用');
       }
 
-      // 获取数据
-      const categories = await kvAdapter.get(KV_KEYS.CATEGORIES);
-      const sites = await kvAdapter.get(KV_KEYS.SITES);
+      // 获取数据（自动适配存储布局）
+      const { items: categories } = await dataManager.readCollection('categories', { skipCache: true });
+      const { items: sites } = await dataManager.readCollection('sites', { skipCache: true });
       const metadata = await kvAdapter.get(KV_KEYS.METADATA);
       
       if (!categories || !sites) {
@@ -282,13 +387,13 @@ export const dataVersion = {
 
 /**
  * 网站分类列表
- * @type {Array<{id: string, name: string, icon: string}>}
+ * @type {Array<{id: string, name: string, icon: string, parentId?: string, order?: number}>}
  */
 export const categories = ${JSON.stringify(categories, null, 2)};
 
 /**
  * 网站列表
- * @type {Array<{id: string, title: string, description: string, shortDesc: string, url: string, icon: string, category: string}>}
+ * @type {Array<{id: string, title: string, description: string, shortDesc: string, url: string, icon: string, category: string, tags?: string[], order?: number, pinned?: boolean}>}
  */
 export const sites = ${JSON.stringify(sites, null, 2)};
 
@@ -357,6 +462,121 @@ function escapeHtml(str) {
     return code;
   }
 
+  /**
+   * 逐条比较 navLinks.js 与 KV 中的数据
+   * @param {DataManager} manager - 数据管理器（多空间时为对应空间的管理器）
+   * @returns {Promise<{categories: Object, sites: Object, revisions: {categories: number, sites: number}}>}
+   */
+  async diffWithStatic(manager = dataManager) {
+    const [categories, sites] = await Promise.all([
+      manager.getCollection('categories'),
+      manager.getCollection('sites')
+    ]);
+
+    return {
+      categories: diffCollections(staticCategories, categories.items),
+      sites: diffCollections(staticSites, sites.items),
+      revisions: { categories: categories.revision, sites: sites.revision }
+    };
+  }
+
+  /**
+   * 计算选择性同步的结果
+   * 选中的条目按同步方向整条覆盖目标一侧（新增、替换或删除），同步后分类引用必须完整
+   * @param {Object} selection - 选中的 ID（categories、sites）
+   * @param {string} direction - 同步方向
+   * @param {DataManager} manager - 数据管理器
+   * @returns {Promise<{revisions: Object, entries: Object, result: Object}>}
+   */
+  async planStaticSync(selection, direction, manager = dataManager) {
+    const collections = {
+      categories: await manager.getCollection('categories'),
+      sites: await manager.getCollection('sites')
+    };
+    const revisions = { categories: collections.categories.revision, sites: collections.sites.revision };
+    const entries = {};
+    const result = {};
+
+    for (const type of ['categories', 'sites']) {
+      const staticItems = type === 'categories' ? staticCategories : staticSites;
+      const ids = selection?.[type] || [];
+      const byId = new Map(diffCollections(staticItems, collections[type].items).entries.map(entry => [entry.id, entry]));
+      const missing = ids.filter(id => !byId.has(id));
+      if (missing.length > 0) {
+        throw handleError.validation(`以下${type === 'categories' ? '分类' : '书签'}没有差异或不存在: ${missing.join(', ')}`);
+      }
+
+      entries[type] = ids.map(id => byId.get(id));
+      result[type] = applyDiffEntries(staticItems, collections[type].items, entries[type], direction);
+    }
+
+    // 同步后的书签和子分类必须引用存在的分类
+    const categoryIds = new Set(result.categories.items.map(category => category.id));
+    const orphanSites = result.sites.items.filter(site => !categoryIds.has(site.category));
+    const orphanCategories = result.categories.items.filter(category => category.parentId && !categoryIds.has(category.parentId));
+    if (orphanSites.length > 0 || orphanCategories.length > 0) {
+      const names = [
+        ...orphanCategories.map(category => `分类 "${category.id}" 的父分类 "${category.parentId}"`),
+        ...orphanSites.map(site => `书签 "${site.id}" 的分类 "${site.category}"`)
+      ];
+      throw handleError.validation(`同步后${names.slice(0, 5).join('、')}${names.length > 5 ? ` 等 ${names.length} 项` : ''}不存在，请一并选择对应的分类`);
+    }
+
+    return { revisions, entries, result };
+  }
+
+  /**
+   * 以 navLinks.js 为准，将选中的差异同步到 KV
+   * 被删除的记录进入回收站，每个集合各写入一次并记录变更历史
+   * @param {Object} selection - 选中的 ID（categories、sites）
+   * @param {Object} options - 选项（expectedRevisions: { categories, sites }、actor、ip、source、manager）
+   * @returns {Promise<{revisions: Object, applied: Object}>}
+   */
+  async syncStaticToKV(selection, options = {}) {
+    const { manager = dataManager, expectedRevisions = {}, ...saveOptions } = options;
+    const { revisions: current, entries, result } = await this.planStaticSync(selection, SyncDirection.TO_KV, manager);
+
+    // 写入前先校验两个集合的版本号，避免只写入其中一个
+    ['categories', 'sites'].forEach(type => {
+      if (entries[type].length > 0) {
+        manager.assertRevision(type, expectedRevisions[type], current[type]);
+      }
+    });
+
+    const revisions = { ...current };
+    for (const type of ['categories', 'sites']) {
+      if (entries[type].length === 0) continue;
+      revisions[type] = await manager.saveWithTrash(type, result[type].items, result[type].removed, {
+        ...saveOptions,
+        expectedRevision: current[type]
+      });
+    }
+
+    this.log(`✅ 已将 ${entries.categories.length} 个分类、${entries.sites.length} 个书签从静态数据同步到 KV`);
+    return {
+      revisions,
+      applied: { categories: entries.categories.length, sites: entries.sites.length }
+    };
+  }
+
+  /**
+   * 以 KV 为准，将选中的差异写回 navLinks.js 源码
+   * 只修改涉及的记录和字段，文件头注释、分组注释和其余代码保持原样
+   * @param {Object} selection - 选中的 ID（categories、sites）
+   * @param {DataManager} manager - 数据管理器
+   * @returns {Promise<{code: string, applied: Object}>}
+   */
+  async generateSyncedStaticCode(selection, manager = dataManager) {
+    const { entries } = await this.planStaticSync(selection, SyncDirection.TO_STATIC, manager);
+    const code = patchStaticSource(staticSource, entries);
+
+    this.log(`✅ 已生成包含 ${entries.categories.length} 个分类、${entries.sites.length} 个书签修改的 navLinks.js`);
+    return {
+      code,
+      applied: { categories: entries.categories.length, sites: entries.sites.length }
+    };
+  }
+
   /**
    * 获取迁移状态
    * @returns {Object}
@@ -389,8 +609,12 @@ export const migrationTool = new MigrationTool();
  */
 export const migration = {
   toKV: () => migrationTool.migrateToKV(),
+  toRecordLayout: (options) => migrationTool.migrateToRecordLayout(options),
   fromKV: () => migrationTool.exportFromKV(),
   generateCode: (data) => migrationTool.generateStaticFileCode(data),
+  diffWithStatic: (manager) => migrationTool.diffWithStatic(manager),
+  syncStaticToKV: (selection, options) => migrationTool.syncStaticToKV(selection, options),
+  generateSyncedCode: (selection, manager) => migrationTool.generateSyncedStaticCode(selection, manager),
   getStatus: () => migrationTool.getStatus(),
   reset: () => migrationTool.reset()
 };
@@ -29,7 +29,7 @@ export const dataVersion = {
 
 /**
  * 网站分类列表
- * @type {Array<{id: string, name: string, icon: string}>}
+ * @type {Array<{id: string, name: string, icon: string, parentId?: string, order?: number}>}
  */
 export const categories = [
   {
@@ -47,7 +47,7 @@ export const categories = [
 ];
 /**
  * 网站列表
- * @type {Array<{id: string, title: string, description: string, shortDesc: string, url: string, icon: string, category: string}>}
+ * @type {Array<{id: string, title: string, description: string, shortDesc: string, url: string, icon: string, category: string, tags?: string[], order?: number, pinned?: boolean}>}
  */
 export const sites = [
   //开源      
@@ -0,0 +1,248 @@
+/**
+ * 混合模式的覆盖层存储
+ * navLinks.js 作为随构建发布的基础数据，KV 中只保存覆盖层（新增、修改的字段、隐藏的记录），
+ * 读取时合并；更新仓库中的静态列表不会覆盖后台的修改，后台修改也不会影响未改动的字段
+ * @author Claude 4.0 sonnet
+ * @version 1.0.0
+ */
+
+import { categories as staticCategories, sites as staticSites } from './navLinks.js';
+import { kvAdapter, KV_KEYS } from './kv-adapter.js';
+import { isSameRecord } from './history-manager.js';
+
+/**
+ * 记录的覆盖状态
+ */
+export const OverrideStatus = {
+  BASE: 'base',         // 与基础数据一致
+  ADDED: 'added',       // 后台新增
+  MODIFIED: 'modified', // 修改了基础数据的部分字段
+  HIDDEN: 'hidden'      // 隐藏了基础数据中的记录
+};
+
+/**
+ * 创建空的覆盖层
+ * @returns {Object}
+ */
+function createEmptyOverlay() {
+  return { added: [], modified: {}, hidden: [], order: null };
+}
+
+/**
+ * 覆盖层存储类
+ */
+export class OverlayStore {
+  /**
+   * @param {KVAdapter} kv - 使用的 KV 适配器（多空间时为带键前缀的适配器）
+   */
+  constructor(kv = kvAdapter) {
+    this.kv = kv;
+  }
+
+  /**
+   * 获取集合的基础数据
+   * @param {string} type - 集合类型（categories / sites）
+   * @returns {Array}
+   */
+  getBase(type) {
+    if (type !== 'categories' && type !== 'sites') {
+      throw new Error(`未知的数据集合: ${type}`);
+    }
+    return type === 'categories' ? staticCategories : staticSites;
+  }
+
+  /**
+   * 覆盖层键
+   * @param {string} type - 集合类型
+   * @returns {string}
+   */
+  overlayKey(type) {
+    this.getBase(type);
+    return `${KV_KEYS.OVERLAY_PREFIX}${type}`;
+  }
+
+  /**
+   * 读取覆盖层
+   * @param {string} type - 集合类型
+   * @param {Object} options - 选项（skipCache）
+   * @returns {Promise<{overlay: Object, metadata: Object|null}>}
+   */
+  async readOverlay(type, options = {}) {
+    const { value, metadata } = await this.kv.getWithMetadata(this.overlayKey(type), options);
+    return {
+      overlay: { ...createEmptyOverlay(), ...(value || {}) },
+      metadata
+    };
+  }
+
+  /**
+   * 将覆盖层合并到基础数据上
+   * @param {Array} base - 基础数据
+   * @param {Object} overlay - 覆盖层
+   * @returns {Array}
+   */
+  merge(base, overlay) {
+    const hidden = new Set(overlay.hidden);
+    const items = base
+      .filter(item => !hidden.has(item.id))
+      .map(item => {
+        const patch = overlay.modified[item.id];
+        if (!patch) return item;
+
+        const merged = { ...item, ...patch };
+        // 值为 null 的字段表示在后台被删除
+        Object.keys(patch).forEach(field => {
+          if (patch[field] === null) delete merged[field];
+        });
+        return merged;
+      });
+
+    const baseIds = new Set(base.map(item => item.id));
+    overlay.added
+      .filter(item => !baseIds.has(item.id))
+      .forEach(item => items.push(item));
+
+    if (overlay.order) {
+      const position = new Map(overlay.order.map((id, index) => [id, index]));
+      // 基础数据中新出现的记录不在保存的顺序里，保持在原有位置之后
+      items.sort((a, b) => (position.get(a.id) ?? Infinity) - (position.get(b.id) ?? Infinity));
+    }
+
+    return items;
+  }
+
+  /**
+   * 根据完整集合计算覆盖层
+   * @param {Array} base - 基础数据
+   * @param {Array} items - 完整集合
+   * @returns {Object}
+   */
+  diff(base, items) {
+    const overlay = createEmptyOverlay();
+    const itemsById = new Map(items.map(item => [item.id, item]));
+    const baseIds = new Set(base.map(item => item.id));
+
+    base.forEach(baseItem => {
+      const item = itemsById.get(baseItem.id);
+      if (!item) {
+        overlay.hidden.push(baseItem.id);
+        return;
+      }
+
+      const patch = {};
+      new Set([...Object.keys(baseItem), ...Object.keys(item)]).forEach(field => {
+        if (!isSameRecord(baseItem[field], item[field])) {
+          patch[field] = item[field] === undefined ? null : item[field];
+        }
+      });
+      if (Object.keys(patch).length > 0) {
+        overlay.modified[baseItem.id] = patch;
+      }
+    });
+
+    overlay.added = items.filter(item => !baseIds.has(item.id));
+
+    // 只有顺序与默认合并结果不同时才保存顺序
+    const defaultOrder = this.merge(base, overlay).map(item => item.id);
+    const order = items.map(item => item.id);
+    if (defaultOrder.join('\n') !== order.join('\n')) {
+      overlay.order = order;
+    }
+
+    return overlay;
+  }
+
+  /**
+   * 读取合并后的集合
+   * @param {string} type - 集合类型
+   * @param {Object} options - 选项（skipCache）
+   * @returns {Promise<{items: Array, metadata: Object|null}>}
+   */
+  async readCollection(type, options = {}) {
+    const { overlay, metadata } = await this.readOverlay(type, options);
+    return {
+      items: this.merge(this.getBase(type), overlay),
+      metadata
+    };
+  }
+
+  /**
+   * 写入集合（只保存与基础数据的差异）
+   * @param {string} type - 集合类型
+   * @param {Array} items - 完整集合
+   * @param {Object} metadata - 集合元数据（revision 等）
+   * @returns {Promise<Object>} 写入的覆盖层
+   */
+  async writeCollection(type, items, metadata) {
+    const overlay = this.diff(this.getBase(type), items);
+    await this.kv.set(this.overlayKey(type), overlay, { metadata });
+    return overlay;
+  }
+
+  /**
+   * 获取集合中被覆盖的记录
+   * @param {string} type - 集合类型
+   * @param {Object} options - 选项（skipCache）
+   * @returns {Promise<Array>} 每项包含 id、status、base、current、fields
+   */
+  async getOverrides(type, options = {}) {
+    const base = this.getBase(type);
+    const { overlay } = await this.readOverlay(type, options);
+    const current = new Map(this.merge(base, overlay).map(item => [item.id, item]));
+    const baseById = new Map(base.map(item => [item.id, item]));
+    const overrides = [];
+
+    overlay.added
+      .filter(item => !baseById.has(item.id))
+      .forEach(item => overrides.push({ id: item.id, status: OverrideStatus.ADDED, base: null, current: item, fields: [] }));
+
+    Object.entries(overlay.modified)
+      .filter(([id]) => baseById.has(id))
+      .forEach(([id, patch]) => overrides.push({
+        id,
+        status: OverrideStatus.MODIFIED,
+        base: baseById.get(id),
+        current: current.get(id) || null,
+        fields: Object.keys(patch)
+      }));
+
+    overlay.hidden
+      .filter(id => baseById.has(id))
+      .forEach(id => overrides.push({ id, status: OverrideStatus.HIDDEN, base: baseById.get(id), current: null, fields: [] }));
+
+    return overrides;
+  }
+
+  /**
+   * 将记录恢复为基础数据
+   * @param {string} type - 集合类型
+   * @param {Array} items - 当前完整集合
+   * @param {string} id - 记录 ID
+   * @returns {Array|null} 恢复后的集合，记录不在基础数据中时返回 null
+   */
+  resetItem(type, items, id) {
+    const base = this.getBase(type);
+    const baseIndex = base.findIndex(item => item.id === id);
+    if (baseIndex === -1) {
+      return null;
+    }
+
+    const baseItem = base[baseIndex];
+    if (items.some(item => item.id === id)) {
+      return items.map(item => item.id === id ? baseItem : item);
+    }
+
+    // 隐藏的记录按基础数据中的位置插回：放在它之前最近的一条可见基础记录后面
+    const previousIds = new Set(base.slice(0, baseIndex).map(item => item.id));
+    let insertAt = 0;
+    items.forEach((item, index) => {
+      if (previousIds.has(item.id)) insertAt = index + 1;
+    });
+    const result = [...items];
+    result.splice(insertAt, 0, baseItem);
+    return result;
+  }
+}
+
+// 默认覆盖层存储实例
+export const overlayStore = new OverlayStore();
@@ -0,0 +1,322 @@
+/**
+ * 按记录存储的 KV 布局
+ * 每个书签、分类各占一个 KV 键（bookmark:<id> / category:<id>），
+ * 并维护集合顺序索引和按分类的书签索引，避免单个 KV 值随数据增长而超出限制；
+ * 记录分批依次写入，避免大批量导入或整体重排时一次发出过多并发请求
+ * @author Claude 4.0 sonnet
+ * @version 1.0.0
+ */
+
+import { kvAdapter, KV_KEYS, STORAGE_LAYOUT } from './kv-adapter.js';
+
+/**
+ * 集合类型与键名的映射
+ */
+const COLLECTION_LAYOUT = {
+  categories: {
+    prefix: KV_KEYS.CATEGORY_PREFIX,
+    index: KV_KEYS.INDEX_CATEGORIES,
+    legacyKey: KV_KEYS.CATEGORIES
+  },
+  sites: {
+    prefix: KV_KEYS.BOOKMARK_PREFIX,
+    index: KV_KEYS.INDEX_BOOKMARKS,
+    legacyKey: KV_KEYS.SITES
+  }
+};
+
+/**
+ * 每批并发执行的存储操作数量，批次之间依次执行
+ */
+const WRITE_BATCH_SIZE = 25;
+
+/**
+ * 分批执行存储操作
+ * @param {Array} items - 操作对象列表
+ * @param {(item: any) => Promise<any>} operation - 对每个对象执行的操作
+ * @returns {Promise<void>} 某一批失败时立即拒绝，后续批次不再执行
+ */
+async function runInBatches(items, operation) {
+  for (let i = 0; i < items.length; i += WRITE_BATCH_SIZE) {
+    await Promise.all(items.slice(i, i + WRITE_BATCH_SIZE).map(operation));
+  }
+}
+
+/**
+ * 记录存储类
+ */
+export class RecordStore {
+  /**
+   * @param {KVAdapter} kv - 使用的 KV 适配器（多空间时为带键前缀的适配器）
+   */
+  constructor(kv = kvAdapter) {
+    this.kv = kv;
+  }
+
+  /**
+   * 获取集合的布局配置
+   * @param {string} type - 集合类型（categories / sites）
+   * @returns {Object}
+   */
+  getLayoutConfig(type) {
+    const config = COLLECTION_LAYOUT[type];
+    if (!config) {
+      throw new Error(`未知的数据集合: ${type}`);
+    }
+    return config;
+  }
+
+  /**
+   * 记录键
+   * @param {string} type - 集合类型
+   * @param {string} id - 记录 ID
+   * @returns {string}
+   */
+  recordKey(type, id) {
+    return `${this.getLayoutConfig(type).prefix}${id}`;
+  }
+
+  /**
+   * 集合顺序索引键
+   * @param {string} type - 集合类型
+   * @returns {string}
+   */
+  indexKey(type) {
+    return this.getLayoutConfig(type).index;
+  }
+
+  /**
+   * 分类书签索引键
+   * @param {string} categoryId - 分类 ID
+   * @returns {string}
+   */
+  categoryIndexKey(categoryId) {
+    return `${KV_KEYS.INDEX_CATEGORY_BOOKMARKS_PREFIX}${categoryId}`;
+  }
+
+  /**
+   * 获取当前存储布局
+   * 未写入布局标记时，存在旧版集合键则视为旧布局，否则为新布局
+   * @param {Object} options - 选项（skipCache）
+   * @returns {Promise<string>}
+   */
+  async getLayout(options = {}) {
+    const marker = await this.kv.get(KV_KEYS.LAYOUT, options);
+    if (marker?.layout) {
+      return marker.layout;
+    }
+
+    const [legacyCategories, legacySites] = await Promise.all([
+      this.kv.get(KV_KEYS.CATEGORIES, options),
+      this.kv.get(KV_KEYS.SITES, options)
+    ]);
+
+    return legacyCategories || legacySites ? STORAGE_LAYOUT.LEGACY : STORAGE_LAYOUT.RECORDS;
+  }
+
+  /**
+   * 写入布局标记
+   * @param {string} layout - 存储布局
+   * @returns {Promise<void>}
+   */
+  async setLayout(layout) {
+    await this.kv.set(KV_KEYS.LAYOUT, { layout, timestamp: Date.now() });
+  }
+
+  /**
+   * 读取集合顺序索引
+   * @param {string} type - 集合类型
+   * @param {Object} options - 选项（skipCache）
+   * @returns {Promise<{ids: string[]|null, metadata: Object|null}>}
+   */
+  async readIndex(type, options = {}) {
+    const { value, metadata } = await this.kv.getWithMetadata(this.indexKey(type), options);
+    return { ids: value, metadata };
+  }
+
+  /**
+   * 按 ID 顺序读取记录
+   * @param {string} type - 集合类型
+   * @param {string[]} ids - 记录 ID 列表
+   * @returns {Promise<Array>}
+   */
+  async readRecords(type, ids) {
+    if (!ids.length) {
+      return [];
+    }
+
+    const keys = ids.map(id => this.recordKey(type, id));
+    const values = await this.kv.bulkGet(keys);
+
+    // 索引中存在但记录缺失时跳过，避免单条损坏导致整个集合不可读
+    return keys
+      .map(key => values[key])
+      .filter(record => {
+        return record !== null && record !== undefined;
+      });
+  }
+
+  /**
+   * 读取整个集合
+   * @param {string} type - 集合类型
+   * @param {Object} options - 选项（skipCache 作用于索引）
+   * @returns {Promise<{items: Array|null, metadata: Object|null}>} 索引不存在时 items 为 null
+   */
+  async readCollection(type, options = {}) {
+    const { ids, metadata } = await this.readIndex(type, options);
+    if (!ids) {
+      return { items: null, metadata };
+    }
+
+    const items = await this.readRecords(type, ids);
+    return { items, metadata };
+  }
+
+  /**
+   * 通过分类索引读取书签
+   * @param {string} categoryId - 分类 ID
+   * @returns {Promise<Array>}
+   */
+  async readSitesByCategory(categoryId) {
+    const ids = await this.kv.get(this.categoryIndexKey(categoryId)) || [];
+    return this.readRecords('sites', ids);
+  }
+
+  /**
+   * 按分类分组书签 ID
+   * @param {Array} sites - 书签列表
+   * @returns {Map<string, string[]>}
+   */
+  groupByCategory(sites) {
+    const groups = new Map();
+    sites.forEach(site => {
+      if (!groups.has(site.category)) {
+        groups.set(site.category, []);
+      }
+      groups.get(site.category).push(site.id);
+    });
+    return groups;
+  }
+
+  /**
+   * 写入集合
+   * 与写入前的数据比较，分批写入变化的记录、最后写入索引，再删除移除的记录；
+   * 索引携带元数据（版本号），因此索引写入即视为本次修改生效。
+   * 索引写入前任何一步失败都会回滚已写入的记录和分类索引，当前索引不会引用未写入的数据
+   * @param {string} type - 集合类型
+   * @param {Array} items - 新的集合数据
+   * @param {Array} previousItems - 写入前的集合数据
+   * @param {Object} metadata - 索引元数据
+   * @returns {Promise<{written: number, deleted: number}>}
+   * @throws {Error} 记录或索引写入失败时抛出（已回滚）
+   */
+  async writeCollection(type, items, previousItems = [], metadata = {}) {
+    const previousById = new Map(previousItems.map(item => [item.id, item]));
+    const nextIds = new Set(items.map(item => item.id));
+
+    const changed = items.filter(item => {
+      const previous = previousById.get(item.id);
+      return !previous || JSON.stringify(previous) !== JSON.stringify(item);
+    });
+    const removed = previousItems.filter(item => !nextIds.has(item.id));
+
+    try {
+      await runInBatches(changed, item => this.kv.set(this.recordKey(type, item.id), item));
+
+      if (type === 'sites') {
+        await this.writeCategoryIndexes(items, previousItems);
+      }
+
+      await this.kv.set(this.indexKey(type), items.map(item => item.id), { metadata });
+    } catch (error) {
+      console.error(`写入 ${type} 集合失败，回滚已写入的记录:`, error);
+      await this.rollbackCollection(type, changed, previousById, items, previousItems);
+      throw error;
+    }
+
+    // 索引更新后再删除记录，读取方不会看到索引引用已删除的记录；
+    // 此时修改已经生效，删除失败只会留下不被引用的记录
+    try {
+      await runInBatches(removed, item => this.kv.delete(this.recordKey(type, item.id)));
+    } catch (error) {
+      console.warn(`⚠️ 删除 ${type} 中已移除的记录失败:`, error);
+    }
+
+    return { written: changed.length, deleted: removed.length };
+  }
+
+  /**
+   * 回滚未完成的集合写入：恢复被修改的记录、删除新增的记录，并恢复分类书签索引
+   * 回滚本身失败时只记录日志，调用方仍会收到原始错误
+   * @param {string} type - 集合类型
+   * @param {Array} changed - 本次写入的记录
+   * @param {Map} previousById - 写入前的记录
+   * @param {Array} items - 本次写入的集合数据
+   * @param {Array} previousItems - 写入前的集合数据
+   * @returns {Promise<void>}
+   */
+  async rollbackCollection(type, changed, previousById, items, previousItems) {
+    try {
+      await runInBatches(changed, item => {
+        const previous = previousById.get(item.id);
+        const key = this.recordKey(type, item.id);
+        return previous ? this.kv.set(key, previous) : this.kv.delete(key);
+      });
+
+      if (type === 'sites') {
+        await this.writeCategoryIndexes(previousItems, items);
+      }
+    } catch (error) {
+      console.error(`回滚 ${type} 集合失败:`, error);
+    }
+  }
+
+  /**
+   * 更新分类书签索引
+   * @param {Array} sites - 新的书签列表
+   * @param {Array} previousSites - 写入前的书签列表
+   * @returns {Promise<void>}
+   */
+  async writeCategoryIndexes(sites, previousSites = []) {
+    const nextGroups = this.groupByCategory(sites);
+    const previousGroups = this.groupByCategory(previousSites);
+    const operations = [];
+
+    nextGroups.forEach((ids, categoryId) => {
+      const previousIds = previousGroups.get(categoryId);
+      if (!previousIds || previousIds.join('\n') !== ids.join('\n')) {
+        operations.push(() => this.kv.set(this.categoryIndexKey(categoryId), ids));
+      }
+    });
+
+    previousGroups.forEach((ids, categoryId) => {
+      if (!nextGroups.has(categoryId)) {
+        operations.push(() => this.kv.delete(this.categoryIndexKey(categoryId)));
+      }
+    });
+
+    await runInBatches(operations, operation => operation());
+  }
+
+  /**
+   * 读取旧布局中的集合
+   * @param {string} type - 集合类型
+   * @returns {Promise<{items: Array|null, metadata: Object|null}>}
+   */
+  async readLegacyCollection(type) {
+    const { value, metadata } = await this.kv.getWithMetadata(this.getLayoutConfig(type).legacyKey, { skipCache: true });
+    return { items: value, metadata };
+  }
+
+  /**
+   * 删除旧布局中的集合键
+   * @param {string} type - 集合类型
+   * @returns {Promise<void>}
+   */
+  async deleteLegacyCollection(type) {
+    await this.kv.delete(this.getLayoutConfig(type).legacyKey);
+  }
+}
+
+// 默认记录存储实例
+export const recordStore = new RecordStore();
@@ -0,0 +1,369 @@
+/**
+ * 数据结构迁移框架
+ * 按 DATA_VERSION 顺序执行迁移步骤（1.0.0 → 1.1.0 → …），每一步都可重复执行，
+ * 支持试运行报告，正式执行前先创建备份（backup-manager.js）。
+ * 每个导航空间（space-manager.js）有独立的数据和版本号，迁移逐个空间执行
+ * @author Claude 4.0 sonnet
+ * @version 1.0.0
+ */
+
+import { kvAdapter, KV_KEYS, DATA_VERSION, STORAGE_LAYOUT } from './kv-adapter.js';
+import { spaceManager } from './space-manager.js';
+import { migrationTool } from './migration-tool.js';
+import { BackupReason } from './backup-manager.js';
+
+/**
+ * 统计数据的默认结构
+ */
+const STATS_SHAPES = {
+  [KV_KEYS.STATS_CLICKS]: { sites: {}, categories: {}, daily: {}, total: 0 },
+  [KV_KEYS.STATS_SEARCHES]: { keywords: {}, daily: {}, results: { noResults: 0, hasResults: 0 }, total: 0 },
+  [KV_KEYS.STATS_PAGES]: { pages: {}, daily: {}, browsers: {}, os: {}, total: 0 },
+  [KV_KEYS.STATS_CATEGORIES]: { categories: {}, daily: {}, total: 0 },
+  [KV_KEYS.STATS_TIME]: { pages: {}, daily: {}, totalTime: 0, sessions: 0 },
+  [KV_KEYS.STATS_BOOKMARKS]: { categories: {}, sources: {}, daily: {}, total: 0 }
+};
+
+/**
+ * 补全对象缺失或类型错误的字段
+ * @param {Object} value - 现有数据
+ * @param {Object} shape - 默认结构
+ * @returns {{value: Object, fixed: string[]}}
+ */
+function fillShape(value, shape) {
+  const result = { ...value };
+  const fixed = [];
+
+  Object.entries(shape).forEach(([field, defaultValue]) => {
+    const expectedType = typeof defaultValue;
+    const actual = result[field];
+    if (actual === undefined || actual === null || typeof actual !== expectedType || Array.isArray(actual)) {
+      result[field] = JSON.parse(JSON.stringify(defaultValue));
+      fixed.push(field);
+    }
+  });
+
+  return { value: result, fixed };
+}
+
+/**
+ * 迁移上下文中修改记录时使用的操作者信息
+ */
+const MIGRATION_ACTOR = { actor: 'system', source: 'migration' };
+
+/**
+ * 迁移步骤（必须按版本顺序排列）
+ * run 接收要迁移的空间的存储上下文（kv、recordStore、dataManager），
+ * 在 dryRun 为 true 时只返回将要进行的修改，不写入任何数据
+ */
+export const SCHEMA_MIGRATIONS = [
+  {
+    from: '1.0.0',
+    to: '1.1.0',
+    description: '书签和分类改为按记录存储，并建立分类索引',
+    async run({ dryRun, context }) {
+      const { recordStore, dataManager } = context;
+      const layout = await recordStore.getLayout({ skipCache: true });
+      if (layout === STORAGE_LAYOUT.RECORDS) {
+        return { changes: [] };
+      }
+
+      const { items: categories } = await recordStore.readLegacyCollection('categories');
+      const { items: sites } = await recordStore.readLegacyCollection('sites');
+      const changes = [
+        `写入 ${categories?.length || 0} 个分类记录`,
+        `写入 ${sites?.length || 0} 个网站记录`,
+        '删除旧的集合键 bookmarks:categories / bookmarks:sites'
+      ];
+
+      if (!dryRun) {
+        const success = await migrationTool.migrateToRecordLayout({ manager: dataManager });
+        if (!success) {
+          throw new Error(migrationTool.getStatus().errors.join('; ') || '存储布局迁移失败');
+        }
+      }
+
+      return { changes };
+    }
+  },
+  {
+    from: '1.1.0',
+    to: '1.2.0',
+    description: '补全书签和分类的描述字段，修复统计数据结构',
+    async run({ dryRun, context }) {
+      const { kv, dataManager } = context;
+      const changes = [];
+
+      // 书签：缺少描述时使用标题，缺少简短描述时使用描述
+      const { items: sites, revision: sitesRevision } = await dataManager.getCollection('sites');
+      let fixedSites = 0;
+      const normalizedSites = sites.map(site => {
+        const description = site.description || site.title;
+        const shortDesc = site.shortDesc || description;
+        if (description === site.description && shortDesc === site.shortDesc) {
+          return site;
+        }
+        fixedSites++;
+        return { ...site, description, shortDesc };
+      });
+      if (fixedSites > 0) {
+        changes.push(`补全 ${fixedSites} 个书签的描述字段`);
+        if (!dryRun) {
+          await dataManager.saveSites(normalizedSites, { ...MIGRATION_ACTOR, expectedRevision: sitesRevision });
+        }
+      }
+
+      // 分类：缺少描述时使用名称
+      const { items: categories, revision: categoriesRevision } = await dataManager.getCollection('categories');
+      let fixedCategories = 0;
+      const normalizedCategories = categories.map(category => {
+        if (category.description) {
+          return category;
+        }
+        fixedCategories++;
+        return { ...category, description: category.name };
+      });
+      if (fixedCategories > 0) {
+        changes.push(`补全 ${fixedCategories} 个分类的描述字段`);
+        if (!dryRun) {
+          await dataManager.saveCategories(normalizedCategories, { ...MIGRATION_ACTOR, expectedRevision: categoriesRevision });
+        }
+      }
+
+      // 统计：补全缺失或类型错误的字段，已有计数保持不变
+      for (const [key, shape] of Object.entries(STATS_SHAPES)) {
+        const stats = await kv.get(key, { skipCache: true });
+        if (!stats) continue;
+
+        const { value, fixed } = fillShape(stats, shape);
+        if (fixed.length > 0) {
+          changes.push(`修复 ${key} 的字段: ${fixed.join(', ')}`);
+          if (!dryRun) {
+            await kv.set(key, value);
+          }
+        }
+      }
+
+      return { changes };
+    }
+  }
+];
+
+/**
+ * 数据结构迁移器类
+ */
+export class SchemaMigrator {
+  constructor(migrations = SCHEMA_MIGRATIONS) {
+    this.migrations = migrations;
+    this.isRunning = false;
+  }
+
+  /**
+   * 所有已知的数据版本
+   * @returns {string[]}
+   */
+  getKnownVersions() {
+    return [this.migrations[0]?.from, ...this.migrations.map(step => step.to)].filter(Boolean);
+  }
+
+  /**
+   * 获取所有已配置空间的存储上下文
+   * @returns {Array<Object>}
+   */
+  getContexts() {
+    return spaceManager.listSpaces().map(space => spaceManager.getContext(space.id));
+  }
+
+  /**
+   * 读取空间中保存的数据版本
+   * 没有版本记录时：已有数据视为最早的版本，否则视为全新安装
+   * @param {Object} context - 空间的存储上下文
+   * @returns {Promise<string>}
+   */
+  async getStoredVersion(context) {
+    const versionInfo = await context.kv.get(KV_KEYS.VERSION, { skipCache: true });
+    if (versionInfo?.version) {
+      return versionInfo.version;
+    }
+
+    const layout = await context.recordStore.getLayout({ skipCache: true });
+    const hasLegacyData = layout === STORAGE_LAYOUT.LEGACY;
+    return hasLegacyData ? this.getKnownVersions()[0] : DATA_VERSION.CURRENT;
+  }
+
+  /**
+   * 计算从指定版本升级到当前版本需要执行的步骤
+   * @param {string} version - 起始版本
+   * @returns {Array|null} 无法找到升级路径时返回 null
+   */
+  getPendingMigrations(version) {
+    if (version === DATA_VERSION.CURRENT) {
+      return [];
+    }
+
+    const startIndex = this.migrations.findIndex(step => step.from === version);
+    if (startIndex === -1) {
+      return null;
+    }
+
+    const pending = this.migrations.slice(startIndex);
+    return pending[pending.length - 1]?.to === DATA_VERSION.CURRENT ? pending : null;
+  }
+
+  /**
+   * 执行所有空间待处理的迁移
+   * 各空间相互独立：某个空间失败或版本无法识别时，其他空间照常迁移，整体结果标记为失败
+   * @param {Object} [options] - 选项
+   * @param {boolean} [options.dryRun] - 仅生成报告，不写入
+   * @returns {Promise<Object>} 迁移报告，spaces 为各空间的报告
+   */
+  async run(options = {}) {
+    const { dryRun = false } = options;
+
+    if (!kvAdapter.isKVAvailable()) {
+      throw new Error('KV 存储不可用，无法执行数据迁移');
+    }
+
+    if (this.isRunning) {
+      throw new Error('数据迁移正在进行中');
+    }
+
+    const report = {
+      dryRun,
+      targetVersion: DATA_VERSION.CURRENT,
+      spaces: [],
+      success: true,
+      error: null
+    };
+
+    this.isRunning = true;
+    try {
+      for (const context of this.getContexts()) {
+        const spaceReport = await this.runSpace(context, dryRun);
+        report.spaces.push(spaceReport);
+
+        if (!spaceReport.success && report.success) {
+          report.success = false;
+          report.error = `空间 ${context.space.name}（${context.space.id}）: ${spaceReport.error}`;
+        }
+      }
+    } finally {
+      this.isRunning = false;
+    }
+
+    return report;
+  }
+
+  /**
+   * 执行单个空间待处理的迁移
+   * 每完成一步立即写入新版本号，失败时停在最后成功的版本，修复后可以重新执行
+   * @param {Object} context - 空间的存储上下文
+   * @param {boolean} dryRun - 仅生成报告，不写入
+   * @returns {Promise<Object>} 空间的迁移报告
+   */
+  async runSpace(context, dryRun) {
+    const { kv, dataManager, backupManager } = context;
+    const fromVersion = await this.getStoredVersion(context);
+    const pending = this.getPendingMigrations(fromVersion);
+
+    const report = {
+      space: context.space.id,
+      fromVersion,
+      targetVersion: DATA_VERSION.CURRENT,
+      currentVersion: fromVersion,
+      backupId: null,
+      steps: [],
+      success: true,
+      error: null
+    };
+
+    if (pending === null) {
+      report.success = false;
+      report.error = `未知的数据版本 ${fromVersion}，无法找到升级到 ${DATA_VERSION.CURRENT} 的迁移路径`;
+      return report;
+    }
+
+    if (pending.length === 0) {
+      return report;
+    }
+
+    if (!dryRun) {
+      const backup = await backupManager.create({
+        reason: BackupReason.PRE_MIGRATION,
+        label: `数据迁移 ${fromVersion} → ${DATA_VERSION.CURRENT} 之前`,
+        actor: MIGRATION_ACTOR.actor
+      });
+      report.backupId = backup.id;
+    }
+
+    for (const step of pending) {
+      const stepReport = { from: step.from, to: step.to, description: step.description, changes: [], status: 'pending' };
+      report.steps.push(stepReport);
+
+      try {
+        console.log(`🔄 数据迁移 [${context.space.id}] ${step.from} → ${step.to}${dryRun ? '（试运行）' : ''}`);
+        const result = await step.run({ dryRun, context });
+        stepReport.changes = result.changes;
+        stepReport.status = dryRun ? 'planned' : 'completed';
+
+        if (!dryRun) {
+          await kv.setVersion(step.to);
+          report.currentVersion = step.to;
+        }
+      } catch (error) {
+        stepReport.status = 'failed';
+        stepReport.error = error.message;
+        report.success = false;
+        report.error = `迁移 ${step.from} → ${step.to} 失败: ${error.message}`;
+        break;
+      }
+    }
+
+    if (!dryRun) {
+      await dataManager.invalidateCaches();
+      await dataManager.init();
+    }
+
+    return report;
+  }
+
+  /**
+   * 获取所有空间的迁移状态
+   * @returns {Promise<Object>}
+   */
+  async getStatus() {
+    const spaces = [];
+    for (const context of this.getContexts()) {
+      const storedVersion = await this.getStoredVersion(context);
+      const pending = this.getPendingMigrations(storedVersion);
+      spaces.push({
+        space: context.space.id,
+        name: context.space.name,
+        storedVersion,
+        upToDate: storedVersion === DATA_VERSION.CURRENT,
+        migratable: pending !== null,
+        pending: (pending || []).map(step => ({ from: step.from, to: step.to, description: step.description }))
+      });
+    }
+
+    return {
+      targetVersion: DATA_VERSION.CURRENT,
+      knownVersions: this.getKnownVersions(),
+      upToDate: spaces.every(space => space.upToDate),
+      migratable: spaces.every(space => space.migratable),
+      spaces
+    };
+  }
+}
+
+// 默认迁移器实例
+export const schemaMigrator = new SchemaMigrator();
+
+/**
+ * 便捷的数据结构迁移函数
+ */
+export const schemaMigration = {
+  status: () => schemaMigrator.getStatus(),
+  dryRun: () => schemaMigrator.run({ dryRun: true }),
+  run: () => schemaMigrator.run()
+};
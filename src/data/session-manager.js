@@ -0,0 +1,348 @@
+/**
+ * 管理员会话管理器
+ * 登录成功后生成随机会话令牌，通过 HttpOnly Cookie 下发，会话保存在 SESSION KV 绑定中
+ * （键为令牌的 SHA-256，存储中不保留可直接使用的令牌）；同时记录每个 IP 的登录失败次数，
+ * 短时间内失败过多时暂时锁定登录。未绑定 SESSION 时（例如本地开发）使用进程内存储
+ * @author Claude 4.0 sonnet
+ * @version 1.0.0
+ */
+
+/**
+ * 会话 Cookie 名称
+ */
+export const SESSION_COOKIE = 'cloudnav_admin_session';
+
+/**
+ * 会话有效期（毫秒），到期后必须重新登录
+ */
+export const SESSION_TTL = 24 * 60 * 60 * 1000;
+
+/**
+ * 无操作超时（毫秒），超过后会话失效
+ */
+export const SESSION_IDLE_TIMEOUT = 2 * 60 * 60 * 1000;
+
+/**
+ * 会话最近活动时间的刷新间隔（毫秒），避免每个请求都写入 KV
+ */
+const SESSION_TOUCH_INTERVAL = 5 * 60 * 1000;
+
+/**
+ * 登录失败次数限制：窗口期内最多失败的次数，以及超过后锁定的时长（毫秒）
+ */
+export const LOGIN_MAX_ATTEMPTS = 5;
+export const LOGIN_ATTEMPT_WINDOW = 15 * 60 * 1000;
+export const LOGIN_LOCK_DURATION = 15 * 60 * 1000;
+
+/**
+ * SESSION 中的键前缀（与 Astro 自身的会话数据区分）
+ */
+const KEY_PREFIX = {
+  SESSION: 'admin:session:',
+  LOGIN_ATTEMPTS: 'admin:login:'
+};
+
+/**
+ * KV 支持的最短过期时间（秒）
+ */
+const MIN_EXPIRATION_TTL = 60;
+
+/**
+ * 进程内会话存储，接口与 KV 相同，仅用于未绑定 SESSION 的本地开发
+ */
+class MemorySessionStore {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  async get(key, type) {
+    const entry = this.entries.get(key);
+    if (!entry || entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+    return type === 'json' ? JSON.parse(entry.value) : entry.value;
+  }
+
+  async put(key, value, options = {}) {
+    const ttl = options.expirationTtl ? options.expirationTtl * 1000 : Infinity;
+    this.entries.set(key, { value, expiresAt: Date.now() + ttl });
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+}
+
+/**
+ * 解析请求中的 Cookie
+ * @param {Request} request - 请求对象
+ * @returns {Object} 名称 → 值
+ */
+export function parseCookies(request) {
+  const cookies = {};
+  (request.headers.get('cookie') || '').split(';').forEach(part => {
+    const index = part.indexOf('=');
+    if (index === -1) return;
+    const name = part.slice(0, index).trim();
+    if (name && !(name in cookies)) {
+      try {
+        cookies[name] = decodeURIComponent(part.slice(index + 1).trim());
+      } catch {
+        cookies[name] = part.slice(index + 1).trim();
+      }
+    }
+  });
+  return cookies;
+}
+
+/**
+ * 读取请求中的会话令牌
+ * @param {Request} request - 请求对象
+ * @returns {string|null}
+ */
+export function getSessionToken(request) {
+  return parseCookies(request)[SESSION_COOKIE] || null;
+}
+
+/**
+ * 生成设置会话 Cookie 的 Set-Cookie 值
+ * 通过 HTTPS 访问时加上 Secure，本地 HTTP 开发时浏览器才会保存
+ * @param {Request} request - 当前请求
+ * @param {string} token - 会话令牌，为空时生成清除 Cookie 的值
+ * @param {number} maxAge - 有效期（毫秒）
+ * @returns {string}
+ */
+export function buildSessionCookie(request, token, maxAge = SESSION_TTL) {
+  const parts = [
+    `${SESSION_COOKIE}=${token ? encodeURIComponent(token) : ''}`,
+    'Path=/',
+    'HttpOnly',
+    'SameSite=Strict',
+    `Max-Age=${token ? Math.floor(maxAge / 1000) : 0}`
+  ];
+  if (new URL(request.url).protocol === 'https:') {
+    parts.push('Secure');
+  }
+  return parts.join('; ');
+}
+
+/**
+ * 获取请求方 IP，用于限制登录尝试
+ * @param {Request} request - 请求对象
+ * @returns {string}
+ */
+export function getClientIp(request) {
+  return request.headers.get('CF-Connecting-IP')
+    || request.headers.get('X-Forwarded-For')?.split(',')[0].trim()
+    || 'unknown';
+}
+
+/**
+ * 会话管理器类
+ */
+export class SessionManager {
+  /**
+   * @param {Object|null} store - 会话存储（KV 接口），未指定时使用 SESSION 绑定
+   */
+  constructor(store = null) {
+    this.store = store;
+    this.memoryStore = null;
+  }
+
+  /**
+   * 获取会话存储，首次使用时确定
+   * @returns {Object}
+   */
+  getStore() {
+    if (!this.store) {
+      if (typeof SESSION !== 'undefined') {
+        this.store = SESSION;
+      } else {
+        console.warn('⚠️ 未找到 SESSION 绑定，管理员会话保存在进程内存中');
+        this.memoryStore = this.memoryStore || new MemorySessionStore();
+        this.store = this.memoryStore;
+      }
+    }
+    return this.store;
+  }
+
+  /**
+   * 读取 JSON 值
+   * @param {string} key - 键
+   * @returns {Promise<Object|null>}
+   */
+  async read(key) {
+    return await this.getStore().get(key, 'json');
+  }
+
+  /**
+   * 写入 JSON 值
+   * @param {string} key - 键
+   * @param {Object} value - 值
+   * @param {number} ttl - 过期时间（毫秒）
+   * @returns {Promise<void>}
+   */
+  async write(key, value, ttl) {
+    await this.getStore().put(key, JSON.stringify(value), {
+      expirationTtl: Math.max(MIN_EXPIRATION_TTL, Math.ceil(ttl / 1000))
+    });
+  }
+
+  /**
+   * 计算令牌对应的存储键
+   * @param {string} token - 会话令牌
+   * @returns {Promise<string>}
+   */
+  async sessionKey(token) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(token));
+    const hex = Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+    return `${KEY_PREFIX.SESSION}${hex}`;
+  }
+
+  /**
+   * 生成随机会话令牌（32 字节，Base64URL）
+   * @returns {string}
+   */
+  generateToken() {
+    const bytes = crypto.getRandomValues(new Uint8Array(32));
+    return btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
+  /**
+   * 创建会话
+   * @param {Object} meta - 会话信息（ip、userAgent）
+   * @returns {Promise<{token: string, session: Object}>}
+   */
+  async create(meta = {}) {
+    const now = Date.now();
+    const token = this.generateToken();
+    const session = {
+      createdAt: now,
+      lastSeenAt: now,
+      expiresAt: now + SESSION_TTL,
+      ip: meta.ip || null,
+      userAgent: (meta.userAgent || '').slice(0, 200)
+    };
+
+    await this.write(await this.sessionKey(token), session, SESSION_TTL);
+    console.log('🔐 管理员会话已创建');
+    return { token, session };
+  }
+
+  /**
+   * 读取并校验会话，有效时刷新最近活动时间
+   * @param {string|null} token - 会话令牌
+   * @returns {Promise<Object|null>} 会话不存在、已过期或超过无操作时长时返回 null
+   */
+  async get(token) {
+    if (!token) {
+      return null;
+    }
+
+    try {
+      const key = await this.sessionKey(token);
+      const session = await this.read(key);
+      const now = Date.now();
+      if (!session || session.expiresAt <= now || now - session.lastSeenAt > SESSION_IDLE_TIMEOUT) {
+        if (session) await this.getStore().delete(key);
+        return null;
+      }
+
+      if (now - session.lastSeenAt > SESSION_TOUCH_INTERVAL) {
+        session.lastSeenAt = now;
+        await this.write(key, session, session.expiresAt - now);
+      }
+      return session;
+    } catch (error) {
+      console.error('读取管理员会话失败:', error);
+      return null;
+    }
+  }
+
+  /**
+   * 读取请求携带的会话
+   * @param {Request} request - 请求对象
+   * @returns {Promise<Object|null>}
+   */
+  async getSessionFromRequest(request) {
+    return this.get(getSessionToken(request));
+  }
+
+  /**
+   * 删除会话
+   * @param {string|null} token - 会话令牌
+   * @returns {Promise<void>}
+   */
+  async destroy(token) {
+    if (!token) return;
+    await this.getStore().delete(await this.sessionKey(token));
+    console.log('📤 管理员会话已删除');
+  }
+
+  /**
+   * 获取 IP 的登录限制状态
+   * @param {string} ip - 请求方 IP
+   * @returns {Promise<{locked: boolean, retryAfter: number, remaining: number}>} retryAfter 为秒数
+   */
+  async getLoginThrottle(ip) {
+    const record = await this.read(`${KEY_PREFIX.LOGIN_ATTEMPTS}${ip}`);
+    const now = Date.now();
+
+    if (record?.lockedUntil > now) {
+      return { locked: true, retryAfter: Math.ceil((record.lockedUntil - now) / 1000), remaining: 0 };
+    }
+    const failures = record && !record.lockedUntil && now - record.firstAt < LOGIN_ATTEMPT_WINDOW ? record.count : 0;
+    return { locked: false, retryAfter: 0, remaining: LOGIN_MAX_ATTEMPTS - failures };
+  }
+
+  /**
+   * 记录一次登录失败，窗口期内失败达到上限时锁定
+   * @param {string} ip - 请求方 IP
+   * @returns {Promise<{locked: boolean, retryAfter: number, remaining: number}>}
+   */
+  async recordLoginFailure(ip) {
+    const key = `${KEY_PREFIX.LOGIN_ATTEMPTS}${ip}`;
+    const previous = await this.read(key);
+    const now = Date.now();
+    // 锁定结束后重新计数
+    const inWindow = previous && !previous.lockedUntil && now - previous.firstAt < LOGIN_ATTEMPT_WINDOW;
+
+    const record = {
+      firstAt: inWindow ? previous.firstAt : now,
+      count: (inWindow ? previous.count : 0) + 1,
+      lockedUntil: null
+    };
+    if (record.count >= LOGIN_MAX_ATTEMPTS) {
+      record.lockedUntil = now + LOGIN_LOCK_DURATION;
+      console.warn(`⚠️ ${ip} 登录失败次数过多，锁定 ${LOGIN_LOCK_DURATION / 60000} 分钟`);
+    }
+
+    await this.write(key, record, Math.max(LOGIN_ATTEMPT_WINDOW, LOGIN_LOCK_DURATION));
+    return record.lockedUntil
+      ? { locked: true, retryAfter: Math.ceil(LOGIN_LOCK_DURATION / 1000), remaining: 0 }
+      : { locked: false, retryAfter: 0, remaining: LOGIN_MAX_ATTEMPTS - record.count };
+  }
+
+  /**
+   * 登录成功后清除失败记录
+   * @param {string} ip - 请求方 IP
+   * @returns {Promise<void>}
+   */
+  async clearLoginFailures(ip) {
+    await this.getStore().delete(`${KEY_PREFIX.LOGIN_ATTEMPTS}${ip}`);
+  }
+}
+
+// 默认会话管理器实例
+export const sessionManager = new SessionManager();
+
+/**
+ * 便捷的会话操作函数
+ */
+export const sessions = {
+  create: (meta) => sessionManager.create(meta),
+  get: (token) => sessionManager.get(token),
+  fromRequest: (request) => sessionManager.getSessionFromRequest(request),
+  destroy: (token) => sessionManager.destroy(token)
+};
@@ -0,0 +1,98 @@
+/**
+ * 站点设置管理器
+ * 保存后台可调整的站点设置（目前为首页区块的显示数量），存储在 config:settings 键中；
+ * 存储不可用时使用默认设置
+ * @author Claude 4.0 sonnet
+ * @version 1.0.0
+ */
+
+import { kvAdapter, KV_KEYS } from './kv-adapter.js';
+import { handleError } from '../utils/error-handler.js';
+import { DEFAULT_HOME_SETTINGS } from '../utils/home-sections.js';
+import { validate, formatErrors, SettingsSchema } from '../utils/schema.js';
+
+/**
+ * 默认站点设置
+ */
+export const DEFAULT_SETTINGS = {
+  home: DEFAULT_HOME_SETTINGS
+};
+
+/**
+ * 设置管理器类
+ */
+export class SettingsManager {
+  /**
+   * @param {KVAdapter} kv - 使用的 KV 适配器（多空间时为带键前缀的适配器）
+   */
+  constructor(kv = kvAdapter) {
+    this.kv = kv;
+  }
+
+  /**
+   * 读取全部设置，缺少的项使用默认值
+   * @returns {Promise<Object>}
+   */
+  async get() {
+    let stored = null;
+    if (this.kv.isKVAvailable()) {
+      try {
+        stored = await this.kv.get(KV_KEYS.CONFIG_SETTINGS);
+      } catch (error) {
+        console.warn('读取站点设置失败，使用默认设置:', error);
+      }
+    }
+
+    return {
+      ...stored,
+      home: { ...DEFAULT_SETTINGS.home, ...stored?.home }
+    };
+  }
+
+  /**
+   * 读取首页区块设置
+   * @returns {Promise<{pinnedLimit: number, recentLimit: number}>}
+   */
+  async getHomeSettings() {
+    const settings = await this.get();
+    return settings.home;
+  }
+
+  /**
+   * 更新设置（按分组合并）
+   * @param {Object} updates - 要更新的设置，例如 { home: { recentLimit: 10 } }
+   * @returns {Promise<Object>} 更新后的全部设置
+   */
+  async update(updates) {
+    if (!this.kv.isKVAvailable()) {
+      throw handleError.validation('存储后端不可用，静态数据模式无法保存设置');
+    }
+    const { valid, errors } = validate(SettingsSchema, updates, { partial: true });
+    if (!valid) {
+      throw handleError.validation(formatErrors(errors).join('；'), { operation: 'update_settings' }, { fieldErrors: errors });
+    }
+
+    const current = await this.get();
+    const next = {
+      ...current,
+      home: { ...current.home, ...updates.home }
+    };
+
+    await this.kv.set(KV_KEYS.CONFIG_SETTINGS, next);
+    await this.kv.bumpGeneration();
+    console.log('⚙️ 站点设置已更新');
+    return next;
+  }
+}
+
+// 默认设置管理器实例
+export const settingsManager = new SettingsManager();
+
+/**
+ * 便捷的设置操作函数
+ */
+export const settings = {
+  get: () => settingsManager.get(),
+  getHomeSettings: () => settingsManager.getHomeSettings(),
+  update: (updates) => settingsManager.update(updates)
+};
@@ -0,0 +1,184 @@
+/**
+ * 导航空间管理器
+ * 一个部署可以托管多个相互独立的导航空间（例如「工作」「家庭」「团队」），
+ * 每个空间拥有自己的分类、书签、设置、统计、历史、回收站和备份。
+ * 默认空间沿用原有的存储键，其他空间的键统一加上 space:<id>: 前缀，共用同一个存储后端
+ * @author Claude 4.0 sonnet
+ * @version 1.0.0
+ */
+
+import { kvAdapter } from './kv-adapter.js';
+import { RecordStore, recordStore } from './record-store.js';
+import { OverlayStore, overlayStore } from './overlay-store.js';
+import { HistoryManager, historyManager } from './history-manager.js';
+import { TrashManager, trashManager } from './trash-manager.js';
+import { DataManager, dataManager } from './data-manager.js';
+import { BackupManager, backupManager } from './backup-manager.js';
+import { SettingsManager, settingsManager } from './settings-manager.js';
+import { LinkHealthManager, linkHealthManager } from './link-health-manager.js';
+
+/**
+ * 默认空间 ID
+ */
+export const DEFAULT_SPACE = 'default';
+
+/**
+ * 空间 ID 格式：小写字母、数字、下划线和连字符
+ */
+const SPACE_ID_PATTERN = /^[a-z0-9_-]{1,32}$/;
+
+/**
+ * 读取环境变量
+ * @param {string} name - 变量名
+ * @returns {string|null}
+ */
+function readEnv(name) {
+  return import.meta.env[name] || (typeof process !== 'undefined' ? process.env[name] : null) || null;
+}
+
+/**
+ * 解析 SPACES 环境变量
+ * 格式为逗号分隔的 id 或 id:名称，例如 "work:工作,home:家庭,team"；
+ * 默认空间始终存在且排在第一位，格式不合法的 ID 会被忽略
+ * @param {string|null} value - 环境变量值
+ * @returns {Array<{id: string, name: string, isDefault: boolean}>}
+ */
+export function parseSpaces(value) {
+  const spaces = [{ id: DEFAULT_SPACE, name: '默认', isDefault: true }];
+
+  (value || '').split(',').forEach(entry => {
+    const [rawId, ...nameParts] = entry.split(':');
+    const id = rawId.trim().toLowerCase();
+    const name = nameParts.join(':').trim();
+
+    if (!id) return;
+    if (!SPACE_ID_PATTERN.test(id)) {
+      console.warn(`⚠️ 忽略格式不正确的空间 ID: ${rawId}`);
+      return;
+    }
+
+    const existing = spaces.find(space => space.id === id);
+    if (existing) {
+      if (name) existing.name = name;
+      return;
+    }
+    spaces.push({ id, name: name || id, isDefault: false });
+  });
+
+  return spaces;
+}
+
+/**
+ * 空间管理器类
+ */
+export class SpaceManager {
+  constructor() {
+    this.contexts = new Map();
+    this.spacesSource = undefined;
+    this.spaces = [];
+  }
+
+  /**
+   * 获取已配置的空间列表（环境变量不变时复用解析结果）
+   * @returns {Array<{id: string, name: string, isDefault: boolean}>}
+   */
+  listSpaces() {
+    const source = readEnv('SPACES');
+    if (source !== this.spacesSource) {
+      this.spacesSource = source;
+      this.spaces = parseSpaces(source);
+    }
+    return this.spaces;
+  }
+
+  /**
+   * 获取空间信息
+   * @param {string} id - 空间 ID，未提供时为默认空间
+   * @returns {{id: string, name: string, isDefault: boolean}|null} 空间不存在时返回 null
+   */
+  getSpace(id = DEFAULT_SPACE) {
+    return this.listSpaces().find(space => space.id === (id || DEFAULT_SPACE)) || null;
+  }
+
+  /**
+   * 获取空间在存储中的键前缀，默认空间没有前缀以兼容已有数据
+   * @param {string} id - 空间 ID
+   * @returns {string}
+   */
+  getKeyPrefix(id) {
+    return id === DEFAULT_SPACE ? '' : `space:${id}:`;
+  }
+
+  /**
+   * 获取空间的存储上下文
+   * 默认空间直接使用全局实例；其他空间首次访问时创建一组共用带前缀 KV 适配器的实例并缓存
+   * @param {string} id - 空间 ID，未提供时为默认空间
+   * @returns {Object|null} 空间不存在时返回 null
+   */
+  getContext(id = DEFAULT_SPACE) {
+    const space = this.getSpace(id);
+    if (!space) {
+      return null;
+    }
+
+    if (this.contexts.has(space.id)) {
+      return this.contexts.get(space.id);
+    }
+
+    let context;
+    if (space.isDefault) {
+      context = {
+        space,
+        kv: kvAdapter,
+        recordStore,
+        overlayStore,
+        historyManager,
+        trashManager,
+        dataManager,
+        backupManager,
+        settingsManager,
+        linkHealthManager
+      };
+    } else {
+      const kv = kvAdapter.withKeyPrefix(this.getKeyPrefix(space.id));
+      const spaceHistoryManager = new HistoryManager(kv);
+      const spaceTrashManager = new TrashManager(kv);
+      const spaceDataManager = new DataManager({
+        space: space.id,
+        kv,
+        recordStore: new RecordStore(kv),
+        overlayStore: new OverlayStore(kv),
+        historyManager: spaceHistoryManager,
+        trashManager: spaceTrashManager
+      });
+
+      context = {
+        space,
+        kv,
+        recordStore: spaceDataManager.recordStore,
+        overlayStore: spaceDataManager.overlayStore,
+        historyManager: spaceHistoryManager,
+        trashManager: spaceTrashManager,
+        dataManager: spaceDataManager,
+        backupManager: new BackupManager(kv, spaceDataManager),
+        settingsManager: new SettingsManager(kv),
+        linkHealthManager: new LinkHealthManager(kv)
+      };
+    }
+
+    this.contexts.set(space.id, context);
+    return context;
+  }
+}
+
+// 默认空间管理器实例
+export const spaceManager = new SpaceManager();
+
+/**
+ * 便捷的空间操作函数
+ */
+export const spaces = {
+  list: () => spaceManager.listSpaces(),
+  get: (id) => spaceManager.getSpace(id),
+  context: (id) => spaceManager.getContext(id)
+};
@@ -0,0 +1,553 @@
+/**
+ * 存储后端
+ * 为 KV 适配器提供可替换的底层存储：Cloudflare KV、D1 / 本地 SQLite、本地 JSON 文件，
+ * 通过 DATA_SOURCE 环境变量选择。所有后端都实现与 KV 命名空间相同的接口
+ * （get / getWithMetadata / put / delete / list），上层代码无需区分。
+ * 项目只构建 Cloudflare 版本，本地 SQLite 和 JSON 文件只在本地开发服务器（astro dev，运行在 Node 中）里可用
+ * @author Claude 4.0 sonnet
+ * @version 1.0.0
+ */
+
+/**
+ * 存储后端类型
+ */
+export const StorageBackendType = {
+  KV: 'kv',           // Cloudflare KV
+  D1: 'd1',           // Cloudflare D1
+  SQLITE: 'sqlite',   // 本地 SQLite 文件（仅本地开发）
+  FILE: 'file'        // 本地 JSON 文件（仅本地开发）
+};
+
+/**
+ * 默认存储路径（相对于进程工作目录）
+ */
+export const DEFAULT_SQLITE_PATH = './data/bookmarks.sqlite';
+export const DEFAULT_DATA_FILE_PATH = './data/bookmarks.json';
+
+/**
+ * SQL 后端使用的表名
+ */
+const SQL_TABLE = 'kv_store';
+
+/**
+ * 读取环境变量
+ * @param {string} name - 变量名
+ * @returns {string|null}
+ */
+function readEnv(name) {
+  return import.meta.env[name] || (typeof process !== 'undefined' ? process.env[name] : null) || null;
+}
+
+/**
+ * 是否运行在本地 Node 进程中（本地开发服务器）
+ * 开启 nodejs_compat 的 Workers 中同样存在 process，需要通过 navigator.userAgent 排除
+ * @returns {boolean}
+ */
+function isLocalNodeRuntime() {
+  if (typeof process === 'undefined' || !process.versions?.node) {
+    return false;
+  }
+  return typeof navigator === 'undefined' || navigator.userAgent !== 'Cloudflare-Workers';
+}
+
+/**
+ * 动态加载 Node 内置模块或可选依赖
+ * 模块名通过变量传入，避免 Workers 构建时被打包
+ * @param {string} name - 模块名
+ * @returns {Promise<any>}
+ */
+function importNodeModule(name) {
+  return import(/* @vite-ignore */ name);
+}
+
+/**
+ * 按读取类型转换存储的字符串
+ * @param {string|null} raw - 存储的原始字符串
+ * @param {string} type - 读取类型（text / json）
+ * @returns {any}
+ */
+function decodeValue(raw, type) {
+  if (raw === null || raw === undefined) {
+    return null;
+  }
+  return type === 'json' ? JSON.parse(raw) : raw;
+}
+
+/**
+ * 解析 get 的读取类型参数（兼容字符串和 { type } 两种写法）
+ * @param {string|Object} options - 读取选项
+ * @returns {string}
+ */
+function resolveType(options) {
+  return (typeof options === 'string' ? options : options?.type) || 'text';
+}
+
+/**
+ * 计算过期时间（秒级时间戳，与 KV 一致）
+ * @param {Object} options - put 选项（expirationTtl / expiration）
+ * @returns {number|null}
+ */
+function resolveExpiration(options = {}) {
+  if (options.expiration) {
+    return options.expiration;
+  }
+  if (options.expirationTtl) {
+    return Math.floor(Date.now() / 1000) + options.expirationTtl;
+  }
+  return null;
+}
+
+/**
+ * 判断条目是否已过期
+ * @param {number|null} expiration - 过期时间（秒）
+ * @returns {boolean}
+ */
+function isExpired(expiration) {
+  return Boolean(expiration) && expiration <= Math.floor(Date.now() / 1000);
+}
+
+/**
+ * SQL 存储后端
+ * 使用 D1 兼容的接口（prepare / bind / first / all / run），
+ * 在 Workers 中直接使用 D1 绑定，在本地开发服务器中使用 LocalSQLiteDatabase 包装的本地 SQLite
+ */
+export class SQLStorageBackend {
+  /**
+   * @param {Object|Function} db - D1 数据库，或首次使用时才打开数据库的异步函数
+   */
+  constructor(db) {
+    this.db = db;
+    this.ready = null;
+  }
+
+  /**
+   * 确保数据表已创建
+   * @returns {Promise<void>}
+   */
+  async ensureReady() {
+    if (!this.ready) {
+      this.ready = (async () => {
+        const db = typeof this.db === 'function' ? await this.db() : this.db;
+        await db.prepare(
+          `CREATE TABLE IF NOT EXISTS ${SQL_TABLE} (key TEXT PRIMARY KEY, value TEXT NOT NULL, metadata TEXT, expiration INTEGER)`
+        ).run();
+        return db;
+      })();
+      this.ready.catch(() => {
+        this.ready = null;
+      });
+    }
+    return this.ready;
+  }
+
+  /**
+   * 读取数据，传入键数组时返回 Map
+   * @param {string|string[]} key - 存储键
+   * @param {string|Object} options - 读取类型
+   * @returns {Promise<any>}
+   */
+  async get(key, options) {
+    const type = resolveType(options);
+
+    if (Array.isArray(key)) {
+      const db = await this.ensureReady();
+      const result = new Map(key.map(name => [name, null]));
+      if (key.length === 0) {
+        return result;
+      }
+
+      const placeholders = key.map(() => '?').join(', ');
+      const { results } = await db.prepare(
+        `SELECT key, value, expiration FROM ${SQL_TABLE} WHERE key IN (${placeholders})`
+      ).bind(...key).all();
+
+      (results || []).forEach(row => {
+        if (!isExpired(row.expiration)) {
+          result.set(row.key, decodeValue(row.value, type));
+        }
+      });
+      return result;
+    }
+
+    const { value } = await this.getWithMetadata(key, type);
+    return value;
+  }
+
+  /**
+   * 读取数据及元数据
+   * @param {string} key - 存储键
+   * @param {string|Object} options - 读取类型
+   * @returns {Promise<{value: any, metadata: Object|null}>}
+   */
+  async getWithMetadata(key, options) {
+    const db = await this.ensureReady();
+    const row = await db.prepare(
+      `SELECT value, metadata, expiration FROM ${SQL_TABLE} WHERE key = ?`
+    ).bind(key).first();
+
+    if (!row || isExpired(row.expiration)) {
+      return { value: null, metadata: null };
+    }
+
+    return {
+      value: decodeValue(row.value, resolveType(options)),
+      metadata: row.metadata ? JSON.parse(row.metadata) : null
+    };
+  }
+
+  /**
+   * 写入数据
+   * @param {string} key - 存储键
+   * @param {string} value - 字符串值
+   * @param {Object} options - 选项（expirationTtl、expiration、metadata）
+   * @returns {Promise<void>}
+   */
+  async put(key, value, options = {}) {
+    const db = await this.ensureReady();
+    await db.prepare(
+      `INSERT INTO ${SQL_TABLE} (key, value, metadata, expiration) VALUES (?, ?, ?, ?) ` +
+      'ON CONFLICT(key) DO UPDATE SET value = excluded.value, metadata = excluded.metadata, expiration = excluded.expiration'
+    ).bind(
+      key,
+      value,
+      options.metadata ? JSON.stringify(options.metadata) : null,
+      resolveExpiration(options)
+    ).run();
+  }
+
+  /**
+   * 删除数据
+   * @param {string} key - 存储键
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    const db = await this.ensureReady();
+    await db.prepare(`DELETE FROM ${SQL_TABLE} WHERE key = ?`).bind(key).run();
+  }
+
+  /**
+   * 列出键（cursor 为偏移量）
+   * @param {Object} options - 选项（prefix、limit、cursor）
+   * @returns {Promise<{keys: Array, list_complete: boolean, cursor?: string}>}
+   */
+  async list(options = {}) {
+    const db = await this.ensureReady();
+    const prefix = options.prefix || '';
+    const limit = options.limit || 1000;
+    const offset = parseInt(options.cursor || '0') || 0;
+    const now = Math.floor(Date.now() / 1000);
+
+    const { results } = await db.prepare(
+      `SELECT key, metadata, expiration FROM ${SQL_TABLE} ` +
+      'WHERE substr(key, 1, ?) = ? AND (expiration IS NULL OR expiration > ?) ORDER BY key LIMIT ? OFFSET ?'
+    ).bind(prefix.length, prefix, now, limit + 1, offset).all();
+
+    const rows = results || [];
+    const complete = rows.length <= limit;
+    return {
+      keys: rows.slice(0, limit).map(row => ({
+        name: row.key,
+        expiration: row.expiration || undefined,
+        metadata: row.metadata ? JSON.parse(row.metadata) : undefined
+      })),
+      list_complete: complete,
+      ...(complete ? {} : { cursor: String(offset + limit) })
+    };
+  }
+}
+
+/**
+ * 本地 SQLite 数据库的 D1 兼容包装
+ * 优先使用 Node 内置的 node:sqlite（Node 22.5+），否则使用可选依赖 better-sqlite3
+ */
+export class LocalSQLiteDatabase {
+  constructor(database) {
+    this.database = database;
+  }
+
+  /**
+   * 打开本地 SQLite 文件
+   * @param {string} filePath - 数据库文件路径
+   * @returns {Promise<LocalSQLiteDatabase>}
+   */
+  static async open(filePath) {
+    const { mkdir } = await importNodeModule('node:fs/promises');
+    const { dirname } = await importNodeModule('node:path');
+    await mkdir(dirname(filePath), { recursive: true });
+
+    try {
+      const { DatabaseSync } = await importNodeModule('node:sqlite');
+      return new LocalSQLiteDatabase(new DatabaseSync(filePath));
+    } catch {
+      try {
+        const { default: Database } = await importNodeModule('better-sqlite3');
+        return new LocalSQLiteDatabase(new Database(filePath));
+      } catch {
+        throw new Error('本地 SQLite 不可用：需要 Node 22.5+（node:sqlite）或安装 better-sqlite3');
+      }
+    }
+  }
+
+  /**
+   * 创建预处理语句
+   * @param {string} sql - SQL 语句
+   * @returns {Object} D1 风格的语句对象
+   */
+  prepare(sql) {
+    const statement = this.database.prepare(sql);
+    const create = (params) => ({
+      bind: (...values) => create(values),
+      first: async () => statement.get(...params) ?? null,
+      all: async () => ({ results: statement.all(...params) }),
+      run: async () => statement.run(...params)
+    });
+    return create([]);
+  }
+}
+
+/**
+ * JSON 文件存储后端
+ * 所有键值保存在一个 JSON 文件中，用于单进程的本地开发服务器；
+ * 写入时先写临时文件再重命名，避免进程中断导致文件损坏
+ */
+export class FileStorageBackend {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.entries = null;
+    this.loading = null;
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * 加载数据文件
+   * @returns {Promise<Object>}
+   */
+  async load() {
+    if (this.entries) {
+      return this.entries;
+    }
+
+    if (!this.loading) {
+      this.loading = (async () => {
+        const { readFile } = await importNodeModule('node:fs/promises');
+        try {
+          const content = JSON.parse(await readFile(this.filePath, 'utf-8'));
+          this.entries = content.entries || {};
+        } catch (error) {
+          if (error.code !== 'ENOENT') {
+            throw new Error(`读取数据文件失败 [${this.filePath}]: ${error.message}`);
+          }
+          this.entries = {};
+        }
+        return this.entries;
+      })();
+      this.loading.catch(() => {
+        this.loading = null;
+      });
+    }
+
+    return this.loading;
+  }
+
+  /**
+   * 将数据写回文件（串行执行）
+   * @returns {Promise<void>}
+   */
+  persist() {
+    this.writeQueue = this.writeQueue.catch(() => {}).then(async () => {
+      const { writeFile, rename, mkdir } = await importNodeModule('node:fs/promises');
+      const { dirname } = await importNodeModule('node:path');
+      const tempPath = `${this.filePath}.tmp`;
+
+      await mkdir(dirname(this.filePath), { recursive: true });
+      await writeFile(tempPath, JSON.stringify({ updatedAt: Date.now(), entries: this.entries }), 'utf-8');
+      await rename(tempPath, this.filePath);
+    });
+    return this.writeQueue;
+  }
+
+  /**
+   * 读取未过期的条目
+   * @param {string} key - 存储键
+   * @returns {Promise<Object|null>}
+   */
+  async getEntry(key) {
+    const entries = await this.load();
+    const entry = entries[key];
+    return entry && !isExpired(entry.expiration) ? entry : null;
+  }
+
+  /**
+   * 读取数据，传入键数组时返回 Map
+   * @param {string|string[]} key - 存储键
+   * @param {string|Object} options - 读取类型
+   * @returns {Promise<any>}
+   */
+  async get(key, options) {
+    const type = resolveType(options);
+
+    if (Array.isArray(key)) {
+      const result = new Map();
+      for (const name of key) {
+        const entry = await this.getEntry(name);
+        result.set(name, entry ? decodeValue(entry.value, type) : null);
+      }
+      return result;
+    }
+
+    const entry = await this.getEntry(key);
+    return entry ? decodeValue(entry.value, type) : null;
+  }
+
+  /**
+   * 读取数据及元数据
+   * @param {string} key - 存储键
+   * @param {string|Object} options - 读取类型
+   * @returns {Promise<{value: any, metadata: Object|null}>}
+   */
+  async getWithMetadata(key, options) {
+    const entry = await this.getEntry(key);
+    return {
+      value: entry ? decodeValue(entry.value, resolveType(options)) : null,
+      metadata: entry?.metadata ?? null
+    };
+  }
+
+  /**
+   * 写入数据
+   * @param {string} key - 存储键
+   * @param {string} value - 字符串值
+   * @param {Object} options - 选项（expirationTtl、expiration、metadata）
+   * @returns {Promise<void>}
+   */
+  async put(key, value, options = {}) {
+    const entries = await this.load();
+    entries[key] = {
+      value,
+      metadata: options.metadata ?? null,
+      expiration: resolveExpiration(options)
+    };
+    await this.persist();
+  }
+
+  /**
+   * 删除数据
+   * @param {string} key - 存储键
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    const entries = await this.load();
+    if (key in entries) {
+      delete entries[key];
+      await this.persist();
+    }
+  }
+
+  /**
+   * 列出键（cursor 为偏移量）
+   * @param {Object} options - 选项（prefix、limit、cursor）
+   * @returns {Promise<{keys: Array, list_complete: boolean, cursor?: string}>}
+   */
+  async list(options = {}) {
+    const entries = await this.load();
+    const prefix = options.prefix || '';
+    const limit = options.limit || 1000;
+    const offset = parseInt(options.cursor || '0') || 0;
+
+    const names = Object.keys(entries)
+      .filter(name => name.startsWith(prefix) && !isExpired(entries[name].expiration))
+      .sort();
+    const page = names.slice(offset, offset + limit);
+    const complete = offset + limit >= names.length;
+
+    return {
+      keys: page.map(name => ({
+        name,
+        expiration: entries[name].expiration || undefined,
+        metadata: entries[name].metadata ?? undefined
+      })),
+      list_complete: complete,
+      ...(complete ? {} : { cursor: String(offset + limit) })
+    };
+  }
+}
+
+/**
+ * 读取存储后端配置
+ * 未设置 DATA_SOURCE 时保持原有行为：绑定了 KV 就使用 KV；
+ * DATA_SOURCE 为 hybrid 时，覆盖层保存在 HYBRID_STORAGE 指定的后端中（默认 kv）
+ * @returns {{source: string, hybridStorage: string, sqlitePath: string, dataFilePath: string}}
+ */
+export function getStorageConfig() {
+  return {
+    source: (readEnv('DATA_SOURCE') || StorageBackendType.KV).toLowerCase(),
+    hybridStorage: (readEnv('HYBRID_STORAGE') || StorageBackendType.KV).toLowerCase(),
+    sqlitePath: readEnv('SQLITE_PATH') || DEFAULT_SQLITE_PATH,
+    dataFilePath: readEnv('DATA_FILE_PATH') || DEFAULT_DATA_FILE_PATH
+  };
+}
+
+/**
+ * 是否为混合模式（navLinks.js 作为基础数据，存储后端只保存覆盖层）
+ * @param {Object} config - 存储配置，默认读取环境变量
+ * @returns {boolean}
+ */
+export function isHybridMode(config = getStorageConfig()) {
+  return config.source === 'hybrid';
+}
+
+/**
+ * 根据 DATA_SOURCE 创建存储后端
+ * @param {Object} config - 存储配置，默认读取环境变量
+ * @returns {{type: string, store: Object}|null} 静态模式或后端不可用时返回 null
+ */
+export function createStorageBackend(config = getStorageConfig()) {
+  switch (config.source) {
+    case StorageBackendType.KV:
+      if (typeof BOOKMARKS_KV !== 'undefined') {
+        return { type: StorageBackendType.KV, store: BOOKMARKS_KV };
+      }
+      return null;
+
+    case StorageBackendType.D1:
+      if (typeof BOOKMARKS_DB !== 'undefined') {
+        return { type: StorageBackendType.D1, store: new SQLStorageBackend(BOOKMARKS_DB) };
+      }
+      console.warn('⚠️ DATA_SOURCE 为 d1，但未找到 BOOKMARKS_DB 绑定');
+      return null;
+
+    case StorageBackendType.SQLITE:
+      if (!isLocalNodeRuntime()) {
+        console.warn('⚠️ 本地 SQLite 只能在本地开发服务器中使用，部署到 Cloudflare 时请使用 kv 或 d1');
+        return null;
+      }
+      return {
+        type: StorageBackendType.SQLITE,
+        store: new SQLStorageBackend(() => LocalSQLiteDatabase.open(config.sqlitePath))
+      };
+
+    case StorageBackendType.FILE:
+      if (!isLocalNodeRuntime()) {
+        console.warn('⚠️ JSON 文件存储只能在本地开发服务器中使用，部署到 Cloudflare 时请使用 kv 或 d1');
+        return null;
+      }
+      return {
+        type: StorageBackendType.FILE,
+        store: new FileStorageBackend(config.dataFilePath)
+      };
+
+    case 'hybrid':
+      if (config.hybridStorage === 'hybrid' || config.hybridStorage === 'static') {
+        console.warn(`⚠️ HYBRID_STORAGE 不能为 ${config.hybridStorage}`);
+        return null;
+      }
+      return createStorageBackend({ ...config, source: config.hybridStorage });
+
+    case 'static':
+      return null;
+
+    default:
+      console.warn(`⚠️ 未知的 DATA_SOURCE: ${config.source}，将使用静态数据模式`);
+      return null;
+  }
+}
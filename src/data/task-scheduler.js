@@ -0,0 +1,345 @@
+/**
+ * 定时任务调度器
+ * 维护定时任务注册表，由 Worker 的 scheduled 入口按 Cron 触发执行，也可在后台手动立即执行；
+ * 每个任务依次在所有空间中运行，最近一次执行时间、结果、错误和下次执行时间保存在各自的 tasks:status:<任务 ID> 键中
+ * （不同 Cron 同时触发时各自写入自己的键，互不覆盖）
+ * @author Claude 4.0 sonnet
+ * @version 1.0.0
+ */
+
+import { kvAdapter, KV_KEYS } from './kv-adapter.js';
+import { spaceManager } from './space-manager.js';
+import { BackupReason } from './backup-manager.js';
+import { DEFAULT_CHECK_BATCH_SIZE } from './link-health-manager.js';
+import { FAILED_LINK_STATUSES } from '../utils/link-checker.js';
+import { parseCron, getNextRun } from '../utils/cron.js';
+import { handleError } from '../utils/error-handler.js';
+
+/**
+ * 任务执行状态
+ */
+export const TaskStatus = {
+  SUCCESS: 'success',   // 所有空间执行成功
+  ERROR: 'error',       // 至少一个空间执行失败
+  SKIPPED: 'skipped'    // 所有空间都跳过（例如存储后端不可用）
+};
+
+/**
+ * 任务触发方式
+ */
+export const TaskTrigger = {
+  CRON: 'cron',       // Cron Triggers 定时触发
+  MANUAL: 'manual'    // 后台手动执行
+};
+
+/**
+ * 执行中标记的有效期（毫秒），超过后视为上次执行异常中断，允许再次执行
+ */
+export const TASK_LOCK_TIMEOUT = 15 * 60 * 1000;
+
+/**
+ * 内置定时任务
+ * cron 必须同时写入 wrangler.toml 的 [triggers] crons，触发时按表达式匹配需要执行的任务；
+ * requiresStorage 为 true 的任务在存储后端不可用的空间中跳过
+ */
+export const DEFAULT_TASKS = [
+  {
+    id: 'backup',
+    name: '定时备份',
+    icon: '💾',
+    description: '为每个空间创建一份备份，超过保留份数的旧备份自动删除',
+    cron: '0 3 * * *',
+    requiresStorage: true,
+    run: async (context) => {
+      const backup = await context.backupManager.create({
+        reason: BackupReason.SCHEDULED,
+        label: '定时备份',
+        actor: 'scheduler'
+      });
+      return { backupId: backup.id, categories: backup.counts.categories, sites: backup.counts.sites };
+    }
+  },
+  {
+    id: 'trash-purge',
+    name: '清理回收站',
+    icon: '🧹',
+    description: '删除超过保留天数的回收站条目',
+    cron: '0 3 * * *',
+    requiresStorage: true,
+    run: async (context) => ({ purged: await context.trashManager.purgeExpired() })
+  },
+  {
+    id: 'link-check',
+    name: '链接检查',
+    icon: '🩺',
+    description: `每次检查每个空间中最久未检查的 ${DEFAULT_CHECK_BATCH_SIZE} 个书签链接`,
+    cron: '0 * * * *',
+    requiresStorage: true,
+    run: async (context) => {
+      const sites = await context.dataManager.getSites(false);
+      const { checked } = await context.linkHealthManager.checkSites(sites, { limit: DEFAULT_CHECK_BATCH_SIZE });
+      const results = Object.values(checked);
+      return {
+        checked: results.length,
+        failed: results.filter(result => FAILED_LINK_STATUSES.includes(result.status)).length
+      };
+    }
+  }
+];
+
+/**
+ * 规范化 Cron 表达式的空白，便于与触发时传入的表达式比较
+ * @param {string} expression - Cron 表达式
+ * @returns {string}
+ */
+function normalizeCron(expression) {
+  return String(expression || '').trim().split(/\s+/).join(' ');
+}
+
+/**
+ * 定时任务调度器类
+ */
+export class TaskScheduler {
+  /**
+   * @param {KVAdapter} kv - 保存执行记录的 KV 适配器（默认空间的全局实例）
+   * @param {SpaceManager} spaces - 空间管理器，任务在其中的每个空间中执行
+   */
+  constructor(kv = kvAdapter, spaces = spaceManager) {
+    this.kv = kv;
+    this.spaceManager = spaces;
+    this.tasks = new Map();
+    DEFAULT_TASKS.forEach(task => this.register(task));
+  }
+
+  /**
+   * 注册定时任务，ID 相同时覆盖
+   * @param {Object} task - 任务定义（id、name、icon、description、cron、requiresStorage、run）
+   * @throws {Error} 缺少必需字段或 Cron 表达式无效时抛出
+   */
+  register(task) {
+    if (!task?.id || !task.name || typeof task.run !== 'function') {
+      throw new Error('定时任务必须包含 id、name 和 run');
+    }
+    parseCron(task.cron);
+    this.tasks.set(task.id, { ...task, cron: normalizeCron(task.cron) });
+  }
+
+  /**
+   * 获取任务定义
+   * @param {string} id - 任务 ID
+   * @returns {Object|null}
+   */
+  getTask(id) {
+    return this.tasks.get(id) || null;
+  }
+
+  /**
+   * 获取所有任务使用的 Cron 表达式，需要全部配置在 wrangler.toml 中
+   * @returns {string[]}
+   */
+  getCrons() {
+    return [...new Set([...this.tasks.values()].map(task => task.cron))];
+  }
+
+  /**
+   * 获取任务执行记录的存储键
+   * @param {string} id - 任务 ID
+   * @returns {string}
+   */
+  recordKey(id) {
+    return `${KV_KEYS.TASK_STATUS_PREFIX}${id}`;
+  }
+
+  /**
+   * 读取单个任务的执行记录
+   * @param {string} id - 任务 ID
+   * @returns {Promise<Object|null>}
+   */
+  async getRecord(id) {
+    if (!this.kv.isKVAvailable()) {
+      return null;
+    }
+    return await this.kv.get(this.recordKey(id), { skipCache: true });
+  }
+
+  /**
+   * 读取全部已注册任务的执行记录
+   * @returns {Promise<Object>} taskId → 执行记录
+   */
+  async getRecords() {
+    if (!this.kv.isKVAvailable()) {
+      return {};
+    }
+
+    const ids = [...this.tasks.keys()];
+    const values = await this.kv.bulkGet(ids.map(id => this.recordKey(id)));
+    const records = {};
+    ids.forEach(id => {
+      const record = values[this.recordKey(id)];
+      if (record) records[id] = record;
+    });
+    return records;
+  }
+
+  /**
+   * 更新单个任务的执行记录（只读写该任务自己的键）
+   * @param {string} id - 任务 ID
+   * @param {Object} changes - 要更新的字段
+   * @returns {Promise<Object>} 更新后的记录
+   */
+  async updateRecord(id, changes) {
+    const record = { ...await this.getRecord(id), ...changes };
+
+    if (this.kv.isKVAvailable()) {
+      await this.kv.set(this.recordKey(id), record);
+    }
+    return record;
+  }
+
+  /**
+   * 任务是否正在执行（执行中标记未过期）
+   * @param {Object} record - 执行记录
+   * @param {number} now - 当前时间
+   * @returns {boolean}
+   */
+  isRunning(record, now = Date.now()) {
+    return Boolean(record?.running && now - record.running.startedAt < TASK_LOCK_TIMEOUT);
+  }
+
+  /**
+   * 获取任务列表及执行状态
+   * @returns {Promise<Array>}
+   */
+  async list() {
+    const records = await this.getRecords();
+    const now = Date.now();
+
+    return [...this.tasks.values()].map(task => {
+      const record = records[task.id] || {};
+      return {
+        id: task.id,
+        name: task.name,
+        icon: task.icon || '⏰',
+        description: task.description || '',
+        cron: task.cron,
+        lastRun: record.lastRun || null,
+        lastDuration: record.lastDuration ?? null,
+        lastStatus: record.lastStatus || null,
+        lastTrigger: record.lastTrigger || null,
+        lastActor: record.lastActor || null,
+        lastResult: record.lastResult || null,
+        lastError: record.lastError || null,
+        lastErrorAt: record.lastErrorAt || null,
+        nextRun: getNextRun(task.cron, now),
+        running: this.isRunning(record, now) ? record.running : null
+      };
+    });
+  }
+
+  /**
+   * 执行 Cron 表达式对应的全部任务（scheduled 入口调用）
+   * 单个任务失败不影响其他任务
+   * @param {string} cron - 触发的 Cron 表达式
+   * @returns {Promise<Array>} 各任务的执行记录
+   */
+  async runScheduled(cron) {
+    const expression = normalizeCron(cron);
+    const tasks = [...this.tasks.values()].filter(task => task.cron === expression);
+
+    if (tasks.length === 0) {
+      console.warn(`⚠️ 没有与 "${expression}" 匹配的定时任务`);
+      return [];
+    }
+
+    const results = [];
+    for (const task of tasks) {
+      try {
+        results.push(await this.runTask(task.id, { trigger: TaskTrigger.CRON }));
+      } catch (error) {
+        console.error(`❌ 定时任务 ${task.id} 未执行:`, error);
+        results.push({ id: task.id, lastStatus: TaskStatus.ERROR, lastError: error.message });
+      }
+    }
+    return results;
+  }
+
+  /**
+   * 在所有空间中执行任务并记录结果
+   * @param {string} id - 任务 ID
+   * @param {Object} options - 选项
+   * @param {string} options.trigger - 触发方式（TaskTrigger）
+   * @param {string} options.actor - 操作者
+   * @returns {Promise<Object>} 本次执行记录
+   * @throws {AppError} 任务不存在时抛出验证错误，任务正在执行时抛出冲突错误
+   */
+  async runTask(id, options = {}) {
+    const task = this.getTask(id);
+    if (!task) {
+      throw handleError.validation(`未知的定时任务: ${id}`);
+    }
+
+    const trigger = options.trigger || TaskTrigger.MANUAL;
+    const current = await this.getRecord(id);
+    const startedAt = Date.now();
+    if (this.isRunning(current, startedAt)) {
+      throw handleError.conflict(`任务 "${task.name}" 正在执行`, { startedAt: current.running.startedAt });
+    }
+    await this.updateRecord(id, { running: { startedAt, trigger } });
+
+    console.log(`⏰ 执行定时任务: ${task.id}（${trigger}）`);
+    const results = {};
+    const errors = [];
+
+    for (const space of this.spaceManager.listSpaces()) {
+      const context = this.spaceManager.getContext(space.id);
+      if (task.requiresStorage && !context.kv.isKVAvailable()) {
+        results[space.id] = { status: TaskStatus.SKIPPED, reason: '存储后端不可用' };
+        continue;
+      }
+
+      try {
+        results[space.id] = { status: TaskStatus.SUCCESS, ...await task.run(context, { trigger }) };
+      } catch (error) {
+        console.error(`❌ 定时任务 ${task.id} 在空间 ${space.id} 中执行失败:`, error);
+        results[space.id] = { status: TaskStatus.ERROR, error: error.message };
+        errors.push(`${space.name}: ${error.message}`);
+      }
+    }
+
+    const statuses = Object.values(results).map(result => result.status);
+    const finishedAt = Date.now();
+    const record = {
+      lastRun: startedAt,
+      lastDuration: finishedAt - startedAt,
+      lastStatus: errors.length > 0
+        ? TaskStatus.ERROR
+        : statuses.every(status => status === TaskStatus.SKIPPED) ? TaskStatus.SKIPPED : TaskStatus.SUCCESS,
+      lastTrigger: trigger,
+      lastActor: options.actor || (trigger === TaskTrigger.CRON ? 'scheduler' : 'admin'),
+      lastResult: results,
+      nextRun: getNextRun(task.cron, finishedAt),
+      running: null
+    };
+    // 最近一次错误在之后成功执行时保留，便于排查偶发的失败
+    if (errors.length > 0) {
+      record.lastError = errors.join('；');
+      record.lastErrorAt = finishedAt;
+    }
+
+    await this.updateRecord(id, record);
+    console.log(`✅ 定时任务 ${task.id} 执行完成: ${record.lastStatus}，耗时 ${record.lastDuration}ms`);
+    return { id, ...record };
+  }
+}
+
+// 默认定时任务调度器实例
+export const taskScheduler = new TaskScheduler();
+
+/**
+ * 便捷的定时任务操作函数
+ */
+export const tasks = {
+  list: () => taskScheduler.list(),
+  run: (id, options) => taskScheduler.runTask(id, options),
+  runScheduled: (cron) => taskScheduler.runScheduled(cron)
+};
@@ -0,0 +1,260 @@
+/**
+ * 回收站管理器
+ * 保存被删除的书签和分类，支持恢复、彻底删除以及超过保留期后自动清理；
+ * 每个条目单独保存在 trash:item:<条目 ID> 键中，同时删除多条记录时各写各的键，不会互相覆盖
+ * @author Claude 4.0 sonnet
+ * @version 1.0.0
+ */
+
+import { kvAdapter, KV_KEYS } from './kv-adapter.js';
+
+/**
+ * 默认保留天数
+ */
+export const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+/**
+ * 回收站管理器类
+ */
+export class TrashManager {
+  /**
+   * @param {KVAdapter} kv - 使用的 KV 适配器（多空间时为带键前缀的适配器）
+   */
+  constructor(kv = kvAdapter) {
+    this.kv = kv;
+    this.retentionDays = DEFAULT_TRASH_RETENTION_DAYS;
+    // 是否已检查并迁移旧版的整体数组
+    this.legacyMigrated = false;
+    this.init();
+  }
+
+  /**
+   * 初始化保留期配置
+   */
+  init() {
+    const configured = parseInt(
+      import.meta.env.TRASH_RETENTION_DAYS ||
+      (typeof process !== 'undefined' ? process.env.TRASH_RETENTION_DAYS : '') ||
+      ''
+    );
+
+    if (configured > 0) {
+      this.retentionDays = configured;
+    }
+  }
+
+  /**
+   * 保留期（毫秒）
+   * @returns {number}
+   */
+  getRetentionMs() {
+    return this.retentionDays * 24 * 60 * 60 * 1000;
+  }
+
+  /**
+   * 生成回收站条目 ID
+   * @returns {string}
+   */
+  generateId() {
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+  }
+
+  /**
+   * 获取条目的存储键
+   * @param {string} id - 条目 ID
+   * @returns {string}
+   */
+  itemKey(id) {
+    return `${KV_KEYS.TRASH_ITEM_PREFIX}${id}`;
+  }
+
+  /**
+   * 将旧版保存在 trash:items 中的整体数组拆分为每个条目一个键
+   * 重复执行结果相同，每个实例只检查一次
+   * @returns {Promise<void>}
+   */
+  async migrateLegacyItems() {
+    if (this.legacyMigrated) {
+      return;
+    }
+
+    const legacyItems = await this.kv.get(KV_KEYS.TRASH_LEGACY, { skipCache: true });
+    if (Array.isArray(legacyItems) && legacyItems.length > 0) {
+      await Promise.all(legacyItems.map(item => this.kv.set(this.itemKey(item.id), item)));
+      console.log(`🗑️ 回收站已迁移为按条目存储: ${legacyItems.length} 个条目`);
+    }
+    if (legacyItems) {
+      await this.kv.delete(KV_KEYS.TRASH_LEGACY);
+    }
+    this.legacyMigrated = true;
+  }
+
+  /**
+   * 读取回收站条目（最近删除的在前）
+   * @returns {Promise<Array>}
+   */
+  async getItems() {
+    await this.migrateLegacyItems();
+
+    const keys = (await this.kv.list({ prefix: KV_KEYS.TRASH_ITEM_PREFIX })).map(item => item.name);
+    const values = await this.kv.bulkGet(keys);
+    return keys
+      .map(key => values[key])
+      .filter(Boolean)
+      .sort((a, b) => b.deletedAt - a.deletedAt || (a.id < b.id ? 1 : -1));
+  }
+
+  /**
+   * 删除条目的键
+   * @param {Array} items - 回收站条目
+   * @returns {Promise<void>}
+   */
+  async deleteItems(items) {
+    await Promise.all(items.map(item => this.kv.delete(this.itemKey(item.id))));
+  }
+
+  /**
+   * 将记录移入回收站
+   * @param {string} type - 集合类型（categories / sites）
+   * @param {Array} records - 被删除的记录
+   * @param {Object} options - 选项（actor、ip）
+   * @returns {Promise<Array>} 新增的回收站条目
+   */
+  async add(type, records, options = {}) {
+    const deletedAt = Date.now();
+    const added = records.map(record => ({
+      id: this.generateId(),
+      type,
+      record,
+      deletedAt,
+      expiresAt: deletedAt + this.getRetentionMs(),
+      deletedBy: options.actor || 'system',
+      ip: options.ip || null
+    }));
+
+    await Promise.all(added.map(item => this.kv.set(this.itemKey(item.id), item)));
+
+    return added;
+  }
+
+  /**
+   * 过滤掉已过期的条目
+   * @param {Array} items - 回收站条目
+   * @returns {Array}
+   */
+  withoutExpired(items) {
+    const now = Date.now();
+    return items.filter(item => item.expiresAt > now);
+  }
+
+  /**
+   * 获取回收站列表（顺带清理过期条目）
+   * @param {string} type - 可选的集合类型过滤
+   * @returns {Promise<Array>}
+   */
+  async list(type = null) {
+    await this.purgeExpired();
+    const items = await this.getItems();
+    return type ? items.filter(item => item.type === type) : items;
+  }
+
+  /**
+   * 获取单个条目
+   * @param {string} id - 条目 ID
+   * @returns {Promise<Object|null>}
+   */
+  async get(id) {
+    await this.migrateLegacyItems();
+    return await this.kv.get(this.itemKey(id), { skipCache: true });
+  }
+
+  /**
+   * 查找某条记录最近一次被删除的条目
+   * @param {string} type - 集合类型
+   * @param {string} recordId - 记录 ID
+   * @returns {Promise<Object|null>}
+   */
+  async findByRecord(type, recordId) {
+    const items = this.withoutExpired(await this.getItems());
+    return items.find(item => item.type === type && item.record.id === recordId) || null;
+  }
+
+  /**
+   * 从回收站移除条目（恢复或彻底删除后调用）
+   * @param {string[]} ids - 条目 ID
+   * @returns {Promise<number>} 移除数量
+   */
+  async remove(ids) {
+    await this.migrateLegacyItems();
+    const values = await this.kv.bulkGet(ids.map(id => this.itemKey(id)));
+    const existing = ids.filter(id => values[this.itemKey(id)]);
+    await Promise.all(existing.map(id => this.kv.delete(this.itemKey(id))));
+    return existing.length;
+  }
+
+  /**
+   * 按记录 ID 移除条目（记录已通过其他方式恢复时调用）
+   * @param {string} type - 集合类型
+   * @param {string[]} recordIds - 记录 ID
+   * @returns {Promise<number>} 移除数量
+   */
+  async removeByRecords(type, recordIds) {
+    const items = await this.getItems();
+    const ids = items
+      .filter(item => item.type === type && recordIds.includes(item.record.id))
+      .map(item => item.id);
+    return ids.length ? this.remove(ids) : 0;
+  }
+
+  /**
+   * 清空回收站
+   * @returns {Promise<number>} 清理数量
+   */
+  async empty() {
+    const items = await this.getItems();
+    await this.deleteItems(items);
+    return items.length;
+  }
+
+  /**
+   * 清理超过保留期的条目
+   * @returns {Promise<number>} 清理数量
+   */
+  async purgeExpired() {
+    const items = await this.getItems();
+    const now = Date.now();
+    const expired = items.filter(item => item.expiresAt <= now);
+
+    if (expired.length > 0) {
+      await this.deleteItems(expired);
+      console.log(`🧹 回收站自动清理 ${expired.length} 个过期条目`);
+    }
+
+    return expired.length;
+  }
+
+  /**
+   * 获取回收站配置信息
+   * @returns {Object}
+   */
+  getInfo() {
+    return {
+      retentionDays: this.retentionDays
+    };
+  }
+}
+
+// 默认回收站管理器实例
+export const trashManager = new TrashManager();
+
+/**
+ * 便捷的回收站操作函数
+ */
+export const trash = {
+  list: (type) => trashManager.list(type),
+  get: (id) => trashManager.get(id),
+  remove: (ids) => trashManager.remove(ids),
+  empty: () => trashManager.empty(),
+  purgeExpired: () => trashManager.purgeExpired(),
+  getInfo: () => trashManager.getInfo()
+};
@@ -9,6 +9,8 @@ import type { APIRoute } from 'astro';
 import { dataManager } from '../../../data/data-manager.js';
 import { aiService } from '../../../utils/ai-client.js';
 import { handleError, ErrorType } from '../../../utils/error-handler.js';
+import { checkAdminPermission, getRequestActor } from '../../../utils/auth.js';
+import { TokenScope } from '../../../utils/api-tokens.js';
 
 /**
  * 整理选项接口
@@ -72,19 +74,6 @@ function validateOrganizeRequest(data: any): { isValid: boolean; errors: string[
   };
 }
 
-/**
- * 检查管理权限
- * @param request - 请求对象
- * @returns 是否有权限
- */
-function checkAdminPermission(request: Request): boolean {
-  const isAdminEnabled = import.meta.env.ENABLE_ADMIN === 'true';
-  if (!isAdminEnabled) {
-    return false;
-  }
-  return true;
-}
-
 /**
  * 创建标准化的 API 响应
  * @param data - 响应数据
@@ -127,9 +116,10 @@ function filterBookmarks(sites: any[], bookmarkIds?: string[]): any[] {
  * 应用分类建议
  * @param suggestions - 分类建议
  * @param minConfidence - 最小置信度
+ * @param actor - 操作者信息
  * @returns 应用结果
  */
-async function applyCategorySuggestions(suggestions: any[], minConfidence: number = 0.7) {
+async function applyCategorySuggestions(suggestions: any[], minConfidence: number = 0.7, actor: Record<string, any> = {}) {
   const results = {
     applied: 0,
     skipped: 0,
@@ -152,7 +142,7 @@ async function applyCategorySuggestions(suggestions: any[], minConfidence: numbe
       // 更新书签分类
       await dataManager.updateSite(suggestion.siteId, {
         category: suggestion.suggestedCategory
-      });
+      }, actor);
       
       results.applied++;
       results.details.push({
@@ -201,7 +191,7 @@ export const POST: APIRoute = async ({ request }) => {
     console.log('🤖 API: 执行 AI 智能整理');
     
     // 检查权限
-    if (!checkAdminPermission(request)) {
+    if (!(await checkAdminPermission(request, TokenScope.AI))) {
       return createApiResponse(null, 403, '管理功能未启用或权限不足');
     }
     
@@ -274,7 +264,7 @@ export const POST: APIRoute = async ({ request }) => {
         
         if (options.autoApply) {
           // 自动应用建议
-          const applyResult = await applyCategorySuggestions(suggestions, options.confidence);
+          const applyResult = await applyCategorySuggestions(suggestions, options.confidence, getRequestActor(request, 'ai_organize'));
           result = {
             mode: 'categorize',
             suggestions,
@@ -343,7 +333,7 @@ export const PUT: APIRoute = async ({ request }) => {
     console.log('🤖 API: 应用分类建议');
     
     // 检查权限
-    if (!checkAdminPermission(request)) {
+    if (!(await checkAdminPermission(request, TokenScope.AI))) {
       return createApiResponse(null, 403, '管理功能未启用或权限不足');
     }
     
@@ -367,7 +357,7 @@ export const PUT: APIRoute = async ({ request }) => {
     const minConfidence = applyRequest.minConfidence || 0.7;
     
     // 应用分类建议
-    const result = await applyCategorySuggestions(applyRequest.suggestions, minConfidence);
+    const result = await applyCategorySuggestions(applyRequest.suggestions, minConfidence, getRequestActor(request, 'ai_organize'));
     
     console.log(`✅ 分类建议应用完成: ${result.applied} 个成功, ${result.errors} 个失败`);
     
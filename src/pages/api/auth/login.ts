@@ -0,0 +1,147 @@
+/**
+ * 管理员登录 API 端点
+ * 支持 POST（验证管理密码并创建会话）操作，会话令牌通过 HttpOnly Cookie 下发
+ * @author Claude 4.0 sonnet
+ * @version 1.0.0
+ */
+
+import type { APIRoute } from 'astro';
+import {
+  sessionManager,
+  buildSessionCookie,
+  getClientIp,
+  SESSION_TTL
+} from '../../../data/session-manager.js';
+import { verifyPassword, isLegacyHash } from '../../../utils/password.js';
+import { handleError } from '../../../utils/error-handler.js';
+
+/**
+ * 读取管理员密码哈希（仅服务端可见，不能使用 PUBLIC_ 前缀）
+ * @returns 密码哈希，未配置时为空字符串
+ */
+function getAdminPasswordHash(): string {
+  return import.meta.env.ADMIN_PASSWORD_HASH
+    || (typeof process !== 'undefined' ? process.env.ADMIN_PASSWORD_HASH : '')
+    || '';
+}
+
+/**
+ * 创建标准化的 API 响应
+ * @param data - 响应数据
+ * @param status - HTTP 状态码
+ * @param message - 响应消息
+ * @param headers - 额外的响应头
+ * @returns Response 对象
+ */
+function createApiResponse(data: any = null, status: number = 200, message?: string, headers: Record<string, string> = {}) {
+  const response = {
+    success: status >= 200 && status < 300,
+    data,
+    message,
+    timestamp: new Date().toISOString()
+  };
+  
+  return new Response(JSON.stringify(response), {
+    status,
+    headers: {
+      'Content-Type': 'application/json',
+      'Cache-Control': 'no-store',
+      ...headers
+    }
+  });
+}
+
+/**
+ * 处理 POST 请求 - 管理员登录
+ * 请求体为 { password }；同一 IP 短时间内失败次数过多时返回 429
+ */
+export const POST: APIRoute = async ({ request }) => {
+  try {
+    console.log('🔐 API: 管理员登录');
+    
+    if (import.meta.env.ENABLE_ADMIN !== 'true') {
+      return createApiResponse(null, 403, '管理功能未启用');
+    }
+    
+    const passwordHash = getAdminPasswordHash();
+    if (!passwordHash) {
+      return createApiResponse(null, 503, '管理密码未配置，请设置 ADMIN_PASSWORD_HASH');
+    }
+    
+    const ip = getClientIp(request);
+    const throttle = await sessionManager.getLoginThrottle(ip);
+    if (throttle.locked) {
+      return createApiResponse(
+        { retryAfter: throttle.retryAfter },
+        429,
+        `登录失败次数过多，请 ${Math.ceil(throttle.retryAfter / 60)} 分钟后再试`,
+        { 'Retry-After': String(throttle.retryAfter) }
+      );
+    }
+    
+    // 解析请求数据
+    let loginData;
+    try {
+      loginData = await request.json();
+    } catch {
+      return createApiResponse(null, 400, '请求数据格式无效');
+    }
+    
+    const password = loginData?.password;
+    if (typeof password !== 'string' || !password) {
+      return createApiResponse(null, 400, '请输入密码');
+    }
+    
+    if (!await verifyPassword(password, passwordHash)) {
+      const result = await sessionManager.recordLoginFailure(ip);
+      console.warn(`⚠️ 管理员登录失败: ${ip}`);
+      if (result.locked) {
+        return createApiResponse(
+          { retryAfter: result.retryAfter },
+          429,
+          `登录失败次数过多，请 ${Math.ceil(result.retryAfter / 60)} 分钟后再试`,
+          { 'Retry-After': String(result.retryAfter) }
+        );
+      }
+      return createApiResponse({ remainingAttempts: result.remaining }, 401, '密码错误');
+    }
+    
+    if (isLegacyHash(passwordHash)) {
+      console.warn('⚠️ ADMIN_PASSWORD_HASH 使用旧的 SHA-256 格式，请运行 npm run setup 重新生成');
+    }
+    
+    await sessionManager.clearLoginFailures(ip);
+    const { token, session } = await sessionManager.create({
+      ip,
+      userAgent: request.headers.get('user-agent') || ''
+    });
+    
+    console.log('✅ 管理员登录成功');
+    return createApiResponse(
+      { expiresAt: session.expiresAt },
+      200,
+      '登录成功',
+      { 'Set-Cookie': buildSessionCookie(request, token, SESSION_TTL) }
+    );
+    
+  } catch (error) {
+    console.error('❌ 管理员登录失败:', error);
+    const appError = handleError.generic(error, { operation: 'admin_login' });
+    return createApiResponse(null, 500, appError.getUserMessage());
+  }
+};
+
+/**
+ * 处理 OPTIONS 请求 - CORS 预检
+ */
+export const OPTIONS: APIRoute = () => {
+  return new Response(null, {
+    status: 200,
+    headers: {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'POST, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+      'Access-Control-Max-Age': '86400'
+    }
+  });
+};
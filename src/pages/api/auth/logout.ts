@@ -0,0 +1,72 @@
+/**
+ * 管理员登出 API 端点
+ * 支持 POST（删除当前会话并清除 Cookie）操作
+ * @author Claude 4.0 sonnet
+ * @version 1.0.0
+ */
+
+import type { APIRoute } from 'astro';
+import { sessionManager, getSessionToken, buildSessionCookie } from '../../../data/session-manager.js';
+import { handleError } from '../../../utils/error-handler.js';
+
+/**
+ * 创建标准化的 API 响应
+ * @param data - 响应数据
+ * @param status - HTTP 状态码
+ * @param message - 响应消息
+ * @param headers - 额外的响应头
+ * @returns Response 对象
+ */
+function createApiResponse(data: any = null, status: number = 200, message?: string, headers: Record<string, string> = {}) {
+  const response = {
+    success: status >= 200 && status < 300,
+    data,
+    message,
+    timestamp: new Date().toISOString()
+  };
+  
+  return new Response(JSON.stringify(response), {
+    status,
+    headers: {
+      'Content-Type': 'application/json',
+      'Cache-Control': 'no-store',
+      ...headers
+    }
+  });
+}
+
+/**
+ * 处理 POST 请求 - 管理员登出
+ * 会话已失效时同样清除 Cookie 并返回成功
+ */
+export const POST: APIRoute = async ({ request }) => {
+  const clearCookie = { 'Set-Cookie': buildSessionCookie(request, null) };
+
+  try {
+    console.log('📤 API: 管理员登出');
+    
+    await sessionManager.destroy(getSessionToken(request));
+    
+    return createApiResponse(null, 200, '已登出', clearCookie);
+    
+  } catch (error) {
+    console.error('❌ 管理员登出失败:', error);
+    const appError = handleError.generic(error, { operation: 'admin_logout' });
+    return createApiResponse(null, 500, appError.getUserMessage(), clearCookie);
+  }
+};
+
+/**
+ * 处理 OPTIONS 请求 - CORS 预检
+ */
+export const OPTIONS: APIRoute = () => {
+  return new Response(null, {
+    status: 200,
+    headers: {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'POST, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+      'Access-Control-Max-Age': '86400'
+    }
+  });
+};
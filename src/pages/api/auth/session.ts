@@ -0,0 +1,82 @@
+/**
+ * 管理员会话 API 端点
+ * 支持 GET（查询管理功能是否可用以及当前请求是否已登录）操作
+ * @author Claude 4.0 sonnet
+ * @version 1.0.0
+ */
+
+import type { APIRoute } from 'astro';
+import { sessionManager, SESSION_IDLE_TIMEOUT } from '../../../data/session-manager.js';
+import { handleError } from '../../../utils/error-handler.js';
+
+/**
+ * 读取管理员密码哈希（仅服务端可见，不能使用 PUBLIC_ 前缀）
+ * @returns 密码哈希，未配置时为空字符串
+ */
+function getAdminPasswordHash(): string {
+  return import.meta.env.ADMIN_PASSWORD_HASH
+    || (typeof process !== 'undefined' ? process.env.ADMIN_PASSWORD_HASH : '')
+    || '';
+}
+
+/**
+ * 创建标准化的 API 响应
+ * @param data - 响应数据
+ * @param status - HTTP 状态码
+ * @param message - 响应消息
+ * @returns Response 对象
+ */
+function createApiResponse(data: any = null, status: number = 200, message?: string) {
+  const response = {
+    success: status >= 200 && status < 300,
+    data,
+    message,
+    timestamp: new Date().toISOString()
+  };
+  
+  return new Response(JSON.stringify(response), {
+    status,
+    headers: {
+      'Content-Type': 'application/json',
+      'Cache-Control': 'no-store'
+    }
+  });
+}
+
+/**
+ * 处理 GET 请求 - 查询登录状态
+ */
+export const GET: APIRoute = async ({ request }) => {
+  try {
+    const enabled = import.meta.env.ENABLE_ADMIN === 'true';
+    const session = enabled ? await sessionManager.getSessionFromRequest(request) : null;
+    
+    return createApiResponse({
+      enabled,
+      configured: Boolean(getAdminPasswordHash()),
+      authenticated: Boolean(session),
+      expiresAt: session?.expiresAt || null,
+      idleTimeout: SESSION_IDLE_TIMEOUT
+    }, 200, session ? '已登录' : '未登录');
+    
+  } catch (error) {
+    console.error('❌ 查询登录状态失败:', error);
+    const appError = handleError.generic(error, { operation: 'get_admin_session' });
+    return createApiResponse(null, 500, appError.getUserMessage());
+  }
+};
+
+/**
+ * 处理 OPTIONS 请求 - CORS 预检
+ */
+export const OPTIONS: APIRoute = () => {
+  return new Response(null, {
+    status: 200,
+    headers: {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+      'Access-Control-Max-Age': '86400'
+    }
+  });
+};
@@ -0,0 +1,178 @@
+/**
+ * 单个备份 API 端点
+ * 支持 GET（获取或下载备份）、POST（从备份恢复）和 DELETE（删除备份）操作
+ * @author Claude 4.0 sonnet
+ * @version 1.0.0
+ */
+
+import type { APIRoute } from 'astro';
+import { spaceManager } from '../../../data/space-manager.js';
+import { handleError, ErrorType } from '../../../utils/error-handler.js';
+import { checkAdminPermission, getRequestActor } from '../../../utils/auth.js';
+import { TokenScope } from '../../../utils/api-tokens.js';
+
+/**
+ * 创建标准化的 API 响应
+ * @param data - 响应数据
+ * @param status - HTTP 状态码
+ * @param message - 响应消息
+ * @returns Response 对象
+ */
+function createApiResponse(data: any = null, status: number = 200, message?: string) {
+  const response = {
+    success: status >= 200 && status < 300,
+    data,
+    message,
+    timestamp: new Date().toISOString()
+  };
+  
+  return new Response(JSON.stringify(response), {
+    status,
+    headers: {
+      'Content-Type': 'application/json',
+      'Cache-Control': 'no-cache'
+    }
+  });
+}
+
+/**
+ * 处理 GET 请求 - 获取备份内容，download=true 时作为 JSON 文件下载
+ */
+export const GET: APIRoute = async ({ params, request, url }) => {
+  const space = spaceManager.getContext(params.space);
+  if (!space) {
+    return createApiResponse(null, 404, `空间 "${params.space}" 不存在`);
+  }
+  const { backupManager } = space;
+
+  try {
+    const backupId = params.id;
+    console.log(`💾 API: 获取备份 - ${backupId}`);
+    
+    // 检查权限
+    if (!(await checkAdminPermission(request, TokenScope.READ))) {
+      return createApiResponse(null, 403, '管理功能未启用或权限不足');
+    }
+    
+    if (!backupId) {
+      return createApiResponse(null, 400, '备份 ID 是必需的');
+    }
+    
+    const backup = await backupManager.get(backupId);
+    if (!backup) {
+      return createApiResponse(null, 404, `备份 "${backupId}" 不存在`);
+    }
+    
+    if (url.searchParams.get('download') === 'true') {
+      const date = new Date(backup.timestamp).toISOString().split('T')[0];
+      return new Response(JSON.stringify(backup, null, 2), {
+        status: 200,
+        headers: {
+          'Content-Type': 'application/json',
+          'Content-Disposition': `attachment; filename="cloudnav-backup-${date}-${backup.id}.json"`,
+          'Cache-Control': 'no-cache'
+        }
+      });
+    }
+    
+    return createApiResponse(backup, 200, '获取备份成功');
+    
+  } catch (error) {
+    console.error('❌ 获取备份失败:', error);
+    const appError = handleError.generic(error, { operation: 'get_backup', id: params.id });
+    return createApiResponse(null, 500, appError.getUserMessage());
+  }
+};
+
+/**
+ * 处理 POST 请求 - 从备份恢复全部数据
+ */
+export const POST: APIRoute = async ({ params, request }) => {
+  const space = spaceManager.getContext(params.space);
+  if (!space) {
+    return createApiResponse(null, 404, `空间 "${params.space}" 不存在`);
+  }
+  const { backupManager } = space;
+
+  try {
+    const backupId = params.id;
+    console.log(`♻️ API: 从备份恢复 - ${backupId}`);
+    
+    // 检查权限
+    if (!(await checkAdminPermission(request))) {
+      return createApiResponse(null, 403, '管理功能未启用或权限不足');
+    }
+    
+    if (!backupId) {
+      return createApiResponse(null, 400, '备份 ID 是必需的');
+    }
+    
+    const result = await backupManager.restore(backupId, getRequestActor(request, 'backup'));
+    
+    console.log(`✅ 已从备份恢复: ${backupId}`);
+    return createApiResponse(result, 200, '恢复成功');
+    
+  } catch (error) {
+    console.error('❌ 从备份恢复失败:', error);
+    
+    if (error.type === ErrorType.VALIDATION) {
+      return createApiResponse({ reason: error.message }, 400, error.getUserMessage());
+    }
+    
+    const appError = handleError.generic(error, { operation: 'restore_backup', id: params.id });
+    return createApiResponse(null, 500, appError.getUserMessage());
+  }
+};
+
+/**
+ * 处理 DELETE 请求 - 删除备份
+ */
+export const DELETE: APIRoute = async ({ params, request }) => {
+  const space = spaceManager.getContext(params.space);
+  if (!space) {
+    return createApiResponse(null, 404, `空间 "${params.space}" 不存在`);
+  }
+  const { backupManager } = space;
+
+  try {
+    const backupId = params.id;
+    console.log(`🗑️ API: 删除备份 - ${backupId}`);
+    
+    // 检查权限
+    if (!(await checkAdminPermission(request))) {
+      return createApiResponse(null, 403, '管理功能未启用或权限不足');
+    }
+    
+    if (!backupId) {
+      return createApiResponse(null, 400, '备份 ID 是必需的');
+    }
+    
+    const removed = await backupManager.remove(backupId);
+    if (!removed) {
+      return createApiResponse(null, 404, `备份 "${backupId}" 不存在`);
+    }
+    
+    console.log(`✅ 备份已删除: ${backupId}`);
+    return createApiResponse(null, 200, '备份已删除');
+    
+  } catch (error) {
+    console.error('❌ 删除备份失败:', error);
+    const appError = handleError.generic(error, { operation: 'delete_backup', id: params.id });
+    return createApiResponse(null, 500, appError.getUserMessage());
+  }
+};
+
+/**
+ * 处理 OPTIONS 请求 - CORS 预检
+ */
+export const OPTIONS: APIRoute = () => {
+  return new Response(null, {
+    status: 200,
+    headers: {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+      'Access-Control-Max-Age': '86400'
+    }
+  });
+};
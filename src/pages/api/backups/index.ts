@@ -0,0 +1,134 @@
+/**
+ * 备份 API 端点
+ * 支持 GET（获取备份列表）和 POST（创建备份）操作
+ * @author Claude 4.0 sonnet
+ * @version 1.0.0
+ */
+
+import type { APIRoute } from 'astro';
+import { spaceManager } from '../../../data/space-manager.js';
+import { BackupReason } from '../../../data/backup-manager.js';
+import { handleError, ErrorType } from '../../../utils/error-handler.js';
+import { checkAdminPermission, getRequestActor } from '../../../utils/auth.js';
+import { TokenScope } from '../../../utils/api-tokens.js';
+
+/**
+ * 创建标准化的 API 响应
+ * @param data - 响应数据
+ * @param status - HTTP 状态码
+ * @param message - 响应消息
+ * @returns Response 对象
+ */
+function createApiResponse(data: any = null, status: number = 200, message?: string) {
+  const response = {
+    success: status >= 200 && status < 300,
+    data,
+    message,
+    timestamp: new Date().toISOString()
+  };
+  
+  return new Response(JSON.stringify(response), {
+    status,
+    headers: {
+      'Content-Type': 'application/json',
+      'Cache-Control': 'no-cache'
+    }
+  });
+}
+
+/**
+ * 处理 GET 请求 - 获取备份列表
+ */
+export const GET: APIRoute = async ({ params, request }) => {
+  const space = spaceManager.getContext(params.space);
+  if (!space) {
+    return createApiResponse(null, 404, `空间 "${params.space}" 不存在`);
+  }
+  const { backupManager } = space;
+
+  try {
+    console.log('💾 API: 获取备份列表');
+    
+    // 检查权限
+    if (!(await checkAdminPermission(request, TokenScope.READ))) {
+      return createApiResponse(null, 403, '管理功能未启用或权限不足');
+    }
+    
+    const backups = await backupManager.list();
+    
+    console.log(`✅ 共有 ${backups.length} 个备份`);
+    return createApiResponse({
+      backups,
+      ...backupManager.getInfo()
+    }, 200, '获取备份列表成功');
+    
+  } catch (error) {
+    console.error('❌ 获取备份列表失败:', error);
+    const appError = handleError.generic(error, { operation: 'list_backups' });
+    return createApiResponse(null, 500, appError.getUserMessage());
+  }
+};
+
+/**
+ * 处理 POST 请求 - 创建备份
+ */
+export const POST: APIRoute = async ({ params, request }) => {
+  const space = spaceManager.getContext(params.space);
+  if (!space) {
+    return createApiResponse(null, 404, `空间 "${params.space}" 不存在`);
+  }
+  const { backupManager } = space;
+
+  try {
+    console.log('💾 API: 创建备份');
+    
+    // 检查权限
+    if (!(await checkAdminPermission(request))) {
+      return createApiResponse(null, 403, '管理功能未启用或权限不足');
+    }
+    
+    let body: { label?: string } = {};
+    const contentType = request.headers.get('content-type');
+    if (contentType?.includes('application/json')) {
+      try {
+        body = await request.json();
+      } catch {
+        return createApiResponse(null, 400, '请求数据格式无效');
+      }
+    }
+    
+    const backup = await backupManager.create({
+      reason: BackupReason.MANUAL,
+      label: typeof body.label === 'string' ? body.label.trim().slice(0, 100) : '',
+      actor: getRequestActor(request, 'backup').actor
+    });
+    
+    console.log(`✅ 备份创建成功: ${backup.id}`);
+    return createApiResponse(backup, 201, '备份创建成功');
+    
+  } catch (error) {
+    console.error('❌ 创建备份失败:', error);
+    
+    if (error.type === ErrorType.VALIDATION) {
+      return createApiResponse({ reason: error.message }, 400, error.getUserMessage());
+    }
+    
+    const appError = handleError.generic(error, { operation: 'create_backup' });
+    return createApiResponse(null, 500, appError.getUserMessage());
+  }
+};
+
+/**
+ * 处理 OPTIONS 请求 - CORS 预检
+ */
+export const OPTIONS: APIRoute = () => {
+  return new Response(null, {
+    status: 200,
+    headers: {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+      'Access-Control-Max-Age': '86400'
+    }
+  });
+};
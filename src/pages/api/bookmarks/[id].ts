@@ -6,97 +6,67 @@
  */
 
 import type { APIRoute } from 'astro';
-import { dataManager } from '../../../data/data-manager.js';
+import { spaceManager } from '../../../data/space-manager.js';
 import { handleError, ErrorType } from '../../../utils/error-handler.js';
-
-/**
- * 验证书签更新数据
- * @param data - 更新数据
- * @returns 验证结果
- */
-function validateBookmarkUpdateData(data: any): { isValid: boolean; errors: string[] } {
-  const errors: string[] = [];
-  
-  // 对于更新操作，字段是可选的，但如果提供了就要验证格式
-  if (data.title !== undefined && (typeof data.title !== 'string' || !data.title.trim())) {
-    errors.push('书签标题必须是非空字符串');
-  }
-  
-  if (data.url !== undefined) {
-    if (typeof data.url !== 'string' || !data.url.trim()) {
-      errors.push('书签 URL 必须是非空字符串');
-    } else {
-      try {
-        new URL(data.url);
-      } catch {
-        errors.push('书签 URL 格式无效');
-      }
-    }
-  }
-  
-  if (data.category !== undefined && (typeof data.category !== 'string' || !data.category.trim())) {
-    errors.push('书签分类必须是非空字符串');
-  }
-  
-  if (data.description !== undefined && typeof data.description !== 'string') {
-    errors.push('书签描述必须是字符串');
-  }
-  
-  if (data.shortDesc !== undefined && typeof data.shortDesc !== 'string') {
-    errors.push('书签简短描述必须是字符串');
-  }
-  
-  if (data.icon !== undefined && typeof data.icon !== 'string') {
-    errors.push('书签图标必须是字符串');
-  }
-  
-  return {
-    isValid: errors.length === 0,
-    errors
-  };
-}
-
-/**
- * 检查管理权限
- * @param request - 请求对象
- * @returns 是否有权限
- */
-function checkAdminPermission(request: Request): boolean {
-  const isAdminEnabled = import.meta.env.ENABLE_ADMIN === 'true';
-  if (!isAdminEnabled) {
-    return false;
-  }
-  return true;
-}
+import { formatETag, parseIfMatch } from '../../../utils/etag.js';
+import { normalizeTags } from '../../../utils/tags.js';
+import { validate, formatErrors, SiteSchema } from '../../../utils/schema.js';
+import { checkAdminPermission, getRequestActor } from '../../../utils/auth.js';
+import { TokenScope } from '../../../utils/api-tokens.js';
 
 /**
  * 创建标准化的 API 响应
  * @param data - 响应数据
  * @param status - HTTP 状态码
  * @param message - 响应消息
+ * @param revision - 书签集合版本号（提供时同时返回 ETag）
  * @returns Response 对象
  */
-function createApiResponse(data: any = null, status: number = 200, message?: string) {
+function createApiResponse(data: any = null, status: number = 200, message?: string, revision?: number) {
   const response = {
     success: status >= 200 && status < 300,
     data,
     message,
+    revision,
     timestamp: new Date().toISOString()
   };
   
-  return new Response(JSON.stringify(response), {
-    status,
-    headers: {
-      'Content-Type': 'application/json',
-      'Cache-Control': 'no-cache'
-    }
-  });
+  const headers: Record<string, string> = {
+    'Content-Type': 'application/json',
+    'Cache-Control': 'no-cache'
+  };
+  if (revision !== undefined) {
+    headers['ETag'] = formatETag('sites', revision);
+  }
+  
+  return new Response(JSON.stringify(response), { status, headers });
+}
+
+/**
+ * 创建版本冲突响应
+ * @param error - 冲突错误
+ * @returns Response 对象
+ */
+function createConflictResponse(error: any) {
+  const { expectedRevision, currentRevision } = error.details || {};
+  return createApiResponse(
+    { expectedRevision, currentRevision },
+    409,
+    error.getUserMessage(),
+    currentRevision
+  );
 }
 
 /**
  * 处理 GET 请求 - 获取单个书签
  */
 export const GET: APIRoute = async ({ params }) => {
+  const space = spaceManager.getContext(params.space);
+  if (!space) {
+    return createApiResponse(null, 404, `空间 "${params.space}" 不存在`);
+  }
+  const { dataManager } = space;
+
   try {
     const bookmarkId = params.id;
     console.log(`📖 API: 获取书签详情 - ${bookmarkId}`);
@@ -106,7 +76,10 @@ export const GET: APIRoute = async ({ params }) => {
     }
     
     // 获取所有书签并查找指定 ID
-    const sites = await dataManager.getSites();
+    const [sites, revision] = await Promise.all([
+      dataManager.getSites(),
+      dataManager.getRevision('sites')
+    ]);
     const bookmark = sites.find(site => site.id === bookmarkId);
     
     if (!bookmark) {
@@ -114,7 +87,7 @@ export const GET: APIRoute = async ({ params }) => {
     }
     
     console.log(`✅ 找到书签: ${bookmark.title}`);
-    return createApiResponse(bookmark, 200, '获取书签详情成功');
+    return createApiResponse(bookmark, 200, '获取书签详情成功', revision);
     
   } catch (error) {
     console.error('❌ 获取书签详情失败:', error);
@@ -127,12 +100,18 @@ export const GET: APIRoute = async ({ params }) => {
  * 处理 PUT 请求 - 更新书签
  */
 export const PUT: APIRoute = async ({ params, request }) => {
+  const space = spaceManager.getContext(params.space);
+  if (!space) {
+    return createApiResponse(null, 404, `空间 "${params.space}" 不存在`);
+  }
+  const { dataManager } = space;
+
   try {
     const bookmarkId = params.id;
     console.log(`📝 API: 更新书签 - ${bookmarkId}`);
     
     // 检查权限
-    if (!checkAdminPermission(request)) {
+    if (!(await checkAdminPermission(request, TokenScope.BOOKMARKS_WRITE))) {
       return createApiResponse(null, 403, '管理功能未启用或权限不足');
     }
     
@@ -140,6 +119,12 @@ export const PUT: APIRoute = async ({ params, request }) => {
       return createApiResponse(null, 400, '书签 ID 是必需的');
     }
     
+    // 解析 If-Match（乐观并发控制）
+    const ifMatch = parseIfMatch(request.headers.get('if-match'), 'sites');
+    if (!ifMatch.valid) {
+      return createApiResponse(null, 400, 'If-Match 请求头格式无效');
+    }
+    
     // 解析请求数据
     const contentType = request.headers.get('content-type');
     if (!contentType?.includes('application/json')) {
@@ -153,11 +138,11 @@ export const PUT: APIRoute = async ({ params, request }) => {
       return createApiResponse(null, 400, '请求数据格式无效');
     }
     
-    // 验证更新数据
-    const validation = validateBookmarkUpdateData(updateData);
-    if (!validation.isValid) {
+    // 验证更新数据，只校验提供了的字段
+    const validation = validate(SiteSchema, updateData, { partial: true });
+    if (!validation.valid) {
       return createApiResponse(
-        { errors: validation.errors },
+        { errors: formatErrors(validation.errors), fieldErrors: validation.errors },
         400,
         '书签数据验证失败'
       );
@@ -166,22 +151,30 @@ export const PUT: APIRoute = async ({ params, request }) => {
     // 添加更新时间戳
     const finalUpdateData = {
       ...updateData,
+      ...(updateData.tags !== undefined && { tags: normalizeTags(updateData.tags) }),
       lastModified: Date.now()
     };
     
     // 更新书签
-    await dataManager.updateSite(bookmarkId, finalUpdateData);
+    const revision = await dataManager.updateSite(bookmarkId, finalUpdateData, {
+      ...getRequestActor(request),
+      expectedRevision: ifMatch.revision
+    });
     
     // 获取更新后的书签
     const sites = await dataManager.getSites(false); // 不使用缓存
     const updatedBookmark = sites.find(site => site.id === bookmarkId);
     
     console.log(`✅ 书签更新成功: ${bookmarkId}`);
-    return createApiResponse(updatedBookmark, 200, '书签更新成功');
+    return createApiResponse(updatedBookmark, 200, '书签更新成功', revision);
     
   } catch (error) {
     console.error('❌ 更新书签失败:', error);
     
+    if (error.type === ErrorType.CONFLICT) {
+      return createConflictResponse(error);
+    }
+    
     if (error.type === ErrorType.VALIDATION) {
       return createApiResponse(null, 400, error.getUserMessage());
     }
@@ -194,13 +187,19 @@ export const PUT: APIRoute = async ({ params, request }) => {
 /**
  * 处理 DELETE 请求 - 删除书签
  */
-export const DELETE: APIRoute = async ({ params, request }) => {
+export const DELETE: APIRoute = async ({ params, request, url }) => {
+  const space = spaceManager.getContext(params.space);
+  if (!space) {
+    return createApiResponse(null, 404, `空间 "${params.space}" 不存在`);
+  }
+  const { dataManager } = space;
+
   try {
     const bookmarkId = params.id;
     console.log(`🗑️ API: 删除书签 - ${bookmarkId}`);
     
     // 检查权限
-    if (!checkAdminPermission(request)) {
+    if (!(await checkAdminPermission(request, TokenScope.BOOKMARKS_WRITE))) {
       return createApiResponse(null, 403, '管理功能未启用或权限不足');
     }
     
@@ -208,15 +207,32 @@ export const DELETE: APIRoute = async ({ params, request }) => {
       return createApiResponse(null, 400, '书签 ID 是必需的');
     }
     
+    // 解析 If-Match（乐观并发控制）
+    const ifMatch = parseIfMatch(request.headers.get('if-match'), 'sites');
+    if (!ifMatch.valid) {
+      return createApiResponse(null, 400, 'If-Match 请求头格式无效');
+    }
+    
+    // 默认移入回收站，permanent=true 时彻底删除
+    const permanent = new URLSearchParams(url.search).get('permanent') === 'true';
+    
     // 删除书签
-    await dataManager.deleteSite(bookmarkId);
+    const revision = await dataManager.deleteSite(bookmarkId, {
+      ...getRequestActor(request),
+      expectedRevision: ifMatch.revision,
+      permanent
+    });
     
     console.log(`✅ 书签删除成功: ${bookmarkId}`);
-    return createApiResponse(null, 200, '书签删除成功');
+    return createApiResponse({ permanent }, 200, permanent ? '书签已彻底删除' : '书签已移入回收站', revision);
     
   } catch (error) {
     console.error('❌ 删除书签失败:', error);
     
+    if (error.type === ErrorType.CONFLICT) {
+      return createConflictResponse(error);
+    }
+    
     if (error.type === ErrorType.VALIDATION) {
       return createApiResponse(null, 400, error.getUserMessage());
     }
@@ -235,7 +251,8 @@ export const OPTIONS: APIRoute = () => {
     headers: {
       'Access-Control-Allow-Origin': '*',
       'Access-Control-Allow-Methods': 'GET, PUT, DELETE, OPTIONS',
-      'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization, If-Match',
+      'Access-Control-Expose-Headers': 'ETag',
       'Access-Control-Max-Age': '86400'
     }
   });
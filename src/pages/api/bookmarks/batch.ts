@@ -0,0 +1,247 @@
+/**
+ * 书签批量操作 API 端点
+ * 支持 POST（批量创建、更新、删除、移动书签，整批只写入一次）操作
+ * @author Claude 4.0 sonnet
+ * @version 1.0.0
+ */
+
+import type { APIRoute } from 'astro';
+import { spaceManager } from '../../../data/space-manager.js';
+import { handleError, ErrorType } from '../../../utils/error-handler.js';
+import { formatETag, parseIfMatch } from '../../../utils/etag.js';
+import { normalizeTags } from '../../../utils/tags.js';
+import { validate, formatErrors, SiteSchema } from '../../../utils/schema.js';
+import { BatchOperation, MAX_BATCH_OPERATIONS } from '../../../utils/bookmark-batch.js';
+import { checkAdminPermission, getRequestActor } from '../../../utils/auth.js';
+import { TokenScope } from '../../../utils/api-tokens.js';
+
+/**
+ * 验证单个批量操作的格式，书签字段使用与单个书签接口相同的结构校验
+ * @param operation - 操作
+ * @returns 错误列表，路径相对于操作（如 site.url、changes.title）
+ */
+function validateOperation(operation: any): Array<{ path: string; message: string }> {
+  if (!operation || typeof operation !== 'object') {
+    return [{ path: '', message: '操作必须是对象' }];
+  }
+
+  const needsId = operation.op !== BatchOperation.CREATE;
+  const errors: Array<{ path: string; message: string }> = [];
+
+  if (needsId && (!operation.id || typeof operation.id !== 'string')) {
+    errors.push({ path: 'id', message: '书签 ID 是必需的且必须是字符串' });
+  }
+
+  switch (operation.op) {
+    case BatchOperation.CREATE:
+      errors.push(...validate(SiteSchema, operation.site, { path: 'site' }).errors);
+      break;
+    case BatchOperation.UPDATE:
+      errors.push(...validate(SiteSchema, operation.changes, { path: 'changes', partial: true }).errors);
+      if (operation.changes?.id !== undefined && operation.changes.id !== operation.id) {
+        errors.push({ path: 'changes.id', message: '不能修改书签 ID' });
+      }
+      break;
+    case BatchOperation.MOVE:
+      if (!operation.category || typeof operation.category !== 'string') {
+        errors.push({ path: 'category', message: '目标分类是必需的且必须是字符串' });
+      }
+      break;
+    case BatchOperation.DELETE:
+      break;
+    default:
+      errors.push({ path: 'op', message: `不支持的操作类型 "${operation.op}"，可选值: ${Object.values(BatchOperation).join(', ')}` });
+  }
+
+  return errors;
+}
+
+/**
+ * 补全操作中的默认值，与单个书签接口一致
+ * @param operation - 已通过格式校验的操作
+ * @returns 新的操作对象
+ */
+function normalizeOperation(operation: any) {
+  if (operation.op === BatchOperation.CREATE) {
+    const site = operation.site;
+    return {
+      op: operation.op,
+      site: {
+        ...site,
+        icon: site.icon || '/images/default.svg',
+        description: site.description || site.title,
+        shortDesc: site.shortDesc || site.title,
+        ...(site.tags !== undefined && { tags: normalizeTags(site.tags) })
+      }
+    };
+  }
+
+  if (operation.op === BatchOperation.UPDATE) {
+    const changes = operation.changes;
+    return {
+      op: operation.op,
+      id: operation.id,
+      changes: { ...changes, ...(changes.tags !== undefined && { tags: normalizeTags(changes.tags) }) }
+    };
+  }
+
+  return operation;
+}
+
+/**
+ * 创建标准化的 API 响应
+ * @param data - 响应数据
+ * @param status - HTTP 状态码
+ * @param message - 响应消息
+ * @param revision - 书签集合版本号（提供时同时返回 ETag）
+ * @returns Response 对象
+ */
+function createApiResponse(data: any = null, status: number = 200, message?: string, revision?: number) {
+  const response = {
+    success: status >= 200 && status < 300,
+    data,
+    message,
+    revision,
+    timestamp: new Date().toISOString()
+  };
+
+  const headers: Record<string, string> = {
+    'Content-Type': 'application/json',
+    'Cache-Control': 'no-cache'
+  };
+  if (revision !== undefined) {
+    headers['ETag'] = formatETag('sites', revision);
+  }
+
+  return new Response(JSON.stringify(response), { status, headers });
+}
+
+/**
+ * 创建版本冲突响应
+ * @param error - 冲突错误
+ * @returns Response 对象
+ */
+function createConflictResponse(error: any) {
+  const { expectedRevision, currentRevision } = error.details || {};
+  return createApiResponse(
+    { expectedRevision, currentRevision },
+    409,
+    error.getUserMessage(),
+    currentRevision
+  );
+}
+
+/**
+ * 处理 POST 请求 - 批量操作书签
+ * 请求体为 { operations: [...], atomic?: boolean, permanent?: boolean }；
+ * 操作按顺序执行，atomic 默认为 true，任一操作失败时整批不写入
+ */
+export const POST: APIRoute = async ({ params, request }) => {
+  const space = spaceManager.getContext(params.space);
+  if (!space) {
+    return createApiResponse(null, 404, `空间 "${params.space}" 不存在`);
+  }
+  const { dataManager } = space;
+
+  try {
+    console.log('📦 API: 批量操作书签');
+
+    // 检查权限
+    if (!(await checkAdminPermission(request, TokenScope.BOOKMARKS_WRITE))) {
+      return createApiResponse(null, 403, '管理功能未启用或权限不足');
+    }
+
+    // 解析 If-Match（乐观并发控制）
+    const ifMatch = parseIfMatch(request.headers.get('if-match'), 'sites');
+    if (!ifMatch.valid) {
+      return createApiResponse(null, 400, 'If-Match 请求头格式无效');
+    }
+
+    // 解析请求数据
+    const contentType = request.headers.get('content-type');
+    if (!contentType?.includes('application/json')) {
+      return createApiResponse(null, 400, '请求内容类型必须是 application/json');
+    }
+
+    let batchData;
+    try {
+      batchData = await request.json();
+    } catch {
+      return createApiResponse(null, 400, '请求数据格式无效');
+    }
+
+    const operations = batchData?.operations;
+    if (!Array.isArray(operations) || operations.length === 0) {
+      return createApiResponse(null, 400, 'operations 必须是非空的操作数组');
+    }
+    if (operations.length > MAX_BATCH_OPERATIONS) {
+      return createApiResponse(null, 400, `单次最多提交 ${MAX_BATCH_OPERATIONS} 个操作`);
+    }
+
+    // 先整体校验格式，任一操作格式错误时不执行
+    const invalid = operations
+      .map((operation, index) => {
+        const fieldErrors = validateOperation(operation);
+        return { index, errors: formatErrors(fieldErrors), fieldErrors };
+      })
+      .filter(item => item.errors.length > 0);
+    if (invalid.length > 0) {
+      return createApiResponse({ errors: invalid }, 400, '批量操作数据验证失败');
+    }
+
+    const atomic = batchData.atomic !== false;
+    const permanent = batchData.permanent === true;
+
+    // 执行批量操作（一次写入）
+    const result = await dataManager.applySiteBatch(operations.map(normalizeOperation), {
+      ...getRequestActor(request, 'batch'),
+      expectedRevision: ifMatch.revision,
+      atomic,
+      permanent
+    });
+
+    const responseData = { ...result, atomic, permanent };
+
+    if (result.applied === 0) {
+      console.log(`⚠️ 批量操作未执行: ${result.failed} 个操作失败`);
+      const revision = await dataManager.getRevision('sites', false);
+      return createApiResponse(responseData, 400, '批量操作未执行，请检查失败的操作', revision);
+    }
+
+    console.log(`✅ 批量操作完成: 成功 ${result.applied} 个，失败 ${result.failed} 个`);
+    const message = result.failed > 0
+      ? `批量操作部分完成：成功 ${result.applied} 个，失败 ${result.failed} 个`
+      : `批量操作完成：共 ${result.applied} 个`;
+    return createApiResponse(responseData, 200, message, result.revision);
+
+  } catch (error) {
+    console.error('❌ 批量操作书签失败:', error);
+
+    if (error.type === ErrorType.CONFLICT) {
+      return createConflictResponse(error);
+    }
+
+    if (error.type === ErrorType.VALIDATION) {
+      return createApiResponse({ reason: error.message }, 400, error.getUserMessage());
+    }
+
+    const appError = handleError.generic(error, { operation: 'batch_bookmarks' });
+    return createApiResponse(null, 500, appError.getUserMessage());
+  }
+};
+
+/**
+ * 处理 OPTIONS 请求 - CORS 预检
+ */
+export const OPTIONS: APIRoute = () => {
+  return new Response(null, {
+    status: 200,
+    headers: {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'POST, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization, If-Match',
+      'Access-Control-Expose-Headers': 'ETag',
+      'Access-Control-Max-Age': '86400'
+    }
+  });
+};
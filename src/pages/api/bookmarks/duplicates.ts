@@ -0,0 +1,184 @@
+/**
+ * 重复书签 API 端点
+ * 支持 GET（按规范化 URL 和标题相似度查找重复书签）和 POST（合并重复书签）操作
+ * @author Claude 4.0 sonnet
+ * @version 1.0.0
+ */
+
+import type { APIRoute } from 'astro';
+import { spaceManager } from '../../../data/space-manager.js';
+import { handleError, ErrorType } from '../../../utils/error-handler.js';
+import { formatETag, parseIfMatch } from '../../../utils/etag.js';
+import { DEFAULT_TITLE_THRESHOLD } from '../../../utils/duplicates.js';
+import { checkAdminPermission, getRequestActor } from '../../../utils/auth.js';
+import { TokenScope } from '../../../utils/api-tokens.js';
+
+/**
+ * 创建标准化的 API 响应
+ * @param data - 响应数据
+ * @param status - HTTP 状态码
+ * @param message - 响应消息
+ * @param revision - 书签集合版本号（提供时同时返回 ETag）
+ * @returns Response 对象
+ */
+function createApiResponse(data: any = null, status: number = 200, message?: string, revision?: number) {
+  const response = {
+    success: status >= 200 && status < 300,
+    data,
+    message,
+    revision,
+    timestamp: new Date().toISOString()
+  };
+
+  const headers: Record<string, string> = {
+    'Content-Type': 'application/json',
+    'Cache-Control': 'no-cache'
+  };
+  if (revision !== undefined) {
+    headers['ETag'] = formatETag('sites', revision);
+  }
+
+  return new Response(JSON.stringify(response), { status, headers });
+}
+
+/**
+ * 创建版本冲突响应
+ * @param error - 冲突错误
+ * @returns Response 对象
+ */
+function createConflictResponse(error: any) {
+  const { expectedRevision, currentRevision } = error.details || {};
+  return createApiResponse(
+    { expectedRevision, currentRevision },
+    409,
+    error.getUserMessage(),
+    currentRevision
+  );
+}
+
+/**
+ * 处理 GET 请求 - 获取重复书签报告
+ * 查询参数 threshold 为标题相似度阈值（0.5-1），默认 0.8
+ */
+export const GET: APIRoute = async ({ params, url }) => {
+  const space = spaceManager.getContext(params.space);
+  if (!space) {
+    return createApiResponse(null, 404, `空间 "${params.space}" 不存在`);
+  }
+  const { dataManager } = space;
+
+  try {
+    console.log('🔍 API: 查找重复书签');
+
+    const thresholdParam = new URLSearchParams(url.search).get('threshold');
+    const titleThreshold = thresholdParam === null ? DEFAULT_TITLE_THRESHOLD : Number(thresholdParam);
+    if (!Number.isFinite(titleThreshold) || titleThreshold < 0.5 || titleThreshold > 1) {
+      return createApiResponse(null, 400, 'threshold 必须是 0.5 到 1 之间的数字');
+    }
+
+    const { groups, revision } = await dataManager.findDuplicateSites({ titleThreshold });
+    const duplicateCount = groups.reduce((sum, group) => sum + group.sites.length - 1, 0);
+
+    console.log(`✅ 找到 ${groups.length} 组重复书签`);
+    return createApiResponse(
+      { groups, total: groups.length, duplicateCount, titleThreshold },
+      200,
+      '获取重复书签成功',
+      revision
+    );
+
+  } catch (error) {
+    console.error('❌ 查找重复书签失败:', error);
+    const appError = handleError.generic(error, { operation: 'find_duplicate_bookmarks' });
+    return createApiResponse(null, 500, appError.getUserMessage());
+  }
+};
+
+/**
+ * 处理 POST 请求 - 合并重复书签
+ * 请求体为 { target, sources, permanent? }：sources 中的书签合并到 target 后删除，点击数累加到 target
+ */
+export const POST: APIRoute = async ({ params, request }) => {
+  const space = spaceManager.getContext(params.space);
+  if (!space) {
+    return createApiResponse(null, 404, `空间 "${params.space}" 不存在`);
+  }
+  const { dataManager } = space;
+
+  try {
+    console.log('🔗 API: 合并重复书签');
+
+    // 检查权限
+    if (!(await checkAdminPermission(request, TokenScope.BOOKMARKS_WRITE))) {
+      return createApiResponse(null, 403, '管理功能未启用或权限不足');
+    }
+
+    // 解析 If-Match（乐观并发控制）
+    const ifMatch = parseIfMatch(request.headers.get('if-match'), 'sites');
+    if (!ifMatch.valid) {
+      return createApiResponse(null, 400, 'If-Match 请求头格式无效');
+    }
+
+    // 解析请求数据
+    const contentType = request.headers.get('content-type');
+    if (!contentType?.includes('application/json')) {
+      return createApiResponse(null, 400, '请求内容类型必须是 application/json');
+    }
+
+    let mergeData;
+    try {
+      mergeData = await request.json();
+    } catch {
+      return createApiResponse(null, 400, '请求数据格式无效');
+    }
+
+    if (!mergeData?.target || typeof mergeData.target !== 'string') {
+      return createApiResponse(null, 400, '保留的书签 ID 是必需的且必须是字符串');
+    }
+
+    const permanent = mergeData.permanent === true;
+    const { revision, site, clicks, merged } = await dataManager.mergeSites(mergeData.sources, mergeData.target, {
+      ...getRequestActor(request, 'merge_duplicates'),
+      expectedRevision: ifMatch.revision,
+      permanent
+    });
+
+    console.log(`✅ 重复书签已合并: ${merged.join(', ')} -> ${mergeData.target}`);
+    return createApiResponse(
+      { site, clicks, merged, permanent },
+      200,
+      '重复书签已合并',
+      revision
+    );
+
+  } catch (error) {
+    console.error('❌ 合并重复书签失败:', error);
+
+    if (error.type === ErrorType.CONFLICT) {
+      return createConflictResponse(error);
+    }
+
+    if (error.type === ErrorType.VALIDATION) {
+      return createApiResponse({ reason: error.message }, 400, error.getUserMessage());
+    }
+
+    const appError = handleError.generic(error, { operation: 'merge_duplicate_bookmarks' });
+    return createApiResponse(null, 500, appError.getUserMessage());
+  }
+};
+
+/**
+ * 处理 OPTIONS 请求 - CORS 预检
+ */
+export const OPTIONS: APIRoute = () => {
+  return new Response(null, {
+    status: 200,
+    headers: {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization, If-Match',
+      'Access-Control-Expose-Headers': 'ETag',
+      'Access-Control-Max-Age': '86400'
+    }
+  });
+};
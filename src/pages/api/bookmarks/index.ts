@@ -6,94 +6,52 @@
  */
 
 import type { APIRoute } from 'astro';
-import { dataManager } from '../../../data/data-manager.js';
+import { spaceManager } from '../../../data/space-manager.js';
 import { handleError, ErrorType } from '../../../utils/error-handler.js';
-
-/**
- * 验证书签数据
- * @param data - 书签数据
- * @returns 验证结果
- */
-function validateBookmarkData(data: any): { isValid: boolean; errors: string[] } {
-  const errors: string[] = [];
-  
-  if (!data.id || typeof data.id !== 'string') {
-    errors.push('书签 ID 是必需的且必须是字符串');
-  }
-  
-  if (!data.title || typeof data.title !== 'string') {
-    errors.push('书签标题是必需的且必须是字符串');
-  }
-  
-  if (!data.url || typeof data.url !== 'string') {
-    errors.push('书签 URL 是必需的且必须是字符串');
-  }
-  
-  if (!data.category || typeof data.category !== 'string') {
-    errors.push('书签分类是必需的且必须是字符串');
-  }
-  
-  // 验证 URL 格式
-  if (data.url) {
-    try {
-      new URL(data.url);
-    } catch {
-      errors.push('书签 URL 格式无效');
-    }
-  }
-  
-  return {
-    isValid: errors.length === 0,
-    errors
-  };
-}
-
-/**
- * 检查管理权限
- * @param request - 请求对象
- * @returns 是否有权限
- */
-function checkAdminPermission(request: Request): boolean {
-  // 检查环境变量是否启用管理功能
-  const isAdminEnabled = import.meta.env.ENABLE_ADMIN === 'true';
-  if (!isAdminEnabled) {
-    return false;
-  }
-  
-  // 这里可以添加更复杂的权限验证逻辑
-  // 例如检查 Authorization header、session 等
-  
-  return true;
-}
+import { formatETag } from '../../../utils/etag.js';
+import { normalizeTags, filterSitesByTags } from '../../../utils/tags.js';
+import { validate, formatErrors, SiteSchema } from '../../../utils/schema.js';
+import { checkAdminPermission, getRequestActor } from '../../../utils/auth.js';
+import { TokenScope } from '../../../utils/api-tokens.js';
 
 /**
  * 创建标准化的 API 响应
  * @param data - 响应数据
  * @param status - HTTP 状态码
  * @param message - 响应消息
+ * @param revision - 书签集合版本号（提供时同时返回 ETag）
  * @returns Response 对象
  */
-function createApiResponse(data: any = null, status: number = 200, message?: string) {
+function createApiResponse(data: any = null, status: number = 200, message?: string, revision?: number) {
   const response = {
     success: status >= 200 && status < 300,
     data,
     message,
+    revision,
     timestamp: new Date().toISOString()
   };
   
-  return new Response(JSON.stringify(response), {
-    status,
-    headers: {
-      'Content-Type': 'application/json',
-      'Cache-Control': 'no-cache'
-    }
-  });
+  const headers: Record<string, string> = {
+    'Content-Type': 'application/json',
+    'Cache-Control': 'no-cache'
+  };
+  if (revision !== undefined) {
+    headers['ETag'] = formatETag('sites', revision);
+  }
+  
+  return new Response(JSON.stringify(response), { status, headers });
 }
 
 /**
  * 处理 GET 请求 - 获取书签列表
  */
-export const GET: APIRoute = async ({ url }) => {
+export const GET: APIRoute = async ({ params, url }) => {
+  const space = spaceManager.getContext(params.space);
+  if (!space) {
+    return createApiResponse(null, 404, `空间 "${params.space}" 不存在`);
+  }
+  const { dataManager } = space;
+
   try {
     console.log('📖 API: 获取书签列表');
     
@@ -101,22 +59,42 @@ export const GET: APIRoute = async ({ url }) => {
     const searchParams = new URLSearchParams(url.search);
     const category = searchParams.get('category');
     const search = searchParams.get('search');
+    // 按分类筛选时是否包含子分类中的书签
+    const includeChildren = searchParams.get('includeChildren') === 'true';
+    // 支持 ?tag=a&tag=b 或 ?tag=a,b，需同时包含全部标签
+    const tags = normalizeTags(searchParams.getAll('tag').join(','));
+    // 只返回置顶书签
+    const pinnedOnly = searchParams.get('pinned') === 'true';
     const limit = parseInt(searchParams.get('limit') || '0');
     const offset = parseInt(searchParams.get('offset') || '0');
     
     let sites;
+    let highlights: Record<string, any> | undefined;
     
     if (search) {
-      // 搜索书签
-      sites = await dataManager.searchSites(search);
+      // 全文搜索，按相关度排序
+      const results = await dataManager.searchSitesRanked(search);
+      sites = results.map(result => result.site);
+      highlights = {};
+      results.forEach(result => {
+        highlights![result.site.id] = { score: result.score, fields: result.highlights };
+      });
     } else if (category) {
       // 按分类获取书签
-      sites = await dataManager.getSitesByCategory(category);
+      sites = await dataManager.getSitesByCategory(category, { includeDescendants: includeChildren });
     } else {
       // 获取所有书签
       sites = await dataManager.getSites();
     }
     
+    if (tags.length > 0) {
+      sites = filterSitesByTags(sites, tags);
+    }
+    
+    if (pinnedOnly) {
+      sites = sites.filter(site => site.pinned === true);
+    }
+    
     // 分页处理
     let paginatedSites = sites;
     if (limit > 0) {
@@ -125,7 +103,7 @@ export const GET: APIRoute = async ({ url }) => {
       paginatedSites = sites.slice(start, end);
     }
     
-    const responseData = {
+    const responseData: Record<string, any> = {
       sites: paginatedSites,
       total: sites.length,
       limit,
@@ -133,8 +111,17 @@ export const GET: APIRoute = async ({ url }) => {
       hasMore: limit > 0 && (offset + limit) < sites.length
     };
     
+    if (highlights) {
+      // 只返回当前页书签的得分和高亮区间
+      responseData.highlights = Object.fromEntries(
+        paginatedSites.map(site => [site.id, highlights![site.id]])
+      );
+    }
+    
+    const revision = await dataManager.getRevision('sites');
+    
     console.log(`✅ 返回 ${paginatedSites.length} 个书签`);
-    return createApiResponse(responseData, 200, '获取书签列表成功');
+    return createApiResponse(responseData, 200, '获取书签列表成功', revision);
     
   } catch (error) {
     console.error('❌ 获取书签列表失败:', error);
@@ -146,12 +133,18 @@ export const GET: APIRoute = async ({ url }) => {
 /**
  * 处理 POST 请求 - 创建新书签
  */
-export const POST: APIRoute = async ({ request }) => {
+export const POST: APIRoute = async ({ params, request }) => {
+  const space = spaceManager.getContext(params.space);
+  if (!space) {
+    return createApiResponse(null, 404, `空间 "${params.space}" 不存在`);
+  }
+  const { dataManager } = space;
+
   try {
     console.log('📝 API: 创建新书签');
     
     // 检查权限
-    if (!checkAdminPermission(request)) {
+    if (!(await checkAdminPermission(request, TokenScope.BOOKMARKS_WRITE))) {
       return createApiResponse(null, 403, '管理功能未启用或权限不足');
     }
     
@@ -169,10 +162,10 @@ export const POST: APIRoute = async ({ request }) => {
     }
     
     // 验证数据
-    const validation = validateBookmarkData(bookmarkData);
-    if (!validation.isValid) {
+    const validation = validate(SiteSchema, bookmarkData);
+    if (!validation.valid) {
       return createApiResponse(
-        { errors: validation.errors },
+        { errors: formatErrors(validation.errors), fieldErrors: validation.errors },
         400,
         '书签数据验证失败'
       );
@@ -184,14 +177,15 @@ export const POST: APIRoute = async ({ request }) => {
       icon: bookmarkData.icon || '/images/default.svg',
       description: bookmarkData.description || bookmarkData.title,
       shortDesc: bookmarkData.shortDesc || bookmarkData.title,
+      ...(bookmarkData.tags !== undefined && { tags: normalizeTags(bookmarkData.tags) }),
       addDate: Date.now()
     };
     
     // 保存书签
-    await dataManager.addSite(newBookmark);
+    const revision = await dataManager.addSite(newBookmark, getRequestActor(request));
     
     console.log(`✅ 新书签创建成功: ${newBookmark.title}`);
-    return createApiResponse(newBookmark, 201, '书签创建成功');
+    return createApiResponse(newBookmark, 201, '书签创建成功', revision);
     
   } catch (error) {
     console.error('❌ 创建书签失败:', error);
@@ -216,6 +210,7 @@ export const OPTIONS: APIRoute = () => {
       'Access-Control-Allow-Origin': '*',
       'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
       'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+      'Access-Control-Expose-Headers': 'ETag',
       'Access-Control-Max-Age': '86400'
     }
   });
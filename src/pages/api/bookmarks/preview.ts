@@ -0,0 +1,138 @@
+/**
+ * 书签信息预览 API 端点
+ * 支持 POST（抓取网页，提取标题、描述、图标和建议的书签 ID）操作
+ * @author Claude 4.0 sonnet
+ * @version 1.0.0
+ */
+
+import type { APIRoute } from 'astro';
+import { spaceManager } from '../../../data/space-manager.js';
+import { handleError } from '../../../utils/error-handler.js';
+import { fetchPageMetadata, suggestSiteId } from '../../../utils/page-metadata.js';
+import { isSameUrl } from '../../../utils/url-normalizer.js';
+import { checkAdminPermission } from '../../../utils/auth.js';
+import { TokenScope } from '../../../utils/api-tokens.js';
+
+/**
+ * 创建标准化的 API 响应
+ * @param data - 响应数据
+ * @param status - HTTP 状态码
+ * @param message - 响应消息
+ * @returns Response 对象
+ */
+function createApiResponse(data: any = null, status: number = 200, message?: string) {
+  const response = {
+    success: status >= 200 && status < 300,
+    data,
+    message,
+    timestamp: new Date().toISOString()
+  };
+
+  return new Response(JSON.stringify(response), {
+    status,
+    headers: {
+      'Content-Type': 'application/json',
+      'Cache-Control': 'no-cache'
+    }
+  });
+}
+
+/**
+ * 处理 POST 请求 - 预览书签信息
+ * 请求体为 { url }；返回的 title、description 等字段可直接用于填充新增书签表单，
+ * duplicate 为地址相同的已有书签（没有时为 null）
+ */
+export const POST: APIRoute = async ({ params, request }) => {
+  const space = spaceManager.getContext(params.space);
+  if (!space) {
+    return createApiResponse(null, 404, `空间 "${params.space}" 不存在`);
+  }
+  const { dataManager } = space;
+
+  try {
+    console.log('🪄 API: 预览书签信息');
+
+    // 检查权限
+    if (!(await checkAdminPermission(request, TokenScope.BOOKMARKS_WRITE))) {
+      return createApiResponse(null, 403, '管理功能未启用或权限不足');
+    }
+
+    // 解析请求数据
+    const contentType = request.headers.get('content-type');
+    if (!contentType?.includes('application/json')) {
+      return createApiResponse(null, 400, '请求内容类型必须是 application/json');
+    }
+
+    let previewData;
+    try {
+      previewData = await request.json();
+    } catch {
+      return createApiResponse(null, 400, '请求数据格式无效');
+    }
+
+    let url: URL;
+    try {
+      url = new URL(String(previewData?.url || '').trim());
+    } catch {
+      return createApiResponse(null, 400, '书签 URL 格式无效');
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+      return createApiResponse(null, 400, '只支持 http 和 https 地址');
+    }
+
+    const sites = await dataManager.getSites();
+    const duplicate = sites.find(site => isSameUrl(site.url, url.href)) || null;
+
+    let metadata;
+    try {
+      metadata = await fetchPageMetadata(url.href);
+    } catch (error) {
+      console.warn(`⚠️ 抓取网页失败: ${url.href}`, error);
+      return createApiResponse(
+        { reason: error?.message || '请求失败', suggestedId: suggestSiteId(url.href, sites.map(site => site.id)), duplicate },
+        502,
+        `无法获取网页信息：${error?.message || '请求失败'}`
+      );
+    }
+
+    const { title, siteName, description, shortDesc, icons, finalUrl } = metadata;
+    console.log(`✅ 书签信息预览完成: ${title || url.href}`);
+    return createApiResponse(
+      {
+        url: url.href,
+        finalUrl,
+        title: siteName || title,
+        pageTitle: title,
+        siteName,
+        description,
+        shortDesc,
+        icon: icons[0]?.url || null,
+        icons,
+        suggestedId: suggestSiteId(url.href, sites.map(site => site.id)),
+        duplicate
+      },
+      200,
+      '获取网页信息成功'
+    );
+
+  } catch (error) {
+    console.error('❌ 预览书签信息失败:', error);
+    const appError = handleError.generic(error, { operation: 'preview_bookmark' });
+    return createApiResponse(null, 500, appError.getUserMessage());
+  }
+};
+
+/**
+ * 处理 OPTIONS 请求 - CORS 预检
+ */
+export const OPTIONS: APIRoute = () => {
+  return new Response(null, {
+    status: 200,
+    headers: {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'POST, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+      'Access-Control-Max-Age': '86400'
+    }
+  });
+};
@@ -0,0 +1,20 @@
+/**
+ * 书签排序 API 端点
+ * 支持 PATCH（按给定 ID 顺序调整书签显示顺序）操作
+ * 请求体为 { ids: [...] }，列出的书签按新顺序填回它们原来的位置，其余书签不受影响
+ * @author Claude 4.0 sonnet
+ * @version 1.0.0
+ */
+
+import type { APIRoute } from 'astro';
+import { createReorderRoute } from '../../../utils/reorder-route.js';
+
+const route = createReorderRoute({
+  collection: 'sites',
+  label: '书签',
+  operation: 'reorder_bookmarks',
+  reorder: (dataManager, ids, options) => dataManager.reorderSites(ids, options)
+});
+
+export const PATCH: APIRoute = route.PATCH;
+export const OPTIONS: APIRoute = route.OPTIONS;
@@ -6,77 +6,67 @@
  */
 
 import type { APIRoute } from 'astro';
-import { dataManager } from '../../../data/data-manager.js';
+import { spaceManager } from '../../../data/space-manager.js';
 import { handleError, ErrorType } from '../../../utils/error-handler.js';
-
-/**
- * 验证分类更新数据
- * @param data - 更新数据
- * @returns 验证结果
- */
-function validateCategoryUpdateData(data: any): { isValid: boolean; errors: string[] } {
-  const errors: string[] = [];
-  
-  // 对于更新操作，字段是可选的，但如果提供了就要验证格式
-  if (data.name !== undefined && (typeof data.name !== 'string' || !data.name.trim())) {
-    errors.push('分类名称必须是非空字符串');
-  }
-  
-  if (data.icon !== undefined && (typeof data.icon !== 'string' || !data.icon.trim())) {
-    errors.push('分类图标必须是非空字符串');
-  }
-  
-  if (data.description !== undefined && typeof data.description !== 'string') {
-    errors.push('分类描述必须是字符串');
-  }
-  
-  return {
-    isValid: errors.length === 0,
-    errors
-  };
-}
-
-/**
- * 检查管理权限
- * @param request - 请求对象
- * @returns 是否有权限
- */
-function checkAdminPermission(request: Request): boolean {
-  const isAdminEnabled = import.meta.env.ENABLE_ADMIN === 'true';
-  if (!isAdminEnabled) {
-    return false;
-  }
-  return true;
-}
+import { formatETag, parseIfMatch } from '../../../utils/etag.js';
+import { CategoryDeleteStrategy, summarizeCategoryPlan } from '../../../utils/category-operations.js';
+import { validate, formatErrors, CategorySchema } from '../../../utils/schema.js';
+import { checkAdminPermission, getRequestActor } from '../../../utils/auth.js';
+import { TokenScope } from '../../../utils/api-tokens.js';
 
 /**
  * 创建标准化的 API 响应
  * @param data - 响应数据
  * @param status - HTTP 状态码
  * @param message - 响应消息
+ * @param revision - 分类集合版本号（提供时同时返回 ETag）
  * @returns Response 对象
  */
-function createApiResponse(data: any = null, status: number = 200, message?: string) {
+function createApiResponse(data: any = null, status: number = 200, message?: string, revision?: number) {
   const response = {
     success: status >= 200 && status < 300,
     data,
     message,
+    revision,
     timestamp: new Date().toISOString()
   };
   
-  return new Response(JSON.stringify(response), {
-    status,
-    headers: {
-      'Content-Type': 'application/json',
-      'Cache-Control': 'no-cache'
-    }
-  });
+  const headers: Record<string, string> = {
+    'Content-Type': 'application/json',
+    'Cache-Control': 'no-cache'
+  };
+  if (revision !== undefined) {
+    headers['ETag'] = formatETag('categories', revision);
+  }
+  
+  return new Response(JSON.stringify(response), { status, headers });
+}
+
+/**
+ * 创建版本冲突响应
+ * @param error - 冲突错误
+ * @returns Response 对象
+ */
+function createConflictResponse(error: any) {
+  const { expectedRevision, currentRevision } = error.details || {};
+  return createApiResponse(
+    { expectedRevision, currentRevision },
+    409,
+    error.getUserMessage(),
+    currentRevision
+  );
 }
 
 /**
  * 处理 GET 请求 - 获取单个分类
  */
 export const GET: APIRoute = async ({ params, url }) => {
+  const space = spaceManager.getContext(params.space);
+  if (!space) {
+    return createApiResponse(null, 404, `空间 "${params.space}" 不存在`);
+  }
+  const { dataManager } = space;
+
   try {
     const categoryId = params.id;
     console.log(`📂 API: 获取分类详情 - ${categoryId}`);
@@ -90,7 +80,10 @@ export const GET: APIRoute = async ({ params, url }) => {
     const includeSites = searchParams.get('includeSites') === 'true';
     
     // 获取所有分类并查找指定 ID
-    const categories = await dataManager.getCategories();
+    const [categories, revision] = await Promise.all([
+      dataManager.getCategories(),
+      dataManager.getRevision('categories')
+    ]);
     const category = categories.find(cat => cat.id === categoryId);
     
     if (!category) {
@@ -110,7 +103,7 @@ export const GET: APIRoute = async ({ params, url }) => {
     }
     
     console.log(`✅ 找到分类: ${category.name}`);
-    return createApiResponse(responseData, 200, '获取分类详情成功');
+    return createApiResponse(responseData, 200, '获取分类详情成功', revision);
     
   } catch (error) {
     console.error('❌ 获取分类详情失败:', error);
@@ -123,12 +116,18 @@ export const GET: APIRoute = async ({ params, url }) => {
  * 处理 PUT 请求 - 更新分类
  */
 export const PUT: APIRoute = async ({ params, request }) => {
+  const space = spaceManager.getContext(params.space);
+  if (!space) {
+    return createApiResponse(null, 404, `空间 "${params.space}" 不存在`);
+  }
+  const { dataManager } = space;
+
   try {
     const categoryId = params.id;
     console.log(`📝 API: 更新分类 - ${categoryId}`);
     
     // 检查权限
-    if (!checkAdminPermission(request)) {
+    if (!(await checkAdminPermission(request, TokenScope.BOOKMARKS_WRITE))) {
       return createApiResponse(null, 403, '管理功能未启用或权限不足');
     }
     
@@ -136,6 +135,12 @@ export const PUT: APIRoute = async ({ params, request }) => {
       return createApiResponse(null, 400, '分类 ID 是必需的');
     }
     
+    // 解析 If-Match（乐观并发控制）
+    const ifMatch = parseIfMatch(request.headers.get('if-match'), 'categories');
+    if (!ifMatch.valid) {
+      return createApiResponse(null, 400, 'If-Match 请求头格式无效');
+    }
+    
     // 解析请求数据
     const contentType = request.headers.get('content-type');
     if (!contentType?.includes('application/json')) {
@@ -149,11 +154,11 @@ export const PUT: APIRoute = async ({ params, request }) => {
       return createApiResponse(null, 400, '请求数据格式无效');
     }
     
-    // 验证更新数据
-    const validation = validateCategoryUpdateData(updateData);
-    if (!validation.isValid) {
+    // 验证更新数据，只校验提供了的字段
+    const validation = validate(CategorySchema, updateData, { partial: true });
+    if (!validation.valid) {
       return createApiResponse(
-        { errors: validation.errors },
+        { errors: formatErrors(validation.errors), fieldErrors: validation.errors },
         400,
         '分类数据验证失败'
       );
@@ -166,18 +171,25 @@ export const PUT: APIRoute = async ({ params, request }) => {
     };
     
     // 更新分类
-    await dataManager.updateCategory(categoryId, finalUpdateData);
+    const revision = await dataManager.updateCategory(categoryId, finalUpdateData, {
+      ...getRequestActor(request),
+      expectedRevision: ifMatch.revision
+    });
     
     // 获取更新后的分类
     const categories = await dataManager.getCategories(false); // 不使用缓存
     const updatedCategory = categories.find(cat => cat.id === categoryId);
     
     console.log(`✅ 分类更新成功: ${categoryId}`);
-    return createApiResponse(updatedCategory, 200, '分类更新成功');
+    return createApiResponse(updatedCategory, 200, '分类更新成功', revision);
     
   } catch (error) {
     console.error('❌ 更新分类失败:', error);
     
+    if (error.type === ErrorType.CONFLICT) {
+      return createConflictResponse(error);
+    }
+    
     if (error.type === ErrorType.VALIDATION) {
       return createApiResponse(null, 400, error.getUserMessage());
     }
@@ -190,13 +202,19 @@ export const PUT: APIRoute = async ({ params, request }) => {
 /**
  * 处理 DELETE 请求 - 删除分类
  */
-export const DELETE: APIRoute = async ({ params, request }) => {
+export const DELETE: APIRoute = async ({ params, request, url }) => {
+  const space = spaceManager.getContext(params.space);
+  if (!space) {
+    return createApiResponse(null, 404, `空间 "${params.space}" 不存在`);
+  }
+  const { dataManager } = space;
+
   try {
     const categoryId = params.id;
     console.log(`🗑️ API: 删除分类 - ${categoryId}`);
     
     // 检查权限
-    if (!checkAdminPermission(request)) {
+    if (!(await checkAdminPermission(request, TokenScope.BOOKMARKS_WRITE))) {
       return createApiResponse(null, 403, '管理功能未启用或权限不足');
     }
     
@@ -204,17 +222,48 @@ export const DELETE: APIRoute = async ({ params, request }) => {
       return createApiResponse(null, 400, '分类 ID 是必需的');
     }
     
+    // 解析 If-Match（乐观并发控制）
+    const ifMatch = parseIfMatch(request.headers.get('if-match'), 'categories');
+    if (!ifMatch.valid) {
+      return createApiResponse(null, 400, 'If-Match 请求头格式无效');
+    }
+    
+    // 默认移入回收站，permanent=true 时彻底删除
+    const searchParams = new URLSearchParams(url.search);
+    const permanent = searchParams.get('permanent') === 'true';
+    const strategy = searchParams.get('strategy') || CategoryDeleteStrategy.BLOCK;
+    const target = searchParams.get('target') || undefined;
+    
+    if (!Object.values(CategoryDeleteStrategy).includes(strategy)) {
+      return createApiResponse(null, 400, `strategy 必须是 ${Object.values(CategoryDeleteStrategy).join('、')} 之一`);
+    }
+    
+    // dryRun=true 时只返回受影响的书签和分类，不做修改
+    const plan = await dataManager.planCategoryOperation('delete', { categoryId, strategy, target });
+    const summary = summarizeCategoryPlan(plan);
+    if (searchParams.get('dryRun') === 'true') {
+      return createApiResponse({ dryRun: true, strategy, ...summary }, 200, '删除预览', plan.categoriesRevision);
+    }
+    
     // 删除分类
-    await dataManager.deleteCategory(categoryId);
+    const { revision } = await dataManager.applyCategoryPlan(plan, {
+      ...getRequestActor(request),
+      expectedRevision: ifMatch.revision,
+      permanent
+    });
     
-    console.log(`✅ 分类删除成功: ${categoryId}`);
-    return createApiResponse(null, 200, '分类删除成功');
+    console.log(`✅ 分类删除成功: ${categoryId}（${strategy}）`);
+    return createApiResponse({ permanent, strategy, ...summary }, 200, permanent ? '分类已彻底删除' : '分类已移入回收站', revision);
     
   } catch (error) {
     console.error('❌ 删除分类失败:', error);
     
+    if (error.type === ErrorType.CONFLICT) {
+      return createConflictResponse(error);
+    }
+    
     if (error.type === ErrorType.VALIDATION) {
-      return createApiResponse(null, 400, error.getUserMessage());
+      return createApiResponse({ reason: error.message }, 400, error.getUserMessage());
     }
     
     const appError = handleError.generic(error, { operation: 'delete_category', id: params.id });
@@ -231,7 +280,8 @@ export const OPTIONS: APIRoute = () => {
     headers: {
       'Access-Control-Allow-Origin': '*',
       'Access-Control-Allow-Methods': 'GET, PUT, DELETE, OPTIONS',
-      'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization, If-Match',
+      'Access-Control-Expose-Headers': 'ETag',
       'Access-Control-Max-Age': '86400'
     }
   });
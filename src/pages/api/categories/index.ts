@@ -6,87 +6,59 @@
  */
 
 import type { APIRoute } from 'astro';
-import { dataManager } from '../../../data/data-manager.js';
+import { spaceManager } from '../../../data/space-manager.js';
 import { handleError, ErrorType } from '../../../utils/error-handler.js';
-
-/**
- * 验证分类数据
- * @param data - 分类数据
- * @returns 验证结果
- */
-function validateCategoryData(data: any): { isValid: boolean; errors: string[] } {
-  const errors: string[] = [];
-  
-  if (!data.id || typeof data.id !== 'string') {
-    errors.push('分类 ID 是必需的且必须是字符串');
-  }
-  
-  if (!data.name || typeof data.name !== 'string') {
-    errors.push('分类名称是必需的且必须是字符串');
-  }
-  
-  if (!data.icon || typeof data.icon !== 'string') {
-    errors.push('分类图标是必需的且必须是字符串');
-  }
-  
-  // 验证 ID 格式（只允许字母、数字、下划线、连字符）
-  if (data.id && !/^[a-zA-Z0-9_-]+$/.test(data.id)) {
-    errors.push('分类 ID 只能包含字母、数字、下划线和连字符');
-  }
-  
-  return {
-    isValid: errors.length === 0,
-    errors
-  };
-}
-
-/**
- * 检查管理权限
- * @param request - 请求对象
- * @returns 是否有权限
- */
-function checkAdminPermission(request: Request): boolean {
-  const isAdminEnabled = import.meta.env.ENABLE_ADMIN === 'true';
-  if (!isAdminEnabled) {
-    return false;
-  }
-  return true;
-}
+import { formatETag } from '../../../utils/etag.js';
+import { buildCategoryTree, getDescendantIds } from '../../../utils/category-tree.js';
+import { validate, formatErrors, CategorySchema } from '../../../utils/schema.js';
+import { checkAdminPermission, getRequestActor } from '../../../utils/auth.js';
+import { TokenScope } from '../../../utils/api-tokens.js';
 
 /**
  * 创建标准化的 API 响应
  * @param data - 响应数据
  * @param status - HTTP 状态码
  * @param message - 响应消息
+ * @param revision - 分类集合版本号（提供时同时返回 ETag）
  * @returns Response 对象
  */
-function createApiResponse(data: any = null, status: number = 200, message?: string) {
+function createApiResponse(data: any = null, status: number = 200, message?: string, revision?: number) {
   const response = {
     success: status >= 200 && status < 300,
     data,
     message,
+    revision,
     timestamp: new Date().toISOString()
   };
   
-  return new Response(JSON.stringify(response), {
-    status,
-    headers: {
-      'Content-Type': 'application/json',
-      'Cache-Control': 'no-cache'
-    }
-  });
+  const headers: Record<string, string> = {
+    'Content-Type': 'application/json',
+    'Cache-Control': 'no-cache'
+  };
+  if (revision !== undefined) {
+    headers['ETag'] = formatETag('categories', revision);
+  }
+  
+  return new Response(JSON.stringify(response), { status, headers });
 }
 
 /**
  * 处理 GET 请求 - 获取分类列表
  */
-export const GET: APIRoute = async ({ url }) => {
+export const GET: APIRoute = async ({ params, url }) => {
+  const space = spaceManager.getContext(params.space);
+  if (!space) {
+    return createApiResponse(null, 404, `空间 "${params.space}" 不存在`);
+  }
+  const { dataManager } = space;
+
   try {
     console.log('📂 API: 获取分类列表');
     
     // 解析查询参数
     const searchParams = new URLSearchParams(url.search);
     const includeStats = searchParams.get('includeStats') === 'true';
+    const asTree = searchParams.get('tree') === 'true';
     
     // 获取分类列表
     const categories = await dataManager.getCategories();
@@ -99,17 +71,28 @@ export const GET: APIRoute = async ({ url }) => {
       
       responseData = categories.map(category => {
         const siteCount = sites.filter(site => site.category === category.id).length;
+        // 包含所有子分类在内的书签数量
+        const descendantIds = new Set([category.id, ...getDescendantIds(categories, category.id)]);
+        const totalSiteCount = sites.filter(site => descendantIds.has(site.category)).length;
         return {
           ...category,
-          siteCount
+          siteCount,
+          totalSiteCount
         };
       });
     } else {
       responseData = categories;
     }
     
+    if (asTree) {
+      // 以嵌套结构返回，每个节点带 children
+      responseData = buildCategoryTree(responseData);
+    }
+    
+    const revision = await dataManager.getRevision('categories');
+    
     console.log(`✅ 返回 ${categories.length} 个分类`);
-    return createApiResponse(responseData, 200, '获取分类列表成功');
+    return createApiResponse(responseData, 200, '获取分类列表成功', revision);
     
   } catch (error) {
     console.error('❌ 获取分类列表失败:', error);
@@ -121,12 +104,18 @@ export const GET: APIRoute = async ({ url }) => {
 /**
  * 处理 POST 请求 - 创建新分类
  */
-export const POST: APIRoute = async ({ request }) => {
+export const POST: APIRoute = async ({ params, request }) => {
+  const space = spaceManager.getContext(params.space);
+  if (!space) {
+    return createApiResponse(null, 404, `空间 "${params.space}" 不存在`);
+  }
+  const { dataManager } = space;
+
   try {
     console.log('📝 API: 创建新分类');
     
     // 检查权限
-    if (!checkAdminPermission(request)) {
+    if (!(await checkAdminPermission(request, TokenScope.BOOKMARKS_WRITE))) {
       return createApiResponse(null, 403, '管理功能未启用或权限不足');
     }
     
@@ -144,27 +133,29 @@ export const POST: APIRoute = async ({ request }) => {
     }
     
     // 验证数据
-    const validation = validateCategoryData(categoryData);
-    if (!validation.isValid) {
+    const validation = validate(CategorySchema, categoryData);
+    if (!validation.valid) {
       return createApiResponse(
-        { errors: validation.errors },
+        { errors: formatErrors(validation.errors), fieldErrors: validation.errors },
         400,
         '分类数据验证失败'
       );
     }
     
     // 添加时间戳和默认值
+    const { parentId, ...fields } = categoryData;
     const newCategory = {
-      ...categoryData,
+      ...fields,
+      ...(parentId && { parentId }),
       addDate: Date.now(),
       description: categoryData.description || categoryData.name
     };
     
     // 保存分类
-    await dataManager.addCategory(newCategory);
+    const revision = await dataManager.addCategory(newCategory, getRequestActor(request));
     
     console.log(`✅ 新分类创建成功: ${newCategory.name}`);
-    return createApiResponse(newCategory, 201, '分类创建成功');
+    return createApiResponse(newCategory, 201, '分类创建成功', revision);
     
   } catch (error) {
     console.error('❌ 创建分类失败:', error);
@@ -189,6 +180,7 @@ export const OPTIONS: APIRoute = () => {
       'Access-Control-Allow-Origin': '*',
       'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
       'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+      'Access-Control-Expose-Headers': 'ETag',
       'Access-Control-Max-Age': '86400'
     }
   });
@@ -0,0 +1,145 @@
+/**
+ * 分类合并 API 端点
+ * 支持 POST（将来源分类的书签和子分类转移到目标分类，并删除来源分类）操作
+ * @author Claude 4.0 sonnet
+ * @version 1.0.0
+ */
+
+import type { APIRoute } from 'astro';
+import { spaceManager } from '../../../data/space-manager.js';
+import { handleError, ErrorType } from '../../../utils/error-handler.js';
+import { formatETag, parseIfMatch } from '../../../utils/etag.js';
+import { summarizeCategoryPlan } from '../../../utils/category-operations.js';
+import { checkAdminPermission, getRequestActor } from '../../../utils/auth.js';
+import { TokenScope } from '../../../utils/api-tokens.js';
+
+/**
+ * 创建标准化的 API 响应
+ * @param data - 响应数据
+ * @param status - HTTP 状态码
+ * @param message - 响应消息
+ * @param revision - 分类集合版本号（提供时同时返回 ETag）
+ * @returns Response 对象
+ */
+function createApiResponse(data: any = null, status: number = 200, message?: string, revision?: number) {
+  const response = {
+    success: status >= 200 && status < 300,
+    data,
+    message,
+    revision,
+    timestamp: new Date().toISOString()
+  };
+  
+  const headers: Record<string, string> = {
+    'Content-Type': 'application/json',
+    'Cache-Control': 'no-cache'
+  };
+  if (revision !== undefined) {
+    headers['ETag'] = formatETag('categories', revision);
+  }
+  
+  return new Response(JSON.stringify(response), { status, headers });
+}
+
+/**
+ * 创建版本冲突响应
+ * @param error - 冲突错误
+ * @returns Response 对象
+ */
+function createConflictResponse(error: any) {
+  const { expectedRevision, currentRevision } = error.details || {};
+  return createApiResponse(
+    { expectedRevision, currentRevision },
+    409,
+    error.getUserMessage(),
+    currentRevision
+  );
+}
+
+/**
+ * 处理 POST 请求 - 合并分类
+ */
+export const POST: APIRoute = async ({ params, request }) => {
+  const space = spaceManager.getContext(params.space);
+  if (!space) {
+    return createApiResponse(null, 404, `空间 "${params.space}" 不存在`);
+  }
+  const { dataManager } = space;
+
+  try {
+    console.log('🔀 API: 合并分类');
+    
+    // 检查权限
+    if (!(await checkAdminPermission(request, TokenScope.BOOKMARKS_WRITE))) {
+      return createApiResponse(null, 403, '管理功能未启用或权限不足');
+    }
+    
+    // 解析 If-Match（乐观并发控制）
+    const ifMatch = parseIfMatch(request.headers.get('if-match'), 'categories');
+    if (!ifMatch.valid) {
+      return createApiResponse(null, 400, 'If-Match 请求头格式无效');
+    }
+    
+    // 解析请求数据
+    const contentType = request.headers.get('content-type');
+    if (!contentType?.includes('application/json')) {
+      return createApiResponse(null, 400, '请求内容类型必须是 application/json');
+    }
+    
+    let mergeData;
+    try {
+      mergeData = await request.json();
+    } catch {
+      return createApiResponse(null, 400, '请求数据格式无效');
+    }
+    
+    // dryRun 为 true 时只返回受影响的书签和分类，不做修改
+    const plan = await dataManager.planCategoryOperation('merge', {
+      sourceIds: mergeData?.sources,
+      targetId: mergeData?.target
+    });
+    const summary = summarizeCategoryPlan(plan);
+    if (mergeData.dryRun === true) {
+      return createApiResponse({ dryRun: true, ...summary }, 200, '合并分类预览', plan.categoriesRevision);
+    }
+    
+    const { revision, sitesRevision } = await dataManager.applyCategoryPlan(plan, {
+      ...getRequestActor(request, 'merge'),
+      expectedRevision: ifMatch.revision,
+      permanent: mergeData.permanent === true
+    });
+    
+    console.log(`✅ 分类合并成功: ${mergeData.sources.join(', ')} -> ${mergeData.target}`);
+    return createApiResponse({ ...summary, sitesRevision }, 200, '分类已合并', revision);
+    
+  } catch (error) {
+    console.error('❌ 合并分类失败:', error);
+    
+    if (error.type === ErrorType.CONFLICT) {
+      return createConflictResponse(error);
+    }
+    
+    if (error.type === ErrorType.VALIDATION) {
+      return createApiResponse({ reason: error.message }, 400, error.getUserMessage());
+    }
+    
+    const appError = handleError.generic(error, { operation: 'merge_categories' });
+    return createApiResponse(null, 500, appError.getUserMessage());
+  }
+};
+
+/**
+ * 处理 OPTIONS 请求 - CORS 预检
+ */
+export const OPTIONS: APIRoute = () => {
+  return new Response(null, {
+    status: 200,
+    headers: {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'POST, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization, If-Match',
+      'Access-Control-Expose-Headers': 'ETag',
+      'Access-Control-Max-Age': '86400'
+    }
+  });
+};
@@ -0,0 +1,20 @@
+/**
+ * 分类排序 API 端点
+ * 支持 PATCH（按给定 ID 顺序调整同一父分类下的分类显示顺序）操作
+ * 请求体为 { ids: [...] }，列出的分类需属于同一父分类，按新顺序填回它们原来的位置
+ * @author Claude 4.0 sonnet
+ * @version 1.0.0
+ */
+
+import type { APIRoute } from 'astro';
+import { createReorderRoute } from '../../../utils/reorder-route.js';
+
+const route = createReorderRoute({
+  collection: 'categories',
+  label: '分类',
+  operation: 'reorder_categories',
+  reorder: (dataManager, ids, options) => dataManager.reorderCategories(ids, options)
+});
+
+export const PATCH: APIRoute = route.PATCH;
+export const OPTIONS: APIRoute = route.OPTIONS;
@@ -6,9 +6,12 @@
  */
 
 import type { APIRoute } from 'astro';
-import { dataManager } from '../../../data/data-manager.js';
+import { spaceManager } from '../../../data/space-manager.js';
 import { parseBookmarks } from '../../../utils/bookmark-parser.js';
 import { handleError, ErrorType } from '../../../utils/error-handler.js';
+import { getAncestorIds } from '../../../utils/category-tree.js';
+import { checkAdminPermission } from '../../../utils/auth.js';
+import { TokenScope } from '../../../utils/api-tokens.js';
 
 /**
  * 导出选项接口
@@ -61,18 +64,20 @@ function createApiResponse(data: any = null, status: number = 200, message?: str
 
 /**
  * 转换为 Chrome 书签格式
+ * 子分类导出为嵌套的文件夹；指定了分类时同时导出它们的子分类
  * @param categories - 分类数据
  * @param sites - 书签数据
  * @param options - 导出选项
- * @returns Chrome 格式的分类数据
+ * @returns Chrome 格式的根分类数据（子分类在 children 中）
  */
 function convertToChromeFormat(categories: any[], sites: any[], options: ExportOptions) {
-  const chromeCategories = [];
+  const nodes = new Map<string, any>();
   
   for (const category of categories) {
-    // 过滤分类（如果指定了特定分类）
+    // 过滤分类（如果指定了特定分类，其子分类也一并导出）
     if (options.categories && options.categories.length > 0) {
-      if (!options.categories.includes(category.id)) {
+      const lineage = [category.id, ...getAncestorIds(categories, category.id)];
+      if (!lineage.some(id => options.categories!.includes(id))) {
         continue;
       }
     }
@@ -91,10 +96,6 @@ function convertToChromeFormat(categories: any[], sites: any[], options: ExportO
       });
     }
     
-    if (filteredSites.length === 0) {
-      continue; // 跳过空分类
-    }
-    
     // 转换书签格式
     const chromeSites = filteredSites.map(site => ({
       title: site.title,
@@ -102,18 +103,47 @@ function convertToChromeFormat(categories: any[], sites: any[], options: ExportO
       description: site.description || site.shortDesc || site.title,
       icon: options.includeIcons ? (site.icon || '') : '',
       addDate: site.addDate || Date.now(),
-      category: category.name
+      category: category.name,
+      tags: site.tags || []
     }));
     
-    chromeCategories.push({
+    nodes.set(category.id, {
       name: category.name,
       icon: category.icon || '📁',
       sites: chromeSites,
+      children: [],
       addDate: category.addDate || Date.now()
     });
   }
   
-  return chromeCategories;
+  // 挂到最近的已导出祖先分类下
+  const chromeCategories: any[] = [];
+  for (const category of categories) {
+    const node = nodes.get(category.id);
+    if (!node) continue;
+    const parentId = getAncestorIds(categories, category.id).find(id => nodes.has(id));
+    if (parentId) {
+      nodes.get(parentId).children.push(node);
+    } else {
+      chromeCategories.push(node);
+    }
+  }
+  
+  // 跳过没有书签的空分类（包括子分类都为空的情况）
+  const prune = (list: any[]): any[] => list
+    .map(node => ({ ...node, children: prune(node.children) }))
+    .filter(node => node.sites.length > 0 || node.children.length > 0);
+  
+  return prune(chromeCategories);
+}
+
+/**
+ * 展开嵌套的 Chrome 分类
+ * @param categories - Chrome 格式的分类树
+ * @returns 扁平分类列表
+ */
+function flattenChromeCategories(categories: any[]): any[] {
+  return categories.flatMap(category => [category, ...flattenChromeCategories(category.children || [])]);
 }
 
 /**
@@ -121,7 +151,8 @@ function convertToChromeFormat(categories: any[], sites: any[], options: ExportO
  * @param categories - 分类数据
  * @returns 统计信息
  */
-function generateExportStats(categories: any[]) {
+function generateExportStats(categoryTree: any[]) {
+  const categories = flattenChromeCategories(categoryTree);
   const totalCategories = categories.length;
   const totalSites = categories.reduce((sum, cat) => sum + cat.sites.length, 0);
   const categoriesWithSites = categories.filter(cat => cat.sites.length > 0).length;
@@ -138,10 +169,21 @@ function generateExportStats(categories: any[]) {
 /**
  * 处理 GET 请求 - 导出 Chrome 书签
  */
-export const GET: APIRoute = async ({ url }) => {
+export const GET: APIRoute = async ({ params, url, request }) => {
+  const space = spaceManager.getContext(params.space);
+  if (!space) {
+    return createApiResponse(null, 404, `空间 "${params.space}" 不存在`);
+  }
+  const { dataManager } = space;
+
   try {
     console.log('📤 API: 导出 Chrome 书签');
     
+    // 检查权限
+    if (!(await checkAdminPermission(request, TokenScope.IMPORT_EXPORT))) {
+      return createApiResponse(null, 403, '管理功能未启用或权限不足');
+    }
+    
     // 解析查询参数
     const searchParams = new URLSearchParams(url.search);
     const format = searchParams.get('format') || 'html';
@@ -214,10 +256,21 @@ export const GET: APIRoute = async ({ url }) => {
 /**
  * 处理 POST 请求 - 自定义导出选项
  */
-export const POST: APIRoute = async ({ request }) => {
+export const POST: APIRoute = async ({ params, request }) => {
+  const space = spaceManager.getContext(params.space);
+  if (!space) {
+    return createApiResponse(null, 404, `空间 "${params.space}" 不存在`);
+  }
+  const { dataManager } = space;
+
   try {
     console.log('📤 API: 自定义导出 Chrome 书签');
     
+    // 检查权限
+    if (!(await checkAdminPermission(request, TokenScope.IMPORT_EXPORT))) {
+      return createApiResponse(null, 403, '管理功能未启用或权限不足');
+    }
+    
     // 解析请求数据
     const contentType = request.headers.get('content-type');
     if (!contentType?.includes('application/json')) {
@@ -0,0 +1,172 @@
+/**
+ * 链接健康检查 API 端点
+ * 支持 GET（获取书签链接检查结果）和 POST（检查一批书签链接）操作
+ * @author Claude 4.0 sonnet
+ * @version 1.0.0
+ */
+
+import type { APIRoute } from 'astro';
+import { spaceManager } from '../../../data/space-manager.js';
+import { handleError } from '../../../utils/error-handler.js';
+import { formatETag } from '../../../utils/etag.js';
+import { LinkStatus } from '../../../utils/link-checker.js';
+import { MAX_CHECK_BATCH_SIZE } from '../../../data/link-health-manager.js';
+import { checkAdminPermission } from '../../../utils/auth.js';
+import { TokenScope } from '../../../utils/api-tokens.js';
+
+/**
+ * 创建标准化的 API 响应
+ * @param data - 响应数据
+ * @param status - HTTP 状态码
+ * @param message - 响应消息
+ * @param revision - 书签集合版本号（提供时同时返回 ETag）
+ * @returns Response 对象
+ */
+function createApiResponse(data: any = null, status: number = 200, message?: string, revision?: number) {
+  const response = {
+    success: status >= 200 && status < 300,
+    data,
+    message,
+    revision,
+    timestamp: new Date().toISOString()
+  };
+
+  const headers: Record<string, string> = {
+    'Content-Type': 'application/json',
+    'Cache-Control': 'no-cache'
+  };
+  if (revision !== undefined) {
+    headers['ETag'] = formatETag('sites', revision);
+  }
+
+  return new Response(JSON.stringify(response), { status, headers });
+}
+
+/**
+ * 处理 GET 请求 - 获取链接检查结果
+ * 查询参数 status 可按状态筛选（逗号分隔，例如 broken,unreachable），unchecked 表示从未检查
+ */
+export const GET: APIRoute = async ({ params, request, url }) => {
+  const space = spaceManager.getContext(params.space);
+  if (!space) {
+    return createApiResponse(null, 404, `空间 "${params.space}" 不存在`);
+  }
+  const { dataManager, linkHealthManager } = space;
+
+  try {
+    console.log('🩺 API: 获取链接检查结果');
+
+    // 检查权限
+    if (!(await checkAdminPermission(request, TokenScope.READ))) {
+      return createApiResponse(null, 403, '管理功能未启用或权限不足');
+    }
+
+    const statuses = (new URLSearchParams(url.search).get('status') || '')
+      .split(',')
+      .map(status => status.trim())
+      .filter(Boolean);
+    const validStatuses = [...Object.values(LinkStatus), 'unchecked'];
+    const invalid = statuses.filter(status => !validStatuses.includes(status));
+    if (invalid.length > 0) {
+      return createApiResponse(null, 400, `不支持的状态: ${invalid.join(', ')}，可选值: ${validStatuses.join(', ')}`);
+    }
+
+    const [{ items: sites, revision }, results] = await Promise.all([
+      dataManager.getCollection('sites'),
+      linkHealthManager.getResults()
+    ]);
+    const entries = linkHealthManager.joinResults(sites, results);
+    const filtered = statuses.length === 0
+      ? entries
+      : entries.filter(entry => statuses.includes(entry.health?.status || 'unchecked'));
+
+    console.log(`✅ 返回 ${filtered.length} 个链接检查结果`);
+    return createApiResponse(
+      { results: filtered, summary: linkHealthManager.summarize(entries) },
+      200,
+      '获取链接检查结果成功',
+      revision
+    );
+
+  } catch (error) {
+    console.error('❌ 获取链接检查结果失败:', error);
+    const appError = handleError.generic(error, { operation: 'get_link_health' });
+    return createApiResponse(null, 500, appError.getUserMessage());
+  }
+};
+
+/**
+ * 处理 POST 请求 - 检查一批书签链接
+ * 请求体为 { ids?: string[], limit?: number }：未指定 ids 时检查最久未检查的 limit 个书签
+ */
+export const POST: APIRoute = async ({ params, request }) => {
+  const space = spaceManager.getContext(params.space);
+  if (!space) {
+    return createApiResponse(null, 404, `空间 "${params.space}" 不存在`);
+  }
+  const { dataManager, linkHealthManager } = space;
+
+  try {
+    console.log('🩺 API: 检查书签链接');
+
+    // 检查权限
+    if (!(await checkAdminPermission(request))) {
+      return createApiResponse(null, 403, '管理功能未启用或权限不足');
+    }
+
+    // 请求体可以为空
+    let checkData: any = {};
+    const body = await request.text();
+    if (body.trim()) {
+      try {
+        checkData = JSON.parse(body);
+      } catch {
+        return createApiResponse(null, 400, '请求数据格式无效');
+      }
+    }
+
+    const { ids, limit } = checkData || {};
+    if (ids !== undefined && (!Array.isArray(ids) || ids.some(id => typeof id !== 'string'))) {
+      return createApiResponse(null, 400, 'ids 必须是书签 ID 数组');
+    }
+    if (limit !== undefined && (!Number.isInteger(limit) || limit < 1 || limit > MAX_CHECK_BATCH_SIZE)) {
+      return createApiResponse(null, 400, `limit 必须是 1 到 ${MAX_CHECK_BATCH_SIZE} 之间的整数`);
+    }
+    if (ids && ids.length > MAX_CHECK_BATCH_SIZE) {
+      return createApiResponse(null, 400, `单次最多检查 ${MAX_CHECK_BATCH_SIZE} 个书签`);
+    }
+
+    const sites = await dataManager.getSites(false);
+    const { checked, results } = await linkHealthManager.checkSites(sites, { ids, limit: ids?.length || limit });
+    const entries = linkHealthManager.joinResults(sites, results);
+
+    return createApiResponse(
+      {
+        checked: entries.filter(entry => checked[entry.siteId]),
+        summary: linkHealthManager.summarize(entries)
+      },
+      200,
+      `已检查 ${Object.keys(checked).length} 个链接`
+    );
+
+  } catch (error) {
+    console.error('❌ 检查书签链接失败:', error);
+    const appError = handleError.generic(error, { operation: 'check_links' });
+    return createApiResponse(null, 500, appError.getUserMessage());
+  }
+};
+
+/**
+ * 处理 OPTIONS 请求 - CORS 预检
+ */
+export const OPTIONS: APIRoute = () => {
+  return new Response(null, {
+    status: 200,
+    headers: {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+      'Access-Control-Max-Age': '86400'
+    }
+  });
+};
@@ -0,0 +1,166 @@
+/**
+ * 重定向地址更新 API 端点
+ * 支持 POST（将永久重定向的书签地址更新为重定向后的地址）操作
+ * @author Claude 4.0 sonnet
+ * @version 1.0.0
+ */
+
+import type { APIRoute } from 'astro';
+import { spaceManager } from '../../../data/space-manager.js';
+import { handleError, ErrorType } from '../../../utils/error-handler.js';
+import { formatETag, parseIfMatch } from '../../../utils/etag.js';
+import { checkAdminPermission, getRequestActor } from '../../../utils/auth.js';
+import { TokenScope } from '../../../utils/api-tokens.js';
+
+/**
+ * 创建标准化的 API 响应
+ * @param data - 响应数据
+ * @param status - HTTP 状态码
+ * @param message - 响应消息
+ * @param revision - 书签集合版本号（提供时同时返回 ETag）
+ * @returns Response 对象
+ */
+function createApiResponse(data: any = null, status: number = 200, message?: string, revision?: number) {
+  const response = {
+    success: status >= 200 && status < 300,
+    data,
+    message,
+    revision,
+    timestamp: new Date().toISOString()
+  };
+
+  const headers: Record<string, string> = {
+    'Content-Type': 'application/json',
+    'Cache-Control': 'no-cache'
+  };
+  if (revision !== undefined) {
+    headers['ETag'] = formatETag('sites', revision);
+  }
+
+  return new Response(JSON.stringify(response), { status, headers });
+}
+
+/**
+ * 创建版本冲突响应
+ * @param error - 冲突错误
+ * @returns Response 对象
+ */
+function createConflictResponse(error: any) {
+  const { expectedRevision, currentRevision } = error.details || {};
+  return createApiResponse(
+    { expectedRevision, currentRevision },
+    409,
+    error.getUserMessage(),
+    currentRevision
+  );
+}
+
+/**
+ * 处理 POST 请求 - 更新永久重定向的书签地址
+ * 请求体为 { ids?: string[] }：未指定时更新所有检查结果为永久重定向的书签，所有更新一次写入
+ */
+export const POST: APIRoute = async ({ params, request }) => {
+  const space = spaceManager.getContext(params.space);
+  if (!space) {
+    return createApiResponse(null, 404, `空间 "${params.space}" 不存在`);
+  }
+  const { dataManager, linkHealthManager } = space;
+
+  try {
+    console.log('↪️ API: 更新重定向地址');
+
+    // 检查权限
+    if (!(await checkAdminPermission(request, TokenScope.BOOKMARKS_WRITE))) {
+      return createApiResponse(null, 403, '管理功能未启用或权限不足');
+    }
+
+    // 解析 If-Match（乐观并发控制）
+    const ifMatch = parseIfMatch(request.headers.get('if-match'), 'sites');
+    if (!ifMatch.valid) {
+      return createApiResponse(null, 400, 'If-Match 请求头格式无效');
+    }
+
+    let redirectData: any = {};
+    const body = await request.text();
+    if (body.trim()) {
+      try {
+        redirectData = JSON.parse(body);
+      } catch {
+        return createApiResponse(null, 400, '请求数据格式无效');
+      }
+    }
+
+    const ids = redirectData?.ids;
+    if (ids !== undefined && (!Array.isArray(ids) || ids.some(id => typeof id !== 'string'))) {
+      return createApiResponse(null, 400, 'ids 必须是书签 ID 数组');
+    }
+
+    // 只更新检查后地址未被修改、且全部为永久重定向的书签
+    const [sites, results] = await Promise.all([
+      dataManager.getSites(false),
+      linkHealthManager.getResults()
+    ]);
+    const candidates = linkHealthManager.joinResults(sites, results)
+      .filter(entry => entry.health?.permanentRedirect && (!ids || ids.includes(entry.siteId)));
+
+    if (candidates.length === 0) {
+      return createApiResponse(null, 400, '没有可以更新的永久重定向书签');
+    }
+
+    const result = await dataManager.applySiteBatch(
+      candidates.map(entry => ({ op: 'update', id: entry.siteId, changes: { url: entry.health.finalUrl } })),
+      {
+        ...getRequestActor(request, 'link_health'),
+        expectedRevision: ifMatch.revision,
+        atomic: false
+      }
+    );
+
+    const updated = Object.fromEntries(
+      result.results
+        .filter(item => item.success)
+        .map(item => [item.id, candidates.find(entry => entry.siteId === item.id).health.finalUrl])
+    );
+    if (Object.keys(updated).length > 0) {
+      await linkHealthManager.markRedirectsApplied(updated);
+    }
+
+    const responseData = { updated, results: result.results, applied: result.applied, failed: result.failed };
+    if (result.applied === 0) {
+      return createApiResponse(responseData, 400, '书签地址未更新，请检查失败原因');
+    }
+
+    console.log(`✅ 已更新 ${result.applied} 个书签地址`);
+    return createApiResponse(responseData, 200, `已更新 ${result.applied} 个书签地址`, result.revision);
+
+  } catch (error) {
+    console.error('❌ 更新重定向地址失败:', error);
+
+    if (error.type === ErrorType.CONFLICT) {
+      return createConflictResponse(error);
+    }
+
+    if (error.type === ErrorType.VALIDATION) {
+      return createApiResponse({ reason: error.message }, 400, error.getUserMessage());
+    }
+
+    const appError = handleError.generic(error, { operation: 'apply_redirects' });
+    return createApiResponse(null, 500, appError.getUserMessage());
+  }
+};
+
+/**
+ * 处理 OPTIONS 请求 - CORS 预检
+ */
+export const OPTIONS: APIRoute = () => {
+  return new Response(null, {
+    status: 200,
+    headers: {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'POST, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization, If-Match',
+      'Access-Control-Expose-Headers': 'ETag',
+      'Access-Control-Max-Age': '86400'
+    }
+  });
+};
@@ -0,0 +1,90 @@
+/**
+ * 单条变更历史 API 端点
+ * 支持 GET（获取变更详情）操作
+ * @author Claude 4.0 sonnet
+ * @version 1.0.0
+ */
+
+import type { APIRoute } from 'astro';
+import { spaceManager } from '../../../data/space-manager.js';
+import { handleError } from '../../../utils/error-handler.js';
+import { checkAdminPermission } from '../../../utils/auth.js';
+import { TokenScope } from '../../../utils/api-tokens.js';
+
+/**
+ * 创建标准化的 API 响应
+ * @param data - 响应数据
+ * @param status - HTTP 状态码
+ * @param message - 响应消息
+ * @returns Response 对象
+ */
+function createApiResponse(data: any = null, status: number = 200, message?: string) {
+  const response = {
+    success: status >= 200 && status < 300,
+    data,
+    message,
+    timestamp: new Date().toISOString()
+  };
+  
+  return new Response(JSON.stringify(response), {
+    status,
+    headers: {
+      'Content-Type': 'application/json',
+      'Cache-Control': 'no-cache'
+    }
+  });
+}
+
+/**
+ * 处理 GET 请求 - 获取变更详情
+ */
+export const GET: APIRoute = async ({ params, request }) => {
+  const space = spaceManager.getContext(params.space);
+  if (!space) {
+    return createApiResponse(null, 404, `空间 "${params.space}" 不存在`);
+  }
+  const { historyManager } = space;
+
+  try {
+    const { id } = params;
+    
+    if (!id) {
+      return createApiResponse(null, 400, '历史记录 ID 是必需的');
+    }
+    
+    console.log(`🕘 API: 获取变更详情 ${id}`);
+    
+    // 检查权限
+    if (!(await checkAdminPermission(request, TokenScope.READ))) {
+      return createApiResponse(null, 403, '管理功能未启用或权限不足');
+    }
+    
+    const entry = await historyManager.getEntry(id);
+    if (!entry) {
+      return createApiResponse(null, 404, `历史记录 "${id}" 不存在`);
+    }
+    
+    console.log(`✅ 返回变更详情: ${entry.summary}`);
+    return createApiResponse(entry, 200, '获取变更详情成功');
+    
+  } catch (error) {
+    console.error('❌ 获取变更详情失败:', error);
+    const appError = handleError.generic(error, { operation: 'get_history_entry' });
+    return createApiResponse(null, 500, appError.getUserMessage());
+  }
+};
+
+/**
+ * 处理 OPTIONS 请求 - CORS 预检
+ */
+export const OPTIONS: APIRoute = () => {
+  return new Response(null, {
+    status: 200,
+    headers: {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+      'Access-Control-Max-Age': '86400'
+    }
+  });
+};
@@ -0,0 +1,219 @@
+/**
+ * 变更历史 API 端点
+ * 支持 GET（获取变更历史）和 POST（撤销、重做、还原指定变更、回滚到时间点）操作
+ * @author Claude 4.0 sonnet
+ * @version 1.0.0
+ */
+
+import type { APIRoute } from 'astro';
+import { spaceManager } from '../../../data/space-manager.js';
+import { handleError, ErrorType } from '../../../utils/error-handler.js';
+import { checkAdminPermission, getRequestActor } from '../../../utils/auth.js';
+import { TokenScope } from '../../../utils/api-tokens.js';
+
+/**
+ * 历史操作请求
+ */
+interface HistoryActionRequest {
+  action: 'undo' | 'redo' | 'revert' | 'rollback';
+  id?: string;
+  timestamp?: number;
+}
+
+/**
+ * 验证历史操作请求
+ * @param data - 请求数据
+ * @returns 验证结果
+ */
+function validateActionRequest(data: any): { isValid: boolean; errors: string[] } {
+  const errors: string[] = [];
+
+  if (!['undo', 'redo', 'revert', 'rollback'].includes(data.action)) {
+    errors.push('操作类型必须是 undo、redo、revert 或 rollback');
+  }
+
+  if (data.action === 'revert' && (!data.id || typeof data.id !== 'string')) {
+    errors.push('还原指定变更时必须提供历史记录 ID');
+  }
+
+  if (data.action === 'rollback' && (typeof data.timestamp !== 'number' || data.timestamp <= 0)) {
+    errors.push('回滚时必须提供有效的时间戳');
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * 创建标准化的 API 响应
+ * @param data - 响应数据
+ * @param status - HTTP 状态码
+ * @param message - 响应消息
+ * @returns Response 对象
+ */
+function createApiResponse(data: any = null, status: number = 200, message?: string) {
+  const response = {
+    success: status >= 200 && status < 300,
+    data,
+    message,
+    timestamp: new Date().toISOString()
+  };
+  
+  return new Response(JSON.stringify(response), {
+    status,
+    headers: {
+      'Content-Type': 'application/json',
+      'Cache-Control': 'no-cache'
+    }
+  });
+}
+
+/**
+ * 处理 GET 请求 - 获取变更历史
+ */
+export const GET: APIRoute = async ({ params, request, url }) => {
+  const space = spaceManager.getContext(params.space);
+  if (!space) {
+    return createApiResponse(null, 404, `空间 "${params.space}" 不存在`);
+  }
+  const { historyManager } = space;
+
+  try {
+    console.log('🕘 API: 获取变更历史');
+    
+    // 检查权限
+    if (!(await checkAdminPermission(request, TokenScope.READ))) {
+      return createApiResponse(null, 403, '管理功能未启用或权限不足');
+    }
+    
+    // 解析查询参数
+    const searchParams = new URLSearchParams(url.search);
+    const limit = Math.min(parseInt(searchParams.get('limit') || '50'), 200);
+    const offset = parseInt(searchParams.get('offset') || '0');
+    const collection = searchParams.get('collection') || undefined;
+    
+    if (collection && !['sites', 'categories'].includes(collection)) {
+      return createApiResponse(null, 400, '集合类型必须是 sites 或 categories');
+    }
+    
+    const { entries, total } = await historyManager.list({ limit, offset, collection });
+    const [canUndo, canRedo] = await Promise.all([
+      historyManager.findUndoTarget(),
+      historyManager.findRedoTarget()
+    ]);
+    
+    console.log(`✅ 返回 ${entries.length} 条变更历史`);
+    return createApiResponse({
+      entries,
+      pagination: {
+        limit,
+        offset,
+        total,
+        hasMore: offset + limit < total
+      },
+      undo: canUndo ? { id: canUndo.id, summary: canUndo.summary } : null,
+      redo: canRedo ? { id: canRedo.id, summary: canRedo.summary } : null
+    }, 200, '获取变更历史成功');
+    
+  } catch (error) {
+    console.error('❌ 获取变更历史失败:', error);
+    const appError = handleError.generic(error, { operation: 'get_history' });
+    return createApiResponse(null, 500, appError.getUserMessage());
+  }
+};
+
+/**
+ * 处理 POST 请求 - 撤销、重做、还原或回滚
+ */
+export const POST: APIRoute = async ({ params, request }) => {
+  const space = spaceManager.getContext(params.space);
+  if (!space) {
+    return createApiResponse(null, 404, `空间 "${params.space}" 不存在`);
+  }
+  const { dataManager } = space;
+
+  try {
+    console.log('↩️ API: 执行历史操作');
+    
+    // 检查权限
+    if (!(await checkAdminPermission(request))) {
+      return createApiResponse(null, 403, '管理功能未启用或权限不足');
+    }
+    
+    // 解析请求数据
+    const contentType = request.headers.get('content-type');
+    if (!contentType?.includes('application/json')) {
+      return createApiResponse(null, 400, '请求内容类型必须是 application/json');
+    }
+    
+    let actionData: HistoryActionRequest;
+    try {
+      actionData = await request.json();
+    } catch {
+      return createApiResponse(null, 400, '请求数据格式无效');
+    }
+    
+    // 验证数据
+    const validation = validateActionRequest(actionData);
+    if (!validation.isValid) {
+      return createApiResponse(
+        { errors: validation.errors },
+        400,
+        '历史操作请求验证失败'
+      );
+    }
+    
+    const actor = getRequestActor(request, 'history');
+    let result;
+    
+    switch (actionData.action) {
+      case 'undo':
+        result = await dataManager.undo(actor);
+        break;
+      case 'redo':
+        result = await dataManager.redo(actor);
+        break;
+      case 'revert':
+        result = await dataManager.revertHistory(actionData.id, actor);
+        break;
+      case 'rollback':
+        result = await dataManager.rollbackTo(actionData.timestamp, actor);
+        break;
+    }
+    
+    console.log(`✅ 历史操作完成: ${actionData.action}`);
+    return createApiResponse(result, 200, '历史操作成功');
+    
+  } catch (error) {
+    console.error('❌ 历史操作失败:', error);
+    
+    // 处理特定错误类型
+    if (error.type === ErrorType.CONFLICT) {
+      return createApiResponse({ reason: error.message, ...error.details }, 409, error.getUserMessage());
+    }
+    
+    if (error.type === ErrorType.VALIDATION) {
+      return createApiResponse({ reason: error.message }, 400, error.getUserMessage());
+    }
+    
+    const appError = handleError.generic(error, { operation: 'history_action' });
+    return createApiResponse(null, 500, appError.getUserMessage());
+  }
+};
+
+/**
+ * 处理 OPTIONS 请求 - CORS 预检
+ */
+export const OPTIONS: APIRoute = () => {
+  return new Response(null, {
+    status: 200,
+    headers: {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+      'Access-Control-Max-Age': '86400'
+    }
+  });
+};
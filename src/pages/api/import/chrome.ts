@@ -6,8 +6,16 @@
  */
 
 import type { APIRoute } from 'astro';
-import { dataManager } from '../../../data/data-manager.js';
+import { spaceManager } from '../../../data/space-manager.js';
+import { DataManager } from '../../../data/data-manager.js';
+import { BackupReason } from '../../../data/backup-manager.js';
 import { handleError, ErrorType } from '../../../utils/error-handler.js';
+import { normalizeTags, MAX_TAGS } from '../../../utils/tags.js';
+import { MAX_CATEGORY_DEPTH } from '../../../utils/category-tree.js';
+import { isSameUrl } from '../../../utils/url-normalizer.js';
+import { validate, validateCollections, formatErrors, ImportDataSchema } from '../../../utils/schema.js';
+import { checkAdminPermission, getRequestActor } from '../../../utils/auth.js';
+import { TokenScope } from '../../../utils/api-tokens.js';
 
 /**
  * 导入选项接口
@@ -28,94 +36,21 @@ interface ImportData {
     icon: string;
     sites: Array<any>;
     addDate: number;
+    path?: string[];
+    parentPath?: string[] | null;
   }>;
   sites: Array<{
     title: string;
     url: string;
     description: string;
     category: string;
+    categoryPath?: string[];
     icon?: string;
     addDate: number;
   }>;
   options?: ImportOptions;
 }
 
-/**
- * 验证导入数据
- * @param data - 导入数据
- * @returns 验证结果
- */
-function validateImportData(data: any): { isValid: boolean; errors: string[] } {
-  const errors: string[] = [];
-  
-  if (!data || typeof data !== 'object') {
-    errors.push('导入数据格式无效');
-    return { isValid: false, errors };
-  }
-  
-  if (!Array.isArray(data.categories)) {
-    errors.push('分类数据必须是数组');
-  }
-  
-  if (!Array.isArray(data.sites)) {
-    errors.push('书签数据必须是数组');
-  }
-  
-  // 验证分类数据
-  if (data.categories) {
-    data.categories.forEach((category: any, index: number) => {
-      if (!category.name || typeof category.name !== 'string') {
-        errors.push(`分类 ${index + 1} 缺少有效名称`);
-      }
-      if (!Array.isArray(category.sites)) {
-        errors.push(`分类 "${category.name}" 的书签数据必须是数组`);
-      }
-    });
-  }
-  
-  // 验证书签数据
-  if (data.sites) {
-    data.sites.forEach((site: any, index: number) => {
-      if (!site.title || typeof site.title !== 'string') {
-        errors.push(`书签 ${index + 1} 缺少有效标题`);
-      }
-      if (!site.url || typeof site.url !== 'string') {
-        errors.push(`书签 ${index + 1} 缺少有效URL`);
-      }
-      if (!site.category || typeof site.category !== 'string') {
-        errors.push(`书签 ${index + 1} 缺少有效分类`);
-      }
-      
-      // 验证 URL 格式
-      if (site.url) {
-        try {
-          new URL(site.url);
-        } catch {
-          errors.push(`书签 "${site.title}" 的URL格式无效: ${site.url}`);
-        }
-      }
-    });
-  }
-  
-  return {
-    isValid: errors.length === 0,
-    errors
-  };
-}
-
-/**
- * 检查管理权限
- * @param request - 请求对象
- * @returns 是否有权限
- */
-function checkAdminPermission(request: Request): boolean {
-  const isAdminEnabled = import.meta.env.ENABLE_ADMIN === 'true';
-  if (!isAdminEnabled) {
-    return false;
-  }
-  return true;
-}
-
 /**
  * 创建标准化的 API 响应
  * @param data - 响应数据
@@ -160,21 +95,73 @@ function generateUniqueId(title: string, url: string): string {
   return `${baseId}_${Math.abs(urlHash).toString(36)}_${Date.now().toString(36)}`;
 }
 
+/**
+ * 获取导入分类的唯一键
+ * 带文件夹路径时使用完整路径，使不同文件夹下的同名子文件夹互不混淆；否则使用名称
+ * @param path - 文件夹路径
+ * @param name - 分类名称
+ * @returns 分类键
+ */
+function getImportCategoryKey(path: string[] | null | undefined, name: string): string {
+  return Array.isArray(path) && path.length > 0 ? path.join(' / ') : name;
+}
+
+/**
+ * 超过最大层级的文件夹并入最深一层允许的祖先分类
+ * @param key - 分类键
+ * @param parentKey - 父分类键
+ * @param categoryMapping - 分类映射
+ * @param depthByKey - 已处理分类的层级
+ * @returns 是否已并入祖先分类
+ */
+function mergeIntoAncestorIfTooDeep(
+  key: string,
+  parentKey: string | null,
+  categoryMapping: Record<string, string>,
+  depthByKey: Record<string, number>
+): boolean {
+  const depth = parentKey ? (depthByKey[parentKey] || 0) + 1 : 1;
+  if (parentKey && depth > MAX_CATEGORY_DEPTH && categoryMapping[parentKey]) {
+    categoryMapping[key] = categoryMapping[parentKey];
+    depthByKey[key] = depthByKey[parentKey];
+    return true;
+  }
+  depthByKey[key] = depth;
+  return false;
+}
+
 /**
  * 转换分类数据格式
  * @param importCategories - 导入的分类数据
- * @returns 转换后的分类数据
+ * @returns 转换后的分类数据，附带分类键和父分类键
  */
-function convertCategories(importCategories: any[]): any[] {
-  return importCategories.map(category => ({
-    id: category.name.toLowerCase()
+function convertCategories(importCategories: any[]): Array<{ key: string; parentKey: string | null; category: any }> {
+  const usedIds = new Set<string>();
+  return importCategories.map(category => {
+    const baseId = category.name.toLowerCase()
       .replace(/[^a-z0-9\u4e00-\u9fa5]/g, '')
-      .substring(0, 20) + '_' + Date.now().toString(36),
-    name: category.name,
-    icon: category.icon || '📁',
-    description: `从 Chrome 导入的分类：${category.name}`,
-    addDate: category.addDate || Date.now()
-  }));
+      .substring(0, 20) + '_' + Date.now().toString(36);
+    // 不同文件夹下可能有同名分类，保证 ID 唯一
+    let id = baseId;
+    for (let suffix = 2; usedIds.has(id); suffix++) {
+      id = `${baseId}${suffix}`;
+    }
+    usedIds.add(id);
+    
+    return {
+      key: getImportCategoryKey(category.path, category.name),
+      parentKey: Array.isArray(category.parentPath) && category.parentPath.length > 0
+        ? getImportCategoryKey(category.parentPath, '')
+        : null,
+      category: {
+        id,
+        name: category.name,
+        icon: category.icon || '📁',
+        description: `从 Chrome 导入的分类：${category.name}`,
+        addDate: category.addDate || Date.now()
+      }
+    };
+  });
 }
 
 /**
@@ -184,16 +171,27 @@ function convertCategories(importCategories: any[]): any[] {
  * @returns 转换后的书签数据
  */
 function convertSites(importSites: any[], categoryMapping: Record<string, string>): any[] {
-  return importSites.map(site => ({
-    id: generateUniqueId(site.title, site.url),
-    title: site.title,
-    url: site.url,
-    description: site.description || `${site.title} - 从 Chrome 导入`,
-    shortDesc: site.title,
-    category: categoryMapping[site.category] || site.category,
-    icon: site.icon || '/images/default.svg',
-    addDate: site.addDate || Date.now()
-  }));
+  const usedIds = new Set<string>();
+  return importSites.map(site => {
+    // 同一书签出现在多个文件夹时生成的 ID 相同，保证 ID 唯一
+    const baseId = generateUniqueId(site.title, site.url);
+    let id = baseId;
+    for (let suffix = 2; usedIds.has(id); suffix++) {
+      id = `${baseId}${suffix}`;
+    }
+    usedIds.add(id);
+    return {
+      id,
+      title: site.title,
+      url: site.url,
+      description: site.description || `${site.title} - 从 Chrome 导入`,
+      shortDesc: site.title,
+      category: categoryMapping[getImportCategoryKey(site.categoryPath, site.category)] || categoryMapping[site.category] || site.category,
+      icon: site.icon || '/images/default.svg',
+      ...(site.tags?.length > 0 && { tags: normalizeTags(site.tags).slice(0, MAX_TAGS) }),
+      addDate: site.addDate || Date.now()
+    };
+  });
 }
 
 /**
@@ -221,15 +219,89 @@ async function triggerIconDownload(sites: any[]): Promise<void> {
   }
 }
 
+/**
+ * 替换模式导入：用导入的数据整体替换现有分类和书签
+ * 调用前必须已经创建备份
+ * @param importData - 导入数据
+ * @param options - 导入选项
+ * @param request - 请求对象
+ * @param dataManager - 所属空间的数据管理器
+ * @returns 导入结果计数
+ */
+async function replaceWithImport(importData: ImportData, options: ImportOptions, request: Request, dataManager: DataManager) {
+  const categoryMapping: Record<string, string> = {};
+  const categories: any[] = [];
+  
+  const depthByKey: Record<string, number> = {};
+  for (const { key, parentKey, category } of convertCategories(importData.categories)) {
+    if (mergeIntoAncestorIfTooDeep(key, parentKey, categoryMapping, depthByKey)) {
+      continue;
+    }
+    const parentId = parentKey ? categoryMapping[parentKey] : undefined;
+    // 同一父分类下的同名分类合并
+    const existing = categories.find(cat =>
+      cat.name.toLowerCase() === category.name.toLowerCase() && cat.parentId === parentId
+    );
+    categoryMapping[key] = existing ? existing.id : category.id;
+    if (!existing) {
+      categories.push(parentId ? { ...category, parentId } : category);
+    }
+  }
+  
+  const sites: any[] = [];
+  let skippedSites = 0;
+  for (const site of convertSites(importData.sites, categoryMapping)) {
+    const isDuplicate = sites.some(existing => isSameUrl(existing.url, site.url));
+    if (options.skipDuplicates && isDuplicate) {
+      skippedSites++;
+      continue;
+    }
+    if (!categories.find(cat => cat.id === site.category)) {
+      skippedSites++;
+      console.warn(`书签分类不存在，跳过: ${site.title}`);
+      continue;
+    }
+    sites.push(site);
+  }
+  
+  // 整体替换前按与后台相同的结构校验转换结果
+  const validation = validateCollections(categories, sites);
+  if (!validation.valid) {
+    throw handleError.validation(
+      `导入数据转换后不完整: ${formatErrors(validation.errors).slice(0, 5).join('；')}`,
+      { operation: 'replace_import' },
+      { fieldErrors: validation.errors }
+    );
+  }
+  
+  // 先写分类再写书签，每个集合只写入一次
+  const actor = getRequestActor(request, 'import');
+  await dataManager.saveCategories(categories, actor);
+  await dataManager.saveSites(sites, actor);
+  
+  return {
+    importedCategories: categories.length,
+    importedSites: sites.length,
+    skippedSites,
+    sites
+  };
+}
+
 /**
  * 处理 POST 请求 - 导入 Chrome 书签
  */
-export const POST: APIRoute = async ({ request }) => {
+export const POST: APIRoute = async ({ params, request }) => {
+  const space = spaceManager.getContext(params.space);
+  if (!space) {
+    return createApiResponse(null, 404, `空间 "${params.space}" 不存在`);
+  }
+  const { dataManager, backupManager } = space;
+
   try {
     console.log('📥 API: 导入 Chrome 书签');
     
     // 检查权限
-    if (!checkAdminPermission(request)) {
+    if (!(await checkAdminPermission(request, TokenScope.IMPORT_EXPORT))) {
       return createApiResponse(null, 403, '管理功能未启用或权限不足');
     }
     
@@ -247,10 +319,10 @@ export const POST: APIRoute = async ({ request }) => {
     }
     
     // 验证导入数据
-    const validation = validateImportData(importData);
-    if (!validation.isValid) {
+    const validation = validate(ImportDataSchema, importData);
+    if (!validation.valid) {
       return createApiResponse(
-        { errors: validation.errors },
+        { errors: formatErrors(validation.errors), fieldErrors: validation.errors },
         400,
         '导入数据验证失败'
       );
@@ -265,6 +337,30 @@ export const POST: APIRoute = async ({ request }) => {
     
     console.log(`开始导入: ${importData.categories.length} 个分类, ${importData.sites.length} 个书签`);
     
+    // 替换模式会覆盖全部现有数据，先自动创建备份
+    if (options.mergeMode === 'replace') {
+      const backup = await backupManager.create({
+        reason: BackupReason.PRE_IMPORT,
+        label: `替换导入 ${importData.sites.length} 个书签之前`,
+        actor: getRequestActor(request).actor
+      });
+      
+      const { sites: replacedSites, ...counts } = await replaceWithImport(importData, options, request, dataManager);
+      
+      if (options.downloadIcons && replacedSites.length > 0) {
+        await triggerIconDownload(replacedSites);
+      }
+      
+      console.log(`✅ 替换导入完成: ${counts.importedSites} 个书签, ${counts.importedCategories} 个分类`);
+      return createApiResponse({
+        ...counts,
+        totalCategories: importData.categories.length,
+        totalSites: importData.sites.length,
+        backupId: backup.id,
+        options
+      }, 200, '书签导入成功，导入前的数据已备份');
+    }
+    
     // 获取现有数据
     const existingCategories = await dataManager.getCategories();
     const existingSites = await dataManager.getSites();
@@ -275,30 +371,40 @@ export const POST: APIRoute = async ({ request }) => {
     // 创建分类映射
     const categoryMapping: Record<string, string> = {};
     
-    // 处理分类导入
+    // 处理分类导入（父文件夹总在子文件夹之前，按顺序处理即可得到父分类 ID）
     let importedCategories = 0;
-    for (const newCategory of newCategories) {
+    const depthByKey: Record<string, number> = {};
+    for (const { key, parentKey, category } of newCategories) {
+      if (mergeIntoAncestorIfTooDeep(key, parentKey, categoryMapping, depthByKey)) {
+        continue;
+      }
+      const parentId = parentKey ? categoryMapping[parentKey] : undefined;
+      const newCategory = parentId ? { ...category, parentId } : category;
       const existingCategory = existingCategories.find(cat => 
-        cat.name.toLowerCase() === newCategory.name.toLowerCase()
+        cat.name.toLowerCase() === newCategory.name.toLowerCase() &&
+        (cat.parentId || undefined) === parentId
       );
       
       if (existingCategory) {
         // 分类已存在，使用现有分类ID
-        categoryMapping[newCategory.name] = existingCategory.id;
-        console.log(`分类已存在: ${newCategory.name} -> ${existingCategory.id}`);
+        categoryMapping[key] = existingCategory.id;
+        console.log(`分类已存在: ${key} -> ${existingCategory.id}`);
+      } else if (categoryMapping[key]) {
+        // 导入数据中重复的文件夹路径
+        continue;
       } else {
         // 创建新分类
         try {
-          await dataManager.addCategory(newCategory);
-          categoryMapping[newCategory.name] = newCategory.id;
+          await dataManager.addCategory(newCategory, getRequestActor(request, 'import'));
+          categoryMapping[key] = newCategory.id;
           importedCategories++;
-          console.log(`创建新分类: ${newCategory.name}`);
+          console.log(`创建新分类: ${key}`);
         } catch (error) {
-          console.warn(`创建分类失败: ${newCategory.name}`, error);
+          console.warn(`创建分类失败: ${key}`, error);
           // 使用默认分类
           const defaultCategory = existingCategories[0];
           if (defaultCategory) {
-            categoryMapping[newCategory.name] = defaultCategory.id;
+            categoryMapping[key] = defaultCategory.id;
           }
         }
       }
@@ -315,9 +421,7 @@ export const POST: APIRoute = async ({ request }) => {
       try {
         // 检查是否跳过重复书签
         if (options.skipDuplicates) {
-          const existingSite = existingSites.find(site => 
-            site.url.toLowerCase() === newSite.url.toLowerCase()
-          );
+          const existingSite = existingSites.find(site => isSameUrl(site.url, newSite.url));
           
           if (existingSite) {
             skippedSites++;
@@ -327,7 +431,7 @@ export const POST: APIRoute = async ({ request }) => {
         }
         
         // 添加新书签
-        await dataManager.addSite(newSite);
+        await dataManager.addSite(newSite, getRequestActor(request, 'import'));
         importedSites++;
         
         if (importedSites % 10 === 0) {
@@ -362,7 +466,7 @@ export const POST: APIRoute = async ({ request }) => {
     console.error('❌ 导入 Chrome 书签失败:', error);
     
     if (error.type === ErrorType.VALIDATION) {
-      return createApiResponse(null, 400, error.getUserMessage());
+      return createApiResponse({ reason: error.message, ...error.details }, 400, error.getUserMessage());
     }
     
     const appError = handleError.generic(error, { operation: 'import_chrome_bookmarks' });
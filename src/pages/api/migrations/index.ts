@@ -0,0 +1,125 @@
+/**
+ * 数据结构迁移 API 端点
+ * 支持 GET（查看迁移状态和试运行报告）和 POST（备份后执行待处理的迁移）操作
+ * @author Claude 4.0 sonnet
+ * @version 1.0.0
+ */
+
+import type { APIRoute } from 'astro';
+import { schemaMigrator } from '../../../data/schema-migrator.js';
+import { kvAdapter } from '../../../data/kv-adapter.js';
+import { handleError } from '../../../utils/error-handler.js';
+import { checkAdminPermission } from '../../../utils/auth.js';
+import { TokenScope } from '../../../utils/api-tokens.js';
+
+/**
+ * 创建标准化的 API 响应
+ * @param data - 响应数据
+ * @param status - HTTP 状态码
+ * @param message - 响应消息
+ * @returns Response 对象
+ */
+function createApiResponse(data: any = null, status: number = 200, message?: string) {
+  const response = {
+    success: status >= 200 && status < 300,
+    data,
+    message,
+    timestamp: new Date().toISOString()
+  };
+  
+  return new Response(JSON.stringify(response), {
+    status,
+    headers: {
+      'Content-Type': 'application/json',
+      'Cache-Control': 'no-cache'
+    }
+  });
+}
+
+/**
+ * 处理 GET 请求 - 获取迁移状态和试运行报告
+ */
+export const GET: APIRoute = async ({ request }) => {
+  try {
+    console.log('🔄 API: 获取数据迁移状态');
+    
+    // 检查权限
+    if (!(await checkAdminPermission(request, TokenScope.READ))) {
+      return createApiResponse(null, 403, '管理功能未启用或权限不足');
+    }
+    
+    if (!kvAdapter.isKVAvailable()) {
+      return createApiResponse(null, 503, 'KV 存储不可用，当前使用静态数据，无需迁移');
+    }
+    
+    const status = await schemaMigrator.getStatus();
+    const report = status.upToDate ? null : await schemaMigrator.run({ dryRun: true });
+    
+    const pendingCount = status.spaces.reduce((sum, space) => sum + space.pending.length, 0);
+    console.log(`✅ ${status.spaces.length} 个空间，待执行 ${pendingCount} 个迁移`);
+    return createApiResponse({ ...status, report }, 200, '获取数据迁移状态成功');
+    
+  } catch (error) {
+    console.error('❌ 获取数据迁移状态失败:', error);
+    const appError = handleError.generic(error, { operation: 'get_migration_status' });
+    return createApiResponse(null, 500, appError.getUserMessage());
+  }
+};
+
+/**
+ * 处理 POST 请求 - 执行待处理的迁移
+ */
+export const POST: APIRoute = async ({ request }) => {
+  try {
+    console.log('🚀 API: 执行数据迁移');
+    
+    // 检查权限
+    if (!(await checkAdminPermission(request))) {
+      return createApiResponse(null, 403, '管理功能未启用或权限不足');
+    }
+    
+    if (!kvAdapter.isKVAvailable()) {
+      return createApiResponse(null, 503, 'KV 存储不可用，当前使用静态数据，无需迁移');
+    }
+    
+    let options: { dryRun?: boolean } = {};
+    const contentType = request.headers.get('content-type');
+    if (contentType?.includes('application/json')) {
+      try {
+        options = await request.json();
+      } catch {
+        return createApiResponse(null, 400, '请求数据格式无效');
+      }
+    }
+    
+    const report = await schemaMigrator.run({ dryRun: options.dryRun === true });
+    
+    if (!report.success) {
+      console.error(`❌ 数据迁移失败: ${report.error}`);
+      return createApiResponse(report, 500, report.error);
+    }
+    
+    console.log(`✅ 数据迁移完成: ${report.spaces.map(space => `${space.space} ${space.fromVersion} → ${space.currentVersion}`).join('，')}`);
+    return createApiResponse(report, 200, report.dryRun ? '试运行完成' : '数据迁移完成');
+    
+  } catch (error) {
+    console.error('❌ 执行数据迁移失败:', error);
+    const appError = handleError.generic(error, { operation: 'run_migrations' });
+    return createApiResponse(null, 500, appError.getUserMessage());
+  }
+};
+
+/**
+ * 处理 OPTIONS 请求 - CORS 预检
+ */
+export const OPTIONS: APIRoute = () => {
+  return new Response(null, {
+    status: 200,
+    headers: {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+      'Access-Control-Max-Age': '86400'
+    }
+  });
+};
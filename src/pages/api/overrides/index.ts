@@ -0,0 +1,157 @@
+/**
+ * 混合模式覆盖数据 API 端点
+ * 支持 GET（查看哪些记录覆盖了 navLinks.js 的基础数据）和 POST（将记录恢复为基础数据）操作
+ * @author Claude 4.0 sonnet
+ * @version 1.0.0
+ */
+
+import type { APIRoute } from 'astro';
+import { spaceManager } from '../../../data/space-manager.js';
+import { DataSource } from '../../../data/data-manager.js';
+import { handleError, ErrorType } from '../../../utils/error-handler.js';
+import { checkAdminPermission, getRequestActor } from '../../../utils/auth.js';
+import { TokenScope } from '../../../utils/api-tokens.js';
+
+/**
+ * 支持的集合类型
+ */
+const COLLECTION_TYPES = ['categories', 'sites'];
+
+/**
+ * 创建标准化的 API 响应
+ * @param data - 响应数据
+ * @param status - HTTP 状态码
+ * @param message - 响应消息
+ * @returns Response 对象
+ */
+function createApiResponse(data: any = null, status: number = 200, message?: string) {
+  const response = {
+    success: status >= 200 && status < 300,
+    data,
+    message,
+    timestamp: new Date().toISOString()
+  };
+  
+  return new Response(JSON.stringify(response), {
+    status,
+    headers: {
+      'Content-Type': 'application/json',
+      'Cache-Control': 'no-cache'
+    }
+  });
+}
+
+/**
+ * 处理 GET 请求 - 获取被覆盖的记录
+ */
+export const GET: APIRoute = async ({ params, request }) => {
+  const space = spaceManager.getContext(params.space);
+  if (!space) {
+    return createApiResponse(null, 404, `空间 "${params.space}" 不存在`);
+  }
+  const { dataManager } = space;
+
+  try {
+    console.log('🧩 API: 获取覆盖数据');
+    
+    // 检查权限
+    if (!(await checkAdminPermission(request, TokenScope.READ))) {
+      return createApiResponse(null, 403, '管理功能未启用或权限不足');
+    }
+    
+    await dataManager.ensureInitialized();
+    const hybrid = dataManager.getDataSourceInfo().source === DataSource.HYBRID;
+    
+    const [categories, sites, categoriesRevision, sitesRevision] = await Promise.all([
+      dataManager.getOverrides('categories'),
+      dataManager.getOverrides('sites'),
+      dataManager.getRevision('categories', false),
+      dataManager.getRevision('sites', false)
+    ]);
+    
+    console.log(`✅ 覆盖数据: ${categories.length} 个分类，${sites.length} 个网站`);
+    return createApiResponse({
+      hybrid,
+      categories,
+      sites,
+      revisions: { categories: categoriesRevision, sites: sitesRevision }
+    }, 200, hybrid ? '获取覆盖数据成功' : '当前不是混合模式');
+    
+  } catch (error) {
+    console.error('❌ 获取覆盖数据失败:', error);
+    const appError = handleError.generic(error, { operation: 'get_overrides' });
+    return createApiResponse(null, 500, appError.getUserMessage());
+  }
+};
+
+/**
+ * 处理 POST 请求 - 将记录恢复为 navLinks.js 中的原始数据
+ */
+export const POST: APIRoute = async ({ params, request }) => {
+  const space = spaceManager.getContext(params.space);
+  if (!space) {
+    return createApiResponse(null, 404, `空间 "${params.space}" 不存在`);
+  }
+  const { dataManager } = space;
+
+  try {
+    console.log('↩️ API: 恢复原始数据');
+    
+    // 检查权限
+    if (!(await checkAdminPermission(request))) {
+      return createApiResponse(null, 403, '管理功能未启用或权限不足');
+    }
+    
+    let body: { type?: string; id?: string; revision?: number };
+    try {
+      body = await request.json();
+    } catch {
+      return createApiResponse(null, 400, '请求数据格式无效');
+    }
+    
+    if (!body.type || !COLLECTION_TYPES.includes(body.type)) {
+      return createApiResponse(null, 400, `type 必须是 ${COLLECTION_TYPES.join(' / ')}`);
+    }
+    
+    if (!body.id) {
+      return createApiResponse(null, 400, '记录 ID 是必需的');
+    }
+    
+    const revision = await dataManager.resetOverride(body.type, body.id, {
+      ...getRequestActor(request, 'overrides'),
+      expectedRevision: body.revision
+    });
+    
+    console.log(`✅ 已恢复原始数据: ${body.type}/${body.id}`);
+    return createApiResponse({ type: body.type, id: body.id, revision }, 200, '已恢复为原始数据');
+    
+  } catch (error) {
+    console.error('❌ 恢复原始数据失败:', error);
+    
+    if (error.type === ErrorType.CONFLICT) {
+      return createApiResponse(error.details, 409, error.getUserMessage());
+    }
+    
+    if (error.type === ErrorType.VALIDATION) {
+      return createApiResponse({ reason: error.message }, 400, error.getUserMessage());
+    }
+    
+    const appError = handleError.generic(error, { operation: 'reset_override' });
+    return createApiResponse(null, 500, appError.getUserMessage());
+  }
+};
+
+/**
+ * 处理 OPTIONS 请求 - CORS 预检
+ */
+export const OPTIONS: APIRoute = () => {
+  return new Response(null, {
+    status: 200,
+    headers: {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+      'Access-Control-Max-Age': '86400'
+    }
+  });
+};
@@ -0,0 +1,140 @@
+/**
+ * 站点设置 API 端点
+ * 支持 GET（获取设置）和 PUT（更新设置）操作
+ * @author Claude 4.0 sonnet
+ * @version 1.0.0
+ */
+
+import type { APIRoute } from 'astro';
+import { spaceManager } from '../../../data/space-manager.js';
+import { DataManager } from '../../../data/data-manager.js';
+import { handleError, ErrorType } from '../../../utils/error-handler.js';
+import { getRecentSites, MAX_HOME_SECTION_LIMIT } from '../../../utils/home-sections.js';
+import { checkAdminPermission } from '../../../utils/auth.js';
+
+/**
+ * 创建标准化的 API 响应
+ * @param data - 响应数据
+ * @param status - HTTP 状态码
+ * @param message - 响应消息
+ * @returns Response 对象
+ */
+function createApiResponse(data: any = null, status: number = 200, message?: string) {
+  const response = {
+    success: status >= 200 && status < 300,
+    data,
+    message,
+    timestamp: new Date().toISOString()
+  };
+  
+  return new Response(JSON.stringify(response), {
+    status,
+    headers: {
+      'Content-Type': 'application/json',
+      'Cache-Control': 'no-cache'
+    }
+  });
+}
+
+/**
+ * 统计首页区块可用的书签数量
+ * @param dataManager - 所属空间的数据管理器
+ * @returns 置顶书签数和带添加时间的书签数
+ */
+async function getHomeCounts(dataManager: DataManager) {
+  const sites = await dataManager.getSites();
+  return {
+    pinned: sites.filter(site => site.pinned === true).length,
+    recent: getRecentSites(sites, sites.length).length
+  };
+}
+
+/**
+ * 处理 GET 请求 - 获取站点设置
+ */
+export const GET: APIRoute = async ({ params }) => {
+  const space = spaceManager.getContext(params.space);
+  if (!space) {
+    return createApiResponse(null, 404, `空间 "${params.space}" 不存在`);
+  }
+  const { settingsManager, dataManager } = space;
+
+  try {
+    console.log('⚙️ API: 获取站点设置');
+    
+    const [settings, counts] = await Promise.all([
+      settingsManager.get(),
+      getHomeCounts(dataManager)
+    ]);
+    
+    return createApiResponse({ settings, counts, maxLimit: MAX_HOME_SECTION_LIMIT }, 200, '获取站点设置成功');
+    
+  } catch (error) {
+    console.error('❌ 获取站点设置失败:', error);
+    const appError = handleError.generic(error, { operation: 'get_settings' });
+    return createApiResponse(null, 500, appError.getUserMessage());
+  }
+};
+
+/**
+ * 处理 PUT 请求 - 更新站点设置
+ */
+export const PUT: APIRoute = async ({ params, request }) => {
+  const space = spaceManager.getContext(params.space);
+  if (!space) {
+    return createApiResponse(null, 404, `空间 "${params.space}" 不存在`);
+  }
+  const { settingsManager } = space;
+
+  try {
+    console.log('⚙️ API: 更新站点设置');
+    
+    // 检查权限
+    if (!(await checkAdminPermission(request))) {
+      return createApiResponse(null, 403, '管理功能未启用或权限不足');
+    }
+    
+    // 解析请求数据
+    const contentType = request.headers.get('content-type');
+    if (!contentType?.includes('application/json')) {
+      return createApiResponse(null, 400, '请求内容类型必须是 application/json');
+    }
+    
+    let updates;
+    try {
+      updates = await request.json();
+    } catch {
+      return createApiResponse(null, 400, '请求数据格式无效');
+    }
+    
+    const settings = await settingsManager.update(updates);
+    
+    console.log('✅ 站点设置更新成功');
+    return createApiResponse({ settings }, 200, '站点设置已更新');
+    
+  } catch (error) {
+    console.error('❌ 更新站点设置失败:', error);
+    
+    if (error.type === ErrorType.VALIDATION) {
+      return createApiResponse({ reason: error.message, ...error.details }, 400, error.getUserMessage());
+    }
+    
+    const appError = handleError.generic(error, { operation: 'update_settings' });
+    return createApiResponse(null, 500, appError.getUserMessage());
+  }
+};
+
+/**
+ * 处理 OPTIONS 请求 - CORS 预检
+ */
+export const OPTIONS: APIRoute = () => {
+  return new Response(null, {
+    status: 200,
+    headers: {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET, PUT, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+      'Access-Control-Max-Age': '86400'
+    }
+  });
+};
@@ -0,0 +1,8 @@
+/**
+ * 空间重复书签 API 端点
+ * 与 /api/bookmarks/duplicates 相同，操作路径中指定的导航空间
+ * @author Claude 4.0 sonnet
+ * @version 1.0.0
+ */
+
+export { GET, POST, OPTIONS } from '../../../bookmarks/duplicates.ts';
@@ -0,0 +1,8 @@
+/**
+ * 空间书签信息预览 API 端点
+ * 与 /api/bookmarks/preview 相同，操作路径中指定的导航空间
+ * @author Claude 4.0 sonnet
+ * @version 1.0.0
+ */
+
+export { POST, OPTIONS } from '../../../bookmarks/preview.ts';
@@ -0,0 +1,8 @@
+/**
+ * 空间单个分类 API 端点
+ * 与 /api/categories/[id] 相同，操作路径中指定的导航空间
+ * @author Claude 4.0 sonnet
+ * @version 1.0.0
+ */
+
+export { GET, PUT, DELETE, OPTIONS } from '../../../categories/[id].ts';
@@ -0,0 +1,8 @@
+/**
+ * 空间分类排序 API 端点
+ * 与 /api/categories/reorder 相同，操作路径中指定的导航空间
+ * @author Claude 4.0 sonnet
+ * @version 1.0.0
+ */
+
+export { PATCH, OPTIONS } from '../../../categories/reorder.ts';
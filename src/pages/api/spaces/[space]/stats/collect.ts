@@ -0,0 +1,8 @@
+/**
+ * 空间统计数据收集 API 端点
+ * 与 /api/stats/collect 相同，操作路径中指定的导航空间
+ * @author Claude 4.0 sonnet
+ * @version 1.0.0
+ */
+
+export { POST, OPTIONS } from '../../../stats/collect.ts';
@@ -0,0 +1,8 @@
+/**
+ * 空间统计概览 API 端点
+ * 与 /api/stats/overview 相同，操作路径中指定的导航空间
+ * @author Claude 4.0 sonnet
+ * @version 1.0.0
+ */
+
+export { GET, OPTIONS } from '../../../stats/overview.ts';
@@ -0,0 +1,8 @@
+/**
+ * 空间回收站条目 API 端点
+ * 与 /api/trash/[id] 相同，操作路径中指定的导航空间
+ * @author Claude 4.0 sonnet
+ * @version 1.0.0
+ */
+
+export { POST, DELETE, OPTIONS } from '../../../trash/[id].ts';
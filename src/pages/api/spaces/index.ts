@@ -0,0 +1,72 @@
+/**
+ * 导航空间列表 API 端点
+ * 支持 GET（获取 SPACES 环境变量中配置的空间）
+ * @author Claude 4.0 sonnet
+ * @version 1.0.0
+ */
+
+import type { APIRoute } from 'astro';
+import { spaceManager, DEFAULT_SPACE } from '../../../data/space-manager.js';
+import { handleError } from '../../../utils/error-handler.js';
+
+/**
+ * 创建标准化的 API 响应
+ * @param data - 响应数据
+ * @param status - HTTP 状态码
+ * @param message - 响应消息
+ * @returns Response 对象
+ */
+function createApiResponse(data: any = null, status: number = 200, message?: string) {
+  const response = {
+    success: status >= 200 && status < 300,
+    data,
+    message,
+    timestamp: new Date().toISOString()
+  };
+
+  return new Response(JSON.stringify(response), {
+    status,
+    headers: {
+      'Content-Type': 'application/json',
+      'Cache-Control': 'no-cache'
+    }
+  });
+}
+
+/**
+ * 处理 GET 请求 - 获取空间列表
+ */
+export const GET: APIRoute = async () => {
+  try {
+    console.log('🗂️ API: 获取空间列表');
+
+    const spaces = spaceManager.listSpaces().map(space => ({
+      ...space,
+      homeUrl: space.isDefault ? '/' : `/s/${space.id}/`,
+      apiBase: space.isDefault ? '/api' : `/api/spaces/${space.id}`
+    }));
+
+    console.log(`✅ 返回 ${spaces.length} 个空间`);
+    return createApiResponse({ spaces, defaultSpace: DEFAULT_SPACE }, 200, '获取空间列表成功');
+
+  } catch (error) {
+    console.error('❌ 获取空间列表失败:', error);
+    const appError = handleError.generic(error, { operation: 'get_spaces' });
+    return createApiResponse(null, 500, appError.getUserMessage());
+  }
+};
+
+/**
+ * 处理 OPTIONS 请求 - CORS 预检
+ */
+export const OPTIONS: APIRoute = () => {
+  return new Response(null, {
+    status: 200,
+    headers: {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+      'Access-Control-Max-Age': '86400'
+    }
+  });
+};
@@ -6,7 +6,8 @@
  */
 
 import type { APIRoute } from 'astro';
-import { kvAdapter, KV_KEYS } from '../../../data/kv-adapter.js';
+import { spaceManager } from '../../../data/space-manager.js';
+import { KV_KEYS, KVAdapter } from '../../../data/kv-adapter.js';
 import { handleError, ErrorType } from '../../../utils/error-handler.js';
 
 /**
@@ -109,14 +110,15 @@ function getDateString(timestamp: number): string {
 
 /**
  * 处理点击事件
+ * @param kv - 所属空间的 KV 适配器
  * @param event - 点击事件
  */
-async function processClickEvent(event: StatsEvent) {
+async function processClickEvent(kv: KVAdapter, event: StatsEvent) {
   const { siteId, category, timestamp } = event.data;
   const dateString = getDateString(timestamp);
   
   // 更新点击统计
-  let clickStats = await kvAdapter.get(KV_KEYS.STATS_CLICKS) || {
+  let clickStats = await kv.get(KV_KEYS.STATS_CLICKS) || {
     sites: {},
     categories: {},
     daily: {},
@@ -130,19 +132,20 @@ async function processClickEvent(event: StatsEvent) {
   clickStats.total += 1;
   clickStats.lastUpdated = Date.now();
   
-  await kvAdapter.set(KV_KEYS.STATS_CLICKS, clickStats);
+  await kv.set(KV_KEYS.STATS_CLICKS, clickStats);
 }
 
 /**
  * 处理搜索事件
+ * @param kv - 所属空间的 KV 适配器
  * @param event - 搜索事件
  */
-async function processSearchEvent(event: StatsEvent) {
+async function processSearchEvent(kv: KVAdapter, event: StatsEvent) {
   const { query, resultCount, timestamp } = event.data;
   const dateString = getDateString(timestamp);
   
   // 更新搜索统计
-  let searchStats = await kvAdapter.get(KV_KEYS.STATS_SEARCHES) || {
+  let searchStats = await kv.get(KV_KEYS.STATS_SEARCHES) || {
     keywords: {},
     daily: {},
     results: { noResults: 0, hasResults: 0 },
@@ -162,19 +165,20 @@ async function processSearchEvent(event: StatsEvent) {
   searchStats.total += 1;
   searchStats.lastUpdated = Date.now();
   
-  await kvAdapter.set(KV_KEYS.STATS_SEARCHES, searchStats);
+  await kv.set(KV_KEYS.STATS_SEARCHES, searchStats);
 }
 
 /**
  * 处理页面访问事件
+ * @param kv - 所属空间的 KV 适配器
  * @param event - 页面访问事件
  */
-async function processPageViewEvent(event: StatsEvent) {
+async function processPageViewEvent(kv: KVAdapter, event: StatsEvent) {
   const { page, userAgent, timestamp } = event.data;
   const dateString = getDateString(timestamp);
   
   // 更新页面访问统计
-  let pageStats = await kvAdapter.get(KV_KEYS.STATS_PAGES) || {
+  let pageStats = await kv.get(KV_KEYS.STATS_PAGES) || {
     pages: {},
     daily: {},
     browsers: {},
@@ -194,19 +198,20 @@ async function processPageViewEvent(event: StatsEvent) {
   pageStats.total += 1;
   pageStats.lastUpdated = Date.now();
   
-  await kvAdapter.set(KV_KEYS.STATS_PAGES, pageStats);
+  await kv.set(KV_KEYS.STATS_PAGES, pageStats);
 }
 
 /**
  * 处理分类查看事件
+ * @param kv - 所属空间的 KV 适配器
  * @param event - 分类查看事件
  */
-async function processCategoryViewEvent(event: StatsEvent) {
+async function processCategoryViewEvent(kv: KVAdapter, event: StatsEvent) {
   const { categoryId, timestamp } = event.data;
   const dateString = getDateString(timestamp);
   
   // 更新分类查看统计
-  let categoryStats = await kvAdapter.get(KV_KEYS.STATS_CATEGORIES) || {
+  let categoryStats = await kv.get(KV_KEYS.STATS_CATEGORIES) || {
     categories: {},
     daily: {},
     total: 0,
@@ -218,19 +223,20 @@ async function processCategoryViewEvent(event: StatsEvent) {
   categoryStats.total += 1;
   categoryStats.lastUpdated = Date.now();
   
-  await kvAdapter.set(KV_KEYS.STATS_CATEGORIES, categoryStats);
+  await kv.set(KV_KEYS.STATS_CATEGORIES, categoryStats);
 }
 
 /**
  * 处理时间统计事件
+ * @param kv - 所属空间的 KV 适配器
  * @param event - 时间统计事件
  */
-async function processTimeSpentEvent(event: StatsEvent) {
+async function processTimeSpentEvent(kv: KVAdapter, event: StatsEvent) {
   const { duration, page, timestamp } = event.data;
   const dateString = getDateString(timestamp);
   
   // 更新时间统计
-  let timeStats = await kvAdapter.get(KV_KEYS.STATS_TIME) || {
+  let timeStats = await kv.get(KV_KEYS.STATS_TIME) || {
     pages: {},
     daily: {},
     totalTime: 0,
@@ -244,19 +250,20 @@ async function processTimeSpentEvent(event: StatsEvent) {
   timeStats.sessions += 1;
   timeStats.lastUpdated = Date.now();
   
-  await kvAdapter.set(KV_KEYS.STATS_TIME, timeStats);
+  await kv.set(KV_KEYS.STATS_TIME, timeStats);
 }
 
 /**
  * 处理书签添加事件
+ * @param kv - 所属空间的 KV 适配器
  * @param event - 书签添加事件
  */
-async function processBookmarkAddEvent(event: StatsEvent) {
+async function processBookmarkAddEvent(kv: KVAdapter, event: StatsEvent) {
   const { category, source, timestamp } = event.data;
   const dateString = getDateString(timestamp);
   
   // 更新书签添加统计
-  let addStats = await kvAdapter.get(KV_KEYS.STATS_BOOKMARKS) || {
+  let addStats = await kv.get(KV_KEYS.STATS_BOOKMARKS) || {
     categories: {},
     sources: {},
     daily: {},
@@ -270,33 +277,34 @@ async function processBookmarkAddEvent(event: StatsEvent) {
   addStats.total += 1;
   addStats.lastUpdated = Date.now();
   
-  await kvAdapter.set(KV_KEYS.STATS_BOOKMARKS, addStats);
+  await kv.set(KV_KEYS.STATS_BOOKMARKS, addStats);
 }
 
 /**
  * 处理统计事件
+ * @param kv - 所属空间的 KV 适配器
  * @param event - 统计事件
  */
-async function processStatsEvent(event: StatsEvent) {
+async function processStatsEvent(kv: KVAdapter, event: StatsEvent) {
   try {
     switch (event.type) {
       case 'click':
-        await processClickEvent(event);
+        await processClickEvent(kv, event);
         break;
       case 'search':
-        await processSearchEvent(event);
+        await processSearchEvent(kv, event);
         break;
       case 'page_view':
-        await processPageViewEvent(event);
+        await processPageViewEvent(kv, event);
         break;
       case 'category_view':
-        await processCategoryViewEvent(event);
+        await processCategoryViewEvent(kv, event);
         break;
       case 'time_spent':
-        await processTimeSpentEvent(event);
+        await processTimeSpentEvent(kv, event);
         break;
       case 'bookmark_add':
-        await processBookmarkAddEvent(event);
+        await processBookmarkAddEvent(kv, event);
         break;
       default:
         console.warn(`未知的统计事件类型: ${event.type}`);
@@ -310,12 +318,18 @@ async function processStatsEvent(event: StatsEvent) {
 /**
  * 处理 POST 请求 - 收集统计数据
  */
-export const POST: APIRoute = async ({ request }) => {
+export const POST: APIRoute = async ({ params, request }) => {
+  const space = spaceManager.getContext(params.space);
+  if (!space) {
+    return createApiResponse(null, 404, `空间 "${params.space}" 不存在`);
+  }
+  const { kv } = space;
+
   try {
     console.log('📊 API: 收集统计数据');
     
     // 检查 KV 是否可用
-    if (!kvAdapter.isKVAvailable()) {
+    if (!kv.isKVAvailable()) {
       return createApiResponse(
         { message: '统计功能需要 KV 存储支持' },
         503,
@@ -357,7 +371,7 @@ export const POST: APIRoute = async ({ request }) => {
     
     for (const event of statsBatch.events) {
       try {
-        await processStatsEvent(event);
+        await processStatsEvent(kv, event);
         results.processed++;
       } catch (error) {
         results.failed++;
@@ -6,9 +6,12 @@
  */
 
 import type { APIRoute } from 'astro';
-import { kvAdapter, KV_KEYS } from '../../../data/kv-adapter.js';
-import { dataManager } from '../../../data/data-manager.js';
+import { spaceManager } from '../../../data/space-manager.js';
+import { KV_KEYS } from '../../../data/kv-adapter.js';
 import { handleError, ErrorType } from '../../../utils/error-handler.js';
+import { cache } from '../../../utils/cache-manager.js';
+import { checkAdminPermission } from '../../../utils/auth.js';
+import { TokenScope } from '../../../utils/api-tokens.js';
 
 /**
  * 统计概览数据结构
@@ -39,7 +42,7 @@ function createApiResponse(data: any = null, status: number = 200, message?: str
     status,
     headers: {
       'Content-Type': 'application/json',
-      'Cache-Control': 'max-age=300' // 5分钟缓存
+      'Cache-Control': 'private, max-age=300' // 5分钟缓存，需要登录，不允许共享缓存
     }
   });
 }
@@ -66,9 +69,11 @@ function calculateTrend(current: number, previous: number): number {
 
 /**
  * 获取内容统计
+ * @param space - 所属空间的存储上下文
  * @returns 内容统计数据
  */
-async function getContentStats() {
+async function getContentStats(space: any) {
+  const { dataManager } = space;
   try {
     const categories = await dataManager.getCategories();
     const sites = await dataManager.getSites();
@@ -101,11 +106,13 @@ async function getContentStats() {
 
 /**
  * 获取使用统计
+ * @param space - 所属空间的存储上下文
  * @returns 使用统计数据
  */
-async function getUsageStats() {
+async function getUsageStats(space: any) {
+  const { kv } = space;
   try {
-    if (!kvAdapter.isKVAvailable()) {
+    if (!kv.isKVAvailable()) {
       return {
         totalClicks: 0,
         totalSearches: 0,
@@ -116,8 +123,8 @@ async function getUsageStats() {
       };
     }
     
-    const clickStats = await kvAdapter.get(KV_KEYS.STATS_CLICKS) || {};
-    const searchStats = await kvAdapter.get(KV_KEYS.STATS_SEARCHES) || {};
+    const clickStats = await kv.get(KV_KEYS.STATS_CLICKS) || {};
+    const searchStats = await kv.get(KV_KEYS.STATS_SEARCHES) || {};
     
     const today = getDateString(Date.now());
     
@@ -158,11 +165,13 @@ async function getUsageStats() {
 
 /**
  * 获取趋势统计
+ * @param space - 所属空间的存储上下文
  * @returns 趋势统计数据
  */
-async function getTrendStats() {
+async function getTrendStats(space: any) {
+  const { kv } = space;
   try {
-    if (!kvAdapter.isKVAvailable()) {
+    if (!kv.isKVAvailable()) {
       return {
         clickTrend: 0,
         searchTrend: 0,
@@ -171,8 +180,8 @@ async function getTrendStats() {
       };
     }
     
-    const clickStats = await kvAdapter.get(KV_KEYS.STATS_CLICKS) || {};
-    const searchStats = await kvAdapter.get(KV_KEYS.STATS_SEARCHES) || {};
+    const clickStats = await kv.get(KV_KEYS.STATS_CLICKS) || {};
+    const searchStats = await kv.get(KV_KEYS.STATS_SEARCHES) || {};
     
     const now = Date.now();
     const today = getDateString(now);
@@ -220,11 +229,27 @@ async function getTrendStats() {
   }
 }
 
+/**
+ * 获取当前实例的缓存统计
+ * 命中率按实例内存统计，只反映处理本次请求的 Worker 实例自启动以来的情况
+ * @param space - 所属空间的存储上下文
+ * @returns 缓存统计数据
+ */
+function getCacheInfo(space: any) {
+  const stats = cache.getStats();
+  return {
+    ...stats,
+    generation: space.kv.getGenerationInfo()
+  };
+}
+
 /**
  * 获取系统信息
+ * @param space - 所属空间的存储上下文
  * @returns 系统信息
  */
-async function getSystemInfo() {
+async function getSystemInfo(space: any) {
+  const { dataManager } = space;
   try {
     const dataSourceInfo = dataManager.getDataSourceInfo();
     const metadata = await dataManager.getMetadata();
@@ -232,7 +257,9 @@ async function getSystemInfo() {
     return {
       dataSource: dataSourceInfo.source,
       kvAvailable: dataSourceInfo.isKVAvailable,
+      versionError: dataSourceInfo.versionError,
       lastDataUpdate: metadata.categories?.lastUpdated || metadata.sites?.lastUpdated || null,
+      cache: getCacheInfo(space),
       version: '1.0.0',
       environment: import.meta.env.MODE || 'production'
     };
@@ -251,20 +278,30 @@ async function getSystemInfo() {
 /**
  * 处理 GET 请求 - 获取统计概览
  */
-export const GET: APIRoute = async ({ url }) => {
+export const GET: APIRoute = async ({ params, url, request }) => {
+  const space = spaceManager.getContext(params.space);
+  if (!space) {
+    return createApiResponse(null, 404, `空间 "${params.space}" 不存在`);
+  }
+
   try {
     console.log('📊 API: 获取统计概览');
     
+    // 检查权限
+    if (!(await checkAdminPermission(request, TokenScope.STATS))) {
+      return createApiResponse(null, 403, '管理功能未启用或权限不足');
+    }
+    
     // 解析查询参数
     const searchParams = new URLSearchParams(url.search);
     const includeDetails = searchParams.get('details') === 'true';
     
     // 并行获取各种统计数据
     const [contentStats, usageStats, trendStats, systemInfo] = await Promise.all([
-      getContentStats(),
-      getUsageStats(),
-      getTrendStats(),
-      getSystemInfo()
+      getContentStats(space),
+      getUsageStats(space),
+      getTrendStats(space),
+      getSystemInfo(space)
     ]);
     
     const overview = {
@@ -285,6 +322,7 @@ export const GET: APIRoute = async ({ url }) => {
         clicksToday: usageStats.clicksToday,
         searchesToday: usageStats.searchesToday,
         dataSource: systemInfo.dataSource,
+        cache: systemInfo.cache || null,
         lastUpdated: overview.lastUpdated
       };
       
@@ -6,8 +6,11 @@
  */
 
 import type { APIRoute } from 'astro';
-import { kvAdapter, KV_KEYS } from '../../../data/kv-adapter.js';
+import { spaceManager } from '../../../data/space-manager.js';
+import { KV_KEYS } from '../../../data/kv-adapter.js';
 import { handleError, ErrorType } from '../../../utils/error-handler.js';
+import { checkAdminPermission } from '../../../utils/auth.js';
+import { TokenScope } from '../../../utils/api-tokens.js';
 
 /**
  * 搜索统计数据结构
@@ -107,10 +110,21 @@ function normalizeQuery(query: string): string {
 /**
  * 处理 GET 请求 - 获取搜索统计
  */
-export const GET: APIRoute = async ({ url }) => {
+export const GET: APIRoute = async ({ params, url, request }) => {
+  const space = spaceManager.getContext(params.space);
+  if (!space) {
+    return createApiResponse(null, 404, `空间 "${params.space}" 不存在`);
+  }
+  const { kv } = space;
+
   try {
     console.log('🔍 API: 获取搜索统计');
     
+    // 检查权限
+    if (!(await checkAdminPermission(request, TokenScope.STATS))) {
+      return createApiResponse(null, 403, '管理功能未启用或权限不足');
+    }
+    
     // 解析查询参数
     const searchParams = new URLSearchParams(url.search);
     const type = searchParams.get('type') || 'all'; // all, keywords, daily, results
@@ -118,7 +132,7 @@ export const GET: APIRoute = async ({ url }) => {
     const days = parseInt(searchParams.get('days') || '30');
     
     // 检查 KV 是否可用
-    if (!kvAdapter.isKVAvailable()) {
+    if (!kv.isKVAvailable()) {
       return createApiResponse(
         { message: '统计功能需要 KV 存储支持' },
         503,
@@ -127,7 +141,7 @@ export const GET: APIRoute = async ({ url }) => {
     }
     
     // 获取搜索统计数据
-    let searchStats = await kvAdapter.get(KV_KEYS.STATS_SEARCHES);
+    let searchStats = await kv.get(KV_KEYS.STATS_SEARCHES);
     if (!searchStats) {
       searchStats = initializeSearchStats();
     }
@@ -197,12 +211,18 @@ export const GET: APIRoute = async ({ url }) => {
 /**
  * 处理 POST 请求 - 记录搜索事件
  */
-export const POST: APIRoute = async ({ request }) => {
+export const POST: APIRoute = async ({ params, request }) => {
+  const space = spaceManager.getContext(params.space);
+  if (!space) {
+    return createApiResponse(null, 404, `空间 "${params.space}" 不存在`);
+  }
+  const { kv } = space;
+
   try {
     console.log('📝 API: 记录搜索事件');
     
     // 检查 KV 是否可用
-    if (!kvAdapter.isKVAvailable()) {
+    if (!kv.isKVAvailable()) {
       return createApiResponse(
         { message: '统计功能需要 KV 存储支持' },
         503,
@@ -238,7 +258,7 @@ export const POST: APIRoute = async ({ request }) => {
     const dateString = getDateString(timestamp);
     
     // 获取现有统计数据
-    let searchStats = await kvAdapter.get(KV_KEYS.STATS_SEARCHES);
+    let searchStats = await kv.get(KV_KEYS.STATS_SEARCHES);
     if (!searchStats) {
       searchStats = initializeSearchStats();
     }
@@ -258,7 +278,7 @@ export const POST: APIRoute = async ({ request }) => {
     searchStats.lastUpdated = Date.now();
     
     // 保存更新后的统计数据
-    await kvAdapter.set(KV_KEYS.STATS_SEARCHES, searchStats);
+    await kv.set(KV_KEYS.STATS_SEARCHES, searchStats);
     
     console.log(`✅ 搜索事件记录成功: "${normalizedQuery}" (${resultCount} 个结果)`);
     return createApiResponse(
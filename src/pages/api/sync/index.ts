@@ -0,0 +1,178 @@
+/**
+ * 静态数据同步 API 端点
+ * 支持 GET（逐条比较 navLinks.js 与 KV 中的数据）和 POST（按选择将差异同步到 KV 或生成新的 navLinks.js）操作
+ * @author Claude 4.0 sonnet
+ * @version 1.0.0
+ */
+
+import type { APIRoute } from 'astro';
+import { spaceManager } from '../../../data/space-manager.js';
+import { migrationTool } from '../../../data/migration-tool.js';
+import { handleError, ErrorType } from '../../../utils/error-handler.js';
+import { SyncDirection } from '../../../utils/static-sync.js';
+import { checkAdminPermission, getRequestActor } from '../../../utils/auth.js';
+import { TokenScope } from '../../../utils/api-tokens.js';
+
+/**
+ * 创建标准化的 API 响应
+ * @param data - 响应数据
+ * @param status - HTTP 状态码
+ * @param message - 响应消息
+ * @returns Response 对象
+ */
+function createApiResponse(data: any = null, status: number = 200, message?: string) {
+  const response = {
+    success: status >= 200 && status < 300,
+    data,
+    message,
+    timestamp: new Date().toISOString()
+  };
+
+  return new Response(JSON.stringify(response), {
+    status,
+    headers: {
+      'Content-Type': 'application/json',
+      'Cache-Control': 'no-cache'
+    }
+  });
+}
+
+/**
+ * 检查 ID 列表格式
+ * @param value - 请求中的 ID 列表
+ * @returns 是否有效
+ */
+function isIdList(value: any): boolean {
+  return value === undefined || (Array.isArray(value) && value.every(id => typeof id === 'string'));
+}
+
+/**
+ * 处理 GET 请求 - 获取差异报告
+ */
+export const GET: APIRoute = async ({ params, request }) => {
+  const space = spaceManager.getContext(params.space);
+  if (!space) {
+    return createApiResponse(null, 404, `空间 "${params.space}" 不存在`);
+  }
+  const { dataManager } = space;
+
+  try {
+    console.log('🔀 API: 比较静态数据与 KV');
+
+    // 检查权限
+    if (!(await checkAdminPermission(request, TokenScope.READ))) {
+      return createApiResponse(null, 403, '管理功能未启用或权限不足');
+    }
+
+    const report = await migrationTool.diffWithStatic(dataManager);
+    const { categories, sites } = report;
+    console.log(`✅ 差异: 分类 ${categories.entries.length} 项，书签 ${sites.entries.length} 项`);
+
+    return createApiResponse(
+      { ...report, persistent: dataManager.isPersistent() },
+      200,
+      '获取差异报告成功'
+    );
+
+  } catch (error) {
+    console.error('❌ 比较静态数据失败:', error);
+    const appError = handleError.generic(error, { operation: 'diff_static_data' });
+    return createApiResponse(null, 500, appError.getUserMessage());
+  }
+};
+
+/**
+ * 处理 POST 请求 - 同步选中的差异
+ * 请求体为 { direction, categories?: string[], sites?: string[], revisions?: { categories, sites } }：
+ * direction 为 to_kv 时以 navLinks.js 为准写入 KV；为 to_static 时以 KV 为准返回修改后的 navLinks.js 源码
+ */
+export const POST: APIRoute = async ({ params, request }) => {
+  const space = spaceManager.getContext(params.space);
+  if (!space) {
+    return createApiResponse(null, 404, `空间 "${params.space}" 不存在`);
+  }
+  const { dataManager } = space;
+
+  try {
+    console.log('🔀 API: 同步静态数据');
+
+    // 检查权限
+    if (!(await checkAdminPermission(request))) {
+      return createApiResponse(null, 403, '管理功能未启用或权限不足');
+    }
+
+    // 解析请求数据
+    const contentType = request.headers.get('content-type');
+    if (!contentType?.includes('application/json')) {
+      return createApiResponse(null, 400, '请求内容类型必须是 application/json');
+    }
+
+    let syncData;
+    try {
+      syncData = await request.json();
+    } catch {
+      return createApiResponse(null, 400, '请求数据格式无效');
+    }
+
+    const { direction, categories, sites, revisions } = syncData || {};
+    if (!Object.values(SyncDirection).includes(direction)) {
+      return createApiResponse(null, 400, `不支持的同步方向，可选值: ${Object.values(SyncDirection).join(', ')}`);
+    }
+    if (!isIdList(categories) || !isIdList(sites)) {
+      return createApiResponse(null, 400, 'categories 和 sites 必须是 ID 数组');
+    }
+    if (!categories?.length && !sites?.length) {
+      return createApiResponse(null, 400, '请至少选择一项差异');
+    }
+
+    const selection = { categories: categories || [], sites: sites || [] };
+
+    if (direction === SyncDirection.TO_STATIC) {
+      const { code, applied } = await migrationTool.generateSyncedStaticCode(selection, dataManager);
+      console.log(`✅ 已生成 navLinks.js: 分类 ${applied.categories} 项，书签 ${applied.sites} 项`);
+      return createApiResponse({ code, filename: 'navLinks.js', applied }, 200, '已生成新的 navLinks.js');
+    }
+
+    if (!dataManager.isPersistent()) {
+      return createApiResponse(null, 503, 'KV 存储不可用，当前使用静态数据，无需同步');
+    }
+
+    const result = await migrationTool.syncStaticToKV(selection, {
+      ...getRequestActor(request, 'static_sync'),
+      manager: dataManager,
+      expectedRevisions: revisions || {}
+    });
+
+    console.log(`✅ 已同步到 KV: 分类 ${result.applied.categories} 项，书签 ${result.applied.sites} 项`);
+    return createApiResponse(result, 200, '已将选中的差异同步到 KV');
+
+  } catch (error) {
+    console.error('❌ 同步静态数据失败:', error);
+
+    if (error.type === ErrorType.CONFLICT) {
+      return createApiResponse(error.details || null, 409, error.getUserMessage());
+    }
+
+    if (error.type === ErrorType.VALIDATION) {
+      return createApiResponse({ reason: error.message }, 400, error.getUserMessage());
+    }
+
+    const appError = handleError.generic(error, { operation: 'sync_static_data' });
+    return createApiResponse(null, 500, appError.getUserMessage());
+  }
+};
+
+/**
+ * 处理 OPTIONS 请求 - CORS 预检
+ */
+export const OPTIONS: APIRoute = () => {
+  return new Response(null, {
+    status: 200,
+    headers: {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+      'Access-Control-Max-Age': '86400'
+    }
+  });
+};
@@ -0,0 +1,81 @@
+/**
+ * 标签列表 API 端点
+ * 支持 GET（获取所有标签及其书签数量）
+ * @author Claude 4.0 sonnet
+ * @version 1.0.0
+ */
+
+import type { APIRoute } from 'astro';
+import { spaceManager } from '../../../data/space-manager.js';
+import { handleError } from '../../../utils/error-handler.js';
+import { formatETag } from '../../../utils/etag.js';
+
+/**
+ * 创建标准化的 API 响应
+ * @param data - 响应数据
+ * @param status - HTTP 状态码
+ * @param message - 响应消息
+ * @param revision - 书签集合版本号（提供时同时返回 ETag）
+ * @returns Response 对象
+ */
+function createApiResponse(data: any = null, status: number = 200, message?: string, revision?: number) {
+  const response = {
+    success: status >= 200 && status < 300,
+    data,
+    message,
+    revision,
+    timestamp: new Date().toISOString()
+  };
+  
+  const headers: Record<string, string> = {
+    'Content-Type': 'application/json',
+    'Cache-Control': 'no-cache'
+  };
+  if (revision !== undefined) {
+    headers['ETag'] = formatETag('sites', revision);
+  }
+  
+  return new Response(JSON.stringify(response), { status, headers });
+}
+
+/**
+ * 处理 GET 请求 - 获取标签列表
+ */
+export const GET: APIRoute = async ({ params }) => {
+  const space = spaceManager.getContext(params.space);
+  if (!space) {
+    return createApiResponse(null, 404, `空间 "${params.space}" 不存在`);
+  }
+  const { dataManager } = space;
+
+  try {
+    console.log('🏷️ API: 获取标签列表');
+    
+    const tags = await dataManager.getTags();
+    const revision = await dataManager.getRevision('sites');
+    
+    console.log(`✅ 返回 ${tags.length} 个标签`);
+    return createApiResponse({ tags, total: tags.length }, 200, '获取标签列表成功', revision);
+    
+  } catch (error) {
+    console.error('❌ 获取标签列表失败:', error);
+    const appError = handleError.generic(error, { operation: 'get_tags' });
+    return createApiResponse(null, 500, appError.getUserMessage());
+  }
+};
+
+/**
+ * 处理 OPTIONS 请求 - CORS 预检
+ */
+export const OPTIONS: APIRoute = () => {
+  return new Response(null, {
+    status: 200,
+    headers: {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+      'Access-Control-Expose-Headers': 'ETag',
+      'Access-Control-Max-Age': '86400'
+    }
+  });
+};
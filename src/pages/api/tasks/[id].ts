@@ -0,0 +1,89 @@
+/**
+ * 单个定时任务 API 端点
+ * 支持 POST（立即执行任务）操作
+ * @author Claude 4.0 sonnet
+ * @version 1.0.0
+ */
+
+import type { APIRoute } from 'astro';
+import { taskScheduler, TaskTrigger, TaskStatus } from '../../../data/task-scheduler.js';
+import { handleError, ErrorType } from '../../../utils/error-handler.js';
+import { checkAdminPermission } from '../../../utils/auth.js';
+
+/**
+ * 创建标准化的 API 响应
+ * @param data - 响应数据
+ * @param status - HTTP 状态码
+ * @param message - 响应消息
+ * @returns Response 对象
+ */
+function createApiResponse(data: any = null, status: number = 200, message?: string) {
+  const response = {
+    success: status >= 200 && status < 300,
+    data,
+    message,
+    timestamp: new Date().toISOString()
+  };
+  
+  return new Response(JSON.stringify(response), {
+    status,
+    headers: {
+      'Content-Type': 'application/json',
+      'Cache-Control': 'no-cache'
+    }
+  });
+}
+
+/**
+ * 处理 POST 请求 - 立即执行定时任务
+ * 任务在所有空间中依次执行，完成后返回本次执行记录
+ */
+export const POST: APIRoute = async ({ params, request }) => {
+  try {
+    const { id } = params;
+    console.log(`⏰ API: 立即执行定时任务 ${id}`);
+    
+    // 检查权限
+    if (!(await checkAdminPermission(request))) {
+      return createApiResponse(null, 403, '管理功能未启用或权限不足');
+    }
+    
+    const task = taskScheduler.getTask(id);
+    if (!task) {
+      return createApiResponse(null, 404, '定时任务不存在');
+    }
+    
+    const result = await taskScheduler.runTask(id, { trigger: TaskTrigger.MANUAL, actor: 'admin' });
+    
+    return createApiResponse(
+      { result },
+      200,
+      result.lastStatus === TaskStatus.ERROR ? `任务 "${task.name}" 执行出错: ${result.lastError}` : `任务 "${task.name}" 执行完成`
+    );
+    
+  } catch (error) {
+    console.error('❌ 执行定时任务失败:', error);
+    
+    if (error.type === ErrorType.CONFLICT) {
+      return createApiResponse({ reason: error.message, ...error.details }, 409, error.message);
+    }
+    
+    const appError = handleError.generic(error, { operation: 'run_task' });
+    return createApiResponse(null, 500, appError.getUserMessage());
+  }
+};
+
+/**
+ * 处理 OPTIONS 请求 - CORS 预检
+ */
+export const OPTIONS: APIRoute = () => {
+  return new Response(null, {
+    status: 200,
+    headers: {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'POST, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+      'Access-Control-Max-Age': '86400'
+    }
+  });
+};
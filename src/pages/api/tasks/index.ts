@@ -0,0 +1,85 @@
+/**
+ * 定时任务 API 端点
+ * 支持 GET（获取定时任务列表和最近一次执行状态）操作
+ * @author Claude 4.0 sonnet
+ * @version 1.0.0
+ */
+
+import type { APIRoute } from 'astro';
+import { taskScheduler } from '../../../data/task-scheduler.js';
+import { kvAdapter } from '../../../data/kv-adapter.js';
+import { handleError } from '../../../utils/error-handler.js';
+import { checkAdminPermission } from '../../../utils/auth.js';
+import { TokenScope } from '../../../utils/api-tokens.js';
+
+/**
+ * 创建标准化的 API 响应
+ * @param data - 响应数据
+ * @param status - HTTP 状态码
+ * @param message - 响应消息
+ * @returns Response 对象
+ */
+function createApiResponse(data: any = null, status: number = 200, message?: string) {
+  const response = {
+    success: status >= 200 && status < 300,
+    data,
+    message,
+    timestamp: new Date().toISOString()
+  };
+  
+  return new Response(JSON.stringify(response), {
+    status,
+    headers: {
+      'Content-Type': 'application/json',
+      'Cache-Control': 'no-cache'
+    }
+  });
+}
+
+/**
+ * 处理 GET 请求 - 获取定时任务列表
+ */
+export const GET: APIRoute = async ({ request }) => {
+  try {
+    console.log('⏰ API: 获取定时任务列表');
+    
+    // 检查权限
+    if (!(await checkAdminPermission(request, TokenScope.READ))) {
+      return createApiResponse(null, 403, '管理功能未启用或权限不足');
+    }
+    
+    const tasks = await taskScheduler.list();
+    
+    console.log(`✅ 返回 ${tasks.length} 个定时任务`);
+    return createApiResponse(
+      {
+        tasks,
+        crons: taskScheduler.getCrons(),
+        // 存储不可用时无法保存执行记录
+        storageAvailable: kvAdapter.isKVAvailable()
+      },
+      200,
+      '获取定时任务列表成功'
+    );
+    
+  } catch (error) {
+    console.error('❌ 获取定时任务列表失败:', error);
+    const appError = handleError.generic(error, { operation: 'list_tasks' });
+    return createApiResponse(null, 500, appError.getUserMessage());
+  }
+};
+
+/**
+ * 处理 OPTIONS 请求 - CORS 预检
+ */
+export const OPTIONS: APIRoute = () => {
+  return new Response(null, {
+    status: 200,
+    headers: {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+      'Access-Control-Max-Age': '86400'
+    }
+  });
+};
@@ -0,0 +1,82 @@
+/**
+ * 单个 API 令牌 API 端点
+ * 支持 DELETE（撤销令牌）操作，仅限管理员会话
+ * @author Claude 4.0 sonnet
+ * @version 1.0.0
+ */
+
+import type { APIRoute } from 'astro';
+import { apiTokenManager } from '../../../data/api-token-manager.js';
+import { handleError } from '../../../utils/error-handler.js';
+import { checkAdminPermission } from '../../../utils/auth.js';
+
+/**
+ * 创建标准化的 API 响应
+ * @param data - 响应数据
+ * @param status - HTTP 状态码
+ * @param message - 响应消息
+ * @returns Response 对象
+ */
+function createApiResponse(data: any = null, status: number = 200, message?: string) {
+  const response = {
+    success: status >= 200 && status < 300,
+    data,
+    message,
+    timestamp: new Date().toISOString()
+  };
+
+  return new Response(JSON.stringify(response), {
+    status,
+    headers: {
+      'Content-Type': 'application/json',
+      'Cache-Control': 'no-store'
+    }
+  });
+}
+
+/**
+ * 处理 DELETE 请求 - 撤销令牌
+ */
+export const DELETE: APIRoute = async ({ params, request }) => {
+  try {
+    const tokenId = params.id;
+    console.log(`🗑️ API: 撤销 API 令牌 - ${tokenId}`);
+
+    // 检查权限
+    if (!(await checkAdminPermission(request))) {
+      return createApiResponse(null, 403, '管理功能未启用或权限不足');
+    }
+
+    if (!tokenId) {
+      return createApiResponse(null, 400, '令牌 ID 是必需的');
+    }
+
+    const revoked = await apiTokenManager.revoke(tokenId);
+    if (!revoked) {
+      return createApiResponse(null, 404, `API 令牌 "${tokenId}" 不存在`);
+    }
+
+    console.log(`✅ API 令牌已撤销: ${tokenId}`);
+    return createApiResponse(null, 200, 'API 令牌已撤销');
+
+  } catch (error) {
+    console.error('❌ 撤销 API 令牌失败:', error);
+    const appError = handleError.generic(error, { operation: 'revoke_api_token', id: params.id });
+    return createApiResponse(null, 500, appError.getUserMessage());
+  }
+};
+
+/**
+ * 处理 OPTIONS 请求 - CORS 预检
+ */
+export const OPTIONS: APIRoute = () => {
+  return new Response(null, {
+    status: 200,
+    headers: {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'DELETE, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+      'Access-Control-Max-Age': '86400'
+    }
+  });
+};
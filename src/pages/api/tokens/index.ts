@@ -0,0 +1,117 @@
+/**
+ * API 令牌 API 端点
+ * 支持 GET（获取令牌列表）和 POST（创建令牌）操作，仅限管理员会话，令牌不能管理令牌
+ * @author Claude 4.0 sonnet
+ * @version 1.0.0
+ */
+
+import type { APIRoute } from 'astro';
+import { apiTokenManager } from '../../../data/api-token-manager.js';
+import { kvAdapter } from '../../../data/kv-adapter.js';
+import { TOKEN_SCOPES, MAX_TOKEN_EXPIRY_DAYS } from '../../../utils/api-tokens.js';
+import { handleError, ErrorType } from '../../../utils/error-handler.js';
+import { checkAdminPermission } from '../../../utils/auth.js';
+
+/**
+ * 创建标准化的 API 响应
+ * @param data - 响应数据
+ * @param status - HTTP 状态码
+ * @param message - 响应消息
+ * @returns Response 对象
+ */
+function createApiResponse(data: any = null, status: number = 200, message?: string) {
+  const response = {
+    success: status >= 200 && status < 300,
+    data,
+    message,
+    timestamp: new Date().toISOString()
+  };
+
+  return new Response(JSON.stringify(response), {
+    status,
+    headers: {
+      'Content-Type': 'application/json',
+      'Cache-Control': 'no-store'
+    }
+  });
+}
+
+/**
+ * 处理 GET 请求 - 获取令牌列表
+ */
+export const GET: APIRoute = async ({ request }) => {
+  try {
+    console.log('🔑 API: 获取 API 令牌列表');
+
+    // 检查权限
+    if (!(await checkAdminPermission(request))) {
+      return createApiResponse(null, 403, '管理功能未启用或权限不足');
+    }
+
+    const tokens = await apiTokenManager.list();
+
+    return createApiResponse({
+      tokens,
+      scopes: TOKEN_SCOPES,
+      maxExpiryDays: MAX_TOKEN_EXPIRY_DAYS,
+      storageAvailable: kvAdapter.isKVAvailable()
+    }, 200, `共有 ${tokens.length} 个 API 令牌`);
+
+  } catch (error) {
+    console.error('❌ 获取 API 令牌列表失败:', error);
+    const appError = handleError.generic(error, { operation: 'list_api_tokens' });
+    return createApiResponse(null, 500, appError.getUserMessage());
+  }
+};
+
+/**
+ * 处理 POST 请求 - 创建令牌
+ * 请求体为 { name, scopes, expiresInDays }，令牌明文只在响应中返回一次
+ */
+export const POST: APIRoute = async ({ request }) => {
+  try {
+    console.log('🔑 API: 创建 API 令牌');
+
+    // 检查权限
+    if (!(await checkAdminPermission(request))) {
+      return createApiResponse(null, 403, '管理功能未启用或权限不足');
+    }
+
+    let body: any;
+    try {
+      body = await request.json();
+    } catch {
+      return createApiResponse(null, 400, '请求数据格式无效');
+    }
+
+    const { token, secret } = await apiTokenManager.create(body, 'admin');
+
+    console.log(`✅ API 令牌创建成功: ${token.id}`);
+    return createApiResponse({ token, secret }, 201, 'API 令牌创建成功，请立即复制保存，之后将无法再次查看');
+
+  } catch (error) {
+    console.error('❌ 创建 API 令牌失败:', error);
+
+    if (error.type === ErrorType.VALIDATION) {
+      return createApiResponse({ reason: error.message, ...error.details }, 400, error.getUserMessage());
+    }
+
+    const appError = handleError.generic(error, { operation: 'create_api_token' });
+    return createApiResponse(null, 500, appError.getUserMessage());
+  }
+};
+
+/**
+ * 处理 OPTIONS 请求 - CORS 预检
+ */
+export const OPTIONS: APIRoute = () => {
+  return new Response(null, {
+    status: 200,
+    headers: {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+      'Access-Control-Max-Age': '86400'
+    }
+  });
+};
@@ -0,0 +1,133 @@
+/**
+ * 回收站条目 API 端点
+ * 支持 POST（恢复条目）和 DELETE（彻底删除条目）操作
+ * @author Claude 4.0 sonnet
+ * @version 1.0.0
+ */
+
+import type { APIRoute } from 'astro';
+import { spaceManager } from '../../../data/space-manager.js';
+import { handleError, ErrorType } from '../../../utils/error-handler.js';
+import { checkAdminPermission, getRequestActor } from '../../../utils/auth.js';
+import { TokenScope } from '../../../utils/api-tokens.js';
+
+/**
+ * 创建标准化的 API 响应
+ * @param data - 响应数据
+ * @param status - HTTP 状态码
+ * @param message - 响应消息
+ * @returns Response 对象
+ */
+function createApiResponse(data: any = null, status: number = 200, message?: string) {
+  const response = {
+    success: status >= 200 && status < 300,
+    data,
+    message,
+    timestamp: new Date().toISOString()
+  };
+  
+  return new Response(JSON.stringify(response), {
+    status,
+    headers: {
+      'Content-Type': 'application/json',
+      'Cache-Control': 'no-cache'
+    }
+  });
+}
+
+/**
+ * 处理 POST 请求 - 恢复回收站条目
+ */
+export const POST: APIRoute = async ({ params, request }) => {
+  const space = spaceManager.getContext(params.space);
+  if (!space) {
+    return createApiResponse(null, 404, `空间 "${params.space}" 不存在`);
+  }
+  const { dataManager } = space;
+
+  try {
+    const trashId = params.id;
+    console.log(`♻️ API: 恢复回收站条目 - ${trashId}`);
+    
+    // 检查权限
+    if (!(await checkAdminPermission(request, TokenScope.BOOKMARKS_WRITE))) {
+      return createApiResponse(null, 403, '管理功能未启用或权限不足');
+    }
+    
+    if (!trashId) {
+      return createApiResponse(null, 400, '回收站条目 ID 是必需的');
+    }
+    
+    const result = await dataManager.restoreFromTrash(trashId, getRequestActor(request, 'trash'));
+    
+    console.log(`✅ 回收站条目恢复成功: ${trashId}`);
+    return createApiResponse(result, 200, '恢复成功');
+    
+  } catch (error) {
+    console.error('❌ 恢复回收站条目失败:', error);
+    
+    if (error.type === ErrorType.CONFLICT) {
+      return createApiResponse(error.details, 409, error.getUserMessage());
+    }
+    
+    if (error.type === ErrorType.VALIDATION) {
+      return createApiResponse({ reason: error.message }, 400, error.getUserMessage());
+    }
+    
+    const appError = handleError.generic(error, { operation: 'restore_trash', id: params.id });
+    return createApiResponse(null, 500, appError.getUserMessage());
+  }
+};
+
+/**
+ * 处理 DELETE 请求 - 彻底删除回收站条目
+ */
+export const DELETE: APIRoute = async ({ params, request }) => {
+  const space = spaceManager.getContext(params.space);
+  if (!space) {
+    return createApiResponse(null, 404, `空间 "${params.space}" 不存在`);
+  }
+  const { trashManager } = space;
+
+  try {
+    const trashId = params.id;
+    console.log(`🗑️ API: 彻底删除回收站条目 - ${trashId}`);
+    
+    // 检查权限
+    if (!(await checkAdminPermission(request, TokenScope.BOOKMARKS_WRITE))) {
+      return createApiResponse(null, 403, '管理功能未启用或权限不足');
+    }
+    
+    if (!trashId) {
+      return createApiResponse(null, 400, '回收站条目 ID 是必需的');
+    }
+    
+    const removed = await trashManager.remove([trashId]);
+    if (removed === 0) {
+      return createApiResponse(null, 404, `回收站条目 "${trashId}" 不存在`);
+    }
+    
+    console.log(`✅ 回收站条目已彻底删除: ${trashId}`);
+    return createApiResponse(null, 200, '已彻底删除');
+    
+  } catch (error) {
+    console.error('❌ 彻底删除回收站条目失败:', error);
+    const appError = handleError.generic(error, { operation: 'purge_trash', id: params.id });
+    return createApiResponse(null, 500, appError.getUserMessage());
+  }
+};
+
+/**
+ * 处理 OPTIONS 请求 - CORS 预检
+ */
+export const OPTIONS: APIRoute = () => {
+  return new Response(null, {
+    status: 200,
+    headers: {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'POST, DELETE, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+      'Access-Control-Max-Age': '86400'
+    }
+  });
+};
@@ -0,0 +1,120 @@
+/**
+ * 回收站 API 端点
+ * 支持 GET（获取回收站列表）和 DELETE（清空回收站）操作
+ * @author Claude 4.0 sonnet
+ * @version 1.0.0
+ */
+
+import type { APIRoute } from 'astro';
+import { spaceManager } from '../../../data/space-manager.js';
+import { handleError } from '../../../utils/error-handler.js';
+import { checkAdminPermission } from '../../../utils/auth.js';
+import { TokenScope } from '../../../utils/api-tokens.js';
+
+/**
+ * 创建标准化的 API 响应
+ * @param data - 响应数据
+ * @param status - HTTP 状态码
+ * @param message - 响应消息
+ * @returns Response 对象
+ */
+function createApiResponse(data: any = null, status: number = 200, message?: string) {
+  const response = {
+    success: status >= 200 && status < 300,
+    data,
+    message,
+    timestamp: new Date().toISOString()
+  };
+  
+  return new Response(JSON.stringify(response), {
+    status,
+    headers: {
+      'Content-Type': 'application/json',
+      'Cache-Control': 'no-cache'
+    }
+  });
+}
+
+/**
+ * 处理 GET 请求 - 获取回收站列表
+ */
+export const GET: APIRoute = async ({ params, request, url }) => {
+  const space = spaceManager.getContext(params.space);
+  if (!space) {
+    return createApiResponse(null, 404, `空间 "${params.space}" 不存在`);
+  }
+  const { trashManager } = space;
+
+  try {
+    console.log('🗑️ API: 获取回收站列表');
+    
+    // 检查权限
+    if (!(await checkAdminPermission(request, TokenScope.READ))) {
+      return createApiResponse(null, 403, '管理功能未启用或权限不足');
+    }
+    
+    const type = new URLSearchParams(url.search).get('type');
+    if (type && !['sites', 'categories'].includes(type)) {
+      return createApiResponse(null, 400, '类型必须是 sites 或 categories');
+    }
+    
+    // 获取列表时会自动清理过期条目
+    const items = await trashManager.list(type);
+    
+    console.log(`✅ 回收站共有 ${items.length} 个条目`);
+    return createApiResponse({
+      items,
+      ...trashManager.getInfo()
+    }, 200, '获取回收站列表成功');
+    
+  } catch (error) {
+    console.error('❌ 获取回收站列表失败:', error);
+    const appError = handleError.generic(error, { operation: 'get_trash' });
+    return createApiResponse(null, 500, appError.getUserMessage());
+  }
+};
+
+/**
+ * 处理 DELETE 请求 - 清空回收站
+ */
+export const DELETE: APIRoute = async ({ params, request }) => {
+  const space = spaceManager.getContext(params.space);
+  if (!space) {
+    return createApiResponse(null, 404, `空间 "${params.space}" 不存在`);
+  }
+  const { trashManager } = space;
+
+  try {
+    console.log('🧹 API: 清空回收站');
+    
+    // 检查权限
+    if (!(await checkAdminPermission(request))) {
+      return createApiResponse(null, 403, '管理功能未启用或权限不足');
+    }
+    
+    const purged = await trashManager.empty();
+    
+    console.log(`✅ 回收站已清空: ${purged} 个条目`);
+    return createApiResponse({ purged }, 200, '回收站已清空');
+    
+  } catch (error) {
+    console.error('❌ 清空回收站失败:', error);
+    const appError = handleError.generic(error, { operation: 'empty_trash' });
+    return createApiResponse(null, 500, appError.getUserMessage());
+  }
+};
+
+/**
+ * 处理 OPTIONS 请求 - CORS 预检
+ */
+export const OPTIONS: APIRoute = () => {
+  return new Response(null, {
+    status: 200,
+    headers: {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET, DELETE, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+      'Access-Control-Max-Age': '86400'
+    }
+  });
+};
@@ -19,6 +19,38 @@ const DEFAULT_CONFIG = {
   }
 };
 
+/**
+ * 按导航空间区分的 API 路径（/api/<路径> 在其他空间中对应 /api/spaces/<空间>/<路径>）
+ */
+const SPACE_SCOPED_PATHS = [
+  'bookmarks', 'categories', 'tags', 'settings', 'stats', 'trash',
+  'history', 'backups', 'export', 'import', 'overrides', 'health', 'sync'
+];
+
+/**
+ * 获取当前页面所属的导航空间
+ * 首页由服务端在 <html data-space> 上标记，后台页面由布局根据管理员选择的空间标记
+ * @returns {string|null} 默认空间返回 null
+ */
+export function getCurrentSpace() {
+  if (typeof document === 'undefined') return null;
+  const space = document.documentElement.dataset.space;
+  return space && space !== 'default' ? space : null;
+}
+
+/**
+ * 将 API 路径转换为当前空间的路径
+ * @param {string} url - 请求 URL
+ * @param {string|null} space - 空间 ID，默认使用当前页面所属空间
+ * @returns {string}
+ */
+export function resolveApiUrl(url, space = getCurrentSpace()) {
+  if (!space || typeof url !== 'string') return url;
+  const match = url.match(/^\/api\/([a-z]+)(?=[/?]|$)/);
+  if (!match || !SPACE_SCOPED_PATHS.includes(match[1])) return url;
+  return `/api/spaces/${encodeURIComponent(space)}${url.slice(4)}`;
+}
+
 /**
  * API 请求限流管理
  */
@@ -87,6 +119,7 @@ export class ApiClient {
    * @returns {Promise<Response>}
    */
   async request(url, options = {}) {
+    url = resolveApiUrl(url);
     const requestKey = `${options.method || 'GET'}_${url}`;
     
     // 检查请求限流
@@ -102,8 +135,8 @@ export class ApiClient {
 
       const requestOptions = {
         signal: controller.signal,
-        headers: { ...this.config.headers, ...options.headers },
-        ...options
+        ...options,
+        headers: { ...this.config.headers, ...options.headers }
       };
 
       console.log(`发起 API 请求: ${options.method || 'GET'} ${url}`);
@@ -112,7 +145,11 @@ export class ApiClient {
       clearTimeout(timeoutId);
 
       if (!response.ok) {
-        throw new Error(`请求失败: ${response.status} ${response.statusText}`);
+        // 附带状态码和响应体，便于调用方处理 409 冲突等业务错误
+        const error = new Error(`请求失败: ${response.status} ${response.statusText}`);
+        error.status = response.status;
+        error.body = await response.json().catch(() => null);
+        throw error;
       }
 
       console.log(`API 请求成功: ${url}`);
@@ -171,6 +208,22 @@ export class ApiClient {
     return response.json();
   }
 
+  /**
+   * PATCH 请求
+   * @param {string} url - 请求 URL
+   * @param {any} data - 请求数据
+   * @param {Object} options - 请求选项
+   * @returns {Promise<any>}
+   */
+  async patch(url, data, options = {}) {
+    const response = await this.request(url, {
+      ...options,
+      method: 'PATCH',
+      body: JSON.stringify(data)
+    });
+    return response.json();
+  }
+
   /**
    * DELETE 请求
    * @param {string} url - 请求 URL
@@ -212,6 +265,7 @@ export const api = {
   get: (url, options) => apiClient.get(url, options),
   post: (url, data, options) => apiClient.post(url, data, options),
   put: (url, data, options) => apiClient.put(url, data, options),
+  patch: (url, data, options) => apiClient.patch(url, data, options),
   delete: (url, options) => apiClient.delete(url, options),
   
   // 带重试的请求
@@ -0,0 +1,53 @@
+/**
+ * API 令牌权限定义
+ * 服务端校验和后台令牌管理页面共用，令牌只能访问所授予权限对应的接口
+ * @author Claude 4.0 sonnet
+ * @version 1.0.0
+ */
+
+/**
+ * 令牌权限枚举
+ */
+export const TokenScope = {
+  READ: 'read',                        // 读取后台数据（回收站、历史、备份、链接检查结果等）
+  BOOKMARKS_WRITE: 'bookmarks:write',  // 创建、修改、删除、排序书签和分类
+  STATS: 'stats',                      // 读取访问统计
+  AI: 'ai',                            // AI 智能整理
+  IMPORT_EXPORT: 'import-export'       // 导入和导出书签
+};
+
+/**
+ * 权限说明，按显示顺序排列
+ */
+export const TOKEN_SCOPES = [
+  { id: TokenScope.READ, label: '读取', description: '读取回收站、变更历史、备份列表、链接检查结果等后台数据' },
+  { id: TokenScope.BOOKMARKS_WRITE, label: '写入书签', description: '创建、修改、删除、排序书签和分类，恢复回收站条目' },
+  { id: TokenScope.STATS, label: '统计', description: '读取访问统计' },
+  { id: TokenScope.AI, label: 'AI', description: '调用 AI 智能整理' },
+  { id: TokenScope.IMPORT_EXPORT, label: '导入导出', description: '导入和导出书签' }
+];
+
+/**
+ * 令牌前缀，便于在日志和密钥扫描中识别
+ */
+export const API_TOKEN_PREFIX = 'cnav_';
+
+/**
+ * 令牌最长有效天数
+ */
+export const MAX_TOKEN_EXPIRY_DAYS = 365;
+
+/**
+ * 校验权限列表
+ * @param {Array} scopes - 权限列表
+ * @returns {string[]} 错误信息
+ */
+export function validateScopes(scopes) {
+  if (scopes.length === 0) {
+    return ['至少需要选择一项令牌权限'];
+  }
+  const known = Object.values(TokenScope);
+  return scopes
+    .filter(scope => !known.includes(scope))
+    .map(scope => `未知的令牌权限: ${scope}`);
+}
@@ -0,0 +1,56 @@
+/**
+ * 管理接口权限检查
+ * 所有管理接口共用同一处判断：管理功能已启用（ENABLE_ADMIN），且请求携带有效的管理员会话，
+ * 或携带具有接口所需权限的 API 令牌（Authorization: Bearer）。
+ * 通过检查的请求会记住其身份，写入变更历史时据此区分管理员会话和具体的 API 令牌
+ * @author Claude 4.0 sonnet
+ * @version 1.0.0
+ */
+
+import { authorizeRequest, getBearerToken } from '../data/api-token-manager.js';
+
+/**
+ * 已通过权限检查的请求 -> 操作者名称
+ * @type {WeakMap<Request, string>}
+ */
+const requestActors = new WeakMap();
+
+/**
+ * 检查管理权限：管理功能已启用，且请求携带有效的管理员会话或具有相应权限的 API 令牌
+ * @param {Request} request - 请求对象
+ * @param {string} [scope] - 接受的 API 令牌权限（TokenScope），未指定时仅限管理员会话
+ * @returns {Promise<boolean>} 是否有权限
+ */
+export async function checkAdminPermission(request, scope) {
+  const isAdminEnabled = import.meta.env.ENABLE_ADMIN === 'true';
+  if (!isAdminEnabled) {
+    return false;
+  }
+
+  const principal = await authorizeRequest(request, scope);
+  if (!principal) {
+    return false;
+  }
+
+  // 携带 Bearer 令牌时 authorizeRequest 只按令牌判断，返回的是令牌信息
+  requestActors.set(
+    request,
+    getBearerToken(request) ? `api-token:${principal.id} (${principal.name})` : 'admin'
+  );
+  return true;
+}
+
+/**
+ * 获取操作者信息，用于写入变更历史
+ * 管理员会话记为 admin，API 令牌记为 api-token:<令牌 ID> (<令牌名称>)；需在 checkAdminPermission 通过后调用
+ * @param {Request} request - 请求对象
+ * @param {string} [source] - 修改来源
+ * @returns {{actor: string, ip: string|undefined, source: string}}
+ */
+export function getRequestActor(request, source = 'api') {
+  return {
+    actor: requestActors.get(request) || 'unknown',
+    ip: request.headers.get('CF-Connecting-IP') || undefined,
+    source
+  };
+}
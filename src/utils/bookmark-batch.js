@@ -0,0 +1,128 @@
+/**
+ * 书签批量操作工具
+ * 一批创建、更新、删除、移动操作按顺序在内存中的书签列表上执行，
+ * 每个操作单独记录结果，最终只写入一次
+ * @author Claude 4.0 sonnet
+ * @version 1.0.0
+ */
+
+import { getNextOrder } from './ordering.js';
+import { normalizeUrl } from './url-normalizer.js';
+
+/**
+ * 支持的批量操作类型
+ */
+export const BatchOperation = {
+  CREATE: 'create', // { op, site }
+  UPDATE: 'update', // { op, id, changes }
+  DELETE: 'delete', // { op, id }
+  MOVE: 'move'      // { op, id, category }
+};
+
+/**
+ * 单次批量请求允许的最大操作数
+ */
+export const MAX_BATCH_OPERATIONS = 500;
+
+/**
+ * 在书签列表上执行单个操作，所有检查通过后才修改列表
+ * @param {Array} sites - 当前书签列表（会被修改）
+ * @param {Set<string>} categoryIds - 已存在的分类 ID
+ * @param {Object} operation - 操作
+ * @param {Array} removed - 被删除的书签（会被修改）
+ * @param {number} now - 修改时间戳
+ * @returns {string|null} 错误信息，成功时返回 null
+ */
+function applyOperation(sites, categoryIds, operation, removed, now) {
+  const checkCategory = (category) => (
+    category !== undefined && !categoryIds.has(category) ? `分类 "${category}" 不存在` : null
+  );
+
+  switch (operation.op) {
+    case BatchOperation.CREATE: {
+      const site = operation.site;
+      if (sites.some(s => s.id === site.id)) {
+        return `网站 ID "${site.id}" 已存在`;
+      }
+      if (sites.some(s => normalizeUrl(s.url) === normalizeUrl(site.url))) {
+        return `网站 URL "${site.url}" 已存在`;
+      }
+      const categoryError = checkCategory(site.category);
+      if (categoryError) return categoryError;
+
+      sites.push({ ...site, order: site.order ?? getNextOrder(sites), addDate: site.addDate ?? now });
+      return null;
+    }
+
+    case BatchOperation.UPDATE:
+    case BatchOperation.MOVE: {
+      const index = sites.findIndex(s => s.id === operation.id);
+      if (index === -1) {
+        return `网站 "${operation.id}" 不存在`;
+      }
+
+      const changes = operation.op === BatchOperation.MOVE
+        ? { category: operation.category }
+        : operation.changes;
+      const categoryError = checkCategory(changes.category);
+      if (categoryError) return categoryError;
+      if (changes.url !== undefined && sites.some(s => s.id !== operation.id && normalizeUrl(s.url) === normalizeUrl(changes.url))) {
+        return `网站 URL "${changes.url}" 已存在`;
+      }
+
+      sites[index] = { ...sites[index], ...changes, lastModified: now };
+      return null;
+    }
+
+    case BatchOperation.DELETE: {
+      const index = sites.findIndex(s => s.id === operation.id);
+      if (index === -1) {
+        return `网站 "${operation.id}" 不存在`;
+      }
+      removed.push(...sites.splice(index, 1));
+      return null;
+    }
+
+    default:
+      return `不支持的操作类型 "${operation.op}"`;
+  }
+}
+
+/**
+ * 生成批量操作的执行计划
+ * 操作按顺序执行，后面的操作能看到前面操作的结果（例如先创建再移动）；
+ * atomic 为 true 时任一操作失败则整批不执行，否则跳过失败的操作
+ * @param {Array} sites - 当前书签列表
+ * @param {Array} categories - 当前分类列表
+ * @param {Array} operations - 操作列表（需先经过格式校验）
+ * @param {Object} options - 选项
+ * @param {boolean} options.atomic - 是否整批成功或整批失败，默认 true
+ * @returns {{sites: Array, removed: Array, results: Array, failed: number, applied: number}}
+ */
+export function planBookmarkBatch(sites, categories, operations, options = {}) {
+  const atomic = options.atomic !== false;
+  const categoryIds = new Set(categories.map(category => category.id));
+  const nextSites = [...sites];
+  const removed = [];
+  const now = Date.now();
+
+  const results = operations.map((operation, index) => {
+    const id = operation.op === BatchOperation.CREATE ? operation.site?.id : operation.id;
+    const error = applyOperation(nextSites, categoryIds, operation, removed, now);
+    return { index, op: operation.op, id, success: !error, ...(error && { error }) };
+  });
+
+  const failed = results.filter(result => !result.success).length;
+  if (atomic && failed > 0) {
+    // 整批回滚，成功的操作也标记为未执行
+    return {
+      sites,
+      removed: [],
+      results: results.map(result => (result.success ? { ...result, success: false, skipped: true } : result)),
+      failed,
+      applied: 0
+    };
+  }
+
+  return { sites: nextSites, removed, results, failed, applied: results.length - failed };
+}
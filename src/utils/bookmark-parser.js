@@ -16,6 +16,7 @@ import { handleError, ErrorType } from './error-handler.js';
  * @property {string} icon - 图标 URL（可选）
  * @property {number} addDate - 添加时间戳
  * @property {string[]} tags - 标签数组（可选）
+ * @property {string[]} categoryPath - 所在文件夹的完整路径（可选）
  */
 
 /**
@@ -25,6 +26,9 @@ import { handleError, ErrorType } from './error-handler.js';
  * @property {string} icon - 分类图标
  * @property {BookmarkItem[]} sites - 书签列表
  * @property {number} addDate - 创建时间戳
+ * @property {string[]} path - 文件夹完整路径，从顶层文件夹到自身（可选）
+ * @property {string[]|null} parentPath - 父文件夹路径，顶层文件夹为 null（可选）
+ * @property {CategoryItem[]} children - 子分类（仅导出时使用，可选）
  */
 
 /**
@@ -131,12 +135,14 @@ export class BookmarkParser {
 
   /**
    * 递归解析书签节点
+   * 文件夹层级保存在分类的 path / parentPath 中，同名文件夹按路径区分
    * @param {Element} element - 当前元素
    * @param {CategoryItem[]} categories - 分类数组
    * @param {BookmarkItem[]} allSites - 所有书签数组
    * @param {string} currentCategory - 当前分类名称
+   * @param {CategoryItem|null} parentCategory - 当前所在的分类（顶层为 null）
    */
-  parseBookmarkNode(element, categories, allSites, currentCategory) {
+  parseBookmarkNode(element, categories, allSites, currentCategory, parentCategory = null) {
     const children = element.children;
     
     for (let i = 0; i < children.length; i++) {
@@ -155,7 +161,9 @@ export class BookmarkParser {
             name: categoryName,
             icon: this.getCategoryIcon(categoryName),
             sites: [],
-            addDate
+            addDate,
+            path: [...(parentCategory?.path || []), categoryName],
+            parentPath: parentCategory ? parentCategory.path : null
           };
           
           categories.push(category);
@@ -165,7 +173,7 @@ export class BookmarkParser {
           if (nextSibling && nextSibling.tagName === 'DD') {
             const dl = nextSibling.querySelector('dl');
             if (dl) {
-              this.parseBookmarkNode(dl, categories, allSites, categoryName);
+              this.parseBookmarkNode(dl, categories, allSites, categoryName, category);
             }
           }
           
@@ -173,10 +181,13 @@ export class BookmarkParser {
           // 这是一个书签
           const bookmark = this.parseBookmarkLink(a, currentCategory);
           if (bookmark) {
+            if (parentCategory) {
+              bookmark.categoryPath = parentCategory.path;
+            }
             allSites.push(bookmark);
             
             // 将书签添加到对应分类
-            const category = categories.find(cat => cat.name === currentCategory);
+            const category = parentCategory || categories.find(cat => cat.name === currentCategory);
             if (category) {
               category.sites.push(bookmark);
             }
@@ -184,7 +195,7 @@ export class BookmarkParser {
         }
       } else if (child.tagName === 'DL') {
         // 递归处理嵌套的 DL 元素
-        this.parseBookmarkNode(child, categories, allSites, currentCategory);
+        this.parseBookmarkNode(child, categories, allSites, currentCategory, parentCategory);
       }
     }
   }
@@ -201,6 +212,8 @@ export class BookmarkParser {
       const title = linkElement.textContent.trim();
       const addDate = this.parseAddDate(linkElement.getAttribute('add_date'));
       const icon = linkElement.getAttribute('icon') || this.iconPlaceholder;
+      // Firefox 等浏览器导出的书签在 TAGS 属性中保存以逗号分隔的标签
+      const attributeTags = (linkElement.getAttribute('tags') || '').split(',').map(tag => tag.trim()).filter(Boolean);
       
       if (!url || !title) {
         console.warn('跳过无效书签:', { url, title });
@@ -220,7 +233,7 @@ export class BookmarkParser {
         icon: this.processIcon(icon),
         addDate,
         category,
-        tags: this.extractTags(title)
+        tags: [...new Set([...attributeTags, ...this.extractTags(title)])]
       };
       
     } catch (error) {
@@ -412,19 +425,7 @@ export class BookmarkParser {
 `;
 
     categories.forEach(category => {
-      html += `        <DT><H3 ADD_DATE="${Math.floor(category.addDate / 1000)}" LAST_MODIFIED="${Math.floor(category.addDate / 1000)}">${this.escapeHtml(category.name)}</H3>\n`;
-      html += `        <DD><DL><p>\n`;
-      
-      category.sites.forEach(site => {
-        const addDate = Math.floor(site.addDate / 1000);
-        html += `            <DT><A HREF="${this.escapeHtml(site.url)}" ADD_DATE="${addDate}"`;
-        if (site.icon && site.icon !== this.iconPlaceholder) {
-          html += ` ICON="${this.escapeHtml(site.icon)}"`;
-        }
-        html += `>${this.escapeHtml(site.title)}</A>\n`;
-      });
-      
-      html += `        </DL><p>\n`;
+      html += this.generateCategoryHTML(category, 2);
     });
 
     html += `    </DL><p>
@@ -433,6 +434,38 @@ export class BookmarkParser {
     return html;
   }
 
+  /**
+   * 生成单个分类（文件夹）的 HTML，子分类递归生成为嵌套文件夹
+   * @param {CategoryItem} category - 分类
+   * @param {number} depth - 缩进层级
+   * @returns {string}
+   */
+  generateCategoryHTML(category, depth) {
+    const indent = '    '.repeat(depth);
+    const addDate = Math.floor(category.addDate / 1000);
+    let html = `${indent}<DT><H3 ADD_DATE="${addDate}" LAST_MODIFIED="${addDate}">${this.escapeHtml(category.name)}</H3>\n`;
+    html += `${indent}<DD><DL><p>\n`;
+
+    (category.children || []).forEach(child => {
+      html += this.generateCategoryHTML(child, depth + 1);
+    });
+
+    category.sites.forEach(site => {
+      const siteAddDate = Math.floor(site.addDate / 1000);
+      html += `${indent}    <DT><A HREF="${this.escapeHtml(site.url)}" ADD_DATE="${siteAddDate}"`;
+      if (site.icon && site.icon !== this.iconPlaceholder) {
+        html += ` ICON="${this.escapeHtml(site.icon)}"`;
+      }
+      if (site.tags && site.tags.length > 0) {
+        html += ` TAGS="${this.escapeHtml(site.tags.join(','))}"`;
+      }
+      html += `>${this.escapeHtml(site.title)}</A>\n`;
+    });
+
+    html += `${indent}</DL><p>\n`;
+    return html;
+  }
+
   /**
    * HTML 转义
    * @param {string} text - 原始文本
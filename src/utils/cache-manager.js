@@ -89,6 +89,22 @@ class MemoryCache {
     this.accessTimes.delete(key);
   }
 
+  /**
+   * 删除指定前缀的全部缓存
+   * @param {string} prefix - 缓存键前缀
+   * @returns {number} 删除的条目数
+   */
+  deleteByPrefix(prefix) {
+    let count = 0;
+    for (const key of Array.from(this.cache.keys())) {
+      if (key.startsWith(prefix)) {
+        this.delete(key);
+        count++;
+      }
+    }
+    return count;
+  }
+
   /**
    * 清空缓存
    */
@@ -120,15 +136,17 @@ class MemoryCache {
   /**
    * LRU 清理（当缓存满时移除最久未访问的条目）
    * @param {number} maxSize - 最大缓存大小
+   * @returns {number} 移除的条目数
    */
   evictLRU(maxSize) {
-    if (this.cache.size <= maxSize) return;
+    if (this.cache.size <= maxSize) return 0;
 
     const sortedByAccess = Array.from(this.accessTimes.entries())
       .sort((a, b) => a[1] - b[1]);
 
     const toRemove = sortedByAccess.slice(0, this.cache.size - maxSize);
     toRemove.forEach(([key]) => this.delete(key));
+    return toRemove.length;
   }
 }
 
@@ -207,6 +225,22 @@ class StorageCache {
     }
   }
 
+  /**
+   * 删除指定前缀的全部缓存
+   * @param {string} prefix - 缓存键前缀
+   * @returns {number} 删除的条目数
+   */
+  deleteByPrefix(prefix) {
+    try {
+      const keys = Object.keys(this.storage).filter(key => key.startsWith(this.getStorageKey(prefix)));
+      keys.forEach(key => this.storage.removeItem(key));
+      return keys.length;
+    } catch (error) {
+      console.warn('删除缓存失败:', error);
+      return 0;
+    }
+  }
+
   /**
    * 清空缓存
    */
@@ -259,6 +293,7 @@ class StorageCache {
 export class CacheManager {
   constructor(config = {}) {
     this.config = { ...DEFAULT_CACHE_CONFIG, ...config };
+    this.resetStats();
     this.initializeCache();
     this.startCleanupTimer();
   }
@@ -301,17 +336,36 @@ export class CacheManager {
       
       // 检查缓存大小限制
       if (this.cache.size && this.cache.size() > this.config.maxSize) {
-        this.cache.evictLRU && this.cache.evictLRU(this.config.maxSize);
+        this.stats.evictions += (this.cache.evictLRU && this.cache.evictLRU(this.config.maxSize)) || 0;
       }
     }
   }
 
   /**
-   * 获取缓存
+   * 获取缓存，并按键的命名空间（第一个下划线之前的部分，如 dm、kv）统计命中率
    * @param {string} key - 缓存键
    * @returns {any|null}
    */
   get(key) {
+    const data = this.lookup(key);
+    const namespace = key.split('_')[0];
+    const counters = this.stats.namespaces[namespace] || (this.stats.namespaces[namespace] = { hits: 0, misses: 0 });
+    if (data !== null) {
+      this.stats.hits++;
+      counters.hits++;
+    } else {
+      this.stats.misses++;
+      counters.misses++;
+    }
+    return data;
+  }
+
+  /**
+   * 从缓存实现中读取
+   * @param {string} key - 缓存键
+   * @returns {any|null}
+   */
+  lookup(key) {
     if (this.config.strategy === CacheStrategy.HYBRID) {
       // 先尝试内存缓存
       let data = this.memoryCache.get(key);
@@ -346,6 +400,54 @@ export class CacheManager {
     }
   }
 
+  /**
+   * 删除指定前缀的全部缓存（用于整体失效某个数据源的缓存）
+   * @param {string} prefix - 缓存键前缀
+   * @returns {number} 删除的条目数
+   */
+  deleteByPrefix(prefix) {
+    const count = this.config.strategy === CacheStrategy.HYBRID
+      ? Math.max(this.memoryCache.deleteByPrefix(prefix), this.storageCache.deleteByPrefix(prefix))
+      : this.cache.deleteByPrefix(prefix);
+    this.stats.invalidations += count;
+    return count;
+  }
+
+  /**
+   * 获取缓存统计（自实例创建或上次重置以来）
+   * @returns {{hits: number, misses: number, hitRate: number|null, evictions: number, invalidations: number, size: number|null, since: number, namespaces: Object}}
+   */
+  getStats() {
+    const total = this.stats.hits + this.stats.misses;
+    const cache = this.config.strategy === CacheStrategy.HYBRID ? this.memoryCache : this.cache;
+    return {
+      hits: this.stats.hits,
+      misses: this.stats.misses,
+      hitRate: total > 0 ? Math.round(this.stats.hits / total * 1000) / 10 : null,
+      evictions: this.stats.evictions,
+      invalidations: this.stats.invalidations,
+      size: cache.size ? cache.size() : null,
+      since: this.stats.since,
+      namespaces: Object.fromEntries(
+        Object.entries(this.stats.namespaces).map(([namespace, counters]) => [namespace, { ...counters }])
+      )
+    };
+  }
+
+  /**
+   * 重置缓存统计
+   */
+  resetStats() {
+    this.stats = {
+      hits: 0,
+      misses: 0,
+      evictions: 0,
+      invalidations: 0,
+      since: Date.now(),
+      namespaces: {}
+    };
+  }
+
   /**
    * 清空所有缓存
    */
@@ -412,6 +514,8 @@ export const cache = {
   set: (key, data, ttl) => cacheManager.set(key, data, ttl),
   get: (key) => cacheManager.get(key),
   delete: (key) => cacheManager.delete(key),
+  deleteByPrefix: (prefix) => cacheManager.deleteByPrefix(prefix),
   clear: () => cacheManager.clear(),
+  getStats: () => cacheManager.getStats(),
   cleanup: () => cacheManager.cleanup()
 };
@@ -0,0 +1,261 @@
+/**
+ * 分类批量操作工具
+ * 删除（转移书签或级联删除）、合并和拆分分类时，先在内存中生成操作计划：
+ * 计划包含操作后的分类和书签列表以及受影响的记录，服务端据此写入，也用于后台预览
+ * @author Claude 4.0 sonnet
+ * @version 1.0.0
+ */
+
+import { getDescendantIds, getChildCategories, validateParent } from './category-tree.js';
+import { getNextOrder } from './ordering.js';
+
+/**
+ * 删除分类时的处理策略
+ */
+export const CategoryDeleteStrategy = {
+  BLOCK: 'block',       // 分类下还有书签或子分类时拒绝删除（默认）
+  REASSIGN: 'reassign', // 书签转移到目标分类，子分类上移一级
+  CASCADE: 'cascade'    // 连同子分类和其中的书签一起移入回收站
+};
+
+/**
+ * 创建空的操作计划
+ * @param {Array} categories - 当前分类列表
+ * @param {Array} sites - 当前书签列表
+ * @returns {Object}
+ */
+function createPlan(categories, sites) {
+  return {
+    error: null,
+    categories,
+    sites,
+    createdCategories: [],
+    removedCategories: [],
+    movedCategories: [],
+    removedSites: [],
+    movedSites: []
+  };
+}
+
+/**
+ * 生成带错误信息的计划
+ * @param {Array} categories - 当前分类列表
+ * @param {Array} sites - 当前书签列表
+ * @param {string} error - 错误信息
+ * @returns {Object}
+ */
+function failedPlan(categories, sites, error) {
+  return { ...createPlan(categories, sites), error };
+}
+
+/**
+ * 设置分类的父分类，null 表示移动到根级
+ * @param {Object} category - 分类
+ * @param {string|null} parentId - 父分类 ID
+ * @returns {Object} 新的分类对象
+ */
+function withParent(category, parentId) {
+  const { parentId: _previous, ...rest } = category;
+  return parentId ? { ...rest, parentId } : rest;
+}
+
+/**
+ * 将书签转移到目标分类
+ * @param {Object} plan - 操作计划（会被修改）
+ * @param {Set<string>} fromIds - 原分类 ID 集合
+ * @param {string} targetId - 目标分类 ID
+ * @param {Set<string>} siteIds - 只转移这些书签，未提供时转移全部
+ */
+function moveSites(plan, fromIds, targetId, siteIds = null) {
+  plan.sites = plan.sites.map(site => {
+    if (!fromIds.has(site.category) || (siteIds && !siteIds.has(site.id))) {
+      return site;
+    }
+    const moved = { ...site, category: targetId };
+    plan.movedSites.push({ site: moved, from: site.category });
+    return moved;
+  });
+}
+
+/**
+ * 生成删除分类的计划
+ * @param {Array} categories - 当前分类列表
+ * @param {Array} sites - 当前书签列表
+ * @param {string} categoryId - 要删除的分类 ID
+ * @param {Object} options - 选项
+ * @param {string} options.strategy - 处理策略（CategoryDeleteStrategy），默认 block
+ * @param {string} options.target - reassign 策略下接收书签的分类 ID
+ * @returns {Object} 操作计划，error 不为空时表示无法执行
+ */
+export function planCategoryDelete(categories, sites, categoryId, options = {}) {
+  const strategy = options.strategy || CategoryDeleteStrategy.BLOCK;
+  const category = categories.find(cat => cat.id === categoryId);
+
+  if (!Object.values(CategoryDeleteStrategy).includes(strategy)) {
+    return failedPlan(categories, sites, `不支持的删除策略 "${strategy}"`);
+  }
+  if (!category) {
+    return failedPlan(categories, sites, `分类 "${categoryId}" 不存在`);
+  }
+
+  const sitesInCategory = sites.filter(site => site.category === categoryId);
+  const childCategories = getChildCategories(categories, categoryId);
+  const plan = createPlan(categories, sites);
+
+  if (strategy === CategoryDeleteStrategy.BLOCK) {
+    if (sitesInCategory.length > 0) {
+      return failedPlan(categories, sites, `无法删除分类 "${categoryId}"，还有 ${sitesInCategory.length} 个网站使用此分类`);
+    }
+    if (childCategories.length > 0) {
+      return failedPlan(categories, sites, `无法删除分类 "${categoryId}"，还有 ${childCategories.length} 个子分类`);
+    }
+  }
+
+  if (strategy === CategoryDeleteStrategy.REASSIGN) {
+    const targetId = options.target;
+    if (!targetId) {
+      return failedPlan(categories, sites, '转移书签时必须指定目标分类');
+    }
+    if (targetId === categoryId || getDescendantIds(categories, categoryId).includes(targetId)) {
+      return failedPlan(categories, sites, '目标分类不能是被删除的分类或它的子分类');
+    }
+    if (!categories.some(cat => cat.id === targetId)) {
+      return failedPlan(categories, sites, `目标分类 "${targetId}" 不存在`);
+    }
+
+    moveSites(plan, new Set([categoryId]), targetId);
+
+    // 子分类上移到被删除分类的父分类下，层级只会变浅，无需再校验深度
+    const childIds = new Set(childCategories.map(child => child.id));
+    plan.categories = plan.categories.map(cat => {
+      if (!childIds.has(cat.id)) return cat;
+      const moved = withParent(cat, category.parentId || null);
+      plan.movedCategories.push(moved);
+      return moved;
+    });
+  }
+
+  const removedIds = new Set([categoryId]);
+  if (strategy === CategoryDeleteStrategy.CASCADE) {
+    getDescendantIds(categories, categoryId).forEach(id => removedIds.add(id));
+    plan.removedSites = plan.sites.filter(site => removedIds.has(site.category));
+    plan.sites = plan.sites.filter(site => !removedIds.has(site.category));
+  }
+
+  plan.removedCategories = plan.categories.filter(cat => removedIds.has(cat.id));
+  plan.categories = plan.categories.filter(cat => !removedIds.has(cat.id));
+  return plan;
+}
+
+/**
+ * 生成合并分类的计划：来源分类的书签和子分类全部转移到目标分类，来源分类被删除
+ * @param {Array} categories - 当前分类列表
+ * @param {Array} sites - 当前书签列表
+ * @param {string[]} sourceIds - 来源分类 ID 列表
+ * @param {string} targetId - 目标分类 ID
+ * @returns {Object} 操作计划，error 不为空时表示无法执行
+ */
+export function planCategoryMerge(categories, sites, sourceIds, targetId) {
+  if (!Array.isArray(sourceIds) || sourceIds.length === 0 || sourceIds.some(id => typeof id !== 'string' || !id)) {
+    return failedPlan(categories, sites, '来源分类必须是非空的分类 ID 数组');
+  }
+  if (new Set(sourceIds).size !== sourceIds.length) {
+    return failedPlan(categories, sites, '来源分类中存在重复的 ID');
+  }
+  if (!targetId || !categories.some(cat => cat.id === targetId)) {
+    return failedPlan(categories, sites, `目标分类 "${targetId}" 不存在`);
+  }
+  if (sourceIds.includes(targetId)) {
+    return failedPlan(categories, sites, '目标分类不能同时作为来源分类');
+  }
+
+  const missing = sourceIds.filter(id => !categories.some(cat => cat.id === id));
+  if (missing.length > 0) {
+    return failedPlan(categories, sites, `以下分类不存在: ${missing.join(', ')}`);
+  }
+  if (sourceIds.some(id => getDescendantIds(categories, id).includes(targetId))) {
+    return failedPlan(categories, sites, '不能将分类合并到它自己的子分类中');
+  }
+
+  const sources = new Set(sourceIds);
+  const plan = createPlan(categories, sites);
+  moveSites(plan, sources, targetId);
+
+  plan.categories = plan.categories.map(cat => {
+    if (sources.has(cat.id) || !sources.has(cat.parentId)) return cat;
+    const moved = withParent(cat, targetId);
+    plan.movedCategories.push(moved);
+    return moved;
+  });
+
+  plan.removedCategories = plan.categories.filter(cat => sources.has(cat.id));
+  plan.categories = plan.categories.filter(cat => !sources.has(cat.id));
+
+  // 子分类挂到目标分类下后可能超过最大层级
+  for (const moved of plan.movedCategories) {
+    const parentError = validateParent(plan.categories, moved.id, targetId);
+    if (parentError) {
+      return failedPlan(categories, sites, `子分类 "${moved.name}" 无法移动到目标分类: ${parentError}`);
+    }
+  }
+
+  return plan;
+}
+
+/**
+ * 生成拆分分类的计划：新建一个分类，并把来源分类中选中的书签转移过去
+ * @param {Array} categories - 当前分类列表
+ * @param {Array} sites - 当前书签列表
+ * @param {string} sourceId - 来源分类 ID
+ * @param {Object} newCategory - 新分类（id、name、icon 等，parentId 默认与来源分类相同）
+ * @param {string[]} siteIds - 要转移的书签 ID 列表
+ * @returns {Object} 操作计划，error 不为空时表示无法执行
+ */
+export function planCategorySplit(categories, sites, sourceId, newCategory, siteIds) {
+  const source = categories.find(cat => cat.id === sourceId);
+  if (!source) {
+    return failedPlan(categories, sites, `分类 "${sourceId}" 不存在`);
+  }
+  if (!newCategory?.id || categories.some(cat => cat.id === newCategory.id)) {
+    return failedPlan(categories, sites, `分类 ID "${newCategory?.id}" 已存在或无效`);
+  }
+  if (!Array.isArray(siteIds) || siteIds.length === 0) {
+    return failedPlan(categories, sites, '请至少选择一个要转移的书签');
+  }
+
+  const notInSource = siteIds.filter(id => !sites.some(site => site.id === id && site.category === sourceId));
+  if (notInSource.length > 0) {
+    return failedPlan(categories, sites, `以下书签不属于分类 "${sourceId}": ${notInSource.join(', ')}`);
+  }
+
+  const parentId = newCategory.parentId === undefined ? (source.parentId || null) : newCategory.parentId;
+  const created = withParent({ ...newCategory, order: newCategory.order ?? getNextOrder(categories) }, parentId);
+  const nextCategories = [...categories, created];
+  const parentError = validateParent(nextCategories, created.id, parentId);
+  if (parentError) {
+    return failedPlan(categories, sites, parentError);
+  }
+
+  const plan = createPlan(nextCategories, sites);
+  plan.createdCategories.push(created);
+  moveSites(plan, new Set([sourceId]), created.id, new Set(siteIds));
+  return plan;
+}
+
+/**
+ * 生成操作计划的摘要，用于 API 响应和后台预览
+ * @param {Object} plan - 操作计划
+ * @returns {Object}
+ */
+export function summarizeCategoryPlan(plan) {
+  const pickSite = site => ({ id: site.id, title: site.title, url: site.url, category: site.category });
+  const pickCategory = category => ({ id: category.id, name: category.name, icon: category.icon, parentId: category.parentId || null });
+
+  return {
+    createdCategories: plan.createdCategories.map(pickCategory),
+    removedCategories: plan.removedCategories.map(pickCategory),
+    movedCategories: plan.movedCategories.map(pickCategory),
+    movedSites: plan.movedSites.map(({ site, from }) => ({ ...pickSite(site), from })),
+    removedSites: plan.removedSites.map(pickSite)
+  };
+}
@@ -0,0 +1,163 @@
+/**
+ * 分类树工具
+ * 分类通过可选的 parentId 组成树；列表本身保持扁平存储，这里负责建树、遍历和层级校验，
+ * 服务端 API 与页面组件共用
+ * @author Claude 4.0 sonnet
+ * @version 1.0.0
+ */
+
+/**
+ * 分类树的最大层级（根分类为第 1 层）
+ */
+export const MAX_CATEGORY_DEPTH = 5;
+
+/**
+ * 获取分类的父分类 ID，父分类不存在时视为根分类
+ * @param {Object} category - 分类
+ * @param {Map} byId - 分类 ID 到分类的映射
+ * @returns {string|null}
+ */
+function resolveParentId(category, byId) {
+  const parentId = category.parentId;
+  return parentId && parentId !== category.id && byId.has(parentId) ? parentId : null;
+}
+
+/**
+ * 构建分类树
+ * 子分类保持在列表中的相对顺序；父分类丢失（例如被删除）的分类作为根分类显示，
+ * 数据中意外出现的循环引用会被打断
+ * @param {Array} categories - 扁平分类列表
+ * @returns {Array} 根节点列表，每个节点为 { ...category, children: [] }
+ */
+export function buildCategoryTree(categories) {
+  const byId = new Map(categories.map(category => [category.id, category]));
+  const nodes = new Map(categories.map(category => [category.id, { ...category, children: [] }]));
+  const roots = [];
+
+  categories.forEach(category => {
+    const node = nodes.get(category.id);
+    const parentId = resolveParentId(category, byId);
+    if (parentId && !getAncestorIds(categories, parentId).includes(category.id)) {
+      nodes.get(parentId).children.push(node);
+    } else {
+      roots.push(node);
+    }
+  });
+
+  return roots;
+}
+
+/**
+ * 按深度优先顺序展开分类树
+ * @param {Array} categories - 扁平分类列表
+ * @returns {Array<{category: Object, depth: number}>} depth 从 0 开始
+ */
+export function flattenCategoryTree(categories) {
+  const result = [];
+  const walk = (nodes, depth) => {
+    nodes.forEach(({ children, ...category }) => {
+      result.push({ category, depth });
+      walk(children, depth + 1);
+    });
+  };
+  walk(buildCategoryTree(categories), 0);
+  return result;
+}
+
+/**
+ * 获取分类的祖先 ID（从直接父分类到根分类）
+ * @param {Array} categories - 扁平分类列表
+ * @param {string} categoryId - 分类 ID
+ * @returns {string[]}
+ */
+export function getAncestorIds(categories, categoryId) {
+  const byId = new Map(categories.map(category => [category.id, category]));
+  const ancestors = [];
+  let current = byId.get(categoryId);
+
+  while (current) {
+    const parentId = resolveParentId(current, byId);
+    if (!parentId || parentId === categoryId || ancestors.includes(parentId)) break;
+    ancestors.push(parentId);
+    current = byId.get(parentId);
+  }
+
+  return ancestors;
+}
+
+/**
+ * 获取分类的全部后代 ID
+ * @param {Array} categories - 扁平分类列表
+ * @param {string} categoryId - 分类 ID
+ * @returns {string[]}
+ */
+export function getDescendantIds(categories, categoryId) {
+  const descendants = [];
+  const queue = [categoryId];
+
+  while (queue.length > 0) {
+    const parentId = queue.shift();
+    categories.forEach(category => {
+      if (category.parentId === parentId && category.id !== categoryId && !descendants.includes(category.id)) {
+        descendants.push(category.id);
+        queue.push(category.id);
+      }
+    });
+  }
+
+  return descendants;
+}
+
+/**
+ * 获取分类的直接子分类
+ * @param {Array} categories - 扁平分类列表
+ * @param {string} categoryId - 分类 ID
+ * @returns {Array}
+ */
+export function getChildCategories(categories, categoryId) {
+  return categories.filter(category => category.parentId === categoryId && category.id !== categoryId);
+}
+
+/**
+ * 获取以某分类为根的子树高度（只有自身时为 1）
+ * @param {Array} categories - 扁平分类列表
+ * @param {string} categoryId - 分类 ID
+ * @returns {number}
+ */
+function getSubtreeHeight(categories, categoryId, visited = new Set()) {
+  if (visited.has(categoryId)) return 0;
+  visited.add(categoryId);
+  const children = getChildCategories(categories, categoryId);
+  return 1 + Math.max(0, ...children.map(child => getSubtreeHeight(categories, child.id, visited)));
+}
+
+/**
+ * 校验分类的父分类设置
+ * @param {Array} categories - 当前扁平分类列表
+ * @param {string} categoryId - 要设置的分类 ID（新建分类时为新 ID）
+ * @param {string|null} parentId - 目标父分类 ID，null 表示设为根分类
+ * @returns {string|null} 错误信息，合法时返回 null
+ */
+export function validateParent(categories, categoryId, parentId) {
+  if (parentId === null || parentId === undefined || parentId === '') return null;
+
+  if (typeof parentId !== 'string') {
+    return '父分类 ID 必须是字符串';
+  }
+  if (parentId === categoryId) {
+    return '分类不能作为自己的父分类';
+  }
+  if (!categories.some(category => category.id === parentId)) {
+    return `父分类 "${parentId}" 不存在`;
+  }
+  if (getDescendantIds(categories, categoryId).includes(parentId)) {
+    return '不能将分类移动到它自己的子分类下';
+  }
+
+  const depth = getAncestorIds(categories, parentId).length + 1 + getSubtreeHeight(categories, categoryId);
+  if (depth > MAX_CATEGORY_DEPTH) {
+    return `分类层级不能超过 ${MAX_CATEGORY_DEPTH} 层`;
+  }
+
+  return null;
+}
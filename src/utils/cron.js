@@ -0,0 +1,165 @@
+/**
+ * Cron 表达式工具
+ * 解析 Cloudflare Cron Triggers 使用的五段式表达式（分 时 日 月 周，UTC 时间），
+ * 用于匹配触发的任务和计算下次执行时间
+ * @author Claude 4.0 sonnet
+ * @version 1.0.0
+ */
+
+/**
+ * 各字段的取值范围
+ */
+const CRON_FIELDS = [
+  { name: 'minute', label: '分钟', min: 0, max: 59 },
+  { name: 'hour', label: '小时', min: 0, max: 23 },
+  { name: 'day', label: '日期', min: 1, max: 31 },
+  { name: 'month', label: '月份', min: 1, max: 12, names: ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'] },
+  { name: 'weekday', label: '星期', min: 0, max: 7, names: ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'] }
+];
+
+/**
+ * 计算下次执行时间时最多向后查找的年数
+ */
+const MAX_LOOKAHEAD_YEARS = 5;
+
+/**
+ * 解析字段中的单个值，支持月份和星期的英文缩写
+ * @param {string} value - 值
+ * @param {Object} field - 字段定义
+ * @returns {number}
+ */
+function parseValue(value, field) {
+  const nameIndex = field.names ? field.names.indexOf(value.toUpperCase()) : -1;
+  const number = nameIndex !== -1 ? nameIndex + (field.name === 'month' ? 1 : 0) : Number(value);
+
+  if (!/^\w+$/.test(value) || !Number.isInteger(number) || number < field.min || number > field.max) {
+    throw new Error(`${field.label}取值无效: ${value}`);
+  }
+  return number;
+}
+
+/**
+ * 解析单个字段，支持 *、列表（1,2）、范围（1-5）和步长（*\/15、0-30/10）
+ * @param {string} source - 字段文本
+ * @param {Object} field - 字段定义
+ * @returns {{values: Set<number>, restricted: boolean}}
+ */
+function parseField(source, field) {
+  const values = new Set();
+
+  source.split(',').forEach(part => {
+    const [range, stepText, extra] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (extra !== undefined || !Number.isInteger(step) || step < 1) {
+      throw new Error(`${field.label}步长无效: ${part}`);
+    }
+
+    let start;
+    let end;
+    if (range === '*') {
+      start = field.min;
+      end = field.max;
+    } else if (range.includes('-')) {
+      const [from, to] = range.split('-');
+      start = parseValue(from, field);
+      end = parseValue(to, field);
+      if (start > end) {
+        throw new Error(`${field.label}范围无效: ${part}`);
+      }
+    } else {
+      start = parseValue(range, field);
+      // 只有起始值的步长（例如 5/15）表示从该值到最大值
+      end = stepText === undefined ? start : field.max;
+    }
+
+    for (let value = start; value <= end; value += step) {
+      // 星期中的 7 与 0 都表示星期日
+      values.add(field.name === 'weekday' && value === 7 ? 0 : value);
+    }
+  });
+
+  return { values, restricted: !source.startsWith('*') };
+}
+
+/**
+ * 解析 Cron 表达式
+ * @param {string} expression - 五段式表达式，例如 "0 3 * * *"
+ * @returns {Object} 各字段的取值集合
+ * @throws {Error} 表达式格式无效时抛出
+ */
+export function parseCron(expression) {
+  const parts = String(expression || '').trim().split(/\s+/);
+  if (parts.length !== CRON_FIELDS.length) {
+    throw new Error(`Cron 表达式必须包含 ${CRON_FIELDS.length} 个字段: ${expression}`);
+  }
+
+  return Object.fromEntries(CRON_FIELDS.map((field, index) => [field.name, parseField(parts[index], field)]));
+}
+
+/**
+ * 日期是否匹配：日和星期都有限制时满足其一即可，与标准 cron 一致
+ * @param {Object} schedule - parseCron 的结果
+ * @param {Date} date - UTC 日期
+ * @returns {boolean}
+ */
+function matchesDay(schedule, date) {
+  const dayMatched = schedule.day.values.has(date.getUTCDate());
+  const weekdayMatched = schedule.weekday.values.has(date.getUTCDay());
+
+  if (schedule.day.restricted && schedule.weekday.restricted) {
+    return dayMatched || weekdayMatched;
+  }
+  return dayMatched && weekdayMatched;
+}
+
+/**
+ * 计算下次执行时间
+ * @param {string} expression - Cron 表达式
+ * @param {number} from - 起始时间戳，返回严格晚于该时间的下一个整分钟
+ * @returns {number|null} 下次执行的时间戳，找不到时（例如 2 月 30 日）返回 null
+ */
+export function getNextRun(expression, from = Date.now()) {
+  const schedule = parseCron(expression);
+  const date = new Date(from);
+  date.setUTCSeconds(0, 0);
+  date.setUTCMinutes(date.getUTCMinutes() + 1);
+
+  const limit = from + MAX_LOOKAHEAD_YEARS * 366 * 24 * 60 * 60 * 1000;
+  while (date.getTime() <= limit) {
+    if (!schedule.month.values.has(date.getUTCMonth() + 1)) {
+      date.setUTCMonth(date.getUTCMonth() + 1, 1);
+      date.setUTCHours(0, 0);
+      continue;
+    }
+    if (!matchesDay(schedule, date)) {
+      date.setUTCDate(date.getUTCDate() + 1);
+      date.setUTCHours(0, 0);
+      continue;
+    }
+    if (!schedule.hour.values.has(date.getUTCHours())) {
+      date.setUTCHours(date.getUTCHours() + 1, 0);
+      continue;
+    }
+    if (!schedule.minute.values.has(date.getUTCMinutes())) {
+      date.setUTCMinutes(date.getUTCMinutes() + 1);
+      continue;
+    }
+    return date.getTime();
+  }
+
+  return null;
+}
+
+/**
+ * 检查 Cron 表达式是否有效
+ * @param {string} expression - Cron 表达式
+ * @returns {boolean}
+ */
+export function isValidCron(expression) {
+  try {
+    parseCron(expression);
+    return true;
+  } catch {
+    return false;
+  }
+}
@@ -0,0 +1,225 @@
+/**
+ * 重复书签检测与合并工具
+ * 按规范化 URL 分组找出重复书签，同一站点下标题相近、路径互相包含的书签视为疑似重复；
+ * 合并时保留信息最完整的记录，并补全其他记录中的描述、图标和标签
+ * @author Claude 4.0 sonnet
+ * @version 1.0.0
+ */
+
+import { normalizeUrl, getNormalizedHost } from './url-normalizer.js';
+import { normalizeTags, MAX_TAGS } from './tags.js';
+
+/**
+ * 默认标题相似度阈值（0-1）
+ */
+export const DEFAULT_TITLE_THRESHOLD = 0.8;
+
+/**
+ * 默认图标，视为没有设置图标
+ */
+const DEFAULT_ICON = '/images/default.svg';
+
+/**
+ * 重复原因
+ */
+export const DuplicateReason = {
+  URL: 'url',     // 规范化 URL 相同
+  TITLE: 'title'  // 同一站点标题相近
+};
+
+/**
+ * 规范化标题：小写并去掉空白和标点
+ * @param {string} title - 标题
+ * @returns {string}
+ */
+function normalizeTitle(title) {
+  return (title || '').toLowerCase().replace(/[\s\p{P}\p{S}]+/gu, '');
+}
+
+/**
+ * 计算两个标题的相似度（字符二元组的 Dice 系数）
+ * @param {string} a - 标题
+ * @param {string} b - 标题
+ * @returns {number} 0-1，1 表示规范化后完全相同
+ */
+export function titleSimilarity(a, b) {
+  const x = normalizeTitle(a);
+  const y = normalizeTitle(b);
+  if (!x || !y) return 0;
+  if (x === y) return 1;
+  if (x.length < 2 || y.length < 2) return 0;
+
+  const bigrams = (text) => {
+    const counts = new Map();
+    for (let i = 0; i < text.length - 1; i++) {
+      const gram = text.slice(i, i + 2);
+      counts.set(gram, (counts.get(gram) || 0) + 1);
+    }
+    return counts;
+  };
+
+  const gramsX = bigrams(x);
+  const gramsY = bigrams(y);
+  let overlap = 0;
+  gramsX.forEach((count, gram) => {
+    overlap += Math.min(count, gramsY.get(gram) || 0);
+  });
+
+  return (2 * overlap) / (x.length - 1 + y.length - 1);
+}
+
+/**
+ * 获取规范化 URL 中的路径部分（不含主机名）
+ * @param {string} normalized - 规范化 URL
+ * @returns {string}
+ */
+function getNormalizedPath(normalized) {
+  const index = normalized.indexOf('/');
+  return index === -1 ? '' : normalized.slice(index);
+}
+
+/**
+ * 计算书签信息的完整程度，用于选择合并时保留的记录
+ * @param {Object} site - 书签
+ * @returns {number}
+ */
+export function scoreSiteRichness(site) {
+  let score = 0;
+  if (site.description && site.description !== site.title) score += 1 + Math.min(site.description.length, 200) / 200;
+  if (site.shortDesc && site.shortDesc !== site.title) score += 1;
+  if (site.icon && site.icon !== DEFAULT_ICON) score += 1;
+  score += (site.tags?.length || 0) * 0.5;
+  if (site.pinned) score += 0.5;
+  return score;
+}
+
+/**
+ * 从一组重复书签中选出建议保留的记录：信息最完整，其次点击最多，再次添加最早
+ * @param {Array} sites - 重复书签
+ * @param {Object} clicks - 书签点击数（siteId → 次数）
+ * @returns {Object}
+ */
+export function pickRichestSite(sites, clicks = {}) {
+  return [...sites].sort((a, b) => (
+    scoreSiteRichness(b) - scoreSiteRichness(a)
+    || (clicks[b.id] || 0) - (clicks[a.id] || 0)
+    || (a.addDate || Infinity) - (b.addDate || Infinity)
+  ))[0];
+}
+
+/**
+ * 找出重复书签
+ * @param {Array} sites - 书签列表
+ * @param {Object} options - 选项
+ * @param {number} options.titleThreshold - 标题相似度阈值，默认 0.8
+ * @param {Object} options.clicks - 书签点击数，用于选择建议保留的记录
+ * @returns {Array<{key: string, reasons: string[], targetId: string, sites: Array}>}
+ *   每组的 sites 中建议保留的记录排在第一位
+ */
+export function findDuplicateGroups(sites, options = {}) {
+  const threshold = options.titleThreshold ?? DEFAULT_TITLE_THRESHOLD;
+  const clicks = options.clicks || {};
+  const entries = sites.map(site => ({ site, normalized: normalizeUrl(site.url), host: getNormalizedHost(site.url) }));
+
+  // 并查集，记录每个集合的重复原因
+  const parent = entries.map((_, index) => index);
+  const reasons = entries.map(() => new Set());
+  const find = (index) => (parent[index] === index ? index : (parent[index] = find(parent[index])));
+  const union = (a, b, reason) => {
+    const rootA = find(a);
+    const rootB = find(b);
+    if (rootA !== rootB) {
+      parent[rootB] = rootA;
+      reasons[rootB].forEach(item => reasons[rootA].add(item));
+    }
+    reasons[rootA].add(reason);
+  };
+
+  const byUrl = new Map();
+  const byHost = new Map();
+  entries.forEach((entry, index) => {
+    if (!entry.normalized) return;
+    if (byUrl.has(entry.normalized)) {
+      union(byUrl.get(entry.normalized), index, DuplicateReason.URL);
+    } else {
+      byUrl.set(entry.normalized, index);
+    }
+    if (entry.host) {
+      byHost.set(entry.host, [...(byHost.get(entry.host) || []), index]);
+    }
+  });
+
+  // 同一站点内标题相近且路径互相包含（例如首页和带语言前缀的首页）
+  byHost.forEach(indexes => {
+    for (let i = 0; i < indexes.length; i++) {
+      for (let j = i + 1; j < indexes.length; j++) {
+        const a = entries[indexes[i]];
+        const b = entries[indexes[j]];
+        if (a.normalized === b.normalized) continue;
+        const pathA = getNormalizedPath(a.normalized);
+        const pathB = getNormalizedPath(b.normalized);
+        const related = pathA.startsWith(pathB) || pathB.startsWith(pathA);
+        if (related && titleSimilarity(a.site.title, b.site.title) >= threshold) {
+          union(indexes[i], indexes[j], DuplicateReason.TITLE);
+        }
+      }
+    }
+  });
+
+  const groups = new Map();
+  entries.forEach((entry, index) => {
+    const root = find(index);
+    groups.set(root, [...(groups.get(root) || []), entry.site]);
+  });
+
+  return [...groups.entries()]
+    .filter(([, members]) => members.length > 1)
+    .map(([root, members]) => {
+      const target = pickRichestSite(members, clicks);
+      return {
+        key: entries[root].normalized,
+        reasons: [...reasons[root]],
+        targetId: target.id,
+        sites: [target, ...members.filter(site => site !== target)]
+      };
+    });
+}
+
+/**
+ * 合并重复书签：以目标记录为准，补全其中缺失的信息
+ * 描述取最长的一个，图标和简短描述在目标记录缺失时取第一个有值的记录，
+ * 标签取并集，任一记录置顶则保持置顶，添加时间取最早的一个
+ * @param {Object} target - 保留的书签
+ * @param {Array} sources - 被合并的书签
+ * @returns {Object} 合并后的书签
+ */
+export function mergeSiteRecords(target, sources) {
+  const all = [target, ...sources];
+  const merged = { ...target };
+
+  const description = all
+    .map(site => site.description)
+    .filter(text => text && text !== target.title)
+    .sort((a, b) => b.length - a.length)[0];
+  if (description) merged.description = description;
+
+  if (!merged.shortDesc || merged.shortDesc === merged.title) {
+    const shortDesc = sources.map(site => site.shortDesc).find(text => text && text !== target.title);
+    if (shortDesc) merged.shortDesc = shortDesc;
+  }
+
+  if (!merged.icon || merged.icon === DEFAULT_ICON) {
+    const icon = sources.map(site => site.icon).find(value => value && value !== DEFAULT_ICON);
+    if (icon) merged.icon = icon;
+  }
+
+  const tags = normalizeTags(all.flatMap(site => site.tags || [])).slice(0, MAX_TAGS);
+  if (tags.length > 0) merged.tags = tags;
+
+  if (all.some(site => site.pinned === true)) merged.pinned = true;
+
+  const addDates = all.map(site => site.addDate).filter(value => typeof value === 'number');
+  if (addDates.length > 0) merged.addDate = Math.min(...addDates);
+
+  return merged;
+}
@@ -14,7 +14,9 @@ export const ErrorType = {
   VALIDATION: 'validation',     // 验证错误
   PERMISSION: 'permission',     // 权限错误
   NOT_FOUND: 'not_found',      // 资源未找到
+  CONFLICT: 'conflict',        // 数据冲突（并发修改）
   SERVER: 'server',            // 服务器错误
+  UNSUPPORTED_VERSION: 'unsupported_version', // 存储中的数据版本无法识别（提示信息包含具体版本，不使用通用信息）
   UNKNOWN: 'unknown'           // 未知错误
 };
 
@@ -37,6 +39,7 @@ const ERROR_MESSAGES = {
   [ErrorType.VALIDATION]: '输入数据格式不正确',
   [ErrorType.PERMISSION]: '权限不足，无法执行此操作',
   [ErrorType.NOT_FOUND]: '请求的资源不存在',
+  [ErrorType.CONFLICT]: '数据已被其他操作修改，请刷新后重试',
   [ErrorType.SERVER]: '服务器内部错误，请稍后重试',
   [ErrorType.UNKNOWN]: '发生未知错误，请稍后重试'
 };
@@ -50,6 +53,7 @@ const HTTP_ERROR_MAP = {
   403: { type: ErrorType.PERMISSION, message: '访问被拒绝' },
   404: { type: ErrorType.NOT_FOUND, message: '请求的资源不存在' },
   408: { type: ErrorType.TIMEOUT, message: '请求超时' },
+  409: { type: ErrorType.CONFLICT, message: '数据版本冲突' },
   429: { type: ErrorType.NETWORK, message: '请求过于频繁，请稍后重试' },
   500: { type: ErrorType.SERVER, message: '服务器内部错误' },
   502: { type: ErrorType.SERVER, message: '网关错误' },
@@ -286,11 +290,12 @@ export const handleError = {
    * 处理验证错误
    * @param {string} message - 错误信息
    * @param {Object} context - 错误上下文
+   * @param {Object} details - 错误详情（如字段级错误 fieldErrors）
    * @returns {AppError}
    */
-  validation: (message, context = {}) => 
+  validation: (message, context = {}, details = null) => 
     errorHandler.handleError(
-      new AppError(message, ErrorType.VALIDATION, ErrorLevel.WARN),
+      new AppError(message, ErrorType.VALIDATION, ErrorLevel.WARN, details),
       ErrorLevel.WARN,
       context
     ),
@@ -308,6 +313,30 @@ export const handleError = {
       context
     ),
 
+  /**
+   * 处理数据冲突错误
+   * @param {string} message - 错误信息
+   * @param {Object} details - 冲突详情（如当前版本号）
+   * @returns {AppError}
+   */
+  conflict: (message, details = {}) => 
+    errorHandler.handleError(
+      new AppError(message, ErrorType.CONFLICT, ErrorLevel.WARN, details),
+      ErrorLevel.WARN
+    ),
+
+  /**
+   * 处理数据版本无法识别的错误
+   * @param {string} message - 错误信息（包含存储中的版本和支持的版本）
+   * @param {Object} details - 错误详情（storedVersion、compatible）
+   * @returns {AppError}
+   */
+  unsupportedVersion: (message, details = {}) => 
+    errorHandler.handleError(
+      new AppError(message, ErrorType.UNSUPPORTED_VERSION, ErrorLevel.FATAL, details),
+      ErrorLevel.FATAL
+    ),
+
   /**
    * 处理 HTTP 错误
    * @param {Response} response - HTTP 响应对象
@@ -0,0 +1,53 @@
+/**
+ * ETag 工具
+ * 将数据集合的版本号转换为 HTTP ETag，并解析 If-Match 请求头，用于乐观并发控制
+ * @author Claude 4.0 sonnet
+ * @version 1.0.0
+ */
+
+/**
+ * 生成集合版本对应的 ETag
+ * @param {string} collection - 集合名称（sites / categories）
+ * @param {number} revision - 版本号
+ * @returns {string}
+ */
+export function formatETag(collection, revision) {
+  return `"${collection}-${revision}"`;
+}
+
+/**
+ * If-Match 解析结果
+ * @typedef {Object} IfMatchResult
+ * @property {boolean} present - 请求是否携带 If-Match
+ * @property {boolean} valid - 格式是否有效
+ * @property {boolean} any - 是否为通配符 "*"
+ * @property {number|undefined} revision - 期望的版本号
+ */
+
+/**
+ * 解析 If-Match 请求头
+ * 支持 `"sites-3"`、`W/"sites-3"`、纯数字 `3` 以及通配符 `*`
+ * @param {string|null} header - If-Match 请求头
+ * @param {string} collection - 期望的集合名称
+ * @returns {IfMatchResult}
+ */
+export function parseIfMatch(header, collection) {
+  if (header === null || header === undefined || !header.trim()) {
+    return { present: false, valid: true, any: false, revision: undefined };
+  }
+
+  const value = header.trim();
+  if (value === '*') {
+    return { present: true, valid: true, any: true, revision: undefined };
+  }
+
+  // 只取第一个 ETag，集合只有一个当前版本
+  const first = value.split(',')[0].trim().replace(/^W\//, '').replace(/^"|"$/g, '');
+  const match = first.match(/^(?:([a-z_]+)-)?(\d+)$/i);
+
+  if (!match || (match[1] && match[1] !== collection)) {
+    return { present: true, valid: false, any: false, revision: undefined };
+  }
+
+  return { present: true, valid: true, any: false, revision: parseInt(match[2], 10) };
+}
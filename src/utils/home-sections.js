@@ -0,0 +1,46 @@
+/**
+ * 首页置顶和最近添加区块
+ * 从与分类区块相同的网站列表中挑选置顶书签和最近添加的书签，服务端页面与后台组件共用
+ * @author Claude 4.0 sonnet
+ * @version 1.0.0
+ */
+
+/**
+ * 首页区块显示数量的默认值
+ */
+export const DEFAULT_HOME_SETTINGS = {
+  pinnedLimit: 12,   // 置顶区块最多显示的书签数，0 表示不显示
+  recentLimit: 8     // 最近添加区块最多显示的书签数，0 表示不显示
+};
+
+/**
+ * 区块显示数量上限
+ */
+export const MAX_HOME_SECTION_LIMIT = 50;
+
+/**
+ * 获取置顶书签
+ * 按书签列表的手动顺序排列
+ * @param {Array} sites - 网站列表
+ * @param {number} limit - 最多返回的数量
+ * @returns {Array}
+ */
+export function getPinnedSites(sites, limit = DEFAULT_HOME_SETTINGS.pinnedLimit) {
+  if (limit <= 0) return [];
+  return sites.filter(site => site.pinned === true).slice(0, limit);
+}
+
+/**
+ * 获取最近添加的书签
+ * 只包含带 addDate 的书签，按添加时间从新到旧排列
+ * @param {Array} sites - 网站列表
+ * @param {number} limit - 最多返回的数量
+ * @returns {Array}
+ */
+export function getRecentSites(sites, limit = DEFAULT_HOME_SETTINGS.recentLimit) {
+  if (limit <= 0) return [];
+  return sites
+    .filter(site => typeof site.addDate === 'number' && site.addDate > 0)
+    .sort((a, b) => b.addDate - a.addDate)
+    .slice(0, limit);
+}
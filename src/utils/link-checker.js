@@ -0,0 +1,190 @@
+/**
+ * 链接检查工具
+ * 逐跳请求书签地址（手动跟随重定向，以便区分永久和临时重定向），
+ * 记录状态码、最终地址、耗时，并归类为正常、已重定向、受限、失效或无法访问
+ * @author Claude 4.0 sonnet
+ * @version 1.0.0
+ */
+
+/**
+ * 链接状态
+ */
+export const LinkStatus = {
+  OK: 'ok',                   // 2xx
+  REDIRECTED: 'redirected',   // 经过重定向后返回 2xx
+  RESTRICTED: 'restricted',   // 401 / 403 / 429，站点拒绝了自动请求，不视为失效
+  BROKEN: 'broken',           // 其他 4xx / 5xx，或重定向次数过多
+  UNREACHABLE: 'unreachable'  // 超时、DNS 失败、连接被拒绝等
+};
+
+/**
+ * 视为失效、需要在首页标记的状态
+ */
+export const FAILED_LINK_STATUSES = [LinkStatus.BROKEN, LinkStatus.UNREACHABLE];
+
+/**
+ * 默认检查选项
+ */
+export const DEFAULT_CHECK_OPTIONS = {
+  timeout: 8000,    // 单次请求超时（毫秒）
+  maxRedirects: 5,  // 最多跟随的重定向次数
+  concurrency: 4    // 同时检查的链接数
+};
+
+/**
+ * 永久重定向状态码
+ */
+const PERMANENT_REDIRECT_CODES = new Set([301, 308]);
+
+/**
+ * 站点拒绝自动请求时常见的状态码
+ */
+const RESTRICTED_CODES = new Set([401, 403, 429]);
+
+/**
+ * HEAD 请求返回这些状态码时改用 GET 重试（部分站点不支持或错误处理 HEAD）
+ */
+const HEAD_UNSUPPORTED_CODES = new Set([400, 403, 404, 405, 501]);
+
+/**
+ * 请求头
+ */
+const REQUEST_HEADERS = {
+  'User-Agent': 'Mozilla/5.0 (compatible; CloudnavLinkChecker/1.0)',
+  'Accept': 'text/html,application/xhtml+xml,*/*;q=0.8'
+};
+
+/**
+ * 发送单次请求（不自动跟随重定向）
+ * @param {string} url - 地址
+ * @param {string} method - 请求方法
+ * @param {number} timeout - 超时时间（毫秒）
+ * @param {Function} fetchImpl - fetch 实现
+ * @returns {Promise<Response>}
+ */
+async function requestOnce(url, method, timeout, fetchImpl) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeout);
+
+  try {
+    const response = await fetchImpl(url, {
+      method,
+      redirect: 'manual',
+      headers: REQUEST_HEADERS,
+      signal: controller.signal
+    });
+    // 只需要状态码，释放响应体
+    try {
+      await response.body?.cancel();
+    } catch {
+      // 响应体已被读取或已关闭
+    }
+    return response;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * 根据最终状态码归类
+ * @param {number} statusCode - 状态码
+ * @param {boolean} redirected - 是否经过重定向
+ * @returns {string} LinkStatus
+ */
+function classifyStatus(statusCode, redirected) {
+  if (statusCode >= 200 && statusCode < 300) {
+    return redirected ? LinkStatus.REDIRECTED : LinkStatus.OK;
+  }
+  if (RESTRICTED_CODES.has(statusCode)) {
+    return LinkStatus.RESTRICTED;
+  }
+  return LinkStatus.BROKEN;
+}
+
+/**
+ * 检查单个链接
+ * @param {string} url - 书签地址
+ * @param {Object} options - 选项（timeout、maxRedirects、fetchImpl）
+ * @returns {Promise<Object>} 检查结果：
+ *   status、statusCode、finalUrl、redirects（重定向次数）、permanentRedirect（是否全部为永久重定向且最终可访问）、
+ *   latency（毫秒）、checkedAt、error
+ */
+export async function checkLink(url, options = {}) {
+  const { timeout, maxRedirects } = { ...DEFAULT_CHECK_OPTIONS, ...options };
+  const fetchImpl = options.fetchImpl || fetch;
+  const startedAt = Date.now();
+  const result = (fields) => ({
+    url,
+    statusCode: null,
+    finalUrl: url,
+    redirects: 0,
+    permanentRedirect: false,
+    error: null,
+    ...fields,
+    latency: Date.now() - startedAt,
+    checkedAt: Date.now()
+  });
+
+  let current = url;
+  let allPermanent = true;
+
+  try {
+    for (let hop = 0; hop <= maxRedirects; hop++) {
+      let response = await requestOnce(current, 'HEAD', timeout, fetchImpl);
+      if (HEAD_UNSUPPORTED_CODES.has(response.status)) {
+        response = await requestOnce(current, 'GET', timeout, fetchImpl);
+      }
+
+      const location = response.headers.get('location');
+      if (response.status >= 300 && response.status < 400 && location) {
+        allPermanent = allPermanent && PERMANENT_REDIRECT_CODES.has(response.status);
+        current = new URL(location, current).href;
+        continue;
+      }
+
+      const status = classifyStatus(response.status, hop > 0);
+      return result({
+        status,
+        statusCode: response.status,
+        finalUrl: current,
+        redirects: hop,
+        permanentRedirect: hop > 0 && allPermanent && status === LinkStatus.REDIRECTED && current !== url
+      });
+    }
+
+    return result({
+      status: LinkStatus.BROKEN,
+      finalUrl: current,
+      redirects: maxRedirects,
+      error: `重定向超过 ${maxRedirects} 次`
+    });
+  } catch (error) {
+    return result({
+      status: LinkStatus.UNREACHABLE,
+      finalUrl: current,
+      error: error?.name === 'AbortError' ? `请求超时（${timeout}ms）` : (error?.message || '请求失败')
+    });
+  }
+}
+
+/**
+ * 并发检查多个书签
+ * @param {Array} sites - 书签列表
+ * @param {Object} options - 选项（concurrency 及 checkLink 的选项）
+ * @returns {Promise<Object>} siteId → 检查结果
+ */
+export async function checkLinks(sites, options = {}) {
+  const concurrency = Math.max(1, options.concurrency || DEFAULT_CHECK_OPTIONS.concurrency);
+  const results = {};
+  const queue = [...sites];
+
+  const worker = async () => {
+    while (queue.length > 0) {
+      const site = queue.shift();
+      results[site.id] = await checkLink(site.url, options);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, queue.length) }, worker));
+  return results;
+}
@@ -0,0 +1,104 @@
+/**
+ * 手动排序工具
+ * 书签和分类通过 order 字段记录显示位置；没有 order 的旧数据以数组中的位置作为排序位置
+ * @author Claude 4.0 sonnet
+ * @version 1.0.0
+ */
+
+/**
+ * 获取记录的排序键，没有 order 时使用它在数组中的位置
+ * @param {Object} item - 记录
+ * @param {number} index - 数组位置
+ * @returns {number}
+ */
+function getSortKey(item, index) {
+  return typeof item.order === 'number' && Number.isFinite(item.order) ? item.order : index;
+}
+
+/**
+ * 按 order 字段排序（稳定排序，不修改原数组）
+ * @param {Array} items - 书签或分类列表
+ * @returns {Array}
+ */
+export function sortByOrder(items) {
+  return items
+    .map((item, index) => ({ item, index, key: getSortKey(item, index) }))
+    .sort((a, b) => a.key - b.key || a.index - b.index)
+    .map(({ item }) => item);
+}
+
+/**
+ * 获取新记录的排序位置（排在最后）
+ * @param {Array} items - 当前列表
+ * @returns {number}
+ */
+export function getNextOrder(items) {
+  return items.reduce((max, item, index) => Math.max(max, getSortKey(item, index)), -1) + 1;
+}
+
+/**
+ * 校验重排请求中的 ID 列表
+ * @param {Array} items - 当前列表
+ * @param {any} ids - 新顺序的 ID 列表
+ * @returns {string|null} 错误信息，合法时返回 null
+ */
+export function validateReorderIds(items, ids) {
+  if (!Array.isArray(ids) || ids.length === 0) {
+    return 'ids 必须是非空的 ID 数组';
+  }
+  if (ids.some(id => typeof id !== 'string' || !id)) {
+    return 'ids 中的每一项都必须是非空字符串';
+  }
+  if (new Set(ids).size !== ids.length) {
+    return 'ids 中存在重复的 ID';
+  }
+
+  const existing = new Set(items.map(item => item.id));
+  const missing = ids.filter(id => !existing.has(id));
+  if (missing.length > 0) {
+    return `以下 ID 不存在: ${missing.join(', ')}`;
+  }
+
+  return null;
+}
+
+/**
+ * 按给定 ID 顺序重排列表
+ * 被重排的记录按新顺序依次填回它们原来占用的位置，其他记录的相对位置不变，
+ * 因此只传入某个分类（或筛选结果）内的 ID 即可调整局部顺序；
+ * 返回的列表已排好序，order 重新编号为 0..n-1
+ * @param {Array} items - 当前列表
+ * @param {string[]} ids - 新顺序的 ID 列表（需先经过 validateReorderIds 校验）
+ * @returns {Array} 重排后的新列表
+ */
+export function applyReorder(items, ids) {
+  const sorted = sortByOrder(items);
+  const byId = new Map(sorted.map(item => [item.id, item]));
+  const moving = new Set(ids);
+  const queue = ids.map(id => byId.get(id));
+
+  return sorted
+    .map(item => (moving.has(item.id) ? queue.shift() : item))
+    .map((item, order) => (item.order === order ? item : { ...item, order }));
+}
+
+/**
+ * 将记录移动到目标记录所在的位置（用于拖拽排序）
+ * 向后拖动时放在目标之后，向前拖动时放在目标之前
+ * @param {Array} items - 当前显示的列表
+ * @param {string} fromId - 被拖动的记录 ID
+ * @param {string} toId - 目标记录 ID
+ * @returns {Array} 新列表，ID 无效时返回原列表
+ */
+export function moveItem(items, fromId, toId) {
+  const fromIndex = items.findIndex(item => item.id === fromId);
+  const toIndex = items.findIndex(item => item.id === toId);
+  if (fromIndex === -1 || toIndex === -1 || fromIndex === toIndex) {
+    return items;
+  }
+
+  const result = [...items];
+  const [moved] = result.splice(fromIndex, 1);
+  result.splice(toIndex, 0, moved);
+  return result;
+}
@@ -0,0 +1,504 @@
+/**
+ * 网页元数据提取工具
+ * 抓取网页头部，提取标题、描述（meta / Open Graph）、图标候选地址，
+ * 并根据域名生成建议的书签 ID，用于新增书签时自动填充表单；
+ * 只访问公网地址，本机、内网和链路本地地址（包括重定向目标）一律拒绝
+ * @author Claude 4.0 sonnet
+ * @version 1.0.0
+ */
+
+import { getNormalizedHost } from './url-normalizer.js';
+
+/**
+ * 默认抓取选项
+ */
+export const DEFAULT_PREVIEW_OPTIONS = {
+  timeout: 8000,         // 请求超时（毫秒）
+  maxBytes: 512 * 1024,  // 最多读取的字节数，元数据都在 <head> 中
+  maxRedirects: 5        // 最多跟随的重定向次数
+};
+
+/**
+ * 简短描述的最大长度
+ */
+const SHORT_DESC_MAX_LENGTH = 30;
+
+/**
+ * 描述的最大长度
+ */
+const DESCRIPTION_MAX_LENGTH = 300;
+
+/**
+ * 两段式公共后缀的第二级（example.com.cn、example.co.uk 等）
+ */
+const SECOND_LEVEL_SUFFIXES = new Set(['com', 'net', 'org', 'gov', 'edu', 'co', 'ac']);
+
+/**
+ * 不允许访问的主机名及后缀
+ */
+const BLOCKED_HOSTNAMES = ['localhost', 'localhost.localdomain'];
+const BLOCKED_HOST_SUFFIXES = ['.localhost', '.local', '.internal', '.home.arpa'];
+
+/**
+ * 请求头
+ */
+const REQUEST_HEADERS = {
+  'User-Agent': 'Mozilla/5.0 (compatible; CloudnavPreview/1.0)',
+  'Accept': 'text/html,application/xhtml+xml;q=0.9,*/*;q=0.8',
+  'Accept-Language': 'zh-CN,zh;q=0.9,en;q=0.8'
+};
+
+/**
+ * 常见 HTML 实体
+ */
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+  middot: '·', mdash: '—', ndash: '–', hellip: '…', copy: '©', reg: '®', trade: '™'
+};
+
+/**
+ * 解码 HTML 实体
+ * @param {string} text - 文本
+ * @returns {string}
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1] === 'x' || entity[1] === 'X'
+        ? parseInt(entity.slice(2), 16)
+        : parseInt(entity.slice(1), 10);
+      try {
+        return String.fromCodePoint(code);
+      } catch {
+        return match;
+      }
+    }
+    return NAMED_ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+/**
+ * 清理文本：解码实体并合并空白
+ * @param {string} text - 文本
+ * @returns {string}
+ */
+function cleanText(text) {
+  return decodeEntities(text || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * 解析标签属性
+ * @param {string} tag - 标签源码，例如 <meta name="description" content="...">
+ * @returns {Object} 属性名（小写）→ 属性值
+ */
+function parseAttributes(tag) {
+  const attributes = {};
+  const pattern = /([^\s=/<>"']+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/g;
+  let match;
+  while ((match = pattern.exec(tag)) !== null) {
+    const name = match[1].toLowerCase();
+    if (!(name in attributes)) {
+      attributes[name] = decodeEntities(match[2] ?? match[3] ?? match[4] ?? '');
+    }
+  }
+  return attributes;
+}
+
+/**
+ * 将相对地址解析为绝对地址
+ * @param {string} href - 地址
+ * @param {string} baseUrl - 基础地址
+ * @returns {string|null}
+ */
+function resolveUrl(href, baseUrl) {
+  if (!href) return null;
+  try {
+    const url = new URL(href.trim(), baseUrl);
+    return ['http:', 'https:', 'data:'].includes(url.protocol) ? url.href : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * 截取简短描述：取描述的第一句，过长时截断
+ * @param {string} description - 描述
+ * @returns {string}
+ */
+export function deriveShortDesc(description) {
+  const text = cleanText(description);
+  if (!text) return '';
+
+  const firstSentence = text.match(/^.+?(?:[。！？]|[.!?](?=\s|$))/)?.[0] || text;
+  return firstSentence.length <= SHORT_DESC_MAX_LENGTH
+    ? firstSentence
+    : `${firstSentence.slice(0, SHORT_DESC_MAX_LENGTH - 1)}…`;
+}
+
+/**
+ * 根据域名生成建议的书签 ID，与现有书签的命名方式一致：
+ * github.com → github，pages.github.com → github-pages，与已有 ID 重复时追加序号
+ * @param {string} url - 书签地址
+ * @param {Iterable<string>} existingIds - 已有的书签 ID
+ * @returns {string}
+ */
+export function suggestSiteId(url, existingIds = []) {
+  const host = getNormalizedHost(url);
+  const labels = host.split('.').filter(Boolean);
+
+  let parts;
+  if (labels.length <= 1 || /^[\d.]+$/.test(host) || host.includes(':')) {
+    parts = labels.length ? [labels.join('-')] : ['site'];
+  } else {
+    const suffixLength = labels.length > 2
+      && labels[labels.length - 1].length === 2
+      && SECOND_LEVEL_SUFFIXES.has(labels[labels.length - 2]) ? 2 : 1;
+    const names = labels.slice(0, labels.length - suffixLength);
+    // 主域名在前，子域名由近及远排在后面
+    parts = [names[names.length - 1], ...names.slice(0, -1).reverse()];
+  }
+
+  const base = parts
+    .join('-')
+    .toLowerCase()
+    .replace(/[^a-z0-9-]+/g, '-')
+    .replace(/^-+|-+$/g, '') || 'site';
+
+  const taken = new Set(existingIds);
+  if (!taken.has(base)) return base;
+
+  let index = 2;
+  while (taken.has(`${base}-${index}`)) index++;
+  return `${base}-${index}`;
+}
+
+/**
+ * 从 HTML 中提取元数据
+ * @param {string} html - 网页源码（只需要 <head> 部分）
+ * @param {string} baseUrl - 网页地址，用于解析相对地址
+ * @returns {{title: string, siteName: string, description: string, shortDesc: string, icons: Array<{url: string, rel: string, sizes: string|null, type: string|null}>}}
+ */
+export function extractPageMetadata(html, baseUrl) {
+  const headEnd = html.search(/<\/head\s*>/i);
+  const head = headEnd === -1 ? html : html.slice(0, headEnd);
+
+  // <base href> 会改变相对地址的解析基准
+  const baseHref = head.match(/<base\s[^>]*>/i);
+  const base = (baseHref && resolveUrl(parseAttributes(baseHref[0]).href, baseUrl)) || baseUrl;
+
+  const meta = {};
+  (head.match(/<meta\s[^>]*>/gi) || []).forEach(tag => {
+    const attributes = parseAttributes(tag);
+    const key = (attributes.property || attributes.name || attributes.itemprop || '').toLowerCase();
+    if (key && attributes.content !== undefined && !(key in meta)) {
+      meta[key] = cleanText(attributes.content);
+    }
+  });
+
+  const pageTitle = cleanText(head.match(/<title[^>]*>([\s\S]*?)<\/title\s*>/i)?.[1]);
+  const siteName = meta['og:site_name'] || meta['application-name'] || '';
+  const title = meta['og:title'] || meta['twitter:title'] || pageTitle;
+  const description = (meta.description || meta['og:description'] || meta['twitter:description'] || '')
+    .slice(0, DESCRIPTION_MAX_LENGTH);
+
+  return {
+    title,
+    siteName,
+    description,
+    shortDesc: deriveShortDesc(description),
+    icons: extractIcons(head, base)
+  };
+}
+
+/**
+ * 提取图标候选地址，按推荐程度排序：尺寸较大的图标、SVG 图标、apple-touch-icon，最后是 /favicon.ico
+ * @param {string} head - <head> 源码
+ * @param {string} baseUrl - 基础地址
+ * @returns {Array<{url: string, rel: string, sizes: string|null, type: string|null}>}
+ */
+function extractIcons(head, baseUrl) {
+  const icons = [];
+  const seen = new Set();
+  const add = (icon) => {
+    if (!icon.url || seen.has(icon.url)) return;
+    seen.add(icon.url);
+    icons.push(icon);
+  };
+
+  (head.match(/<link\s[^>]*>/gi) || []).forEach(tag => {
+    const attributes = parseAttributes(tag);
+    const rel = (attributes.rel || '').toLowerCase().split(/\s+/);
+    if (!rel.includes('icon') && !rel.includes('apple-touch-icon') && !rel.includes('apple-touch-icon-precomposed')) {
+      return;
+    }
+    add({
+      url: resolveUrl(attributes.href, baseUrl),
+      rel: rel.includes('icon') ? 'icon' : 'apple-touch-icon',
+      sizes: attributes.sizes || null,
+      type: attributes.type || null
+    });
+  });
+
+  const score = (icon) => {
+    if (icon.type === 'image/svg+xml' || /\.svg(\?|$)/i.test(icon.url) || icon.sizes === 'any') return 1000;
+    const size = Math.max(0, ...(icon.sizes || '').split(/\s+/).map(value => parseInt(value, 10) || 0));
+    return size || (icon.rel === 'apple-touch-icon' ? 180 : 16);
+  };
+  icons.sort((a, b) => score(b) - score(a));
+
+  add({ url: resolveUrl('/favicon.ico', baseUrl), rel: 'icon', sizes: null, type: null });
+  return icons;
+}
+
+/**
+ * 判断 IPv4 地址是否属于本机、内网、链路本地或保留网段
+ * @param {number[]} parts - 四段数字
+ * @returns {boolean}
+ */
+function isPrivateIPv4([a, b]) {
+  return a === 0                              // 0.0.0.0/8
+    || a === 10                               // 10.0.0.0/8
+    || a === 127                              // 回环
+    || (a === 100 && b >= 64 && b <= 127)     // 100.64.0.0/10 运营商级 NAT
+    || (a === 169 && b === 254)               // 链路本地（含云平台元数据地址）
+    || (a === 172 && b >= 16 && b <= 31)      // 172.16.0.0/12
+    || (a === 192 && b === 168)               // 192.168.0.0/16
+    || a >= 224;                              // 组播和保留地址
+}
+
+/**
+ * 将 IPv6 地址解析为 8 个 16 位分组
+ * 支持 :: 缩写和末尾的点分十进制 IPv4（::ffff:127.0.0.1），格式无效时返回 null
+ * @param {string} address - 不带方括号的 IPv6 地址
+ * @returns {number[]|null}
+ */
+function parseIPv6(address) {
+  let text = address.replace(/%.*$/, '');
+
+  // 末尾的点分十进制 IPv4 换算为两个分组
+  const dotted = text.match(/^(.*:)(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/);
+  if (dotted) {
+    const bytes = dotted.slice(2).map(Number);
+    if (bytes.some(byte => byte > 255)) return null;
+    text = `${dotted[1]}${((bytes[0] << 8) | bytes[1]).toString(16)}:${((bytes[2] << 8) | bytes[3]).toString(16)}`;
+  }
+
+  const halves = text.split('::');
+  if (halves.length > 2) return null;
+
+  const toGroups = half => (half ? half.split(':') : []);
+  const head = toGroups(halves[0]);
+  const tail = halves.length === 2 ? toGroups(halves[1]) : [];
+  const missing = 8 - head.length - tail.length;
+  if (halves.length === 2 ? missing < 1 : missing !== 0) return null;
+
+  const groups = [...head, ...Array(halves.length === 2 ? missing : 0).fill('0'), ...tail];
+  if (groups.some(group => !/^[0-9a-f]{1,4}$/.test(group))) return null;
+  return groups.map(group => parseInt(group, 16));
+}
+
+/**
+ * 取出 IPv6 地址中内嵌的 IPv4 地址
+ * 包括 IPv4 兼容地址（::/96）、IPv4 映射地址（::ffff:0:0/96）、IPv4 转换地址（::ffff:0:0:0/96）、
+ * NAT64 地址（64:ff9b::/96）和 6to4 地址（2002::/16）
+ * @param {number[]} groups - 8 个 16 位分组
+ * @returns {number[]|null} 四段数字，没有内嵌 IPv4 时返回 null
+ */
+function getEmbeddedIPv4(groups) {
+  const toBytes = (high, low) => [high >> 8, high & 255, low >> 8, low & 255];
+  const zeroUntil = end => groups.slice(0, end).every(group => group === 0);
+
+  if (zeroUntil(6)) {
+    return toBytes(groups[6], groups[7]);
+  }
+  if (zeroUntil(5) && groups[5] === 0xffff) {
+    return toBytes(groups[6], groups[7]);
+  }
+  if (zeroUntil(4) && groups[4] === 0xffff && groups[5] === 0) {
+    return toBytes(groups[6], groups[7]);
+  }
+  if (groups[0] === 0x64 && groups[1] === 0xff9b && groups.slice(2, 6).every(group => group === 0)) {
+    return toBytes(groups[6], groups[7]);
+  }
+  if (groups[0] === 0x2002) {
+    return toBytes(groups[1], groups[2]);
+  }
+  return null;
+}
+
+/**
+ * 判断主机名是否指向本机、内网或链路本地地址
+ * 只检查主机名本身（URL 解析后 IP 的各种写法都已规范为点分十进制），不做 DNS 解析；
+ * IPv6 地址中内嵌的 IPv4 地址按 IPv4 的规则判断
+ * @param {string} hostname - URL 中的主机名（IPv6 带方括号）
+ * @returns {boolean}
+ */
+export function isPrivateHost(hostname) {
+  const host = hostname.toLowerCase().replace(/\.$/, '');
+
+  if (BLOCKED_HOSTNAMES.includes(host) || BLOCKED_HOST_SUFFIXES.some(suffix => host.endsWith(suffix))) {
+    return true;
+  }
+
+  const ipv4 = host.match(/^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/);
+  if (ipv4) {
+    return isPrivateIPv4(ipv4.slice(1).map(Number));
+  }
+
+  if (host.startsWith('[') && host.endsWith(']')) {
+    const groups = parseIPv6(host.slice(1, -1));
+    // 无法解析的地址不放行
+    if (!groups) {
+      return true;
+    }
+
+    const embedded = getEmbeddedIPv4(groups);
+    if (embedded) {
+      // ::（未指定地址）和 ::1（回环）也在 ::/96 中，分别对应 0.0.0.0 和 0.0.0.1
+      return isPrivateIPv4(embedded);
+    }
+
+    const [first] = groups;
+    return (first & 0xfe00) === 0xfc00        // fc00::/7 唯一本地地址
+      || (first & 0xffc0) === 0xfe80          // fe80::/10 链路本地
+      || (first & 0xffc0) === 0xfec0          // fec0::/10 站点本地（已废弃）
+      || (first & 0xff00) === 0xff00          // 组播
+      || (first === 0x64 && groups[1] === 0xff9b && groups[2] === 1);  // 64:ff9b:1::/48 本地 NAT64
+  }
+
+  return false;
+}
+
+/**
+ * 检查地址是否允许抓取
+ * @param {string} url - 地址
+ * @throws {Error} 不是 http(s) 地址或指向本机、内网地址时抛出
+ */
+function assertFetchableUrl(url) {
+  const { protocol, hostname } = new URL(url);
+  if (protocol !== 'http:' && protocol !== 'https:') {
+    throw new Error('只支持 http 和 https 地址');
+  }
+  if (isPrivateHost(hostname)) {
+    throw new Error(`不允许访问本机或内网地址（${hostname}）`);
+  }
+}
+
+/**
+ * 读取响应体的前若干字节并按网页声明的编码解码
+ * @param {Response} response - 响应
+ * @param {number} maxBytes - 最多读取的字节数
+ * @returns {Promise<string>}
+ */
+async function readHead(response, maxBytes) {
+  const chunks = [];
+  let received = 0;
+
+  if (response.body?.getReader) {
+    const reader = response.body.getReader();
+    // 只用于查找 </head>（ASCII），按 UTF-8 流式解码即可，最终内容在下面按实际编码解码
+    const decoder = new TextDecoder();
+    let text = '';
+    while (received < maxBytes) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      chunks.push(value);
+      received += value.length;
+      // 读到 </head> 即可停止；在累计的文本中从上一块末尾之前几个字符开始查找，标签跨块时也能识别
+      const searchFrom = Math.max(0, text.length - '</head'.length);
+      text += decoder.decode(value, { stream: true });
+      if (/<\/head/i.test(text.slice(searchFrom))) break;
+    }
+    try {
+      await reader.cancel();
+    } catch {
+      // 响应体已读完
+    }
+  } else {
+    const buffer = new Uint8Array(await response.arrayBuffer());
+    chunks.push(buffer.slice(0, maxBytes));
+    received = Math.min(buffer.length, maxBytes);
+  }
+
+  const bytes = new Uint8Array(received);
+  let offset = 0;
+  chunks.forEach(chunk => {
+    bytes.set(chunk.subarray(0, received - offset), offset);
+    offset += Math.min(chunk.length, received - offset);
+  });
+
+  // 编码优先取响应头，其次取 <meta charset>，不支持的编码按 UTF-8 解码
+  const ascii = String.fromCharCode(...bytes.subarray(0, 4096));
+  const charset = (response.headers.get('content-type')?.match(/charset=([\w-]+)/i)?.[1]
+    || ascii.match(/<meta[^>]+charset=["']?([\w-]+)/i)?.[1]
+    || 'utf-8').toLowerCase();
+
+  try {
+    return new TextDecoder(charset).decode(bytes);
+  } catch {
+    return new TextDecoder().decode(bytes);
+  }
+}
+
+/**
+ * 抓取网页并提取元数据
+ * 重定向逐跳手动跟随，每一跳的目标地址都要通过内网地址检查
+ * @param {string} url - 网页地址
+ * @param {Object} options - 选项（timeout、maxBytes、maxRedirects、fetchImpl）
+ * @returns {Promise<Object>} extractPageMetadata 的结果，另含 finalUrl（跟随重定向后的地址）
+ * @throws {Error} 地址指向本机或内网、请求失败、返回非 2xx 或不是网页时抛出
+ */
+export async function fetchPageMetadata(url, options = {}) {
+  const { timeout, maxBytes, maxRedirects } = { ...DEFAULT_PREVIEW_OPTIONS, ...options };
+  const fetchImpl = options.fetchImpl || fetch;
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeout);
+
+  try {
+    let current = url;
+    let response;
+    for (let hop = 0; ; hop++) {
+      assertFetchableUrl(current);
+      response = await fetchImpl(current, {
+        method: 'GET',
+        redirect: 'manual',
+        headers: REQUEST_HEADERS,
+        signal: controller.signal
+      });
+
+      const location = response.headers.get('location');
+      if (response.status < 300 || response.status >= 400 || !location) {
+        break;
+      }
+      if (hop >= maxRedirects) {
+        throw new Error(`重定向超过 ${maxRedirects} 次`);
+      }
+      try {
+        await response.body?.cancel();
+      } catch {
+        // 响应体已关闭
+      }
+      current = new URL(location, current).href;
+    }
+
+    if (!response.ok) {
+      throw new Error(`网页返回 HTTP ${response.status}`);
+    }
+
+    const contentType = response.headers.get('content-type') || '';
+    if (contentType && !/html|xml/i.test(contentType)) {
+      throw new Error(`地址不是网页（${contentType.split(';')[0]}）`);
+    }
+
+    const finalUrl = current;
+    const html = await readHead(response, maxBytes);
+    return { ...extractPageMetadata(html, finalUrl), finalUrl };
+  } catch (error) {
+    if (error?.name === 'AbortError') {
+      throw new Error(`请求超时（${timeout}ms）`);
+    }
+    throw error;
+  } finally {
+    clearTimeout(timer);
+  }
+}
@@ -0,0 +1,143 @@
+/**
+ * 管理员密码哈希工具
+ * 使用 PBKDF2-SHA256 加随机盐生成和验证密码哈希，Workers 和 Node 中都通过 Web Crypto 计算；
+ * 哈希字符串格式为 pbkdf2-sha256$迭代次数$盐$哈希（盐和哈希为 Base64）
+ * @author Claude 4.0 sonnet
+ * @version 1.0.0
+ */
+
+/**
+ * 哈希算法标识
+ */
+export const PASSWORD_HASH_ALGORITHM = 'pbkdf2-sha256';
+
+/**
+ * 默认迭代次数（Cloudflare Workers 中 PBKDF2 支持的最大值）
+ */
+export const DEFAULT_PBKDF2_ITERATIONS = 100000;
+
+/**
+ * 盐和哈希的字节数
+ */
+const SALT_BYTES = 16;
+const HASH_BYTES = 32;
+
+/**
+ * 旧版本配置向导使用的固定盐（SHA-256(密码 + 盐) 的十六进制结果）
+ */
+const LEGACY_SALT = 'cloudnav_salt';
+
+/**
+ * 字节数组转 Base64
+ * @param {Uint8Array} bytes - 字节数组
+ * @returns {string}
+ */
+function toBase64(bytes) {
+  return btoa(String.fromCharCode(...bytes));
+}
+
+/**
+ * Base64 转字节数组
+ * @param {string} text - Base64 文本
+ * @returns {Uint8Array}
+ */
+function fromBase64(text) {
+  return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+}
+
+/**
+ * 常量时间比较两个字节数组，避免通过响应时间猜测哈希
+ * @param {Uint8Array} a - 字节数组
+ * @param {Uint8Array} b - 字节数组
+ * @returns {boolean}
+ */
+function timingSafeEqual(a, b) {
+  if (a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a[i] ^ b[i];
+  }
+  return diff === 0;
+}
+
+/**
+ * 计算 PBKDF2 派生密钥
+ * @param {string} password - 密码
+ * @param {Uint8Array} salt - 盐
+ * @param {number} iterations - 迭代次数
+ * @param {number} length - 派生字节数
+ * @returns {Promise<Uint8Array>}
+ */
+async function derive(password, salt, iterations, length) {
+  const key = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(password),
+    'PBKDF2',
+    false,
+    ['deriveBits']
+  );
+  const bits = await crypto.subtle.deriveBits(
+    { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+    key,
+    length * 8
+  );
+  return new Uint8Array(bits);
+}
+
+/**
+ * 是否为旧版本的 SHA-256 哈希（64 位十六进制）
+ * @param {string} stored - 保存的哈希
+ * @returns {boolean}
+ */
+export function isLegacyHash(stored) {
+  return /^[0-9a-f]{64}$/i.test(stored || '');
+}
+
+/**
+ * 生成密码哈希
+ * @param {string} password - 密码
+ * @param {Object} options - 选项
+ * @param {number} options.iterations - 迭代次数
+ * @returns {Promise<string>} 哈希字符串
+ */
+export async function hashPassword(password, options = {}) {
+  const iterations = options.iterations || DEFAULT_PBKDF2_ITERATIONS;
+  const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+  const hash = await derive(password, salt, iterations, HASH_BYTES);
+  return [PASSWORD_HASH_ALGORITHM, iterations, toBase64(salt), toBase64(hash)].join('$');
+}
+
+/**
+ * 验证密码
+ * 同时兼容旧版本的 SHA-256 哈希，建议重新生成
+ * @param {string} password - 输入的密码
+ * @param {string} stored - 保存的哈希
+ * @returns {Promise<boolean>}
+ */
+export async function verifyPassword(password, stored) {
+  if (typeof password !== 'string' || !stored) {
+    return false;
+  }
+
+  if (isLegacyHash(stored)) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(password + LEGACY_SALT));
+    const expected = Uint8Array.from(stored.match(/../g), byte => parseInt(byte, 16));
+    return timingSafeEqual(new Uint8Array(digest), expected);
+  }
+
+  const [algorithm, iterationsText, saltText, hashText] = stored.split('$');
+  const iterations = Number(iterationsText);
+  if (algorithm !== PASSWORD_HASH_ALGORITHM || !Number.isInteger(iterations) || iterations < 1 || !saltText || !hashText) {
+    console.warn('⚠️ 管理员密码哈希格式无效');
+    return false;
+  }
+
+  try {
+    const expected = fromBase64(hashText);
+    const actual = await derive(password, fromBase64(saltText), iterations, expected.length);
+    return timingSafeEqual(actual, expected);
+  } catch (error) {
+    console.warn('⚠️ 管理员密码哈希格式无效:', error);
+    return false;
+  }
+}
@@ -0,0 +1,145 @@
+/**
+ * 排序 API 路由处理器
+ * 书签和分类的排序接口（PATCH { ids: [...] }）共用同一套处理流程：权限检查、If-Match 乐观并发控制、
+ * 请求体解析、一次写入新顺序，以及统一的错误响应
+ * @author Claude 4.0 sonnet
+ * @version 1.0.0
+ */
+
+import { spaceManager } from '../data/space-manager.js';
+import { checkAdminPermission, getRequestActor } from './auth.js';
+import { TokenScope } from './api-tokens.js';
+import { handleError, ErrorType } from './error-handler.js';
+import { formatETag, parseIfMatch } from './etag.js';
+
+/**
+ * 创建标准化的 API 响应
+ * @param {string} collection - 集合名称（sites 或 categories），用于生成 ETag
+ * @param {any} data - 响应数据
+ * @param {number} status - HTTP 状态码
+ * @param {string} [message] - 响应消息
+ * @param {number} [revision] - 集合版本号（提供时同时返回 ETag）
+ * @returns {Response}
+ */
+function createApiResponse(collection, data = null, status = 200, message, revision) {
+  const response = {
+    success: status >= 200 && status < 300,
+    data,
+    message,
+    revision,
+    timestamp: new Date().toISOString()
+  };
+
+  /** @type {Record<string, string>} */
+  const headers = {
+    'Content-Type': 'application/json',
+    'Cache-Control': 'no-cache'
+  };
+  if (revision !== undefined) {
+    headers['ETag'] = formatETag(collection, revision);
+  }
+
+  return new Response(JSON.stringify(response), { status, headers });
+}
+
+/**
+ * 创建排序接口的 PATCH 和 OPTIONS 处理函数
+ * 列出的记录按新顺序填回它们原来的位置，其余记录不受影响；ID 列表无效时返回 400 和 data.reason
+ * @param {Object} config - 路由配置
+ * @param {string} config.collection - 集合名称（sites 或 categories）
+ * @param {string} config.label - 记录名称（书签、分类），用于日志和响应消息
+ * @param {string} config.operation - 错误上下文中的操作名称
+ * @param {(dataManager: any, ids: any, options: Object) => Promise<{revision: number, items: Array}>} config.reorder - 执行排序的数据方法
+ * @returns {{PATCH: import('astro').APIRoute, OPTIONS: import('astro').APIRoute}}
+ */
+export function createReorderRoute({ collection, label, operation, reorder }) {
+  const respond = (data, status, message, revision) => createApiResponse(collection, data, status, message, revision);
+
+  /**
+   * 处理 PATCH 请求 - 调整顺序
+   * @param {{params: Record<string, string|undefined>, request: Request}} context - 路由上下文
+   * @returns {Promise<Response>}
+   */
+  const PATCH = async ({ params, request }) => {
+    const space = spaceManager.getContext(params.space);
+    if (!space) {
+      return respond(null, 404, `空间 "${params.space}" 不存在`);
+    }
+    const { dataManager } = space;
+
+    try {
+      console.log(`↕️ API: 调整${label}顺序`);
+
+      // 检查权限
+      if (!(await checkAdminPermission(request, TokenScope.BOOKMARKS_WRITE))) {
+        return respond(null, 403, '管理功能未启用或权限不足');
+      }
+
+      // 解析 If-Match（乐观并发控制）
+      const ifMatch = parseIfMatch(request.headers.get('if-match'), collection);
+      if (!ifMatch.valid) {
+        return respond(null, 400, 'If-Match 请求头格式无效');
+      }
+
+      // 解析请求数据
+      const contentType = request.headers.get('content-type');
+      if (!contentType?.includes('application/json')) {
+        return respond(null, 400, '请求内容类型必须是 application/json');
+      }
+
+      let reorderData;
+      try {
+        reorderData = await request.json();
+      } catch {
+        return respond(null, 400, '请求数据格式无效');
+      }
+
+      // 调整顺序（一次写入）
+      const { revision, items } = await reorder(dataManager, reorderData?.ids, {
+        ...getRequestActor(request, 'reorder'),
+        expectedRevision: ifMatch.revision
+      });
+
+      const orders = Object.fromEntries(
+        items.filter(item => reorderData.ids.includes(item.id)).map(item => [item.id, item.order])
+      );
+
+      console.log(`✅ ${label}顺序已更新: ${reorderData.ids.length} 个`);
+      return respond({ ids: reorderData.ids, orders }, 200, `${label}顺序已更新`, revision);
+
+    } catch (error) {
+      console.error(`❌ 调整${label}顺序失败:`, error);
+
+      if (error.type === ErrorType.CONFLICT) {
+        const { expectedRevision, currentRevision } = error.details || {};
+        return respond({ expectedRevision, currentRevision }, 409, error.getUserMessage(), currentRevision);
+      }
+
+      if (error.type === ErrorType.VALIDATION) {
+        return respond({ reason: error.message }, 400, error.getUserMessage());
+      }
+
+      const appError = handleError.generic(error, { operation });
+      return respond(null, 500, appError.getUserMessage());
+    }
+  };
+
+  /**
+   * 处理 OPTIONS 请求 - CORS 预检
+   * @returns {Response}
+   */
+  const OPTIONS = () => {
+    return new Response(null, {
+      status: 200,
+      headers: {
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'PATCH, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization, If-Match',
+        'Access-Control-Expose-Headers': 'ETag',
+        'Access-Control-Max-Age': '86400'
+      }
+    });
+  };
+
+  return { PATCH, OPTIONS };
+}
@@ -0,0 +1,390 @@
+/**
+ * 数据结构校验
+ * 以声明方式描述书签、分类、站点设置、API 令牌和导入数据的字段规则，API、导入、数据迁移和后台表单共用；
+ * 每条错误都带字段路径（如 url、sites[3].category），后台表单据此在对应输入框旁显示错误
+ * @author Claude 4.0 sonnet
+ * @version 1.0.0
+ */
+
+import { validateTags } from './tags.js';
+import { DEFAULT_HOME_SETTINGS, MAX_HOME_SECTION_LIMIT } from './home-sections.js';
+import { validateScopes, MAX_TOKEN_EXPIRY_DAYS } from './api-tokens.js';
+
+/**
+ * 字段类型枚举
+ */
+export const FieldType = {
+  STRING: 'string',
+  NUMBER: 'number',
+  INTEGER: 'integer',
+  BOOLEAN: 'boolean',
+  ARRAY: 'array',
+  OBJECT: 'object'
+};
+
+/**
+ * 分类 ID 允许的字符：字母（含中文等各语言文字）、数字、下划线和连字符
+ */
+export const CATEGORY_ID_PATTERN = /^[\p{L}\p{N}_-]+$/u;
+
+/**
+ * 书签结构
+ */
+export const SiteSchema = {
+  label: '书签',
+  fields: {
+    id: { type: FieldType.STRING, label: '书签 ID', required: true, nonEmpty: true },
+    title: { type: FieldType.STRING, label: '书签标题', required: true, nonEmpty: true },
+    url: { type: FieldType.STRING, label: '书签 URL', required: true, nonEmpty: true, format: 'url' },
+    category: { type: FieldType.STRING, label: '书签分类', required: true, nonEmpty: true },
+    description: { type: FieldType.STRING, label: '书签描述' },
+    shortDesc: { type: FieldType.STRING, label: '书签简短描述' },
+    icon: { type: FieldType.STRING, label: '书签图标' },
+    tags: { type: FieldType.ARRAY, label: '书签标签', validate: validateTags },
+    order: { type: FieldType.NUMBER, label: '书签排序位置' },
+    pinned: { type: FieldType.BOOLEAN, label: '书签置顶标记' },
+    addDate: { type: FieldType.NUMBER, label: '书签添加时间' },
+    lastModified: { type: FieldType.NUMBER, label: '书签修改时间' }
+  }
+};
+
+/**
+ * 分类结构
+ */
+export const CategorySchema = {
+  label: '分类',
+  fields: {
+    id: {
+      type: FieldType.STRING,
+      label: '分类 ID',
+      required: true,
+      nonEmpty: true,
+      pattern: CATEGORY_ID_PATTERN,
+      patternMessage: '分类 ID 只能包含字母、数字、下划线和连字符'
+    },
+    name: { type: FieldType.STRING, label: '分类名称', required: true, nonEmpty: true },
+    icon: { type: FieldType.STRING, label: '分类图标', required: true, nonEmpty: true },
+    description: { type: FieldType.STRING, label: '分类描述' },
+    parentId: { type: FieldType.STRING, label: '父分类 ID', nonEmpty: true, nullable: true },
+    order: { type: FieldType.NUMBER, label: '分类排序位置' },
+    addDate: { type: FieldType.NUMBER, label: '分类添加时间' },
+    lastModified: { type: FieldType.NUMBER, label: '分类修改时间' }
+  }
+};
+
+/**
+ * 首页区块设置结构
+ */
+export const HomeSettingsSchema = {
+  label: '首页设置项',
+  additionalFields: false,
+  fields: Object.fromEntries(Object.keys(DEFAULT_HOME_SETTINGS).map(key => [
+    key,
+    { type: FieldType.INTEGER, label: key, min: 0, max: MAX_HOME_SECTION_LIMIT }
+  ]))
+};
+
+/**
+ * 站点设置结构（按分组）
+ */
+export const SettingsSchema = {
+  label: '设置分组',
+  additionalFields: false,
+  fields: {
+    home: { type: FieldType.OBJECT, label: '首页设置', schema: HomeSettingsSchema }
+  }
+};
+
+/**
+ * 创建 API 令牌的请求结构，expiresInDays 为 null 表示永不过期
+ */
+export const ApiTokenSchema = {
+  label: '令牌字段',
+  additionalFields: false,
+  fields: {
+    name: { type: FieldType.STRING, label: '令牌名称', required: true, nonEmpty: true },
+    scopes: {
+      type: FieldType.ARRAY,
+      label: '令牌权限',
+      required: true,
+      items: { type: FieldType.STRING, label: '令牌权限' },
+      validate: validateScopes
+    },
+    expiresInDays: { type: FieldType.INTEGER, label: '有效天数', min: 1, max: MAX_TOKEN_EXPIRY_DAYS, nullable: true }
+  }
+};
+
+/**
+ * 书签导入数据结构（浏览器书签文件解析后的格式）
+ */
+export const ImportDataSchema = {
+  label: '导入',
+  fields: {
+    categories: {
+      type: FieldType.ARRAY,
+      label: '分类数据',
+      required: true,
+      items: {
+        type: FieldType.OBJECT,
+        label: '分类',
+        schema: {
+          label: '分类',
+          fields: {
+            name: { type: FieldType.STRING, label: '分类名称', required: true, nonEmpty: true },
+            sites: { type: FieldType.ARRAY, label: '分类的书签数据', required: true },
+            icon: { type: FieldType.STRING, label: '分类图标' },
+            path: { type: FieldType.ARRAY, label: '文件夹路径', items: { type: FieldType.STRING, label: '文件夹名称' } },
+            parentPath: { type: FieldType.ARRAY, label: '父文件夹路径', nullable: true, items: { type: FieldType.STRING, label: '文件夹名称' } }
+          }
+        }
+      }
+    },
+    sites: {
+      type: FieldType.ARRAY,
+      label: '书签数据',
+      required: true,
+      items: {
+        type: FieldType.OBJECT,
+        label: '书签',
+        schema: {
+          label: '书签',
+          fields: {
+            title: SiteSchema.fields.title,
+            url: SiteSchema.fields.url,
+            category: SiteSchema.fields.category,
+            description: SiteSchema.fields.description,
+            icon: SiteSchema.fields.icon,
+            tags: { type: FieldType.ARRAY, label: '书签标签', items: { type: FieldType.STRING, label: '标签' } },
+            addDate: SiteSchema.fields.addDate,
+            categoryPath: { type: FieldType.ARRAY, label: '文件夹路径', items: { type: FieldType.STRING, label: '文件夹名称' } }
+          }
+        }
+      }
+    },
+    options: { type: FieldType.OBJECT, label: '导入选项' }
+  }
+};
+
+/**
+ * 拼接字段名和说明，英文结尾的字段名后加空格（"书签 URL 格式无效"、"书签标题是必需的"）
+ * @param {string} label - 字段名
+ * @param {string} text - 说明
+ * @returns {string}
+ */
+function describe(label, text) {
+  return /[A-Za-z0-9]$/.test(label) ? `${label} ${text}` : `${label}${text}`;
+}
+
+/**
+ * 拼接字段路径
+ * @param {string} parent - 上级路径
+ * @param {string|number} key - 字段名或数组下标
+ * @returns {string}
+ */
+function joinPath(parent, key) {
+  if (typeof key === 'number') return `${parent}[${key}]`;
+  return parent ? `${parent}.${key}` : key;
+}
+
+/**
+ * 校验单个值
+ * @param {Object} rule - 字段规则
+ * @param {any} value - 字段值
+ * @param {string} path - 字段路径
+ * @param {Array} errors - 错误列表（会被修改）
+ * @param {Object} options - 选项（partial）
+ */
+function checkValue(rule, value, path, errors, options) {
+  const label = rule.label || path;
+  const fail = (message) => errors.push({ path, message });
+
+  if (value === undefined || value === null) {
+    if (value === null && rule.nullable) return;
+    if (rule.required && !options.partial) fail(describe(label, '是必需的'));
+    else if (value === null) fail(describe(label, '不能为 null'));
+    return;
+  }
+
+  switch (rule.type) {
+    case FieldType.STRING:
+      if (typeof value !== 'string') {
+        fail(describe(label, rule.nullable ? '必须是字符串或 null' : '必须是字符串'));
+        return;
+      }
+      if (rule.nonEmpty && !value.trim()) {
+        fail(describe(label, rule.required && !options.partial ? '是必需的' : '不能为空'));
+        return;
+      }
+      if (rule.pattern && !rule.pattern.test(value)) {
+        fail(rule.patternMessage || describe(label, '格式无效'));
+        return;
+      }
+      if (rule.format === 'url') {
+        try {
+          new URL(value);
+        } catch {
+          fail(describe(label, '格式无效'));
+        }
+      }
+      return;
+
+    case FieldType.NUMBER:
+      if (typeof value !== 'number' || !Number.isFinite(value)) fail(describe(label, '必须是数字'));
+      return;
+
+    case FieldType.INTEGER:
+      if (!Number.isInteger(value)
+        || (rule.min !== undefined && value < rule.min)
+        || (rule.max !== undefined && value > rule.max)) {
+        fail(rule.min !== undefined && rule.max !== undefined
+          ? describe(label, `必须是 ${rule.min} 到 ${rule.max} 之间的整数`)
+          : describe(label, '必须是整数'));
+      }
+      return;
+
+    case FieldType.BOOLEAN:
+      if (typeof value !== 'boolean') fail(describe(label, '必须是布尔值'));
+      return;
+
+    case FieldType.ARRAY:
+      if (!Array.isArray(value)) {
+        fail(describe(label, '必须是数组'));
+        return;
+      }
+      if (rule.items) {
+        value.forEach((item, index) => checkValue(rule.items, item, joinPath(path, index), errors, options));
+      }
+      if (rule.validate) {
+        rule.validate(value).forEach(fail);
+      }
+      return;
+
+    case FieldType.OBJECT:
+      if (typeof value !== 'object' || Array.isArray(value)) {
+        fail(describe(label, '必须是对象'));
+        return;
+      }
+      if (rule.schema) {
+        checkObject(rule.schema, value, path, errors, options);
+      }
+      return;
+
+    default:
+      return;
+  }
+}
+
+/**
+ * 按结构校验对象的各个字段
+ * @param {Object} schema - 结构定义
+ * @param {Object} data - 对象
+ * @param {string} path - 对象路径
+ * @param {Array} errors - 错误列表（会被修改）
+ * @param {Object} options - 选项（partial）
+ */
+function checkObject(schema, data, path, errors, options) {
+  Object.entries(schema.fields).forEach(([field, rule]) => {
+    checkValue(rule, data[field], joinPath(path, field), errors, options);
+  });
+
+  if (schema.additionalFields === false) {
+    Object.keys(data)
+      .filter(field => !(field in schema.fields))
+      .forEach(field => errors.push({ path: joinPath(path, field), message: `未知的${schema.label}: ${field}` }));
+  }
+}
+
+/**
+ * 按结构校验数据
+ * @param {Object} schema - 结构定义（SiteSchema、CategorySchema 等）
+ * @param {any} data - 要校验的数据
+ * @param {Object} [options] - 选项
+ * @param {boolean} [options.partial] - 部分更新：未提供的字段不检查是否必需，提供了的字段照常校验
+ * @param {string} [options.path] - 数据本身的路径，校验集合中的一项时使用（如 sites[3]）
+ * @returns {{valid: boolean, errors: Array<{path: string, message: string}>}}
+ */
+export function validate(schema, data, options = {}) {
+  const errors = [];
+  const path = options.path || '';
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    errors.push({ path, message: `${schema.label}数据必须是对象` });
+  } else {
+    checkObject(schema, data, path, errors, options);
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * 校验完整的分类和书签集合：逐条校验字段，并检查 ID 唯一、书签分类和父分类存在
+ * @param {Array} categories - 分类列表
+ * @param {Array} sites - 书签列表
+ * @returns {{valid: boolean, errors: Array<{path: string, message: string}>}}
+ */
+export function validateCollections(categories, sites) {
+  const errors = [];
+
+  if (!Array.isArray(categories)) {
+    errors.push({ path: 'categories', message: '分类数据必须是数组' });
+  }
+  if (!Array.isArray(sites)) {
+    errors.push({ path: 'sites', message: '书签数据必须是数组' });
+  }
+  if (errors.length > 0) {
+    return { valid: false, errors };
+  }
+
+  const checkCollection = (type, schema, items) => {
+    const seen = new Set();
+    items.forEach((item, index) => {
+      const path = joinPath(type, index);
+      errors.push(...validate(schema, item, { path }).errors);
+      if (item && typeof item.id === 'string') {
+        if (seen.has(item.id)) {
+          errors.push({ path: joinPath(path, 'id'), message: describe(schema.fields.id.label, `"${item.id}" 重复`) });
+        }
+        seen.add(item.id);
+      }
+    });
+    return seen;
+  };
+
+  const categoryIds = checkCollection('categories', CategorySchema, categories);
+  checkCollection('sites', SiteSchema, sites);
+
+  categories.forEach((category, index) => {
+    if (typeof category?.parentId === 'string' && category.parentId && !categoryIds.has(category.parentId)) {
+      errors.push({ path: `categories[${index}].parentId`, message: `父分类 "${category.parentId}" 不存在` });
+    }
+  });
+  sites.forEach((site, index) => {
+    if (typeof site?.category === 'string' && site.category && !categoryIds.has(site.category)) {
+      errors.push({ path: `sites[${index}].category`, message: `书签 "${site.title || site.id}" 引用了不存在的分类: ${site.category}` });
+    }
+  });
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * 将错误列表转为可直接显示的文字，集合中某一项的错误带上路径（如 sites[3].url）以便定位
+ * @param {Array<{path: string, message: string}>} errors - 错误列表
+ * @returns {string[]}
+ */
+export function formatErrors(errors) {
+  return errors.map(error => (error.path.includes('[') ? `${error.path}: ${error.message}` : error.message));
+}
+
+/**
+ * 将错误列表转为 路径 → 错误信息 的对象，同一字段只保留第一条，供表单在输入框旁显示
+ * @param {Array<{path: string, message: string}>} errors - 错误列表
+ * @returns {Object}
+ */
+export function toFieldErrorMap(errors = []) {
+  const map = {};
+  errors.forEach(error => {
+    if (!(error.path in map)) map[error.path] = error.message;
+  });
+  return map;
+}
@@ -0,0 +1,418 @@
+/**
+ * 全文搜索索引
+ * 基于网站数据构建倒排索引：拉丁文字按单词切分，中日韩文字按二元组（bigram）切分；
+ * 按字段加权排序（标题 > 简短描述 > 描述 > URL），支持前缀匹配、拼写容错和结果高亮；
+ * 单个字符的查询在词元内任意位置出现都算命中。
+ * 纯函数实现，服务端 API 与前端搜索组件共用
+ * @author Claude 4.0 sonnet
+ * @version 1.0.0
+ */
+
+/**
+ * 字段权重
+ */
+export const FIELD_WEIGHTS = {
+  title: 10,
+  shortDesc: 5,
+  description: 3,
+  url: 2,
+  category: 1
+};
+
+/**
+ * 匹配方式对应的得分系数
+ */
+const MATCH_FACTORS = {
+  exact: 1,
+  prefix: 0.7,
+  partial: 0.6,  // 单个字符出现在词元中间
+  typo: 0.5,     // 编辑距离 1
+  typo2: 0.35    // 编辑距离 2
+};
+
+/**
+ * URL 中不参与索引的词
+ */
+const URL_STOP_WORDS = new Set(['http', 'https', 'www']);
+
+/**
+ * 中日韩文字片段与其它单词
+ */
+const TOKEN_PATTERN = /([\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]+)|([\p{L}\p{N}]+)/gu;
+
+/**
+ * 判断词元是否为中日韩文字
+ * @param {string} token - 词元
+ * @returns {boolean}
+ */
+function isCJK(token) {
+  return /^[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/u.test(token);
+}
+
+/**
+ * 切分文本
+ * 中日韩文字片段切成相邻二元组（单字片段保留单字），其它文字按单词切分并转为小写
+ * @param {string} text - 文本
+ * @returns {Array<{token: string, start: number, end: number}>} 词元及其在原文中的位置
+ */
+export function tokenize(text) {
+  const tokens = [];
+  if (!text || typeof text !== 'string') return tokens;
+
+  for (const match of text.matchAll(TOKEN_PATTERN)) {
+    const [segment, cjk] = match;
+    const offset = match.index;
+
+    if (cjk) {
+      const chars = Array.from(cjk);
+      if (chars.length === 1) {
+        tokens.push({ token: cjk, start: offset, end: offset + cjk.length });
+        continue;
+      }
+      let position = offset;
+      for (let i = 0; i < chars.length - 1; i++) {
+        const token = chars[i] + chars[i + 1];
+        tokens.push({ token, start: position, end: position + token.length });
+        position += chars[i].length;
+      }
+    } else {
+      tokens.push({ token: segment.toLowerCase(), start: offset, end: offset + segment.length });
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * 计算编辑距离（相邻字符交换计为一次编辑），超过上限时提前返回
+ * @param {string} a - 字符串 a
+ * @param {string} b - 字符串 b
+ * @param {number} max - 最大编辑距离
+ * @returns {number} 编辑距离，超过上限时返回 max + 1
+ */
+export function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previousPrevious = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (previousPrevious && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, previousPrevious[j - 2] + 1);
+      }
+      current.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > max) return max + 1;
+    previousPrevious = previous;
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * 查询词允许的编辑距离：短词不容错，4~7 个字符允许 1 处错误，更长允许 2 处
+ * @param {string} token - 查询词
+ * @returns {number}
+ */
+function allowedTypos(token) {
+  if (isCJK(token) || token.length < 4) return 0;
+  return token.length < 8 ? 1 : 2;
+}
+
+/**
+ * 合并重叠或相邻的高亮区间
+ * @param {Array<Array<number>>} ranges - [start, end] 区间列表
+ * @returns {Array<Array<number>>}
+ */
+function mergeRanges(ranges) {
+  const sorted = [...ranges].sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+  const merged = [];
+  sorted.forEach(([start, end]) => {
+    const last = merged[merged.length - 1];
+    if (last && start <= last[1]) {
+      last[1] = Math.max(last[1], end);
+    } else {
+      merged.push([start, end]);
+    }
+  });
+  return merged;
+}
+
+/**
+ * 按高亮区间切分文本，便于在 React 中用 <mark> 渲染而无需拼接 HTML
+ * @param {string} text - 原文
+ * @param {Array<Array<number>>} ranges - 高亮区间
+ * @returns {Array<{text: string, highlighted: boolean}>}
+ */
+export function highlightSegments(text, ranges = []) {
+  if (!text) return [];
+  if (!ranges || ranges.length === 0) return [{ text, highlighted: false }];
+
+  const segments = [];
+  let cursor = 0;
+  mergeRanges(ranges).forEach(([start, end]) => {
+    if (start > cursor) {
+      segments.push({ text: text.slice(cursor, start), highlighted: false });
+    }
+    segments.push({ text: text.slice(Math.max(start, cursor), end), highlighted: true });
+    cursor = Math.max(cursor, end);
+  });
+  if (cursor < text.length) {
+    segments.push({ text: text.slice(cursor), highlighted: false });
+  }
+  return segments;
+}
+
+/**
+ * 搜索索引类
+ */
+export class SearchIndex {
+  /**
+   * @param {Array} sites - 网站列表
+   * @param {Array} categories - 分类列表（可选，用于按分类名称搜索）
+   */
+  constructor(sites = [], categories = []) {
+    this.sites = sites;
+    this.categories = categories;
+    // 词元 -> Map(网站下标 -> { 字段: [[start, end], ...] })
+    this.postings = new Map();
+    // 网站下标 -> 标题词元数，用于判断查询是否覆盖整个标题
+    this.titleTokenCounts = [];
+    this.build();
+  }
+
+  /**
+   * 获取网站被索引的字段文本
+   * @param {Object} site - 网站
+   * @param {Map} categoryNames - 分类 ID 到名称的映射
+   * @returns {Object}
+   */
+  getFields(site, categoryNames) {
+    return {
+      title: site.title,
+      shortDesc: site.shortDesc,
+      description: site.description,
+      url: site.url,
+      category: categoryNames.get(site.category) || site.category
+    };
+  }
+
+  /**
+   * 构建倒排索引
+   */
+  build() {
+    const categoryNames = new Map(this.categories.map(category => [category.id, category.name]));
+    this.fields = this.sites.map(site => this.getFields(site, categoryNames));
+
+    this.fields.forEach((fields, docIndex) => {
+      this.titleTokenCounts[docIndex] = tokenize(fields.title).length;
+
+      Object.keys(FIELD_WEIGHTS).forEach(field => {
+        tokenize(fields[field]).forEach(({ token, start, end }) => {
+          if (field === 'url' && URL_STOP_WORDS.has(token)) return;
+
+          let docs = this.postings.get(token);
+          if (!docs) {
+            docs = new Map();
+            this.postings.set(token, docs);
+          }
+          let positions = docs.get(docIndex);
+          if (!positions) {
+            positions = {};
+            docs.set(docIndex, positions);
+          }
+          (positions[field] = positions[field] || []).push([start, end]);
+        });
+      });
+    });
+  }
+
+  /**
+   * 查找查询词可匹配的索引词元
+   * @param {string} queryToken - 查询词元
+   * @returns {Array<{token: string, factor: number, highlight: Function}>}
+   */
+  expand(queryToken) {
+    const variants = [];
+    const whole = ([start, end]) => [start, end];
+
+    if (this.postings.has(queryToken)) {
+      variants.push({ token: queryToken, factor: MATCH_FACTORS.exact, highlight: whole });
+    }
+
+    const cjk = isCJK(queryToken);
+    const singleChar = Array.from(queryToken).length === 1;
+    const maxTypos = allowedTypos(queryToken);
+
+    for (const token of this.postings.keys()) {
+      if (token === queryToken) continue;
+
+      if (singleChar) {
+        // 单个字符在词元中的任意位置出现都算命中（与中文二元组的处理一致）
+        const index = token.indexOf(queryToken);
+        if (index !== -1) {
+          variants.push({
+            token,
+            factor: index === 0 ? MATCH_FACTORS.prefix : MATCH_FACTORS.partial,
+            highlight: ([start]) => [start + index, start + index + queryToken.length]
+          });
+        }
+        continue;
+      }
+
+      if (cjk) continue;
+
+      if (token.startsWith(queryToken)) {
+        variants.push({
+          token,
+          factor: MATCH_FACTORS.prefix,
+          highlight: ([start]) => [start, start + queryToken.length]
+        });
+        continue;
+      }
+
+      if (maxTypos > 0 && !isCJK(token)) {
+        const distance = editDistance(queryToken, token, maxTypos);
+        if (distance <= maxTypos) {
+          variants.push({
+            token,
+            factor: distance === 1 ? MATCH_FACTORS.typo : MATCH_FACTORS.typo2,
+            highlight: whole
+          });
+        }
+      }
+    }
+
+    return variants;
+  }
+
+  /**
+   * 搜索
+   * 所有查询词都需命中（精确、前缀或容错），得分为各查询词在各字段的加权得分之和；
+   * 标题包含完整查询时额外加分。标题与查询完全相同的排在最前，其次是标题的每个词都被查询命中的
+   * （如 git 对 GitHub），再按得分排序，避免较长的标题因其它字段命中更多而排在前面
+   * @param {string} query - 搜索关键词
+   * @param {Object} options - 选项
+   * @param {number} options.limit - 最多返回条数（0 表示不限）
+   * @returns {Array<{site: Object, score: number, highlights: Object}>} 按得分降序排列
+   */
+  search(query, options = {}) {
+    const queryTokens = [...new Set(tokenize(query).map(item => item.token))];
+    if (queryTokens.length === 0) return [];
+
+    let candidates = null;
+    const scores = new Map();
+    const highlights = new Map();
+    // 网站下标 -> 被命中的标题词元起始位置
+    const titleMatches = new Map();
+
+    for (const queryToken of queryTokens) {
+      // 每个网站取该查询词得分最高的匹配方式
+      const tokenScores = new Map();
+
+      this.expand(queryToken).forEach(({ token, factor, highlight }) => {
+        this.postings.get(token).forEach((positions, docIndex) => {
+          if (candidates && !candidates.has(docIndex)) return;
+
+          let score = 0;
+          // 只出现在标题词元中间的单个字符不算命中该词
+          if (positions.title && factor !== MATCH_FACTORS.partial) {
+            let matched = titleMatches.get(docIndex);
+            if (!matched) {
+              matched = new Set();
+              titleMatches.set(docIndex, matched);
+            }
+            positions.title.forEach(([start]) => matched.add(start));
+          }
+          Object.entries(positions).forEach(([field, ranges]) => {
+            score += FIELD_WEIGHTS[field] * factor;
+
+            let docHighlights = highlights.get(docIndex);
+            if (!docHighlights) {
+              docHighlights = {};
+              highlights.set(docIndex, docHighlights);
+            }
+            (docHighlights[field] = docHighlights[field] || []).push(...ranges.map(highlight));
+          });
+
+          tokenScores.set(docIndex, Math.max(tokenScores.get(docIndex) || 0, score));
+        });
+      });
+
+      candidates = new Set(tokenScores.keys());
+      tokenScores.forEach((score, docIndex) => {
+        scores.set(docIndex, (scores.get(docIndex) || 0) + score);
+      });
+      if (candidates.size === 0) return [];
+    }
+
+    const phrase = query.trim().toLowerCase();
+    const results = [...candidates].map(docIndex => {
+      const title = (this.fields[docIndex].title || '').toLowerCase();
+      const titleTokenCount = this.titleTokenCounts[docIndex];
+      const titleCovered = titleTokenCount > 0 && (titleMatches.get(docIndex)?.size || 0) >= titleTokenCount;
+      const tier = title === phrase ? 2 : titleCovered ? 1 : 0;
+      let score = scores.get(docIndex);
+      if (title === phrase) {
+        score += FIELD_WEIGHTS.title * 2;
+      } else if (title.startsWith(phrase)) {
+        score += FIELD_WEIGHTS.title;
+      } else if (title.includes(phrase)) {
+        score += FIELD_WEIGHTS.title / 2;
+      }
+
+      const docHighlights = {};
+      Object.entries(highlights.get(docIndex) || {}).forEach(([field, ranges]) => {
+        docHighlights[field] = mergeRanges(ranges);
+      });
+
+      return { docIndex, tier, site: this.sites[docIndex], score: Math.round(score * 100) / 100, highlights: docHighlights };
+    });
+
+    results.sort((a, b) => b.tier - a.tier || b.score - a.score || a.docIndex - b.docIndex);
+
+    const limited = options.limit > 0 ? results.slice(0, options.limit) : results;
+    return limited.map(({ docIndex, tier, ...result }) => result);
+  }
+}
+
+/**
+ * 已构建的索引缓存，数据数组被替换后自动失效
+ */
+const indexCache = new WeakMap();
+
+/**
+ * 获取（或构建）网站列表的搜索索引
+ * @param {Array} sites - 网站列表
+ * @param {Array} categories - 分类列表
+ * @returns {SearchIndex}
+ */
+export function getSearchIndex(sites, categories = []) {
+  const cached = indexCache.get(sites);
+  if (cached && cached.categories === categories) {
+    return cached;
+  }
+
+  const index = new SearchIndex(sites, categories);
+  indexCache.set(sites, index);
+  return index;
+}
+
+/**
+ * 便捷的搜索函数
+ * @param {Array} sites - 网站列表
+ * @param {string} query - 搜索关键词
+ * @param {Object} options - 选项（categories、limit）
+ * @returns {Array<{site: Object, score: number, highlights: Object}>}
+ */
+export function rankedSearch(sites, query, options = {}) {
+  const { categories = [], ...searchOptions } = options;
+  return getSearchIndex(sites, categories).search(query, searchOptions);
+}
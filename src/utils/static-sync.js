@@ -0,0 +1,568 @@
+/**
+ * 静态数据同步工具
+ * 逐条比较 navLinks.js 与 KV 中的分类和书签（仅一侧存在、字段不同），
+ * 并在保留 navLinks.js 原有格式、注释和文件头的前提下，把选中的差异写回源码
+ * @author Claude 4.0 sonnet
+ * @version 1.0.0
+ */
+
+/**
+ * 差异状态
+ */
+export const DiffStatus = {
+  STATIC_ONLY: 'static_only', // 只存在于 navLinks.js
+  KV_ONLY: 'kv_only',         // 只存在于 KV
+  CHANGED: 'changed'          // 两侧都存在但字段不同
+};
+
+/**
+ * 同步方向
+ */
+export const SyncDirection = {
+  TO_KV: 'to_kv',         // 以 navLinks.js 为准更新 KV
+  TO_STATIC: 'to_static'  // 以 KV 为准生成新的 navLinks.js
+};
+
+/**
+ * 不参与比较的字段（由服务端自动维护）
+ */
+const IGNORED_FIELDS = new Set(['lastModified']);
+
+/**
+ * 新增记录时的字段顺序，与 navLinks.js 中现有记录一致
+ */
+const FIELD_ORDER = {
+  categories: ['id', 'name', 'icon', 'parentId', 'order'],
+  sites: ['id', 'title', 'description', 'shortDesc', 'url', 'category', 'icon', 'tags', 'order', 'pinned']
+};
+
+/**
+ * 是否为空值：undefined、null、空字符串、空数组和 false 都视为未设置，
+ * 避免后台表单写入的 tags: []、pinned: false 被当作差异
+ * @param {any} value - 字段值
+ * @returns {boolean}
+ */
+function isBlank(value) {
+  return value === undefined || value === null || value === '' || value === false
+    || (Array.isArray(value) && value.length === 0);
+}
+
+/**
+ * 稳定序列化（对象键排序），用于比较字段值
+ * @param {any} value - 字段值
+ * @returns {string}
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * 比较两条记录的字段
+ * @param {Object} staticRecord - navLinks.js 中的记录
+ * @param {Object} kvRecord - KV 中的记录
+ * @returns {Array<{field: string, staticValue: any, kvValue: any}>}
+ */
+export function diffRecordFields(staticRecord, kvRecord) {
+  const fields = new Set([...Object.keys(staticRecord), ...Object.keys(kvRecord)]);
+  return [...fields]
+    .filter(field => !IGNORED_FIELDS.has(field))
+    .filter(field => {
+      const a = staticRecord[field];
+      const b = kvRecord[field];
+      if (isBlank(a) && isBlank(b)) return false;
+      return stableStringify(a) !== stableStringify(b);
+    })
+    .map(field => ({
+      field,
+      staticValue: isBlank(staticRecord[field]) ? null : staticRecord[field],
+      kvValue: isBlank(kvRecord[field]) ? null : kvRecord[field]
+    }));
+}
+
+/**
+ * 逐条比较集合
+ * @param {Array} staticItems - navLinks.js 中的记录
+ * @param {Array} kvItems - KV 中的记录
+ * @returns {{entries: Array<{id: string, status: string, static: Object|null, kv: Object|null, fields: Array}>, summary: Object}}
+ */
+export function diffCollections(staticItems, kvItems) {
+  const staticById = new Map(staticItems.map(item => [item.id, item]));
+  const kvById = new Map(kvItems.map(item => [item.id, item]));
+  const entries = [];
+  let unchanged = 0;
+
+  staticItems.forEach(item => {
+    const kvItem = kvById.get(item.id);
+    if (!kvItem) {
+      entries.push({ id: item.id, status: DiffStatus.STATIC_ONLY, static: item, kv: null, fields: [] });
+      return;
+    }
+    const fields = diffRecordFields(item, kvItem);
+    if (fields.length === 0) {
+      unchanged++;
+      return;
+    }
+    entries.push({ id: item.id, status: DiffStatus.CHANGED, static: item, kv: kvItem, fields });
+  });
+
+  kvItems
+    .filter(item => !staticById.has(item.id))
+    .forEach(item => entries.push({ id: item.id, status: DiffStatus.KV_ONLY, static: null, kv: item, fields: [] }));
+
+  const count = (status) => entries.filter(entry => entry.status === status).length;
+  return {
+    entries,
+    summary: {
+      staticOnly: count(DiffStatus.STATIC_ONLY),
+      kvOnly: count(DiffStatus.KV_ONLY),
+      changed: count(DiffStatus.CHANGED),
+      unchanged
+    }
+  };
+}
+
+/**
+ * 按同步方向计算选中条目同步后的集合
+ * @param {Array} staticItems - navLinks.js 中的记录
+ * @param {Array} kvItems - KV 中的记录
+ * @param {Array} entries - 选中的差异条目（diffCollections 的 entries）
+ * @param {string} direction - 同步方向
+ * @returns {{items: Array, removed: Array}} 目标一侧同步后的记录和被删除的记录
+ */
+export function applyDiffEntries(staticItems, kvItems, entries, direction) {
+  const toKV = direction === SyncDirection.TO_KV;
+  const byId = new Map(entries.map(entry => [entry.id, entry]));
+  const target = toKV ? kvItems : staticItems;
+  const source = (entry) => (toKV ? entry.static : entry.kv);
+
+  const removed = [];
+  const items = target
+    .filter(item => {
+      const entry = byId.get(item.id);
+      if (entry && !source(entry)) {
+        removed.push(item);
+        return false;
+      }
+      return true;
+    })
+    .map(item => {
+      const entry = byId.get(item.id);
+      return entry?.status === DiffStatus.CHANGED ? { ...source(entry) } : item;
+    });
+
+  entries
+    .filter(entry => source(entry) && !target.some(item => item.id === entry.id))
+    .forEach(entry => items.push({ ...source(entry) }));
+
+  return { items, removed };
+}
+
+// ---------------------------------------------------------------------------
+// navLinks.js 源码修改
+// ---------------------------------------------------------------------------
+
+/**
+ * 跳过字符串或模板字符串
+ * @param {string} source - 源码
+ * @param {number} index - 引号位置
+ * @returns {number} 结束引号之后的位置
+ */
+function skipString(source, index) {
+  const quote = source[index];
+  let i = index + 1;
+  while (i < source.length) {
+    if (source[i] === '\\') {
+      i += 2;
+      continue;
+    }
+    if (source[i] === quote) return i + 1;
+    i++;
+  }
+  throw new Error('navLinks.js 中存在未闭合的字符串');
+}
+
+/**
+ * 跳过注释
+ * @param {string} source - 源码
+ * @param {number} index - 位置
+ * @returns {number} 不是注释时原样返回，否则返回注释之后的位置
+ */
+function skipComment(source, index) {
+  if (source[index] !== '/') return index;
+  if (source[index + 1] === '/') {
+    const end = source.indexOf('\n', index);
+    return end === -1 ? source.length : end;
+  }
+  if (source[index + 1] === '*') {
+    const end = source.indexOf('*/', index + 2);
+    if (end === -1) throw new Error('navLinks.js 中存在未闭合的注释');
+    return end + 2;
+  }
+  return index;
+}
+
+/**
+ * 拆分数组或对象字面量的顶层元素
+ * @param {string} source - 源码
+ * @param {number} open - 左括号位置
+ * @returns {{close: number, items: Array<{start: number, end: number, comma: number|null}>}}
+ *   start/end 为元素本身的范围（不含前后空白和注释），comma 为元素后的逗号位置
+ */
+function splitLiteral(source, open) {
+  const closers = { '[': ']', '{': '}', '(': ')' };
+  const stack = [closers[source[open]]];
+  const items = [];
+  let current = null;
+  let lastSignificant = open;
+  let i = open + 1;
+
+  const finishItem = (comma) => {
+    if (current) {
+      items.push({ start: current.start, end: lastSignificant + 1, comma });
+      current = null;
+    }
+  };
+
+  while (i < source.length) {
+    const afterComment = skipComment(source, i);
+    if (afterComment !== i) {
+      i = afterComment;
+      continue;
+    }
+
+    const char = source[i];
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    if (stack.length === 1 && (char === ',' || char === stack[0])) {
+      finishItem(char === ',' ? i : null);
+      if (char === stack[0]) return { close: i, items };
+      i++;
+      continue;
+    }
+
+    if (!current) current = { start: i };
+
+    if (char === '"' || char === "'" || char === '`') {
+      i = skipString(source, i);
+      lastSignificant = i - 1;
+      continue;
+    }
+
+    if (closers[char]) {
+      stack.unshift(closers[char]);
+    } else if (char === stack[0]) {
+      stack.shift();
+    }
+    lastSignificant = i;
+    i++;
+  }
+
+  throw new Error('navLinks.js 中存在未闭合的括号');
+}
+
+/**
+ * 解析对象字面量的属性
+ * @param {string} source - 源码
+ * @param {number} open - 左花括号位置
+ * @returns {{close: number, properties: Array<{key: string, start: number, end: number, comma: number|null, valueStart: number}>}}
+ */
+function parseObject(source, open) {
+  const { close, items } = splitLiteral(source, open);
+  const properties = items.map(item => {
+    const text = source.slice(item.start, item.end);
+    const match = text.match(/^(['"]?)([\w$-]+)\1\s*:\s*/);
+    if (!match) {
+      throw new Error(`navLinks.js 中无法解析的属性: ${text.slice(0, 40)}`);
+    }
+    return { ...item, key: match[2], valueStart: item.start + match[0].length };
+  });
+  return { close, properties };
+}
+
+/**
+ * 解析字符串字面量
+ * @param {string} text - 字面量源码
+ * @returns {string|null}
+ */
+function parseStringLiteral(text) {
+  const match = text.match(/^(['"])((?:\\.|(?!\1).)*)\1$/s);
+  if (!match) return null;
+  return match[2].replace(/\\(u\{[0-9a-f]+\}|u[0-9a-f]{4}|x[0-9a-f]{2}|.)/gis, (_, escape) => {
+    if (escape[0] === 'u' || escape[0] === 'x') {
+      return String.fromCodePoint(parseInt(escape.replace(/[ux{}]/gi, ''), 16));
+    }
+    return { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f', v: '\v', 0: '\0' }[escape] ?? escape;
+  });
+}
+
+/**
+ * 将值转换为 navLinks.js 风格的字面量（单引号字符串）
+ * @param {any} value - 值
+ * @returns {string}
+ */
+export function toSourceLiteral(value) {
+  if (typeof value === 'string') {
+    const escaped = value
+      .replace(/\\/g, '\\\\')
+      .replace(/'/g, "\\'")
+      .replace(/\n/g, '\\n')
+      .replace(/\r/g, '\\r')
+      .replace(/\u2028/g, '\\u2028')
+      .replace(/\u2029/g, '\\u2029');
+    return `'${escaped}'`;
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(toSourceLiteral).join(', ')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.entries(value)
+      .filter(([, item]) => item !== undefined)
+      .map(([key, item]) => `${/^[A-Za-z_$][\w$]*$/.test(key) ? key : toSourceLiteral(key)}: ${toSourceLiteral(item)}`);
+    return `{ ${entries.join(', ')} }`;
+  }
+  return String(value);
+}
+
+/**
+ * 获取位置所在行的缩进
+ * @param {string} source - 源码
+ * @param {number} index - 位置
+ * @returns {string}
+ */
+function getIndent(source, index) {
+  const lineStart = source.lastIndexOf('\n', index - 1) + 1;
+  return source.slice(lineStart, index).match(/^[ \t]*/)[0];
+}
+
+/**
+ * 位置之前到行首是否只有空白
+ * @param {string} source - 源码
+ * @param {number} index - 位置
+ * @returns {boolean}
+ */
+function isLineStart(source, index) {
+  const lineStart = source.lastIndexOf('\n', index - 1) + 1;
+  return /^[ \t]*$/.test(source.slice(lineStart, index));
+}
+
+/**
+ * 计算删除一段内容的范围：独占一行时连同整行删除，否则连同后面的空格删除
+ * @param {string} source - 源码
+ * @param {number} start - 开始位置
+ * @param {number} end - 结束位置（不含）
+ * @returns {{start: number, end: number}}
+ */
+function getRemovalRange(source, start, end) {
+  const rest = source.slice(end).match(/^[ \t]*(\r?\n|$)/);
+  if (isLineStart(source, start) && rest) {
+    return { start: source.lastIndexOf('\n', start - 1) + 1, end: end + rest[0].length };
+  }
+  return { start, end: end + source.slice(end).match(/^[ \t]*/)[0].length };
+}
+
+/**
+ * 按记录字段生成新的对象字面量，沿用参考记录的缩进和字段顺序
+ * @param {Object} record - 记录
+ * @param {string} type - 集合类型
+ * @param {Object} style - 参考样式（braceIndent、propIndent、keys）
+ * @returns {string}
+ */
+function formatRecord(record, type, style) {
+  const order = [...new Set([...style.keys, ...FIELD_ORDER[type]])];
+  const keys = Object.keys(record)
+    .filter(key => !IGNORED_FIELDS.has(key) && !isBlank(record[key]))
+    .sort((a, b) => {
+      const indexA = order.indexOf(a) === -1 ? order.length : order.indexOf(a);
+      const indexB = order.indexOf(b) === -1 ? order.length : order.indexOf(b);
+      return indexA - indexB;
+    });
+
+  const lines = keys.map(key => `${style.propIndent}${key}: ${toSourceLiteral(record[key])},`);
+  return `${style.braceIndent}{\n${lines.join('\n')}\n${style.braceIndent}}`;
+}
+
+/**
+ * 定位 export const <name> = [...] 并解析其中的记录
+ * @param {string} source - 源码
+ * @param {string} type - 集合类型（categories / sites）
+ * @returns {{open: number, close: number, records: Array<{id: string, start: number, end: number, comma: number|null, close: number, properties: Array}>}}
+ */
+function locateCollection(source, type) {
+  const match = new RegExp(`export\\s+const\\s+${type}\\s*=\\s*\\[`).exec(source);
+  if (!match) {
+    throw new Error(`navLinks.js 中未找到 ${type} 数组`);
+  }
+
+  const open = match.index + match[0].length - 1;
+  const { close, items } = splitLiteral(source, open);
+  const records = items.map(item => {
+    if (source[item.start] !== '{') {
+      throw new Error(`navLinks.js 的 ${type} 数组中存在无法解析的元素`);
+    }
+    const { properties } = parseObject(source, item.start);
+    const idProperty = properties.find(property => property.key === 'id');
+    const id = idProperty ? parseStringLiteral(source.slice(idProperty.valueStart, idProperty.end)) : null;
+    return { ...item, id, close: item.end - 1, properties };
+  });
+
+  return { open, close, records };
+}
+
+/**
+ * 生成修改单条记录字段的编辑操作
+ * @param {string} source - 源码
+ * @param {Object} record - locateCollection 解析出的记录
+ * @param {Array<{field: string, kvValue: any}>} fields - 需要修改的字段
+ * @returns {Array<{start: number, end: number, text: string}>}
+ */
+function buildFieldEdits(source, record, fields) {
+  const edits = [];
+  const additions = [];
+
+  fields.forEach(({ field, kvValue }) => {
+    const property = record.properties.find(item => item.key === field);
+    if (isBlank(kvValue)) {
+      if (property) {
+        const { start, end } = getRemovalRange(source, property.start, property.comma !== null ? property.comma + 1 : property.end);
+        edits.push({ start, end, text: '' });
+      }
+      return;
+    }
+    if (property) {
+      edits.push({ start: property.valueStart, end: property.end, text: toSourceLiteral(kvValue) });
+    } else {
+      additions.push(`${field}: ${toSourceLiteral(kvValue)}`);
+    }
+  });
+
+  if (additions.length > 0) {
+    const last = record.properties[record.properties.length - 1];
+    if (!last) {
+      edits.push({ start: record.start + 1, end: record.start + 1, text: ` ${additions.join(', ')} ` });
+    } else {
+      const indent = isLineStart(source, last.start) ? getIndent(source, last.start) : `${getIndent(source, record.start)}  `;
+      const insertAt = last.comma !== null ? last.comma + 1 : last.end;
+      const prefix = last.comma !== null ? '' : ',';
+      const suffix = last.comma !== null ? ',' : '';
+      edits.push({
+        start: insertAt,
+        end: insertAt,
+        text: `${prefix}${additions.map(item => `\n${indent}${item}`).join(',')}${suffix}`
+      });
+    }
+  }
+
+  return edits;
+}
+
+/**
+ * 获取集合中记录的书写样式，新记录沿用它
+ * @param {string} source - 源码
+ * @param {Object} record - 参考记录，为空时使用两个空格缩进
+ * @returns {{braceIndent: string, propIndent: string, keys: string[]}}
+ */
+function getRecordStyle(source, record) {
+  if (!record) {
+    return { braceIndent: '  ', propIndent: '    ', keys: [] };
+  }
+  const braceIndent = getIndent(source, record.start);
+  const firstProperty = record.properties[0];
+  const propIndent = firstProperty && isLineStart(source, firstProperty.start)
+    ? getIndent(source, firstProperty.start)
+    : `${braceIndent}  `;
+  return { braceIndent, propIndent, keys: record.properties.map(property => property.key) };
+}
+
+/**
+ * 修改 navLinks.js 源码中的一个集合：更新字段、删除记录、新增记录，其余内容保持不变
+ * 新书签插入到同分类的最后一个书签之后，没有同分类书签时插入到数组末尾
+ * @param {string} source - 源码
+ * @param {string} type - 集合类型（categories / sites）
+ * @param {Array} entries - 选中的差异条目
+ * @returns {string} 修改后的源码
+ */
+function patchCollection(source, type, entries) {
+  if (entries.length === 0) return source;
+
+  const { close, records } = locateCollection(source, type);
+  const recordById = new Map(records.map(record => [record.id, record]));
+  const edits = [];
+
+  entries.forEach(entry => {
+    const record = recordById.get(entry.id);
+
+    if (entry.status === DiffStatus.CHANGED && record) {
+      edits.push(...buildFieldEdits(source, record, entry.fields));
+    } else if (entry.status === DiffStatus.STATIC_ONLY && record) {
+      const { start, end } = getRemovalRange(source, record.start, record.comma !== null ? record.comma + 1 : record.end);
+      edits.push({ start, end, text: '' });
+    }
+  });
+
+  // 新增记录按插入位置分组，同一位置的多条记录保持选中顺序
+  const insertions = new Map();
+  entries
+    .filter(entry => entry.status === DiffStatus.KV_ONLY)
+    .forEach(entry => {
+      const sameCategory = type === 'sites'
+        ? [...records].reverse().find(record => {
+          const category = record.properties.find(property => property.key === 'category');
+          return category && parseStringLiteral(source.slice(category.valueStart, category.end)) === entry.kv.category
+            && !entries.some(item => item.id === record.id && item.status === DiffStatus.STATIC_ONLY);
+        })
+        : null;
+      const anchor = sameCategory || null;
+      const key = anchor ? anchor.start : -1;
+      if (!insertions.has(key)) insertions.set(key, { anchor, records: [] });
+      insertions.get(key).records.push(entry.kv);
+    });
+
+  const lastRecord = records[records.length - 1] || null;
+  insertions.forEach(({ anchor, records: added }) => {
+    const reference = anchor || lastRecord;
+    const style = getRecordStyle(source, reference);
+    const text = added.map(record => `${formatRecord(record, type, style)},`).join('\n');
+
+    if (reference) {
+      // 插入到参考记录所在行之后，参考记录没有逗号时补上
+      const afterRecord = reference.comma !== null ? reference.comma + 1 : reference.end;
+      const lineEnd = source.slice(afterRecord).match(/^[^\n]*/)[0].length + afterRecord;
+      if (reference.comma === null) {
+        edits.push({ start: reference.end, end: reference.end, text: ',' });
+      }
+      const insertAt = anchor ? lineEnd : Math.max(lineEnd, source.lastIndexOf('\n', close - 1));
+      edits.push({ start: insertAt, end: insertAt, text: `\n${text}` });
+    } else {
+      edits.push({ start: close, end: close, text: `\n${text}\n` });
+    }
+  });
+
+  // 从后往前应用编辑，前面的位置保持不变；同一位置的插入按生成顺序排列
+  return edits
+    .map((edit, index) => ({ ...edit, index }))
+    .sort((a, b) => b.start - a.start || b.end - a.end || b.index - a.index)
+    .reduce((result, edit) => result.slice(0, edit.start) + edit.text + result.slice(edit.end), source);
+}
+
+/**
+ * 将选中的 KV 差异写回 navLinks.js 源码
+ * 只修改涉及的记录和字段，文件头注释、分组注释、缩进、其他记录和函数保持原样
+ * @param {string} source - navLinks.js 源码
+ * @param {Object} selection - 选中的差异条目
+ * @param {Array} selection.categories - 分类差异条目
+ * @param {Array} selection.sites - 书签差异条目
+ * @returns {string}
+ */
+export function patchStaticSource(source, selection) {
+  const withSites = patchCollection(source, 'sites', selection.sites || []);
+  return patchCollection(withSites, 'categories', selection.categories || []);
+}
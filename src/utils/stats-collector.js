@@ -5,7 +5,7 @@
  * @version 1.0.0
  */
 
-import { api } from './api-client.js';
+import { api, resolveApiUrl } from './api-client.js';
 import { handleError } from './error-handler.js';
 
 /**
@@ -291,7 +291,7 @@ export class StatsCollector {
     try {
       if (sync) {
         // 同步发送（页面卸载时使用）
-        navigator.sendBeacon('/api/stats/collect', JSON.stringify({ events }));
+        navigator.sendBeacon(resolveApiUrl('/api/stats/collect'), JSON.stringify({ events }));
       } else {
         // 异步发送
         await api.post('/api/stats/collect', { events });
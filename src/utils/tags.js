@@ -0,0 +1,112 @@
+/**
+ * 书签标签工具
+ * 标签的规范化、校验、统计和过滤，服务端 API 与前端组件共用
+ * @author Claude 4.0 sonnet
+ * @version 1.0.0
+ */
+
+/**
+ * 单个书签最多的标签数
+ */
+export const MAX_TAGS = 20;
+
+/**
+ * 单个标签的最大长度
+ */
+export const MAX_TAG_LENGTH = 30;
+
+/**
+ * 标签输入的分隔符（英文逗号、中文逗号、顿号、分号）
+ */
+const TAG_SEPARATOR = /[,，、;；]/;
+
+/**
+ * 规范化标签列表：去除首尾空白和多余空格，忽略空标签，按不区分大小写去重并保留首次出现的写法
+ * @param {Array|string} tags - 标签数组或以逗号分隔的字符串
+ * @returns {string[]}
+ */
+export function normalizeTags(tags) {
+  const list = typeof tags === 'string' ? tags.split(TAG_SEPARATOR) : (Array.isArray(tags) ? tags : []);
+  const seen = new Set();
+  const result = [];
+
+  list.forEach(tag => {
+    if (typeof tag !== 'string') return;
+    const name = tag.trim().replace(/\s+/g, ' ');
+    const key = name.toLowerCase();
+    if (!name || seen.has(key)) return;
+    seen.add(key);
+    result.push(name);
+  });
+
+  return result;
+}
+
+/**
+ * 校验标签字段
+ * @param {any} tags - 标签字段
+ * @returns {string[]} 错误信息列表
+ */
+export function validateTags(tags) {
+  const errors = [];
+  if (tags === undefined) return errors;
+
+  if (!Array.isArray(tags)) {
+    errors.push('书签标签必须是字符串数组');
+    return errors;
+  }
+
+  if (tags.some(tag => typeof tag !== 'string')) {
+    errors.push('书签标签必须是字符串数组');
+  }
+
+  const normalized = normalizeTags(tags);
+  if (normalized.length > MAX_TAGS) {
+    errors.push(`书签标签最多 ${MAX_TAGS} 个`);
+  }
+  if (normalized.some(tag => tag.length > MAX_TAG_LENGTH)) {
+    errors.push(`单个标签不能超过 ${MAX_TAG_LENGTH} 个字符`);
+  }
+
+  return errors;
+}
+
+/**
+ * 统计所有标签的使用次数
+ * 大小写不同的同名标签合并计数，显示名称取第一次出现的写法
+ * @param {Array} sites - 网站列表
+ * @returns {Array<{name: string, count: number}>} 按使用次数降序、名称升序排列
+ */
+export function countTags(sites) {
+  const counts = new Map();
+
+  sites.forEach(site => {
+    normalizeTags(site.tags).forEach(tag => {
+      const key = tag.toLowerCase();
+      const entry = counts.get(key);
+      if (entry) {
+        entry.count++;
+      } else {
+        counts.set(key, { name: tag, count: 1 });
+      }
+    });
+  });
+
+  return [...counts.values()].sort((a, b) => b.count - a.count || a.name.localeCompare(b.name, 'zh-CN'));
+}
+
+/**
+ * 按标签过滤网站（需包含全部指定标签，不区分大小写）
+ * @param {Array} sites - 网站列表
+ * @param {string[]} tags - 标签列表
+ * @returns {Array}
+ */
+export function filterSitesByTags(sites, tags) {
+  const required = normalizeTags(tags).map(tag => tag.toLowerCase());
+  if (required.length === 0) return sites;
+
+  return sites.filter(site => {
+    const siteTags = new Set(normalizeTags(site.tags).map(tag => tag.toLowerCase()));
+    return required.every(tag => siteTags.has(tag));
+  });
+}
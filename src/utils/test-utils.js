@@ -1,6 +1,6 @@
 /**
  * 工具模块测试文件
- * 用于验证 API 客户端、缓存管理器、错误处理器和书签解析器的功能
+ * 用于验证 API 客户端、缓存管理器、错误处理器、书签解析器和链接预览地址检查的功能
  * @author Claude 4.0 sonnet
  * @version 1.0.0
  */
@@ -9,6 +9,7 @@ import { api, ApiClient } from './api-client.js';
 import { cache, CacheManager, CacheStrategy } from './cache-manager.js';
 import { handleError, ErrorType, AppError } from './error-handler.js';
 import { parseBookmarks, BookmarkParser } from './bookmark-parser.js';
+import { isPrivateHost } from './page-metadata.js';
 import { dataManager, data } from '../data/data-manager.js';
 import { kvAdapter } from '../data/kv-adapter.js';
 import { migrationTool } from '../data/migration-tool.js';
@@ -295,6 +296,51 @@ export async function testMigrationTool() {
   }
 }
 
+/**
+ * 测试链接预览的内网地址检查
+ * 包括 IPv6 中内嵌 IPv4 的各种写法（IPv4 兼容、IPv4 映射、NAT64、6to4）
+ */
+export function testPrivateHostCheck() {
+  console.log('🧪 测试链接预览地址检查...');
+  
+  try {
+    const blockedHosts = [
+      'localhost', 'printer.local', '127.0.0.1', '10.0.0.1', '169.254.169.254', '192.168.1.1',
+      '[::1]', '[::]', '[fd00::1]', '[fe80::1]', '[ff02::1]',
+      '[::7f00:1]',            // IPv4 兼容地址 ::127.0.0.1
+      '[::ffff:7f00:1]',       // IPv4 映射地址 ::ffff:127.0.0.1
+      '[::ffff:0:a00:1]',      // IPv4 转换地址 ::ffff:0:10.0.0.1
+      '[64:ff9b::7f00:1]',     // NAT64 64:ff9b::127.0.0.1
+      '[64:ff9b::a9fe:a9fe]',  // NAT64 中的云平台元数据地址
+      '[64:ff9b:1::1]',        // 本地 NAT64 前缀
+      '[2002:c0a8:101::1]'     // 6to4 中的 192.168.1.1
+    ];
+    const allowedHosts = [
+      'example.com', '8.8.8.8', '[2606:4700::1111]', '[::ffff:808:808]', '[64:ff9b::808:808]', '[2002:808:808::1]'
+    ];
+    
+    const missed = blockedHosts.filter(host => !isPrivateHost(host));
+    const wronglyBlocked = allowedHosts.filter(host => isPrivateHost(host));
+    if (missed.length > 0 || wronglyBlocked.length > 0) {
+      throw new Error(`未拦截: ${missed.join(', ') || '无'}；误拦截: ${wronglyBlocked.join(', ') || '无'}`);
+    }
+    console.log(`✅ 内网地址已拦截: ${blockedHosts.length} 个，公网地址放行: ${allowedHosts.length} 个`);
+    
+    // URL 解析会把内嵌的点分十进制 IPv4 改写为十六进制分组
+    const parsedHost = new URL('http://[::ffff:127.0.0.1]/').hostname;
+    if (!isPrivateHost(parsedHost)) {
+      throw new Error(`未拦截 URL 解析后的地址: ${parsedHost}`);
+    }
+    console.log('✅ URL 解析后的 IPv4 映射地址已拦截:', parsedHost);
+    
+    console.log('✅ 链接预览地址检查测试完成');
+    return true;
+  } catch (error) {
+    console.error('❌ 链接预览地址检查测试失败:', error);
+    return false;
+  }
+}
+
 /**
  * 运行所有测试
  */
@@ -308,7 +354,8 @@ export async function runAllTests() {
     bookmarkParser: false,
     dataManager: false,
     kvAdapter: false,
-    migrationTool: false
+    migrationTool: false,
+    privateHostCheck: false
   };
   
   // 运行各项测试
@@ -321,6 +368,9 @@ export async function runAllTests() {
   results.bookmarkParser = testBookmarkParser();
   console.log('');
 
+  results.privateHostCheck = testPrivateHostCheck();
+  console.log('');
+
   results.dataManager = await testDataManager();
   console.log('');
 
@@ -365,7 +415,8 @@ if (typeof window !== 'undefined' && window.location) {
     testBookmarkParser,
     testDataManager,
     testKVAdapter,
-    testMigrationTool
+    testMigrationTool,
+    testPrivateHostCheck
   };
   
   console.log('🔧 工具模块测试已加载，可通过 window.testUtils.runAllTests() 运行测试');
@@ -0,0 +1,97 @@
+/**
+ * URL 规范化工具
+ * 将只在协议、www 前缀、结尾斜杠、跟踪参数等方面不同的 URL 视为同一个地址，用于查重
+ * @author Claude 4.0 sonnet
+ * @version 1.0.0
+ */
+
+/**
+ * 需要移除的跟踪参数（完全匹配）
+ */
+const TRACKING_PARAMS = new Set([
+  'fbclid', 'gclid', 'dclid', 'msclkid', 'yclid', 'twclid', 'igshid', 'mc_cid', 'mc_eid',
+  '_hsenc', '_hsmi', 'ref', 'ref_src', 'ref_url', 'spm', 'share_source', 'share_medium',
+  'si', 'vd_source'
+]);
+
+/**
+ * 需要移除的跟踪参数前缀
+ */
+const TRACKING_PARAM_PREFIXES = ['utm_', 'pk_', 'hmsr', 'hmpl', 'hmcu', 'hmkw', 'hmci'];
+
+/**
+ * 判断查询参数是否为跟踪参数
+ * @param {string} name - 参数名
+ * @returns {boolean}
+ */
+export function isTrackingParam(name) {
+  const key = name.toLowerCase();
+  return TRACKING_PARAMS.has(key) || TRACKING_PARAM_PREFIXES.some(prefix => key.startsWith(prefix));
+}
+
+/**
+ * 规范化 URL，结果只用于比较，不用于展示或跳转
+ * - 忽略 http/https 协议差异和默认端口
+ * - 主机名小写并去掉 www. 前缀
+ * - 去掉路径结尾的斜杠和 index.html 等默认文档
+ * - 移除 utm_* 等跟踪参数，其余参数按名称排序
+ * - 丢弃普通锚点，保留 #/ 和 #! 开头的前端路由
+ * @param {string} url - 原始 URL
+ * @returns {string} 规范化后的 URL，无法解析时返回去掉首尾空白并转为小写的原始字符串
+ */
+export function normalizeUrl(url) {
+  if (typeof url !== 'string') {
+    return '';
+  }
+
+  const trimmed = url.trim();
+  let parsed;
+  try {
+    parsed = new URL(trimmed);
+  } catch {
+    return trimmed.toLowerCase();
+  }
+
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    return trimmed.toLowerCase();
+  }
+
+  const host = parsed.hostname.toLowerCase().replace(/^www\./, '');
+  const port = parsed.port && parsed.port !== '80' && parsed.port !== '443' ? `:${parsed.port}` : '';
+
+  const path = parsed.pathname
+    .replace(/\/(index|default)\.(html?|php|aspx?)$/i, '/')
+    .replace(/\/+$/, '');
+
+  const params = [...parsed.searchParams.entries()]
+    .filter(([name]) => !isTrackingParam(name))
+    .sort(([a], [b]) => a.localeCompare(b));
+  const query = params.length > 0 ? `?${new URLSearchParams(params).toString()}` : '';
+
+  const hash = /^#[/!]/.test(parsed.hash) ? parsed.hash.replace(/\/+$/, '') : '';
+
+  return `${host}${port}${path}${query}${hash}`;
+}
+
+/**
+ * 判断两个 URL 规范化后是否相同
+ * @param {string} a - URL
+ * @param {string} b - URL
+ * @returns {boolean}
+ */
+export function isSameUrl(a, b) {
+  return normalizeUrl(a) === normalizeUrl(b);
+}
+
+/**
+ * 获取 URL 规范化后的主机名（不含 www.），无法解析时返回空字符串
+ * @param {string} url - 原始 URL
+ * @returns {string}
+ */
+export function getNormalizedHost(url) {
+  try {
+    return new URL(url.trim()).hostname.toLowerCase().replace(/^www\./, '');
+  } catch {
+    return '';
+  }
+}
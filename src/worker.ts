@@ -0,0 +1,39 @@
+/**
+ * Cloudflare Worker 入口
+ * 在 Astro 生成的 fetch 处理之外增加 scheduled 处理，由 wrangler.toml 中的 Cron Triggers 触发定时任务
+ * @author Claude 4.0 sonnet
+ * @version 1.0.0
+ */
+
+import type { SSRManifest } from 'astro';
+import { App } from 'astro/app';
+import { handle } from '@astrojs/cloudflare/handler';
+import { taskScheduler } from './data/task-scheduler.js';
+
+/**
+ * 创建 Worker 导出，由 @astrojs/cloudflare 的 workerEntryPoint 调用
+ * @param manifest - Astro 构建清单
+ * @returns Worker 模块导出
+ */
+export function createExports(manifest: SSRManifest) {
+  const app = new App(manifest);
+
+  return {
+    default: {
+      /**
+       * 处理 HTTP 请求
+       */
+      async fetch(request: Request, env: any, ctx: any) {
+        return handle(manifest, app, request as any, env, ctx);
+      },
+
+      /**
+       * 处理 Cron 触发，执行与表达式匹配的定时任务
+       */
+      async scheduled(controller: { cron: string; scheduledTime: number }, env: any, ctx: any) {
+        console.log(`⏰ Cron 触发: ${controller.cron}（${new Date(controller.scheduledTime).toISOString()}）`);
+        ctx.waitUntil(taskScheduler.runScheduled(controller.cron));
+      }
+    }
+  };
+}